@@ -0,0 +1,199 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createProxyServer } from '../app.js';
+import { createRateLimiter } from '../rateLimiter.js';
+import { ProviderError } from '../providers.js';
+
+// The proxy over real HTTP, with a fake token check, a fake provider and a hand-driven clock
+
+const TOKENS = { 'alice-token': { uid: 'alice' }, 'bob-token': { uid: 'bob' } };
+const MAX_TEXT_LENGTH = 100;
+
+let clock = 0;
+let failure = null;
+const limiter = createRateLimiter({ capacity: 3, refillPerMinute: 6, now: () => clock });
+
+const provider = {
+  id: 'fake',
+  models: { summarize: 'fake-summary', tags: 'fake-tags', embed: 'fake-embed', answer: 'fake-answer' },
+  async summarize(text) {
+    if (failure) throw failure;
+    return `Summary of ${text}`;
+  },
+  async tags() {
+    return ['fake'];
+  },
+  async embed() {
+    return [0.1, 0.2];
+  },
+  async answer() {
+    return 'An answer [1]';
+  },
+};
+
+const server = createProxyServer({
+  verifyToken: async (token) => {
+    if (!TOKENS[token]) throw new Error('auth/argument-error');
+    return TOKENS[token];
+  },
+  routes: { summarize: provider, tags: provider, embed: null, answer: provider },
+  limiter,
+  allowedOrigins: ['http://localhost:3000'],
+  maxTextLength: MAX_TEXT_LENGTH,
+});
+
+let baseUrl;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  clock = 0;
+  failure = null;
+  limiter.reset();
+});
+
+async function post(path, body, { token = 'alice-token', rawBody } = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: rawBody ?? JSON.stringify(body),
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+const summarize = (options) => post('/api/ai/summarize', { text: 'Short note' }, options);
+
+describe('Authentication', () => {
+  test('rejects requests without a Firebase ID token', async () => {
+    const response = await summarize({ token: null });
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error.code, 'unauthenticated');
+  });
+
+  test('rejects invalid or expired tokens', async () => {
+    const response = await summarize({ token: 'forged-token' });
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error.message, 'Invalid or expired Firebase ID token');
+  });
+
+  test('answers valid tokens', async () => {
+    const response = await summarize();
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { summary: 'Summary of Short note', model: 'fake-summary' });
+  });
+});
+
+describe('Rate limiting', () => {
+  test('limits each user separately and says when to retry', async () => {
+    assert.equal((await summarize()).status, 200);
+    assert.equal((await summarize()).status, 200);
+    assert.equal((await summarize()).status, 200);
+
+    const limited = await summarize();
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.error.code, 'rate_limited');
+    // One request every 10 seconds once the burst is used up
+    assert.equal(limited.headers.get('retry-after'), '10');
+    assert.equal(limited.body.error.retryAfter, 10);
+
+    assert.equal((await summarize({ token: 'bob-token' })).status, 200);
+
+    clock += 10000;
+    assert.equal((await summarize()).status, 200);
+    assert.equal((await summarize()).status, 429);
+  });
+
+  test('does not spend the limit on unauthenticated requests', async () => {
+    await summarize({ token: 'forged-token' });
+    await summarize({ token: 'forged-token' });
+    await summarize({ token: 'forged-token' });
+    assert.equal((await summarize()).status, 200);
+  });
+});
+
+describe('Request limits', () => {
+  test('rejects bodies over 1 MB and closes the connection', { timeout: 5000 }, async () => {
+    const rawBody = JSON.stringify({ text: 'x'.repeat(1024 * 1024) });
+    const response = await post('/api/ai/summarize', null, { rawBody });
+    assert.equal(response.status, 413);
+    assert.equal(response.body.error.code, 'payload_too_large');
+    assert.equal(response.headers.get('connection'), 'close');
+
+    // Even a client that would keep the connection open sees the server close it
+    const agent = new http.Agent({ keepAlive: true });
+    const request = http.request(`${baseUrl}/api/ai/summarize`, {
+      method: 'POST',
+      agent,
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer alice-token' },
+    });
+    const closed = new Promise(resolve => request.on('socket', socket => socket.on('close', resolve)));
+    request.on('error', () => {});
+    request.end(rawBody);
+    const raw = await new Promise(resolve => request.on('response', resolve));
+    raw.resume();
+    assert.equal(raw.statusCode, 413);
+    await closed;
+    agent.destroy();
+  });
+
+  test('rejects text over the configured length', async () => {
+    const response = await post('/api/ai/summarize', { text: 'x'.repeat(MAX_TEXT_LENGTH + 1) });
+    assert.equal(response.status, 413);
+    assert.equal(response.body.error.code, 'text_too_long');
+    assert.equal((await post('/api/ai/summarize', { text: 'x'.repeat(MAX_TEXT_LENGTH) })).status, 200);
+  });
+
+  test('counts every source towards the text length of an answer', async () => {
+    const sources = [{ title: 'One', text: 'x'.repeat(60) }, { title: 'Two', text: 'x'.repeat(60) }];
+    const response = await post('/api/ai/answer', { question: 'Why?', sources });
+    assert.equal(response.status, 413);
+    assert.equal(response.body.error.code, 'text_too_long');
+  });
+
+  test('rejects malformed requests', async () => {
+    assert.equal((await post('/api/ai/summarize', null, { rawBody: '{not json' })).body.error.code, 'invalid_json');
+    assert.equal((await post('/api/ai/summarize', { text: '   ' })).status, 400);
+    assert.equal((await post('/api/ai/tags', { text: 42 })).status, 400);
+  });
+});
+
+describe('Provider errors', () => {
+  test('passes provider rate limits through with Retry-After', async () => {
+    failure = new ProviderError('Rate limit reached', 429, 7);
+    const response = await summarize();
+    assert.equal(response.status, 429);
+    assert.equal(response.headers.get('retry-after'), '7');
+    assert.deepEqual(response.body.error, { code: 'provider_unavailable', message: 'Rate limit reached', retryAfter: 7 });
+  });
+
+  test('passes a loading or unavailable provider through as 503', async () => {
+    failure = new ProviderError('Model is loading', 503, 20.5);
+    const response = await summarize();
+    assert.equal(response.status, 503);
+    assert.equal(response.headers.get('retry-after'), '21');
+    assert.equal(response.body.error.code, 'provider_unavailable');
+  });
+
+  test('reports any other provider failure as a bad gateway', async () => {
+    failure = new ProviderError('Invalid API key', 401);
+    const response = await summarize();
+    assert.equal(response.status, 502);
+    assert.equal(response.body.error.code, 'provider_error');
+    assert.equal(response.headers.get('retry-after'), null);
+  });
+
+  test('answers 503 for a capability without a provider', async () => {
+    const response = await post('/api/ai/embed', { text: 'Short note' });
+    assert.equal(response.status, 503);
+    assert.equal(response.body.error.code, 'not_configured');
+  });
+});
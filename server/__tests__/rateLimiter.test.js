@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter } from '../rateLimiter.js';
+
+test('refills at the sustained rate, never past the burst size', () => {
+  let clock = 0;
+  const limiter = createRateLimiter({ capacity: 2, refillPerMinute: 60, now: () => clock });
+
+  assert.deepEqual(limiter.consume('alice'), { allowed: true, remaining: 1, retryAfter: 0 });
+  assert.deepEqual(limiter.consume('alice'), { allowed: true, remaining: 0, retryAfter: 0 });
+  assert.deepEqual(limiter.consume('alice'), { allowed: false, remaining: 0, retryAfter: 1 });
+
+  clock += 60000;
+  assert.equal(limiter.consume('alice').remaining, 1);
+});
@@ -0,0 +1,210 @@
+import http from 'node:http';
+import { ProviderError } from './providers.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, code, message, retryAfter) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Stop reading; the connection is closed once the 413 is sent
+        request.off('data', onData);
+        request.pause();
+        reject(new HttpError(413, 'payload_too_large', 'Request body is too large'));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    request.on('data', onData);
+    request.on('end', () => {
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+      } catch (error) {
+        reject(new HttpError(400, 'invalid_json', 'Request body must be JSON'));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+function sendJson(response, status, body, headers = {}) {
+  response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  response.end(JSON.stringify(body));
+}
+
+function requireText(body, maxTextLength) {
+  if (typeof body.text !== 'string' || !body.text.trim()) {
+    throw new HttpError(400, 'invalid_request', '"text" must be a non-empty string');
+  }
+  if (body.text.length > maxTextLength) {
+    throw new HttpError(413, 'text_too_long', `"text" must be at most ${maxTextLength} characters`);
+  }
+  return body.text;
+}
+
+const MAX_ANSWER_SOURCES = 10;
+
+function requireSources(body, maxTextLength) {
+  const sources = body.sources;
+  if (!Array.isArray(sources) || sources.length === 0 || sources.length > MAX_ANSWER_SOURCES ||
+      !sources.every(source => typeof source?.title === 'string' && typeof source?.text === 'string')) {
+    throw new HttpError(400, 'invalid_request', `"sources" must be 1 to ${MAX_ANSWER_SOURCES} { title, text } objects`);
+  }
+  const length = sources.reduce((total, source) => total + source.title.length + source.text.length, 0);
+  if (length > maxTextLength) {
+    throw new HttpError(413, 'text_too_long', `"sources" must be at most ${maxTextLength} characters in total`);
+  }
+  return sources.map(({ title, text }) => ({ title, text }));
+}
+
+const clamp = (value, min, max, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, Math.round(number))) : fallback;
+};
+
+/**
+ * Create the AI proxy HTTP server
+ * @param {Object} options
+ * @param {Function} options.verifyToken - Resolves a Firebase ID token to { uid } or throws
+ * @param {Object} options.routes - Capability to server-side provider (see createProviderRoutes)
+ * @param {Object} options.limiter - Rate limiter from createRateLimiter
+ * @param {string[]} options.allowedOrigins - CORS origins allowed to call the proxy
+ * @param {number} options.maxTextLength - Largest accepted "text" field
+ * @returns {http.Server}
+ */
+export function createProxyServer({ verifyToken, routes, limiter, allowedOrigins = [], maxTextLength = 12000 }) {
+  const endpoints = {
+    '/api/ai/summarize': async (provider, body) => ({
+      summary: await provider.summarize(requireText(body, maxTextLength), {
+        maxLength: clamp(body.maxLength, 50, 2000, 300),
+      }),
+      model: provider.models.summarize,
+    }),
+    '/api/ai/tags': async (provider, body) => ({
+      tags: await provider.tags(requireText(body, maxTextLength), {
+        maxTags: clamp(body.maxTags, 1, 20, 5),
+      }),
+      model: provider.models.tags,
+    }),
+    '/api/ai/embed': async (provider, body) => ({
+      embedding: await provider.embed(requireText(body, maxTextLength)),
+      model: provider.models.embed,
+    }),
+    '/api/ai/answer': async (provider, body) => {
+      if (typeof body.question !== 'string' || !body.question.trim() || body.question.length > 1000) {
+        throw new HttpError(400, 'invalid_request', '"question" must be a non-empty string of at most 1000 characters');
+      }
+      return {
+        answer: await provider.answer(body.question, requireSources(body, maxTextLength)),
+        model: provider.models.answer,
+      };
+    },
+  };
+  const capabilityByPath = {
+    '/api/ai/summarize': 'summarize',
+    '/api/ai/tags': 'tags',
+    '/api/ai/embed': 'embed',
+    '/api/ai/answer': 'answer',
+  };
+
+  return http.createServer(async (request, response) => {
+    const origin = request.headers.origin;
+    const corsHeaders = origin && allowedOrigins.includes(origin)
+      ? {
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Expose-Headers': 'Retry-After',
+        'Vary': 'Origin',
+      }
+      : {};
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    try {
+      if (request.method === 'OPTIONS') {
+        response.writeHead(204, corsHeaders);
+        response.end();
+        return;
+      }
+
+      if (request.method === 'GET' && pathname === '/api/ai/health') {
+        sendJson(response, 200, {
+          capabilities: Object.fromEntries(Object.entries(routes).map(([capability, provider]) => [
+            capability,
+            provider ? { provider: provider.id, model: provider.models[capability] } : null,
+          ])),
+        }, corsHeaders);
+        return;
+      }
+
+      const handler = endpoints[pathname];
+      if (!handler) {
+        throw new HttpError(404, 'not_found', 'Unknown endpoint');
+      }
+      if (request.method !== 'POST') {
+        throw new HttpError(405, 'method_not_allowed', 'Use POST');
+      }
+
+      // Authenticate with the caller's Firebase ID token
+      const token = (request.headers.authorization || '').match(/^Bearer (.+)$/)?.[1];
+      if (!token) {
+        throw new HttpError(401, 'unauthenticated', 'Missing Firebase ID token');
+      }
+      let user;
+      try {
+        user = await verifyToken(token);
+      } catch (error) {
+        throw new HttpError(401, 'unauthenticated', 'Invalid or expired Firebase ID token');
+      }
+
+      const limit = limiter.consume(user.uid);
+      if (!limit.allowed) {
+        throw new HttpError(429, 'rate_limited', 'Too many AI requests, slow down', limit.retryAfter);
+      }
+
+      const provider = routes[capabilityByPath[pathname]];
+      if (!provider) {
+        throw new HttpError(503, 'not_configured', `No provider is configured for ${capabilityByPath[pathname]}`);
+      }
+
+      const body = await readJsonBody(request);
+      const result = await handler(provider, body);
+      sendJson(response, 200, result, { ...corsHeaders, 'X-RateLimit-Remaining': String(limit.remaining) });
+    } catch (error) {
+      let httpError = error;
+      if (error instanceof ProviderError) {
+        // Pass rate limits and model loading through so the client can back off
+        const status = [429, 503].includes(error.status) ? error.status : 502;
+        httpError = new HttpError(status, status === 502 ? 'provider_error' : 'provider_unavailable', error.message, error.retryAfter);
+      } else if (!(error instanceof HttpError)) {
+        console.error('AI proxy error:', error);
+        httpError = new HttpError(500, 'internal', 'Internal server error');
+      }
+
+      const headers = { ...corsHeaders };
+      if (httpError.retryAfter) {
+        headers['Retry-After'] = String(Math.ceil(httpError.retryAfter));
+      }
+      if (!request.complete) {
+        // The rest of the body was never read, so the connection can't be reused
+        headers.Connection = 'close';
+        response.on('finish', () => request.destroy());
+      }
+      sendJson(response, httpError.status, {
+        error: { code: httpError.code, message: httpError.message, retryAfter: httpError.retryAfter || null },
+      }, headers);
+    }
+  });
+}
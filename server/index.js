@@ -0,0 +1,39 @@
+import { initializeApp, applicationDefault, cert } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { readFileSync } from 'node:fs';
+import { createProxyServer } from './app.js';
+import { createProviderRoutes } from './providers.js';
+import { createRateLimiter } from './rateLimiter.js';
+
+const env = process.env;
+
+// Service account from a file path, otherwise Application Default Credentials
+initializeApp({
+  credential: env.FIREBASE_SERVICE_ACCOUNT
+    ? cert(JSON.parse(readFileSync(env.FIREBASE_SERVICE_ACCOUNT, 'utf8')))
+    : applicationDefault(),
+  projectId: env.FIREBASE_PROJECT_ID,
+});
+
+const routes = createProviderRoutes(env);
+const limiter = createRateLimiter({
+  capacity: Number(env.RATE_LIMIT_BURST) || 10,
+  refillPerMinute: Number(env.RATE_LIMIT_PER_MINUTE) || 30,
+});
+setInterval(() => limiter.prune(), 5 * 60 * 1000).unref();
+
+const server = createProxyServer({
+  verifyToken: token => getAuth().verifyIdToken(token),
+  routes,
+  limiter,
+  allowedOrigins: (env.ALLOWED_ORIGINS || 'http://localhost:3000').split(',').map(origin => origin.trim()),
+  maxTextLength: Number(env.MAX_TEXT_LENGTH) || 12000,
+});
+
+const port = Number(env.PORT) || 8787;
+server.listen(port, () => {
+  console.log(`🔒 AI proxy listening on http://localhost:${port}`);
+  Object.entries(routes).forEach(([capability, provider]) => {
+    console.log(`🤖 ${capability}: ${provider ? `${provider.id} (${provider.models[capability]})` : 'not configured'}`);
+  });
+});
@@ -0,0 +1,194 @@
+import {
+  buildSummaryPrompt,
+  buildTagsPrompt,
+  buildAnswerPrompt,
+  parseTagList,
+  meanPool,
+} from '../src/shared/aiPrompts.js';
+
+// Server-side AI providers. Keys come from the server's environment and never
+// reach the browser. Prompts are the frontend's, from src/shared.
+
+export class ProviderError extends Error {
+  constructor(message, status, retryAfter) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    const retryAfter = Number(response.headers.get('retry-after')) || data?.estimated_time || undefined;
+    throw new ProviderError(data?.error?.message || data?.error || `Upstream error ${response.status}`, response.status, retryAfter);
+  }
+  return data;
+}
+
+function createHuggingFaceProvider(env) {
+  const baseURL = 'https://api-inference.huggingface.co';
+  const headers = { Authorization: `Bearer ${env.HUGGINGFACE_API_KEY}` };
+
+  return {
+    id: 'huggingface',
+    configured: Boolean(env.HUGGINGFACE_API_KEY),
+    models: {
+      summarize: env.HUGGINGFACE_SUMMARY_MODEL || 'facebook/bart-large-cnn',
+      embed: env.HUGGINGFACE_EMBED_MODEL || 'sentence-transformers/all-MiniLM-L6-v2',
+    },
+
+    async summarize(text, { maxLength }) {
+      const data = await postJson(`${baseURL}/models/${this.models.summarize}`, {
+        inputs: text,
+        parameters: {
+          max_length: Math.min(150, Math.floor(maxLength / 2)),
+          min_length: 30,
+          do_sample: false,
+          early_stopping: true,
+        },
+      }, headers);
+      const summary = Array.isArray(data) ? data[0]?.summary_text : data?.summary_text;
+      if (typeof summary !== 'string') {
+        throw new ProviderError('Unexpected response format from Hugging Face', 502);
+      }
+      return summary.trim();
+    },
+
+    async embed(text) {
+      const data = await postJson(`${baseURL}/pipeline/feature-extraction/${this.models.embed}`, {
+        inputs: text,
+        options: { wait_for_model: true },
+      }, headers);
+      if (Array.isArray(data) && typeof data[0] === 'number') return data;
+      if (Array.isArray(data?.[0]) && typeof data[0][0] === 'number') return meanPool(data);
+      throw new ProviderError('Unexpected embedding format from Hugging Face', 502);
+    },
+  };
+}
+
+function createOpenAIProvider(env) {
+  const baseURL = env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+  const headers = env.OPENAI_API_KEY ? { Authorization: `Bearer ${env.OPENAI_API_KEY}` } : {};
+
+  const complete = async (model, prompt, maxTokens) => {
+    const data = await postJson(`${baseURL}/chat/completions`, {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: maxTokens,
+      temperature: 0.2,
+    }, headers);
+    const message = data?.choices?.[0]?.message?.content;
+    if (typeof message !== 'string') {
+      throw new ProviderError('Unexpected response format from OpenAI-compatible endpoint', 502);
+    }
+    return message.trim();
+  };
+
+  return {
+    id: 'openai',
+    configured: Boolean(env.OPENAI_API_KEY || env.OPENAI_BASE_URL),
+    models: {
+      summarize: env.OPENAI_SUMMARY_MODEL || 'gpt-4o-mini',
+      tags: env.OPENAI_TAGS_MODEL || 'gpt-4o-mini',
+      embed: env.OPENAI_EMBED_MODEL || 'text-embedding-3-small',
+      answer: env.OPENAI_ANSWER_MODEL || 'gpt-4o-mini',
+    },
+
+    summarize(text, { maxLength }) {
+      return complete(this.models.summarize, buildSummaryPrompt(text, maxLength), Math.ceil(maxLength / 2));
+    },
+
+    async tags(text, { maxTags }) {
+      return parseTagList(await complete(this.models.tags, buildTagsPrompt(text, maxTags), 60), maxTags);
+    },
+
+    answer(question, sources) {
+      return complete(this.models.answer, buildAnswerPrompt(question, sources), 400);
+    },
+
+    async embed(text) {
+      const data = await postJson(`${baseURL}/embeddings`, { model: this.models.embed, input: text }, headers);
+      const embedding = data?.data?.[0]?.embedding;
+      if (!Array.isArray(embedding)) {
+        throw new ProviderError('Unexpected embedding format from OpenAI-compatible endpoint', 502);
+      }
+      return embedding;
+    },
+  };
+}
+
+function createOllamaProvider(env) {
+  const baseURL = env.OLLAMA_BASE_URL || 'http://localhost:11434';
+
+  const generate = async (model, prompt) => {
+    const data = await postJson(`${baseURL}/api/generate`, { model, prompt, stream: false });
+    if (typeof data?.response !== 'string') {
+      throw new ProviderError('Unexpected response format from Ollama', 502);
+    }
+    return data.response.trim();
+  };
+
+  return {
+    id: 'ollama',
+    configured: Boolean(env.OLLAMA_BASE_URL),
+    models: {
+      summarize: env.OLLAMA_SUMMARY_MODEL || 'llama3.2',
+      tags: env.OLLAMA_TAGS_MODEL || 'llama3.2',
+      embed: env.OLLAMA_EMBED_MODEL || 'nomic-embed-text',
+      answer: env.OLLAMA_ANSWER_MODEL || 'llama3.2',
+    },
+
+    summarize(text, { maxLength }) {
+      return generate(this.models.summarize, buildSummaryPrompt(text, maxLength));
+    },
+
+    async tags(text, { maxTags }) {
+      return parseTagList(await generate(this.models.tags, buildTagsPrompt(text, maxTags)), maxTags);
+    },
+
+    answer(question, sources) {
+      return generate(this.models.answer, buildAnswerPrompt(question, sources));
+    },
+
+    async embed(text) {
+      const data = await postJson(`${baseURL}/api/embeddings`, { model: this.models.embed, prompt: text });
+      if (!Array.isArray(data?.embedding)) {
+        throw new ProviderError('Unexpected embedding format from Ollama', 502);
+      }
+      return data.embedding;
+    },
+  };
+}
+
+/**
+ * Resolve the provider serving each capability from the environment
+ * @param {Object} env - process.env
+ * @returns {Object} - Map of capability to provider (or null if none is configured)
+ */
+export function createProviderRoutes(env) {
+  const providers = {
+    huggingface: createHuggingFaceProvider(env),
+    openai: createOpenAIProvider(env),
+    ollama: createOllamaProvider(env),
+  };
+
+  const pick = (capability, preferred) => {
+    const provider = providers[preferred];
+    return provider?.configured && typeof provider[capability] === 'function' ? provider : null;
+  };
+
+  return {
+    summarize: pick('summarize', env.AI_SUMMARY_PROVIDER || 'huggingface'),
+    tags: pick('tags', env.AI_TAGS_PROVIDER || 'openai'),
+    embed: pick('embed', env.AI_EMBED_PROVIDER || 'huggingface'),
+    answer: pick('answer', env.AI_ANSWER_PROVIDER || 'openai'),
+  };
+}
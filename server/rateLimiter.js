@@ -0,0 +1,54 @@
+/**
+ * Per-key token bucket rate limiter
+ * @param {Object} options - { capacity: burst size, refillPerMinute: sustained rate }
+ * @returns {{consume: Function, reset: Function}}
+ */
+export function createRateLimiter({ capacity = 10, refillPerMinute = 30, now = Date.now } = {}) {
+  const buckets = new Map();
+  const refillPerMs = refillPerMinute / 60000;
+
+  /**
+   * Take one token for a key
+   * @param {string} key - Usually the caller's uid
+   * @returns {{allowed: boolean, remaining: number, retryAfter: number}} - retryAfter in seconds
+   */
+  function consume(key) {
+    const time = now();
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: time };
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + (time - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = time;
+    buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+    }
+
+    return {
+      allowed: false,
+      remaining: 0,
+      retryAfter: Math.ceil((1 - bucket.tokens) / refillPerMs / 1000),
+    };
+  }
+
+  function reset(key) {
+    if (key) {
+      buckets.delete(key);
+    } else {
+      buckets.clear();
+    }
+  }
+
+  // Full buckets carry no information, so drop them to keep memory bounded
+  function prune() {
+    const time = now();
+    buckets.forEach((bucket, key) => {
+      if (bucket.tokens + (time - bucket.updatedAt) * refillPerMs >= capacity) {
+        buckets.delete(key);
+      }
+    });
+  }
+
+  return { consume, reset, prune };
+}
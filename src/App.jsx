@@ -1,34 +1,84 @@
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
+import { NotesProvider } from './context/NotesContext';
+import { SavedSearchesProvider } from './context/SavedSearchesContext';
 import { ThemeProvider } from './context/ThemeContext';
 import ProtectedRoute from './components/ProtectedRoute';
 import ErrorBoundary from './components/ErrorBoundary';
 import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
+import NotePage from './pages/NotePage';
 import Unauthorized from './pages/Unauthorized';
+import PublicNote from './pages/PublicNote';
 
 function App() {
   return (
     <ErrorBoundary>
       <ThemeProvider>
         <AuthProvider>
-          <BrowserRouter>
-            <Routes>
-              <Route path="/" element={<Navigate to="/dashboard" replace />} />
-              <Route path="/login" element={<Login />} />
-              <Route path="/register" element={<Register />} />
-              <Route
-                path="/dashboard"
-                element={
-                  <ProtectedRoute>
-                    <Dashboard />
-                  </ProtectedRoute>
-                }
-              />
-              <Route path="/unauthorized" element={<Unauthorized />} />
-            </Routes>
-          </BrowserRouter>
+          <NotesProvider>
+            <SavedSearchesProvider>
+              <BrowserRouter>
+                <Routes>
+                  <Route path="/" element={<Navigate to="/dashboard" replace />} />
+                  <Route path="/login" element={<Login />} />
+                  <Route path="/register" element={<Register />} />
+                  <Route
+                    path="/dashboard"
+                    element={
+                      <ProtectedRoute>
+                        <Dashboard />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/tags/:tag"
+                    element={
+                      <ProtectedRoute>
+                        <Dashboard />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/notebooks/:notebookId"
+                    element={
+                      <ProtectedRoute>
+                        <Dashboard />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/notes/new"
+                    element={
+                      <ProtectedRoute>
+                        <NotePage mode="new" />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/notes/:id"
+                    element={
+                      <ProtectedRoute>
+                        <NotePage mode="view" />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/notes/:id/edit"
+                    element={
+                      <ProtectedRoute>
+                        <NotePage mode="edit" />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route path="/unauthorized" element={<Unauthorized />} />
+                  {/* Public links work without an account */}
+                  <Route path="/p/:token" element={<PublicNote />} />
+                </Routes>
+              </BrowserRouter>
+            </SavedSearchesProvider>
+          </NotesProvider>
         </AuthProvider>
       </ThemeProvider>
     </ErrorBoundary>
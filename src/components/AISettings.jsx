@@ -0,0 +1,120 @@
+import { useState, useEffect } from 'react';
+import {
+  CAPABILITIES,
+  getAICapabilities,
+  listProviders,
+  setCapabilityProvider,
+  getCacheStats,
+  subscribeToCacheStats,
+  clearAICache
+} from '../services/ai';
+
+const CAPABILITY_LABELS = {
+  [CAPABILITIES.SUMMARIZE]: 'Summaries',
+  [CAPABILITIES.TAGS]: 'Tags',
+  [CAPABILITIES.EMBED]: 'Embeddings',
+  [CAPABILITIES.ANSWER]: 'Answers',
+};
+
+export default function AISettings() {
+  const [open, setOpen] = useState(false);
+  const [capabilities, setCapabilities] = useState(getAICapabilities);
+  const [error, setError] = useState('');
+  const [cacheStats, setCacheStats] = useState(getCacheStats);
+  const providers = listProviders();
+  const anyRemote = Object.values(capabilities).some(route => route.remote);
+
+  useEffect(() => subscribeToCacheStats(setCacheStats), []);
+
+  const handleClearCache = async () => {
+    try {
+      await clearAICache();
+    } catch (err) {
+      setError('Failed to clear AI cache: ' + err.message);
+    }
+  };
+
+  const handleChange = (capability, providerId, model) => {
+    try {
+      setError('');
+      setCapabilityProvider(capability, providerId, model);
+      setCapabilities(getAICapabilities());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center space-x-2"
+        title="Choose which AI provider handles each capability"
+      >
+        <div className={`w-2 h-2 rounded-full ${anyRemote ? 'bg-green-500' : 'bg-blue-500'}`}></div>
+        <span className="text-xs text-gray-600 dark:text-gray-400">
+          AI: {anyRemote ? 'Connected' : 'Offline'}
+        </span>
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 p-4 bg-white dark:bg-gray-700 rounded-md shadow-lg z-20 border border-gray-200 dark:border-gray-600">
+          <h3 className="text-sm font-semibold text-gray-900 dark:text-white mb-3">
+            AI Providers
+          </h3>
+          {Object.values(CAPABILITIES).map(capability => {
+            const route = capabilities[capability];
+            const options = providers.filter(provider => provider.capabilities.includes(capability));
+
+            return (
+              <div key={capability} className="mb-3">
+                <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {CAPABILITY_LABELS[capability]}
+                </label>
+                <div className="flex space-x-2">
+                  <select
+                    value={route.providerId}
+                    onChange={(e) => handleChange(capability, e.target.value)}
+                    className="flex-1 px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+                  >
+                    {options.map(provider => (
+                      <option key={provider.id} value={provider.id} disabled={!provider.configured}>
+                        {provider.label}{provider.configured ? '' : ' (not configured)'}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    defaultValue={route.model}
+                    key={`${capability}-${route.providerId}`}
+                    onBlur={(e) => {
+                      if (e.target.value.trim() && e.target.value !== route.model) {
+                        handleChange(capability, route.providerId, e.target.value.trim());
+                      }
+                    }}
+                    className="w-32 px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+                    title="Model"
+                  />
+                </div>
+              </div>
+            );
+          })}
+          <div className="flex justify-between items-center pt-3 mt-1 border-t border-gray-200 dark:border-gray-600">
+            <span className="text-xs text-gray-600 dark:text-gray-400" title="Results reused instead of calling the provider again">
+              Cache: {cacheStats.hits} hits / {cacheStats.misses} misses ({cacheStats.entries} stored)
+            </span>
+            <button
+              onClick={handleClearCache}
+              className="text-xs text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300"
+            >
+              Clear
+            </button>
+          </div>
+          {error && (
+            <p className="text-xs text-red-600 dark:text-red-400 mt-2">{error}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
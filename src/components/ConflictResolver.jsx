@@ -0,0 +1,155 @@
+import { useState, useMemo } from 'react';
+import { merge3 } from '../utils/diff';
+import { htmlToText } from '../utils/textAnalysis';
+
+// Pick the side that changed, or null when both changed differently
+function mergeField(base, ours, theirs) {
+  if (ours === theirs || theirs === base) return ours;
+  if (ours === base) return theirs;
+  return null;
+}
+
+const CHOICES = [
+  { value: 'ours', label: 'Keep mine' },
+  { value: 'theirs', label: 'Keep theirs' },
+  { value: 'both', label: 'Keep both' },
+];
+
+function pickLines(chunk, choice) {
+  if (choice === 'theirs') return chunk.theirs;
+  if (choice === 'both') return [...chunk.ours, ...chunk.theirs];
+  return chunk.ours;
+}
+
+export default function ConflictResolver({ conflict, remaining = 0, onResolve, onClose }) {
+  const { local, remote, base } = conflict;
+  const merge = useMemo(
+    () => merge3(base?.content || '', local.content || '', remote.content || ''),
+    [base, local.content, remote.content]
+  );
+  const autoTitle = mergeField(base?.title ?? '', local.title, remote.title);
+  const [title, setTitle] = useState(autoTitle ?? local.title);
+  const [choices, setChoices] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const mergedContent = merge.chunks
+    .map((chunk, i) => (chunk.type === 'ok' ? chunk.lines : pickLines(chunk, choices[i])).join(''))
+    .join('');
+
+  const handleResolve = async () => {
+    setSaving(true);
+    try {
+      setError('');
+      await onResolve(conflict.noteId, { title: title || 'Untitled', content: mergedContent });
+    } catch (err) {
+      setError('Failed to save the merge: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderLines = (lines) => htmlToText(lines.join('')) || <em>(nothing)</em>;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md border border-amber-300 dark:border-amber-700 mb-8">
+      <div className="flex justify-between items-center px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            ⚠️ "{local.title || 'Untitled'}" was edited on another device
+          </h3>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Changes that don't overlap are already merged. Choose what to keep where they do.
+            {remaining > 0 && ` ${remaining} more note${remaining === 1 ? '' : 's'} to review after this one.`}
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+          title="Decide later"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="px-4 py-3 space-y-4 max-h-[32rem] overflow-y-auto">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Title</label>
+          {autoTitle === null ? (
+            <div className="flex flex-wrap gap-2">
+              {[local.title, remote.title].map((option, i) => (
+                <button
+                  key={i}
+                  onClick={() => setTitle(option)}
+                  className={`px-3 py-1 rounded-md border text-sm ${
+                    title === option
+                      ? 'bg-blue-600 text-white border-blue-600'
+                      : 'bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 border-gray-300 dark:border-gray-600'
+                  }`}
+                >
+                  {i === 0 ? 'Mine' : 'Theirs'}: {option || 'Untitled'}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-900 dark:text-white">{title || 'Untitled'}</p>
+          )}
+        </div>
+
+        {merge.chunks.map((chunk, i) => (chunk.type === 'ok' ? (
+          <p key={i} className="text-sm text-gray-600 dark:text-gray-400 whitespace-pre-line">
+            {renderLines(chunk.lines)}
+          </p>
+        ) : (
+          <div key={i} className="border border-amber-300 dark:border-amber-700 rounded-md p-3 space-y-2">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+              <div className="bg-blue-50 dark:bg-blue-900/20 rounded p-2">
+                <p className="text-xs font-semibold text-blue-700 dark:text-blue-300 mb-1">Mine</p>
+                <p className="text-gray-800 dark:text-gray-200">{renderLines(chunk.ours)}</p>
+              </div>
+              <div className="bg-green-50 dark:bg-green-900/20 rounded p-2">
+                <p className="text-xs font-semibold text-green-700 dark:text-green-300 mb-1">Theirs</p>
+                <p className="text-gray-800 dark:text-gray-200">{renderLines(chunk.theirs)}</p>
+              </div>
+            </div>
+            <div className="flex space-x-2">
+              {CHOICES.map(choice => (
+                <button
+                  key={choice.value}
+                  onClick={() => setChoices({ ...choices, [i]: choice.value })}
+                  className={`px-3 py-1 rounded-md border text-xs ${
+                    (choices[i] || 'ours') === choice.value
+                      ? 'bg-blue-600 text-white border-blue-600'
+                      : 'bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 border-gray-300 dark:border-gray-600'
+                  }`}
+                >
+                  {choice.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        )))}
+
+        {error && (
+          <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">{error}</div>
+        )}
+      </div>
+
+      <div className="flex justify-end space-x-3 px-4 py-3 border-t border-gray-200 dark:border-gray-700">
+        <button
+          onClick={onClose}
+          className="px-4 py-2 rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+        >
+          Decide later
+        </button>
+        <button
+          onClick={handleResolve}
+          disabled={saving}
+          className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          {saving ? 'Saving...' : 'Save merged note'}
+        </button>
+      </div>
+    </div>
+  );
+}
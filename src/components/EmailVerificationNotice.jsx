@@ -0,0 +1,53 @@
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+// Until the account's email is verified, nobody can share notes with it and invitations
+// sent to the address wait (see firestore.rules)
+export default function EmailVerificationNotice() {
+  const { user, resendVerification, checkEmailVerified } = useAuth();
+  const [message, setMessage] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  if (!user || user.emailVerified !== false) return null;
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      setMessage(await action());
+    } catch (err) {
+      console.error('Email verification failed:', err);
+      setMessage(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-yellow-50 dark:bg-yellow-900/30 border border-yellow-300 dark:border-yellow-700 text-yellow-800 dark:text-yellow-200 rounded">
+      <p>
+        Verify {user.email} to accept notes shared with you. Follow the link in the email we sent,
+        then come back here.
+      </p>
+      <div className="mt-2 flex items-center space-x-4 text-sm">
+        <button
+          onClick={() => run(async () => (await checkEmailVerified()) ? '' : 'Not verified yet.')}
+          disabled={busy}
+          className="font-medium hover:underline disabled:opacity-50"
+        >
+          I've verified it
+        </button>
+        <button
+          onClick={() => run(async () => {
+            await resendVerification();
+            return 'Sent. Check your inbox.';
+          })}
+          disabled={busy}
+          className="hover:underline disabled:opacity-50"
+        >
+          Resend the email
+        </button>
+        {message && <span>{message}</span>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,417 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { useTheme } from '../context/ThemeContext';
+import { getNoteEmbedding } from '../services/ai';
+import { buildGraph, createSimilarityScan, EDGE_KINDS } from '../utils/knowledgeGraph';
+import { createForceLayout } from '../utils/graphLayout';
+
+const COLORS = {
+  light: {
+    [EDGE_KINDS.LINK]: 'rgba(37, 99, 235, 0.7)',
+    [EDGE_KINDS.TAG]: 'rgba(156, 163, 175, 0.35)',
+    [EDGE_KINDS.SIMILAR]: 'rgba(147, 51, 234, 0.45)',
+    node: '#3b82f6',
+    highlight: '#f59e0b',
+    label: '#1f2937',
+  },
+  dark: {
+    [EDGE_KINDS.LINK]: 'rgba(96, 165, 250, 0.8)',
+    [EDGE_KINDS.TAG]: 'rgba(107, 114, 128, 0.45)',
+    [EDGE_KINDS.SIMILAR]: 'rgba(192, 132, 252, 0.5)',
+    node: '#60a5fa',
+    highlight: '#fbbf24',
+    label: '#f9fafb',
+  },
+};
+
+const EDGE_LABELS = {
+  [EDGE_KINDS.LINK]: 'Links',
+  [EDGE_KINDS.TAG]: 'Shared tags',
+  [EDGE_KINDS.SIMILAR]: 'Similar content',
+};
+
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 8;
+// Below this many notes every title is drawn; above it only when zoomed in
+const ALWAYS_LABEL = 60;
+// Pointer movement that still counts as a click rather than a drag
+const CLICK_SLOP = 4;
+
+const radiusOf = (node) => 4 + Math.min(6, Math.sqrt(node.degree || 0) * 1.5);
+
+const hasTag = (note, tag) => note.tags?.some(noteTag => noteTag.toLowerCase() === tag);
+
+// Notes as a force-directed graph on a canvas, so a few thousand of them stay smooth to pan and zoom
+export default function KnowledgeGraph({ notes, onOpenNote }) {
+  const { theme } = useTheme();
+  const [tagFilter, setTagFilter] = useState('');
+  const [kinds, setKinds] = useState({
+    [EDGE_KINDS.LINK]: true,
+    [EDGE_KINDS.TAG]: true,
+    [EDGE_KINDS.SIMILAR]: true,
+  });
+  const [threshold, setThreshold] = useState(0.75);
+  const [scanning, setScanning] = useState(false);
+  const [edgeCount, setEdgeCount] = useState(0);
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  // Everything the drawing loop reads lives in refs, so panning never re-renders React
+  const layoutRef = useRef(null);
+  const scanRef = useRef(null);
+  const baseEdgesRef = useRef([]);
+  const positionsRef = useRef(new Map());
+  const viewRef = useRef({ x: 0, y: 0, scale: 1 });
+  const hoverRef = useRef(null);
+  const frameRef = useRef(null);
+  const colorsRef = useRef(COLORS.light);
+  colorsRef.current = COLORS[theme] || COLORS.light;
+
+  const tags = useMemo(() => {
+    const counts = new Map();
+    notes.forEach(note => new Set((note.tags || []).map(tag => tag.toLowerCase()))
+      .forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  }, [notes]);
+
+  const shownNotes = useMemo(
+    () => (tagFilter ? notes.filter(note => hasTag(note, tagFilter)) : notes),
+    [notes, tagFilter]
+  );
+  const graph = useMemo(() => buildGraph(shownNotes), [shownNotes]);
+
+  const draw = useCallback(() => {
+    const canvas = canvasRef.current;
+    const layout = layoutRef.current;
+    if (!canvas || !layout) return;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    const colors = colorsRef.current;
+    const { x, y, scale } = viewRef.current;
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.width / ratio;
+    const height = canvas.height / ratio;
+    const hovered = hoverRef.current;
+
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.translate(width / 2 + x, height / 2 + y);
+    ctx.scale(scale, scale);
+
+    // One path per kind of edge: a few thousand lines in three strokes
+    const links = layout.links();
+    ctx.lineWidth = 1 / scale;
+    Object.values(EDGE_KINDS).forEach(kind => {
+      ctx.beginPath();
+      links.forEach(link => {
+        if (link.kind !== kind) return;
+        ctx.moveTo(link.source.x, link.source.y);
+        ctx.lineTo(link.target.x, link.target.y);
+      });
+      ctx.strokeStyle = colors[kind];
+      ctx.stroke();
+    });
+
+    const neighbours = new Set();
+    if (hovered) {
+      ctx.beginPath();
+      links.forEach(link => {
+        if (link.source !== hovered && link.target !== hovered) return;
+        neighbours.add(link.source === hovered ? link.target : link.source);
+        ctx.moveTo(link.source.x, link.source.y);
+        ctx.lineTo(link.target.x, link.target.y);
+      });
+      ctx.lineWidth = 2 / scale;
+      ctx.strokeStyle = colors.highlight;
+      ctx.stroke();
+    }
+
+    ctx.beginPath();
+    layout.nodes.forEach(node => {
+      const radius = radiusOf(node);
+      ctx.moveTo(node.x + radius, node.y);
+      ctx.arc(node.x, node.y, radius, 0, Math.PI * 2);
+    });
+    ctx.fillStyle = colors.node;
+    ctx.fill();
+
+    if (hovered) {
+      ctx.beginPath();
+      [hovered, ...neighbours].forEach(node => {
+        const radius = radiusOf(node);
+        ctx.moveTo(node.x + radius, node.y);
+        ctx.arc(node.x, node.y, radius, 0, Math.PI * 2);
+      });
+      ctx.fillStyle = colors.highlight;
+      ctx.fill();
+    }
+
+    // Titles: all of them on small graphs or when zoomed in, otherwise the hovered note and its neighbours
+    const labelAll = layout.nodes.length <= ALWAYS_LABEL || scale >= 1.5;
+    const labelled = labelAll ? layout.nodes : hovered ? [hovered, ...neighbours] : [];
+    ctx.font = `${12 / scale}px sans-serif`;
+    ctx.fillStyle = colors.label;
+    ctx.textAlign = 'center';
+    labelled.forEach(node => {
+      const title = node.title.length > 40 ? `${node.title.slice(0, 39)}…` : node.title;
+      ctx.fillText(title, node.x, node.y - radiusOf(node) - 4 / scale);
+    });
+  }, []);
+
+  // Runs while the layout is still moving or similar notes are still being found
+  const loop = useCallback(() => {
+    frameRef.current = null;
+    const layout = layoutRef.current;
+    const scan = scanRef.current;
+    if (!layout) return;
+
+    let busy = false;
+    if (scan && !scan.isDone()) {
+      busy = true;
+      if (scan.step(6)) {
+        const edges = [...baseEdgesRef.current, ...scan.edges()];
+        layout.setEdges(edges);
+        layout.reheat(0.3);
+        setEdgeCount(edges.length);
+        setScanning(false);
+      }
+    }
+    if (layout.tick()) busy = true;
+    draw();
+    if (busy) frameRef.current = requestAnimationFrame(loop);
+  }, [draw]);
+
+  const requestFrame = useCallback(() => {
+    if (!frameRef.current) frameRef.current = requestAnimationFrame(loop);
+  }, [loop]);
+
+  // A new layout whenever the notes or the kinds of edges shown change, starting from where
+  // nodes were before so the picture doesn't jump around
+  useEffect(() => {
+    const positions = positionsRef.current;
+    const nodes = graph.nodes.map(node => ({ ...node }));
+    const baseEdges = graph.edges.filter(edge => kinds[edge.kind]);
+    const known = nodes.filter(node => positions.has(node.id)).length;
+    const layout = createForceLayout(nodes, baseEdges, {
+      positions,
+      alpha: known > nodes.length / 2 ? 0.3 : 1,
+    });
+    layoutRef.current = layout;
+    baseEdgesRef.current = baseEdges;
+    hoverRef.current = null;
+    setEdgeCount(baseEdges.length);
+
+    scanRef.current = kinds[EDGE_KINDS.SIMILAR]
+      ? createSimilarityScan(graph.nodes.map(node => node.note), { vectorOf: getNoteEmbedding, threshold })
+      : null;
+    setScanning(Boolean(scanRef.current));
+    requestFrame();
+
+    return () => {
+      layout.nodes.forEach(node => positions.set(node.id, { x: node.x, y: node.y }));
+      if (frameRef.current) {
+        cancelAnimationFrame(frameRef.current);
+        frameRef.current = null;
+      }
+    };
+  }, [graph, kinds, threshold, requestFrame]);
+
+  useEffect(() => {
+    requestFrame();
+  }, [theme, requestFrame]);
+
+  // Keep the canvas as big as its box, at the screen's pixel density
+  useEffect(() => {
+    const container = containerRef.current;
+    const canvas = canvasRef.current;
+    const resize = () => {
+      const ratio = window.devicePixelRatio || 1;
+      canvas.width = container.clientWidth * ratio;
+      canvas.height = container.clientHeight * ratio;
+      requestFrame();
+    };
+    resize();
+    if (typeof ResizeObserver === 'undefined') {
+      window.addEventListener('resize', resize);
+      return () => window.removeEventListener('resize', resize);
+    }
+    const observer = new ResizeObserver(resize);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [requestFrame]);
+
+  const toWorld = useCallback((clientX, clientY) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const { x, y, scale } = viewRef.current;
+    return {
+      x: (clientX - rect.left - rect.width / 2 - x) / scale,
+      y: (clientY - rect.top - rect.height / 2 - y) / scale,
+    };
+  }, []);
+
+  const nodeAt = useCallback((clientX, clientY) => {
+    const layout = layoutRef.current;
+    if (!layout) return null;
+    const point = toWorld(clientX, clientY);
+    const slop = 3 / viewRef.current.scale;
+    let closest = null;
+    let closestDistance = Infinity;
+    layout.nodes.forEach(node => {
+      const distance = Math.hypot(node.x - point.x, node.y - point.y);
+      if (distance <= radiusOf(node) + slop && distance < closestDistance) {
+        closest = node;
+        closestDistance = distance;
+      }
+    });
+    return closest;
+  }, [toWorld]);
+
+  // Zoom around the pointer. Wheel listeners added by React are passive and can't stop the page scrolling.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const view = viewRef.current;
+      const rect = canvas.getBoundingClientRect();
+      const point = toWorld(e.clientX, e.clientY);
+      const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, view.scale * Math.exp(-e.deltaY * 0.001)));
+      view.x = e.clientX - rect.left - rect.width / 2 - point.x * scale;
+      view.y = e.clientY - rect.top - rect.height / 2 - point.y * scale;
+      view.scale = scale;
+      requestFrame();
+    };
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  }, [toWorld, requestFrame]);
+
+  // Dragging a note moves it, dragging the background pans, and a click opens the note
+  const dragRef = useRef(null);
+
+  const handlePointerDown = (e) => {
+    const node = nodeAt(e.clientX, e.clientY);
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    dragRef.current = { node, startX: e.clientX, startY: e.clientY, lastX: e.clientX, lastY: e.clientY, moved: false };
+    if (node) node.fixed = true;
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) {
+      const node = nodeAt(e.clientX, e.clientY);
+      if (node !== hoverRef.current) {
+        hoverRef.current = node;
+        e.currentTarget.style.cursor = node ? 'pointer' : 'grab';
+        requestFrame();
+      }
+      return;
+    }
+
+    if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) > CLICK_SLOP) drag.moved = true;
+    if (drag.node) {
+      const point = toWorld(e.clientX, e.clientY);
+      drag.node.x = point.x;
+      drag.node.y = point.y;
+      layoutRef.current.reheat(0.1);
+    } else {
+      viewRef.current.x += e.clientX - drag.lastX;
+      viewRef.current.y += e.clientY - drag.lastY;
+    }
+    drag.lastX = e.clientX;
+    drag.lastY = e.clientY;
+    requestFrame();
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag) return;
+    if (drag.node) drag.node.fixed = false;
+    if (drag.node && !drag.moved) onOpenNote?.(drag.node.note);
+  };
+
+  const resetView = () => {
+    viewRef.current = { x: 0, y: 0, scale: 1 };
+    requestFrame();
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+      <div className="flex flex-wrap items-center gap-4 px-4 py-3 border-b border-gray-200 dark:border-gray-700 text-sm">
+        <select
+          value={tagFilter}
+          onChange={(e) => setTagFilter(e.target.value)}
+          className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+          title="Only show notes with this tag"
+        >
+          <option value="">All tags</option>
+          {tags.map(([tag, count]) => (
+            <option key={tag} value={tag}>{tag} ({count})</option>
+          ))}
+        </select>
+
+        {Object.values(EDGE_KINDS).map(kind => (
+          <label key={kind} className="flex items-center space-x-1 text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={kinds[kind]}
+              onChange={(e) => setKinds(previous => ({ ...previous, [kind]: e.target.checked }))}
+            />
+            <span className="inline-block w-3 h-0.5" style={{ backgroundColor: COLORS[theme]?.[kind] || COLORS.light[kind] }} />
+            <span>{EDGE_LABELS[kind]}</span>
+          </label>
+        ))}
+
+        {kinds[EDGE_KINDS.SIMILAR] && (
+          <label className="flex items-center space-x-2 text-gray-700 dark:text-gray-300" title="How similar two notes have to be to be joined">
+            <span>Similarity ≥ {threshold.toFixed(2)}</span>
+            <input
+              type="range"
+              min="0.5"
+              max="0.95"
+              step="0.05"
+              value={threshold}
+              onChange={(e) => setThreshold(Number(e.target.value))}
+            />
+          </label>
+        )}
+
+        <span className="ml-auto text-gray-500 dark:text-gray-400">
+          {shownNotes.length} notes · {edgeCount} connections
+          {scanning && ' · finding similar notes...'}
+        </span>
+        <button
+          onClick={resetView}
+          className="text-blue-600 dark:text-blue-400 hover:underline"
+        >
+          Reset view
+        </button>
+      </div>
+
+      <div ref={containerRef} className="relative h-[70vh] min-h-[400px]">
+        <canvas
+          ref={canvasRef}
+          className="absolute inset-0 w-full h-full touch-none"
+          style={{ cursor: 'grab' }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerLeave={() => {
+            if (!dragRef.current && hoverRef.current) {
+              hoverRef.current = null;
+              requestFrame();
+            }
+          }}
+          role="img"
+          aria-label={`Graph of ${shownNotes.length} notes and how they connect`}
+        />
+        {shownNotes.length === 0 && (
+          <p className="absolute inset-0 flex items-center justify-center text-gray-500 dark:text-gray-400">
+            No notes to show.
+          </p>
+        )}
+      </div>
+      <p className="px-4 py-2 text-xs text-gray-500 dark:text-gray-400 border-t border-gray-200 dark:border-gray-700">
+        Scroll to zoom, drag to pan or move a note, click a note to open it.
+      </p>
+    </div>
+  );
+}
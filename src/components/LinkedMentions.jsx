@@ -0,0 +1,87 @@
+import { useMemo, useState, useDeferredValue } from 'react';
+import { Link } from 'react-router-dom';
+import { useNotes } from '../context/NotesContext';
+import { useAuth } from '../context/AuthContext';
+import { canEdit } from '../services/sharing';
+import { findBacklinks, findUnlinkedMentions, linkFirstMention } from '../utils/noteLinks';
+import { notePath } from '../utils/routes';
+
+// Notes that link to this one, and notes that mention its title without linking to it
+export default function LinkedMentions({ note, linkState }) {
+  const { notes, sharedNotes = [], saveNote } = useNotes();
+  const { user } = useAuth();
+  const [linking, setLinking] = useState(null);
+  // The title changes on every keystroke in the editor; scanning the vault can lag behind
+  const title = useDeferredValue(note.title);
+  const others = useMemo(() => [...notes, ...sharedNotes], [notes, sharedNotes]);
+  const linked = useMemo(() => findBacklinks(note, others), [note, others]);
+  const unlinked = useMemo(
+    () => findUnlinkedMentions({ id: note.id, title }, others),
+    [note.id, title, others]
+  );
+
+  const handleLink = async (other) => {
+    setLinking(other.id);
+    try {
+      await saveNote({ id: other.id, content: linkFirstMention(other.content, note) });
+    } catch (error) {
+      console.error('Failed to link mention:', error);
+    } finally {
+      setLinking(null);
+    }
+  };
+
+  const renderNote = (other) => (
+    <Link
+      to={notePath(other.id)}
+      state={linkState}
+      className="text-blue-600 dark:text-blue-400 hover:underline"
+    >
+      {other.title || 'Untitled'}
+    </Link>
+  );
+
+  return (
+    <div className="space-y-4 text-sm">
+      <section>
+        <h3 className="font-semibold text-gray-700 dark:text-gray-300 mb-2">
+          Linked mentions ({linked.length})
+        </h3>
+        {linked.length === 0 ? (
+          <p className="text-gray-500 dark:text-gray-400">
+            No notes link here yet. Type [[ in another note to link to this one.
+          </p>
+        ) : (
+          <ul className="space-y-1">
+            {linked.map(other => <li key={other.id}>{renderNote(other)}</li>)}
+          </ul>
+        )}
+      </section>
+
+      {unlinked.length > 0 && (
+        <section>
+          <h3 className="font-semibold text-gray-700 dark:text-gray-300 mb-2">
+            Unlinked mentions ({unlinked.length})
+          </h3>
+          <ul className="space-y-1">
+            {unlinked.map(other => (
+              <li key={other.id} className="flex justify-between items-center">
+                {renderNote(other)}
+                {canEdit(other, user?.uid) && (
+                  <button
+                    onClick={() => handleLink(other)}
+                    disabled={linking !== null}
+                    className="ml-2 text-xs text-gray-500 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 disabled:opacity-50"
+                    title={`Turn the first mention of "${note.title}" into a link`}
+                  >
+                    {linking === other.id ? 'Linking...' : 'Link'}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  );
+}
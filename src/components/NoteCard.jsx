@@ -1,7 +1,38 @@
 import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { isFailureSummary } from '../services/aiResult';
+import { ROLE_LABELS } from '../services/sharing';
+import ShareDialog from './ShareDialog';
+import PublishLinkDialog from './PublishLinkDialog';
+import { tagPath } from '../utils/routes';
 
-export default function NoteCard({ note, onEdit, onDelete, onView }) {
+const MATCH_KINDS = { prefix: 'start of a word', typo: 'close spelling' };
+
+// Why a search result matched, e.g. "storage" in title, text · 34% similar in meaning
+function describeMatch({ keyword, semantic }) {
+  const reasons = (keyword?.terms || []).map(({ value, kind, fields }) => (
+    `“${value}”${MATCH_KINDS[kind] ? ` (${MATCH_KINDS[kind]})` : ''} in ${fields.join(', ')}`
+  ));
+  if (semantic) reasons.push(`${Math.round(semantic.similarity * 100)}% similar in meaning`);
+  return reasons.join(' · ');
+}
+
+function describeRanks({ keyword, semantic }) {
+  return [
+    keyword && `#${keyword.rank} by keywords`,
+    semantic && `#${semantic.rank} by meaning`,
+  ].filter(Boolean).join(', ');
+}
+
+// role is the current user's role on the note; only owners can share or delete it
+export default function NoteCard({ note, onEdit, onDelete, onView, role = 'owner' }) {
   const [showMenu, setShowMenu] = useState(false);
+  const [showShare, setShowShare] = useState(false);
+  const [showPublish, setShowPublish] = useState(false);
+  const isOwner = role === 'owner';
+  const collaboratorCount = note.sharedWith?.length || 0;
+  // Failure messages saved by older versions aren't summaries
+  const summaryFailed = isFailureSummary(note.summary);
 
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
@@ -30,7 +61,7 @@ export default function NoteCard({ note, onEdit, onDelete, onView }) {
       <div className="flex justify-between items-start mb-3">
         <h3
           className="text-lg font-semibold text-gray-900 dark:text-white cursor-pointer hover:text-blue-600 dark:hover:text-blue-400 line-clamp-2"
-          onClick={() => onEdit?.(note)}
+          onClick={() => onView?.(note)}
         >
           {note.title || 'Untitled'}
         </h3>
@@ -65,45 +96,94 @@ export default function NoteCard({ note, onEdit, onDelete, onView }) {
               >
                 View
               </button>
-              <button
-                onClick={() => {
-                  if (window.confirm('Are you sure you want to delete this note?')) {
-                    onDelete?.(note);
-                  }
-                  setShowMenu(false);
-                }}
-                className="block w-full text-left px-4 py-2 text-sm text-red-600 dark:text-red-400 hover:bg-gray-100 dark:hover:bg-gray-600"
-              >
-                Delete
-              </button>
+              {isOwner && (
+                <button
+                  onClick={() => {
+                    setShowShare(true);
+                    setShowMenu(false);
+                  }}
+                  className="block w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600"
+                >
+                  Share
+                </button>
+              )}
+              {isOwner && (
+                <button
+                  onClick={() => {
+                    setShowPublish(true);
+                    setShowMenu(false);
+                  }}
+                  className="block w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600"
+                >
+                  {note.publicLink ? 'Public link' : 'Publish link'}
+                </button>
+              )}
+              {isOwner && onDelete && (
+                <button
+                  onClick={() => {
+                    if (window.confirm('Are you sure you want to delete this note?')) {
+                      onDelete(note);
+                    }
+                    setShowMenu(false);
+                  }}
+                  className="block w-full text-left px-4 py-2 text-sm text-red-600 dark:text-red-400 hover:bg-gray-100 dark:hover:bg-gray-600"
+                >
+                  Delete
+                </button>
+              )}
             </div>
           )}
         </div>
       </div>
 
-      {/* Content Preview */}
+      {/* Content Preview: the matching passage in search results, otherwise the summary */}
       <div className="mb-4">
-        {note.summary ? (
-          <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">
+        {note.snippet ? (
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            {note.snippet.map((piece, index) => (piece.match ? (
+              <mark key={index} className="bg-yellow-200 dark:bg-yellow-700 text-gray-900 dark:text-white rounded-sm">
+                {piece.text}
+              </mark>
+            ) : (
+              <span key={index}>{piece.text}</span>
+            )))}
+          </p>
+        ) : note.summary && !summaryFailed ? (
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-2 whitespace-pre-line">
             <span className="font-medium">Summary:</span> {truncateText(note.summary)}
           </p>
         ) : (
-          <p className="text-sm text-gray-600 dark:text-gray-400">
-            {truncateText(stripHtml(note.content))}
-          </p>
+          <>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {truncateText(stripHtml(note.content))}
+            </p>
+            {summaryFailed && (
+              <p className="text-xs text-amber-700 dark:text-amber-400 mt-2">
+                AI summary unavailable. Open the note to regenerate it.
+              </p>
+            )}
+          </>
         )}
       </div>
 
+      {/* Search results say why they matched */}
+      {note.match && describeMatch(note.match) && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-4" title={describeRanks(note.match)}>
+          <span className="font-medium">Matched:</span> {describeMatch(note.match)}
+        </p>
+      )}
+
       {/* Tags */}
       {note.tags && note.tags.length > 0 && (
         <div className="flex flex-wrap gap-1 mb-4">
           {note.tags.slice(0, 3).map((tag, index) => (
-            <span
+            <Link
               key={index}
-              className="inline-block px-2 py-1 text-xs bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200 rounded-full"
+              to={tagPath(tag)}
+              className="inline-block px-2 py-1 text-xs bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200 rounded-full hover:bg-blue-200 dark:hover:bg-blue-800"
             >
               {tag}
-            </span>
+            </Link>
           ))}
           {note.tags.length > 3 && (
             <span className="inline-block px-2 py-1 text-xs bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-400 rounded-full">
@@ -117,6 +197,17 @@ export default function NoteCard({ note, onEdit, onDelete, onView }) {
       <div className="flex justify-between items-center text-xs text-gray-500 dark:text-gray-400">
         <span>
           {note.updatedAt ? `Updated ${formatDate(note.updatedAt)}` : `Created ${formatDate(note.createdAt)}`}
+          {isOwner && collaboratorCount > 0 && (
+            <span className="ml-2" title={`Shared with ${collaboratorCount} ${collaboratorCount === 1 ? 'person' : 'people'}`}>
+              👥 {collaboratorCount}
+            </span>
+          )}
+          {isOwner && note.publicLink && (
+            <span className="ml-2" title="Anyone with the link can read this note">
+              🔗
+            </span>
+          )}
+          {!isOwner && <span className="ml-2">· {ROLE_LABELS[role]}</span>}
         </span>
         
         <div className="flex space-x-2">
@@ -134,6 +225,9 @@ export default function NoteCard({ note, onEdit, onDelete, onView }) {
           </button>
         </div>
       </div>
+
+      {showShare && <ShareDialog note={note} onClose={() => setShowShare(false)} />}
+      {showPublish && <PublishLinkDialog note={note} onClose={() => setShowPublish(false)} />}
     </div>
   );
 }
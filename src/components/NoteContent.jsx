@@ -0,0 +1,26 @@
+import { useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import 'react-quill/dist/quill.snow.css';
+import './NoteEditor.css';
+import { sanitizeHtml } from '../utils/sanitizeHtml';
+import { withHeadingAnchors } from '../utils/tableOfContents';
+
+// Read-only note body, styled like the editor. Headings get anchors for a table of contents.
+export default function NoteContent({ html, className = '', linkState }) {
+  const navigate = useNavigate();
+  const safeHtml = useMemo(() => withHeadingAnchors(sanitizeHtml(html)).html, [html]);
+
+  // Links into the app (to other notes, tags) go through the router instead of reloading the page
+  const handleClick = (e) => {
+    const link = e.target.closest?.('a[href^="/"]');
+    if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey) return;
+    e.preventDefault();
+    navigate(link.getAttribute('href'), { state: linkState });
+  };
+
+  return (
+    <div className={`ql-snow ${className}`}>
+      <div className="ql-editor" onClick={handleClick} dangerouslySetInnerHTML={{ __html: safeHtml }} />
+    </div>
+  );
+}
@@ -1,21 +1,68 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import ReactQuill from 'react-quill';
 import 'react-quill/dist/quill.snow.css';
 import './NoteEditor.css'; // Custom styling for dark/light mode
 import { v4 as uuidv4 } from 'uuid';
-import { getSummary, getTags, getEmbedding } from '../services/ai';
+import { getSummary, getTags, getEmbeddingWithModel, SUMMARY_STYLES, AI_ERROR_CODES, isFailureSummary } from '../services/ai';
+import { useNotes } from '../context/NotesContext';
 import { useAuth } from '../context/AuthContext';
+import { canEdit, roleOf, ROLE_LABELS } from '../services/sharing';
+import VersionHistory from './VersionHistory';
+import LinkedMentions from './LinkedMentions';
+import RelatedNotes from './RelatedNotes';
+import {
+  openWikiLinkQuery,
+  closedWikiLinkBefore,
+  suggestNotes,
+  findNoteByTitle,
+  resolveWikiLinks,
+} from '../utils/noteLinks';
+import { notePath } from '../utils/routes';
+
+// How far back from the cursor to look for an open [[
+const LINK_LOOKBEHIND = 100;
+
+const sameTags = (a, b) => a.length === b.length && a.every((tag, i) => tag === b[i]);
 
 export default function NoteEditor({ existingNote, onSave, onCancel }) {
+  const { saveNote, mergeNotes, notes, sharedNotes = [], getVersions } = useNotes();
   const { user } = useAuth();
+  // Fixed up front so every auto-save of a new note updates the same note
+  const [noteId] = useState(() => existingNote?.id || uuidv4());
   const [title, setTitle] = useState(existingNote?.title || '');
   const [content, setContent] = useState(existingNote?.content || '');
   const [tags, setTags] = useState(existingNote?.tags || []);
-  const [summary, setSummary] = useState(existingNote?.summary || '');
+  // Older versions saved failure messages as summaries; treat those as missing
+  const [summary, setSummary] = useState(isFailureSummary(existingNote?.summary) ? '' : existingNote?.summary || '');
+  const [summaryError, setSummaryError] = useState(null);
+  const [regenerating, setRegenerating] = useState(false);
+  const [summaryStyle, setSummaryStyle] = useState(existingNote?.summaryStyle || SUMMARY_STYLES.PARAGRAPH);
   const [saving, setSaving] = useState(false);
   const [lastSaved, setLastSaved] = useState(null);
   const [aiProcessing, setAiProcessing] = useState(false);
   const [embedding, setEmbedding] = useState(existingNote?.embedding || null);
+  const [embeddingModel, setEmbeddingModel] = useState(existingNote?.embeddingModel || null);
+  const [showHistory, setShowHistory] = useState(false);
+  // What was last loaded or saved, so auto-save leaves a note that was only opened alone
+  const savedRef = useRef({ title: existingNote?.title || '', content: existingNote?.content || '', tags: existingNote?.tags || [] });
+  // The stored copy has the up-to-date history; existingNote is only a snapshot from when the editor opened
+  const storedNote = [...notes, ...sharedNotes].find(note => note.id === noteId) || existingNote;
+  // Viewers and commenters on a shared note can read it but not change it
+  const readOnly = Boolean(storedNote) && !canEdit(storedNote, user?.uid);
+  const versionIndex = storedNote?.versionIndex || storedNote?.versions || [];
+  const versionCount = versionIndex.length;
+  const loadVersions = useCallback(() => getVersions(noteId), [getVersions, noteId]);
+  const quillRef = useRef(null);
+  // [[link autocomplete: what's typed after the [[ and where to show the suggestions
+  const [linkMenu, setLinkMenu] = useState(null);
+  const [activeSuggestion, setActiveSuggestion] = useState(0);
+  const linkTargets = useMemo(() => [...notes, ...sharedNotes], [notes, sharedNotes]);
+  const suggestions = linkMenu ? suggestNotes(linkMenu.query, linkTargets, { excludeId: noteId }) : [];
+  const currentNote = useMemo(() => ({ id: noteId, title, content }), [noteId, title, content]);
+  const currentEmbedding = useMemo(
+    () => (embedding ? { vector: embedding, model: embeddingModel } : null),
+    [embedding, embeddingModel]
+  );
 
   // Helper function to check if content has meaningful text
   const hasMeaningfulContent = (htmlContent) => {
@@ -53,18 +100,18 @@ export default function NoteEditor({ existingNote, onSave, onCancel }) {
 
   // AI processing for content changes
   useEffect(() => {
-    if (!content || content.length < 50) return; // Only process substantial content
+    if (readOnly || !content || content.length < 50) return; // Only process substantial content
 
     const timeout = setTimeout(async () => {
       await processWithAI();
     }, 1500); // Process with AI after 1.5 seconds of inactivity
 
     return () => clearTimeout(timeout);
-  }, [content]); // eslint-disable-line react-hooks/exhaustive-deps
+  }, [content, summaryStyle]); // eslint-disable-line react-hooks/exhaustive-deps
 
   // Debounced auto-save (wait for AI processing to complete)
   useEffect(() => {
-    if (!title && !content) return;
+    if (readOnly || (!title && !content)) return;
     if (aiProcessing) return; // Don't auto-save while AI is processing
 
     const timeout = setTimeout(async () => {
@@ -82,86 +129,95 @@ export default function NoteEditor({ existingNote, onSave, onCancel }) {
       console.log('Processing with AI, content length:', content.length);
       console.log('Content preview:', content.substring(0, 100));
 
-      const [aiSummary, aiTags, aiEmbedding] = await Promise.all([
-        getSummary(content),
+      const [summaryResult, tagsResult, aiEmbedding] = await Promise.all([
+        getSummary(content, 300, { style: summaryStyle }),
         getTags(content),
-        getEmbedding(content)
+        getEmbeddingWithModel(content)
       ]);
 
-      console.log('AI Summary generated:', aiSummary);
-      console.log('AI Tags generated:', aiTags);
+      console.log('AI Summary result:', summaryResult);
+      console.log('AI Tags result:', tagsResult);
 
-      setSummary(aiSummary);
-      setEmbedding(aiEmbedding);
+      applySummaryResult(summaryResult);
+      setEmbedding(aiEmbedding.embedding);
+      setEmbeddingModel(aiEmbedding.embeddingModel);
 
-      // Merge AI tags with existing tags, avoiding duplicates
-      const allTags = [...tags, ...aiTags].filter((tag, index, arr) =>
-        arr.findIndex(t => t.toLowerCase() === tag.toLowerCase()) === index
-      );
-      setTags(allTags);
+      if (tagsResult.ok) {
+        // Merge AI tags with existing tags, avoiding duplicates
+        const allTags = [...tags, ...tagsResult.value].filter((tag, index, arr) =>
+          arr.findIndex(t => t.toLowerCase() === tag.toLowerCase()) === index
+        );
+        setTags(allTags);
+      }
     } catch (error) {
       console.error('AI processing failed:', error);
     } finally {
       setAiProcessing(false);
     }
-  }, [content, tags]);
+  }, [content, tags, summaryStyle]);
+
+  // A failed result keeps the last good summary; the error is shown next to it, never saved
+  const applySummaryResult = (result) => {
+    if (result.ok) {
+      setSummary(result.value);
+      setSummaryError(null);
+    } else {
+      setSummaryError(result.error);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    if (!hasMeaningfulContent(content)) return;
+
+    setRegenerating(true);
+    try {
+      applySummaryResult(await getSummary(content, 300, { style: summaryStyle }));
+    } catch (error) {
+      console.error('Failed to regenerate summary:', error);
+    } finally {
+      setRegenerating(false);
+    }
+  };
+
+  // Ownership, timestamps and version history are filled in by the notes repository
+  const buildNoteData = useCallback(() => ({
+    id: noteId,
+    title: title || 'Untitled',
+    content,
+    tags,
+    summary,
+    summaryStyle,
+    embedding,
+    embeddingModel,
+    embeddingDim: embedding?.length || null,
+  }), [noteId, title, content, tags, summary, summaryStyle, embedding, embeddingModel]);
 
   const handleAutoSave = useCallback(async () => {
     if (!title && !content) return;
+    const saved = savedRef.current;
+    if (saved.title === title && saved.content === content && sameTags(saved.tags, tags)) return;
 
     setSaving(true);
     try {
-      const noteData = {
-        id: existingNote?.id || uuidv4(),
-        title: title || 'Untitled',
-        content,
-        tags,
-        summary,
-        embedding,
-        ownerId: user?.uid,
-        updatedAt: new Date().toISOString(),
-        createdAt: existingNote?.createdAt || new Date().toISOString(),
-        versions: existingNote?.versions || []
-      };
-
-      // Here you would typically save to your backend/database
-      // For now, we'll just save to localStorage
-      const savedNotes = JSON.parse(localStorage.getItem('notes') || '[]');
-      const existingIndex = savedNotes.findIndex(note => note.id === noteData.id);
-      
-      if (existingIndex >= 0) {
-        savedNotes[existingIndex] = noteData;
-      } else {
-        savedNotes.push(noteData);
-      }
-      
-      localStorage.setItem('notes', JSON.stringify(savedNotes));
+      await saveNote(buildNoteData());
+      savedRef.current = { title, content, tags };
       setLastSaved(new Date());
     } catch (error) {
       console.error('Auto-save failed:', error);
     } finally {
       setSaving(false);
     }
-  }, [title, content, tags, summary, existingNote, embedding, user?.uid]);
+  }, [title, content, tags, saveNote, buildNoteData]);
 
   const handleSave = async () => {
     setSaving(true);
     try {
-      const noteData = {
-        id: existingNote?.id || uuidv4(),
-        title: title || 'Untitled',
-        content,
-        tags,
-        summary,
-        embedding,
-        ownerId: user?.uid,
-        updatedAt: new Date().toISOString(),
-        createdAt: existingNote?.createdAt || new Date().toISOString(),
-        versions: existingNote?.versions || []
-      };
-
-      await handleAutoSave();
-      onSave?.(noteData);
+      // [[Title]] links typed without picking a suggestion are resolved on the way out
+      const noteData = buildNoteData();
+      const saved = await saveNote({ ...noteData, content: resolveWikiLinks(noteData.content, linkTargets) });
+      savedRef.current = { title, content, tags };
+      setLastSaved(new Date());
+      onSave?.(saved);
       
       // Clear draft for new notes
       if (!existingNote) {
@@ -174,6 +230,45 @@ export default function NoteEditor({ existingNote, onSave, onCancel }) {
     }
   };
 
+  // Restoring saves the old text as a new version, so nothing in the history is lost
+  const handleRestoreVersion = async (version) => {
+    setSaving(true);
+    try {
+      await saveNote(
+        { ...buildNoteData(), title: version.title, content: version.content },
+        { restoredFrom: version.timestamp }
+      );
+      setTitle(version.title);
+      setContent(version.content);
+      savedRef.current = { title: version.title, content: version.content, tags };
+      setLastSaved(new Date());
+    } catch (error) {
+      console.error('Failed to restore version:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // The other note's text is appended here and the note deleted; links to it now lead here
+  const handleMerge = async (other) => {
+    if (!window.confirm(`Merge "${other.title || 'Untitled'}" into this note? Its text is added to the end of this note and it is deleted.`)) {
+      return;
+    }
+    setSaving(true);
+    try {
+      await saveNote(buildNoteData());
+      const merged = await mergeNotes(noteId, other.id);
+      setContent(merged.content);
+      setTags(merged.tags || []);
+      savedRef.current = { title, content: merged.content, tags: merged.tags || [] };
+      setLastSaved(new Date());
+    } catch (error) {
+      console.error('Failed to merge notes:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const handleAddTag = (e) => {
     if (e.key === 'Enter' && e.target.value.trim()) {
       const newTag = e.target.value.trim();
@@ -190,6 +285,80 @@ export default function NoteEditor({ existingNote, onSave, onCancel }) {
     setTags(tags.filter(tag => tag !== tagToRemove));
   };
 
+  const textBeforeCursor = (quill, index) =>
+    quill.getText(Math.max(0, index - LINK_LOOKBEHIND), Math.min(index, LINK_LOOKBEHIND));
+
+  // Replace the typed [[... before the cursor with a link to the note
+  const insertNoteLink = (quill, typedLength, target, text = target.title) => {
+    const index = quill.getSelection(true).index;
+    const start = index - typedLength;
+    quill.deleteText(start, typedLength, 'user');
+    quill.insertText(start, text, { link: notePath(target.id) }, 'user');
+    quill.insertText(start + text.length, ' ', { link: false }, 'user');
+    quill.setSelection(start + text.length + 1, 0, 'user');
+    setLinkMenu(null);
+  };
+
+  const updateLinkMenu = () => {
+    const quill = quillRef.current?.getEditor();
+    const range = quill?.getSelection();
+    if (readOnly || !range || range.length > 0) {
+      setLinkMenu(null);
+      return;
+    }
+
+    const before = textBeforeCursor(quill, range.index);
+    const closed = closedWikiLinkBefore(before);
+    const target = closed && findNoteByTitle(closed.title, linkTargets);
+    if (target) {
+      // Typed out in full: link it once Quill has finished applying the keystroke
+      setTimeout(() => insertNoteLink(quill, closed.length, target, (closed.text || target.title).trim()));
+      return;
+    }
+
+    const query = openWikiLinkQuery(before);
+    if (query === null) {
+      setLinkMenu(null);
+      return;
+    }
+    const bounds = quill.getBounds(range.index);
+    if (linkMenu?.query !== query) setActiveSuggestion(0);
+    setLinkMenu({ query, top: quill.container.offsetTop + bounds.bottom + 4, left: bounds.left });
+  };
+
+  const handleContentChange = (value, delta, source) => {
+    setContent(value);
+    if (source === 'user') updateLinkMenu();
+  };
+
+  const handleLinkRelated = (target) => {
+    insertNoteLink(quillRef.current.getEditor(), 0, target);
+  };
+
+  const pickSuggestion = (target) => {
+    insertNoteLink(quillRef.current.getEditor(), linkMenu.query.length + 2, target);
+  };
+
+  // Runs before Quill sees the key, so Enter picks a suggestion instead of starting a new line
+  const handleEditorKeyDown = (e) => {
+    if (!linkMenu) return;
+    if (e.key === 'Escape') {
+      setLinkMenu(null);
+    } else if (suggestions.length === 0) {
+      return;
+    } else if (e.key === 'ArrowDown') {
+      setActiveSuggestion(current => (current + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      setActiveSuggestion(current => (current - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      pickSuggestion(suggestions[Math.min(activeSuggestion, suggestions.length - 1)]);
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
   const quillModules = {
     toolbar: [
       [{ 'header': [1, 2, 3, false] }],
@@ -202,112 +371,227 @@ export default function NoteEditor({ existingNote, onSave, onCancel }) {
   };
 
   return (
-    <div className="max-w-4xl mx-auto p-6 bg-white dark:bg-gray-800 rounded-lg shadow-lg">
-      {/* Header */}
-      <div className="flex justify-between items-center mb-6">
-        <div className="flex items-center space-x-4">
-          <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
-            {existingNote ? 'Edit Note' : 'New Note'}
-          </h2>
-          {aiProcessing && (
-            <span className="text-sm text-purple-600 dark:text-purple-400 flex items-center">
-              <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-purple-600 mr-2"></div>
-              AI Processing...
-            </span>
-          )}
-          {saving && !aiProcessing && (
-            <span className="text-sm text-blue-600 dark:text-blue-400">
-              Saving...
-            </span>
-          )}
-          {lastSaved && !saving && !aiProcessing && (
-            <span className="text-sm text-gray-500 dark:text-gray-400">
-              Last saved: {lastSaved.toLocaleTimeString()}
-            </span>
-          )}
-        </div>
-        
-        <div className="flex space-x-2">
-          <button
-            onClick={onCancel}
-            className="px-4 py-2 text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200"
-          >
-            Cancel
-          </button>
-          <button
-            onClick={handleSave}
-            disabled={saving}
-            className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
-          >
-            {saving ? 'Saving...' : 'Save'}
-          </button>
-        </div>
-      </div>
-
-      {/* Title Input */}
-      <input
-        type="text"
-        value={title}
-        onChange={(e) => setTitle(e.target.value)}
-        placeholder="Note title..."
-        className="w-full text-3xl font-bold border-none outline-none bg-transparent text-gray-900 dark:text-white placeholder-gray-400 mb-4"
-      />
-
-      {/* Tags */}
-      <div className="mb-4">
-        <div className="flex flex-wrap gap-2 mb-2">
-          {tags.map((tag, index) => (
-            <span
-              key={index}
-              className="inline-flex items-center px-3 py-1 rounded-full text-sm bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200"
+    <div className="max-w-6xl mx-auto flex items-start gap-6">
+      <div className="flex-1 min-w-0 max-w-4xl mx-auto p-6 bg-white dark:bg-gray-800 rounded-lg shadow-lg">
+        {/* Header */}
+        <div className="flex justify-between items-center mb-6">
+          <div className="flex items-center space-x-4">
+            <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
+              {readOnly ? 'View Note' : existingNote ? 'Edit Note' : 'New Note'}
+            </h2>
+            {readOnly && (
+              <span className="px-2 py-1 text-xs rounded-full bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300">
+                Shared with you · {ROLE_LABELS[roleOf(storedNote, user?.uid)]}
+              </span>
+            )}
+            {aiProcessing && (
+              <span className="text-sm text-purple-600 dark:text-purple-400 flex items-center">
+                <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-purple-600 mr-2"></div>
+                AI Processing...
+              </span>
+            )}
+            {saving && !aiProcessing && (
+              <span className="text-sm text-blue-600 dark:text-blue-400">
+                Saving...
+              </span>
+            )}
+            {lastSaved && !saving && !aiProcessing && (
+              <span className="text-sm text-gray-500 dark:text-gray-400">
+                Last saved: {lastSaved.toLocaleTimeString()}
+              </span>
+            )}
+          </div>
+          
+          <div className="flex space-x-2">
+            <button
+              onClick={() => setShowHistory(!showHistory)}
+              className="px-4 py-2 text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200"
+            >
+              History ({versionCount})
+            </button>
+            <button
+              onClick={onCancel}
+              className="px-4 py-2 text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200"
             >
-              {tag}
+              {readOnly ? 'Close' : 'Cancel'}
+            </button>
+            {!readOnly && (
               <button
-                onClick={() => handleRemoveTag(tag)}
-                className="ml-2 text-blue-600 hover:text-blue-800 dark:text-blue-300 dark:hover:text-blue-100"
+                onClick={handleSave}
+                disabled={saving}
+                className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
               >
-                ×
+                {saving ? 'Saving...' : 'Save'}
               </button>
-            </span>
-          ))}
+            )}
+          </div>
         </div>
+
+        {showHistory && (
+          <VersionHistory
+            loadVersions={loadVersions}
+            versionCount={versionCount}
+            latestVersionId={versionIndex[versionCount - 1]?.id}
+            userId={user?.uid}
+            onRestore={readOnly ? null : handleRestoreVersion}
+            onClose={() => setShowHistory(false)}
+          />
+        )}
+
+        {/* Title Input */}
         <input
           type="text"
-          placeholder="Add tags (press Enter)..."
-          onKeyDown={handleAddTag}
-          className="px-3 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-400 text-sm"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          readOnly={readOnly}
+          placeholder="Note title..."
+          className="w-full text-3xl font-bold border-none outline-none bg-transparent text-gray-900 dark:text-white placeholder-gray-400 mb-4"
         />
-      </div>
 
-      {/* Content Editor */}
-      <div className="mb-6">
-        <ReactQuill
-          value={content}
-          onChange={setContent}
-          modules={quillModules}
-          placeholder="Start writing your note..."
-          className="bg-white dark:bg-gray-800"
-          style={{ minHeight: '300px' }}
-        />
-      </div>
-
-      {/* Summary section - always show if there's content */}
-      {(summary || hasMeaningfulContent(content)) && (
-        <div className="p-4 bg-gray-50 dark:bg-gray-700 rounded-md">
-          <div className="flex justify-between items-center mb-2">
-            <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300">
-              AI Summary
-            </h3>
+        {/* Tags */}
+        <div className="mb-4">
+          <div className="flex flex-wrap gap-2 mb-2">
+            {tags.map((tag, index) => (
+              <span
+                key={index}
+                className="inline-flex items-center px-3 py-1 rounded-full text-sm bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200"
+              >
+                {tag}
+                {!readOnly && (
+                  <button
+                    onClick={() => handleRemoveTag(tag)}
+                    className="ml-2 text-blue-600 hover:text-blue-800 dark:text-blue-300 dark:hover:text-blue-100"
+                  >
+                    ×
+                  </button>
+                )}
+              </span>
+            ))}
           </div>
-          {summary ? (
-            <p className="text-sm text-gray-600 dark:text-gray-400">{summary}</p>
-          ) : (
-            <p className="text-sm text-gray-500 dark:text-gray-500 italic">
-              {aiProcessing ? 'Generating summary...' : 'Click "Regenerate" to create an AI summary'}
-            </p>
+          {!readOnly && (
+            <input
+              type="text"
+              placeholder="Add tags (press Enter)..."
+              onKeyDown={handleAddTag}
+              className="px-3 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-400 text-sm"
+            />
           )}
         </div>
-      )}
+
+        {/* Content Editor */}
+        <div className="mb-6 relative" onKeyDownCapture={handleEditorKeyDown}>
+          <ReactQuill
+            ref={quillRef}
+            value={content}
+            onChange={handleContentChange}
+            onChangeSelection={(range, source) => source === 'user' && updateLinkMenu()}
+            readOnly={readOnly}
+            modules={readOnly ? { toolbar: false } : quillModules}
+            placeholder="Start writing your note... Type [[ to link another note"
+            className="bg-white dark:bg-gray-800"
+            style={{ minHeight: '300px' }}
+          />
+          {linkMenu && (
+            <ul
+              className="absolute z-20 w-72 max-h-60 overflow-y-auto bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-md shadow-lg text-sm"
+              style={{ top: linkMenu.top, left: linkMenu.left }}
+              role="listbox"
+            >
+              {suggestions.length === 0 ? (
+                <li className="px-3 py-2 text-gray-500 dark:text-gray-400">
+                  No note called "{linkMenu.query}" yet. Close with ]] and it links once the note exists.
+                </li>
+              ) : suggestions.map((target, index) => (
+                <li
+                  key={target.id}
+                  role="option"
+                  aria-selected={index === activeSuggestion}
+                  // mousedown would move the focus out of the editor and close the menu first
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    pickSuggestion(target);
+                  }}
+                  onMouseEnter={() => setActiveSuggestion(index)}
+                  className={`px-3 py-2 cursor-pointer truncate ${
+                    index === activeSuggestion
+                      ? 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200'
+                      : 'text-gray-700 dark:text-gray-300'
+                  }`}
+                >
+                  {target.title}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Summary section - always show if there's content */}
+        {(summary || hasMeaningfulContent(content)) && (
+          <div className="p-4 bg-gray-50 dark:bg-gray-700 rounded-md">
+            <div className="flex justify-between items-center mb-2">
+              <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300">
+                AI Summary
+              </h3>
+              <div className={`flex items-center space-x-2 ${readOnly ? 'hidden' : ''}`}>
+                <button
+                  onClick={handleRegenerate}
+                  disabled={regenerating || aiProcessing || !hasMeaningfulContent(content)}
+                  className="px-2 py-1 text-xs text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 disabled:opacity-50"
+                >
+                  {regenerating ? 'Loading...' : 'Regenerate'}
+                </button>
+                <select
+                  value={summaryStyle}
+                  onChange={(e) => setSummaryStyle(e.target.value)}
+                  className="px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300"
+                  title="Summary style"
+                >
+                  <option value={SUMMARY_STYLES.PARAGRAPH}>Paragraph</option>
+                  <option value={SUMMARY_STYLES.ONE_LINER}>One-liner</option>
+                  <option value={SUMMARY_STYLES.BULLETS}>Bullet list</option>
+                  <option value={SUMMARY_STYLES.TLDR}>TL;DR + key points</option>
+                </select>
+              </div>
+            </div>
+            {summaryError && (
+              <p className={`text-xs mb-2 ${
+                summaryError.code === AI_ERROR_CODES.TOO_SHORT
+                  ? 'text-gray-500 dark:text-gray-400'
+                  : 'text-amber-700 dark:text-amber-400'
+              }`}>
+                {summaryError.message}
+                {summaryError.retryable && (summaryError.retryAfter
+                  ? ` Try again in ${Math.ceil(summaryError.retryAfter)}s.`
+                  : ' Try "Regenerate" in a moment.')}
+              </p>
+            )}
+            {summary ? (
+              <p className="text-sm text-gray-600 dark:text-gray-400 whitespace-pre-line">{summary}</p>
+            ) : (
+              <p className="text-sm text-gray-500 dark:text-gray-500 italic">
+                {aiProcessing ? 'Generating summary...' : 'Click "Regenerate" to create an AI summary'}
+              </p>
+            )}
+          </div>
+        )}
+
+        {existingNote && (
+          <div className="mt-6 p-4 border border-gray-200 dark:border-gray-700 rounded-md">
+            <LinkedMentions note={currentNote} />
+          </div>
+        )}
+      </div>
+
+      <aside className="hidden xl:block w-72 shrink-0 sticky top-6 p-4 bg-white dark:bg-gray-800 rounded-lg shadow-lg">
+        <RelatedNotes
+          noteId={noteId}
+          embedding={currentEmbedding}
+          content={content}
+          onLink={handleLinkRelated}
+          onMerge={handleMerge}
+          readOnly={readOnly}
+        />
+      </aside>
     </div>
   );
 }
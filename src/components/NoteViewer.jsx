@@ -0,0 +1,136 @@
+import { useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import ReactMarkdown from 'react-markdown';
+import { useAuth } from '../context/AuthContext';
+import { isFailureSummary } from '../services/aiResult';
+import { canEdit, roleOf, ROLE_LABELS } from '../services/sharing';
+import { sanitizeHtml } from '../utils/sanitizeHtml';
+import { withHeadingAnchors } from '../utils/tableOfContents';
+import { htmlToText } from '../utils/textAnalysis';
+import { tagPath } from '../utils/routes';
+import NoteContent from './NoteContent';
+import LinkedMentions from './LinkedMentions';
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Read-only view of a note. Opening a note here never changes it: no AI processing, no saves.
+export default function NoteViewer({ note, onEdit, onClose, linkState }) {
+  const { user } = useAuth();
+  const role = roleOf(note, user?.uid);
+  const { headings } = useMemo(() => withHeadingAnchors(sanitizeHtml(note.content)), [note.content]);
+  const wordCount = useMemo(() => (htmlToText(note.content || '').match(/\S+/g) || []).length, [note.content]);
+  const hasSummary = note.summary && !isFailureSummary(note.summary);
+  const versionCount = (note.versionIndex || note.versions || []).length;
+  const collaboratorCount = note.sharedWith?.length || 0;
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 print:px-0">
+      {/* Toolbar */}
+      <div className="flex justify-between items-center mb-4 print:hidden">
+        <button
+          onClick={onClose}
+          className="px-4 py-2 text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200"
+        >
+          ← Back
+        </button>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => window.print()}
+            className="px-4 py-2 text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200"
+          >
+            Print
+          </button>
+          {canEdit(note, user?.uid) && (
+            <button
+              onClick={onEdit}
+              className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              Edit
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex gap-6">
+        <article className="flex-1 min-w-0 p-8 bg-white dark:bg-gray-800 rounded-lg shadow-lg print:p-0 print:shadow-none print:bg-white">
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white print:text-black mb-2">
+            {note.title || 'Untitled'}
+          </h1>
+
+          {/* Metadata */}
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+            {note.updatedAt && note.updatedAt !== note.createdAt
+              ? `Updated ${formatDate(note.updatedAt)} · Created ${formatDate(note.createdAt)}`
+              : `Created ${formatDate(note.createdAt)}`}
+            {` · ${wordCount} ${wordCount === 1 ? 'word' : 'words'}`}
+            {versionCount > 0 && ` · ${versionCount} ${versionCount === 1 ? 'version' : 'versions'}`}
+            {role && role !== 'owner' && ` · Shared with you (${ROLE_LABELS[role]})`}
+            {role === 'owner' && collaboratorCount > 0 && ` · Shared with ${collaboratorCount} ${collaboratorCount === 1 ? 'person' : 'people'}`}
+          </p>
+
+          {note.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-2 mb-6">
+              {note.tags.map(tag => (
+                <Link
+                  key={tag}
+                  to={tagPath(tag)}
+                  className="inline-block px-3 py-1 rounded-full text-sm bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200 print:bg-transparent print:border print:border-gray-400 print:text-black"
+                >
+                  {tag}
+                </Link>
+              ))}
+            </div>
+          )}
+
+          {hasSummary && (
+            <div className="p-4 mb-6 bg-gray-50 dark:bg-gray-700 rounded-md print:bg-transparent print:border print:border-gray-300">
+              <h2 className="text-sm font-semibold text-gray-700 dark:text-gray-300 print:text-black mb-2">AI Summary</h2>
+              <div className="text-sm text-gray-600 dark:text-gray-400 print:text-black whitespace-pre-line">
+                <ReactMarkdown>{note.summary}</ReactMarkdown>
+              </div>
+            </div>
+          )}
+
+          <NoteContent html={note.content} linkState={linkState} />
+        </article>
+
+        <aside className="hidden lg:block w-64 shrink-0 print:hidden">
+          <div className="sticky top-6 space-y-6">
+            {headings.length > 0 && (
+              <nav className="p-4 bg-white dark:bg-gray-800 rounded-lg shadow" aria-label="Table of contents">
+                <h2 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Contents</h2>
+                <ul className="space-y-1 text-sm">
+                  {headings.map(heading => (
+                    <li key={heading.id} style={{ paddingLeft: `${(heading.level - 1) * 0.75}rem` }}>
+                      <a
+                        href={`#${heading.id}`}
+                        onClick={(e) => {
+                          // The router owns the address; just scroll
+                          e.preventDefault();
+                          document.getElementById(heading.id)?.scrollIntoView({ behavior: 'smooth' });
+                        }}
+                        className="text-gray-600 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400"
+                      >
+                        {heading.text}
+                      </a>
+                    </li>
+                  ))}
+                </ul>
+              </nav>
+            )}
+
+            <div className="p-4 bg-white dark:bg-gray-800 rounded-lg shadow">
+              <LinkedMentions note={note} linkState={linkState} />
+            </div>
+          </div>
+        </aside>
+      </div>
+    </div>
+  );
+}
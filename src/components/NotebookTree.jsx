@@ -0,0 +1,283 @@
+import { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useNotes } from '../context/NotesContext';
+import { useAuth } from '../context/AuthContext';
+import { roleOf } from '../services/sharing';
+import { buildNotebookTree, canMoveNotebook } from '../utils/notebookTree';
+import { DASHBOARD_PATH, notebookPath } from '../utils/routes';
+import ShareDialog from './ShareDialog';
+
+// What's being dragged, so drop targets can tell notes from notebooks while hovering
+export const NOTE_DRAG_TYPE = 'application/x-notes-vault-note';
+const NOTEBOOK_DRAG_TYPE = 'application/x-notes-vault-notebook';
+
+function NotebookNameForm({ initialName = '', onSubmit, onCancel }) {
+  const [name, setName] = useState(initialName);
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (name.trim()) onSubmit(name);
+      }}
+      className="px-2 py-1"
+    >
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onKeyDown={(e) => e.key === 'Escape' && onCancel()}
+        onBlur={onCancel}
+        placeholder="Notebook name"
+        aria-label="Notebook name"
+        autoFocus
+        className="w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+    </form>
+  );
+}
+
+// Notebooks in the dashboard sidebar. Notes are dropped on a notebook to file them, notebooks
+// on another to nest them, and either on "All notes" to take them back out to the top level.
+export default function NotebookTree({ activeId, search = '' }) {
+  const { user } = useAuth();
+  const { notes, sharedNotes, notebooks, canFile, saveNotebook, deleteNotebook, moveNote } = useNotes();
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  // Notebook being dragged, as drag events don't say what's dragged until the drop
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(undefined);
+  // { parentId } while naming a new notebook, { id } while renaming one
+  const [editing, setEditing] = useState(null);
+  const [sharing, setSharing] = useState(null);
+  const [error, setError] = useState('');
+
+  const tree = useMemo(() => buildNotebookTree(notebooks), [notebooks]);
+  const ownNotebooks = useMemo(() => notebooks.filter(notebook => notebook.ownerId === user?.uid), [notebooks, user]);
+  const counts = useMemo(() => {
+    const direct = new Map();
+    [...notes, ...sharedNotes].forEach(note => {
+      if (note.notebookId) direct.set(note.notebookId, (direct.get(note.notebookId) || 0) + 1);
+    });
+    const totals = new Map();
+    const total = ({ notebook, children }) => {
+      const count = children.reduce((sum, child) => sum + total(child), direct.get(notebook.id) || 0);
+      totals.set(notebook.id, count);
+      return count;
+    };
+    tree.forEach(total);
+    return totals;
+  }, [tree, notes, sharedNotes]);
+
+  const run = async (action) => {
+    try {
+      setError('');
+      await action();
+    } catch (err) {
+      console.error('Notebook change failed:', err);
+      setError(err.message);
+    }
+  };
+
+  const toggle = (notebookId) => setCollapsed(previous => {
+    const next = new Set(previous);
+    if (next.has(notebookId)) next.delete(notebookId); else next.add(notebookId);
+    return next;
+  });
+
+  // Where a drag could land: a notebook the user owns, or null for the top level
+  const accepts = (e, parentId) => {
+    const types = [...e.dataTransfer.types];
+    if (types.includes(NOTE_DRAG_TYPE)) return true;
+    return types.includes(NOTEBOOK_DRAG_TYPE) && dragging !== null &&
+      dragging !== parentId && canMoveNotebook(ownNotebooks, dragging, parentId);
+  };
+
+  const dropProps = (parentId) => ({
+    onDragOver: (e) => {
+      if (!accepts(e, parentId)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      setDropTarget(parentId);
+    },
+    onDragLeave: () => setDropTarget(undefined),
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropTarget(undefined);
+      const noteId = e.dataTransfer.getData(NOTE_DRAG_TYPE);
+      const notebookId = e.dataTransfer.getData(NOTEBOOK_DRAG_TYPE);
+      if (noteId) {
+        run(() => moveNote(noteId, parentId));
+      } else if (notebookId) {
+        run(() => saveNotebook({ id: notebookId, parentId }));
+      }
+    },
+  });
+
+  const handleDelete = (notebook) => {
+    const message = `Delete the notebook "${notebook.name}"? Its notes and notebooks move up a level; nothing is deleted.`;
+    if (window.confirm(message)) {
+      run(() => deleteNotebook(notebook.id));
+    }
+  };
+
+  const renderNode = ({ notebook, children }, depth) => {
+    const owned = roleOf(notebook, user?.uid) === 'owner';
+    const shared = !owned || (notebook.sharedWith?.length || 0) > 0;
+    const open = !collapsed.has(notebook.id);
+    const active = notebook.id === activeId;
+
+    return (
+      <li key={notebook.id}>
+        {editing?.id === notebook.id ? (
+          <NotebookNameForm
+            initialName={notebook.name}
+            onSubmit={(name) => run(async () => {
+              await saveNotebook({ id: notebook.id, name });
+              setEditing(null);
+            })}
+            onCancel={() => setEditing(null)}
+          />
+        ) : (
+          <div
+            draggable={owned}
+            onDragStart={(e) => {
+              e.dataTransfer.setData(NOTEBOOK_DRAG_TYPE, notebook.id);
+              e.dataTransfer.effectAllowed = 'move';
+              setDragging(notebook.id);
+            }}
+            onDragEnd={() => setDragging(null)}
+            {...(owned ? dropProps(notebook.id) : {})}
+            style={{ paddingLeft: `${depth * 0.75}rem` }}
+            className={`group flex items-center rounded-md ${
+              dropTarget === notebook.id
+                ? 'ring-2 ring-blue-500'
+                : active ? 'bg-blue-50 dark:bg-blue-900/30' : 'hover:bg-gray-100 dark:hover:bg-gray-800'
+            }`}
+          >
+            <button
+              onClick={() => toggle(notebook.id)}
+              disabled={children.length === 0}
+              aria-label={open ? `Collapse ${notebook.name}` : `Expand ${notebook.name}`}
+              aria-expanded={children.length > 0 ? open : undefined}
+              className="w-5 shrink-0 text-xs text-gray-400 disabled:invisible"
+            >
+              {open ? '▾' : '▸'}
+            </button>
+            <Link
+              to={{ pathname: notebookPath(notebook.id), search }}
+              aria-current={active ? 'page' : undefined}
+              className={`flex-1 min-w-0 flex items-center py-1 ${
+                active ? 'text-blue-700 dark:text-blue-300' : 'text-gray-700 dark:text-gray-300'
+              }`}
+            >
+              <span className="truncate">{notebook.name}</span>
+              {shared && <span className="ml-1 shrink-0" title={owned ? 'Shared' : 'Shared with you'}>👥</span>}
+              <span className="ml-auto pl-2 shrink-0 text-xs text-gray-500 dark:text-gray-400">
+                {counts.get(notebook.id) || 0}
+              </span>
+            </Link>
+            {owned && (
+              <div className="hidden group-hover:flex group-focus-within:flex items-center pr-1 pl-1 space-x-1 text-xs">
+                <button
+                  onClick={() => setEditing({ parentId: notebook.id })}
+                  title="New notebook inside this one"
+                  className="text-gray-400 hover:text-gray-700 dark:hover:text-gray-200"
+                >
+                  +
+                </button>
+                <button
+                  onClick={() => setEditing({ id: notebook.id })}
+                  title="Rename"
+                  className="text-gray-400 hover:text-gray-700 dark:hover:text-gray-200"
+                >
+                  ✎
+                </button>
+                <button
+                  onClick={() => setSharing(notebook)}
+                  title="Share this notebook and everything in it"
+                  className="text-gray-400 hover:text-gray-700 dark:hover:text-gray-200"
+                >
+                  👥
+                </button>
+                <button
+                  onClick={() => handleDelete(notebook)}
+                  title="Delete notebook"
+                  className="text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                >
+                  ✕
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+        {editing?.parentId === notebook.id && (
+          <div style={{ paddingLeft: `${(depth + 1) * 0.75}rem` }}>
+            <NotebookNameForm
+              onSubmit={(name) => run(async () => {
+                await saveNotebook({ name, parentId: notebook.id });
+                setEditing(null);
+                setCollapsed(previous => new Set([...previous].filter(id => id !== notebook.id)));
+              })}
+              onCancel={() => setEditing(null)}
+            />
+          </div>
+        )}
+        {open && children.length > 0 && (
+          <ul>{children.map(child => renderNode(child, depth + 1))}</ul>
+        )}
+      </li>
+    );
+  };
+
+  if (!canFile) return null;
+
+  return (
+    <nav aria-label="Notebooks" className="text-sm mb-6">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="font-semibold text-gray-700 dark:text-gray-300">Notebooks</h2>
+        <button
+          onClick={() => setEditing({ parentId: null })}
+          title="New notebook"
+          className="text-blue-600 dark:text-blue-400 hover:underline"
+        >
+          + New
+        </button>
+      </div>
+
+      <Link
+        to={{ pathname: DASHBOARD_PATH, search }}
+        {...dropProps(null)}
+        aria-current={!activeId ? 'page' : undefined}
+        className={`block px-2 py-1 rounded-md ${
+          dropTarget === null
+            ? 'ring-2 ring-blue-500'
+            : !activeId ? 'bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300' : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800'
+        }`}
+      >
+        All notes
+      </Link>
+
+      {editing?.parentId === null && (
+        <NotebookNameForm
+          onSubmit={(name) => run(async () => {
+            await saveNotebook({ name, parentId: null });
+            setEditing(null);
+          })}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {tree.length === 0 && editing?.parentId !== null ? (
+        <p className="mt-2 text-gray-500 dark:text-gray-400">
+          Create a notebook, then drag notes onto it.
+        </p>
+      ) : (
+        <ul className="mt-1">{tree.map(node => renderNode(node, 0))}</ul>
+      )}
+
+      {error && <p className="mt-2 text-red-600 dark:text-red-400">{error}</p>}
+
+      {sharing && <ShareDialog notebook={sharing} onClose={() => setSharing(null)} />}
+    </nav>
+  );
+}
@@ -0,0 +1,187 @@
+import { useState } from 'react';
+import { useNotes } from '../context/NotesContext';
+import { publicLinkUrl, isExpired } from '../services/publicLinks';
+
+// yyyy-mm-dd for a date input, in local time
+const toDateInput = (iso) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Links expire at the end of the chosen day
+const fromDateInput = (value) => (value ? new Date(`${value}T23:59:59.999`).toISOString() : null);
+
+export default function PublishLinkDialog({ note, onClose }) {
+  const { notes, canShare, publishNote, unpublishNote } = useNotes();
+  // Publishing updates the stored note, not the copy the card was rendered with
+  const current = notes.find(existing => existing.id === note.id) || note;
+  const link = current.publicLink;
+  const [expiresOn, setExpiresOn] = useState(toDateInput(link?.expiresAt));
+  const [requirePassword, setRequirePassword] = useState(Boolean(link?.hasPassword));
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const url = link ? publicLinkUrl(link.token) : '';
+
+  const run = async (work) => {
+    setBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      await work();
+    } catch (err) {
+      console.error('Publishing failed:', err);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePublish = (e) => {
+    e.preventDefault();
+    if (requirePassword && !password && !link?.hasPassword) {
+      setError('Enter a password, or turn off "Require a password".');
+      return;
+    }
+    run(async () => {
+      await publishNote(note.id, {
+        expiresAt: fromDateInput(expiresOn),
+        // Left blank, an existing password is kept
+        password: requirePassword ? password || undefined : '',
+      });
+      setPassword('');
+      setMessage(link ? 'Link settings updated.' : 'Anyone with the link can now read this note.');
+    });
+  };
+
+  const handleRevoke = () => run(async () => {
+    await unpublishNote(note.id);
+    setExpiresOn('');
+    setRequirePassword(false);
+    setMessage('Link revoked. It no longer opens the note.');
+  });
+
+  const handleCopy = () => run(async () => {
+    await navigator.clipboard.writeText(url);
+    setMessage('Link copied.');
+  });
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-lg bg-white dark:bg-gray-800 rounded-lg shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label={`Publish ${current.title || 'Untitled'}`}
+      >
+        <div className="flex justify-between items-center px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Public link for "{current.title || 'Untitled'}"
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+            title="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        {!canShare ? (
+          <p className="px-4 py-4 text-sm text-gray-600 dark:text-gray-400">
+            Notes stored on this device can't be published. Public links need the Firestore backend
+            (REACT_APP_NOTES_BACKEND=firestore).
+          </p>
+        ) : (
+          <form onSubmit={handlePublish} className="px-4 py-4 space-y-4">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Anyone with the link can read the note, its AI summary and tags without signing in.
+              They can't edit it or see its history.
+            </p>
+
+            {link && (
+              <div className="flex space-x-2">
+                <input
+                  type="text"
+                  value={url}
+                  readOnly
+                  onFocus={(e) => e.target.select()}
+                  className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+                />
+                <button
+                  type="button"
+                  onClick={handleCopy}
+                  disabled={busy}
+                  className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+                >
+                  Copy
+                </button>
+              </div>
+            )}
+            {link && isExpired(link) && (
+              <p className="text-sm text-amber-700 dark:text-amber-400">This link has expired. Pick a new date to reopen it.</p>
+            )}
+
+            <label className="flex items-center justify-between text-sm text-gray-700 dark:text-gray-300">
+              <span>Expires on (leave empty for never)</span>
+              <input
+                type="date"
+                value={expiresOn}
+                min={toDateInput(new Date().toISOString())}
+                onChange={(e) => setExpiresOn(e.target.value)}
+                className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              />
+            </label>
+
+            <div className="space-y-2">
+              <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={requirePassword}
+                  onChange={(e) => setRequirePassword(e.target.checked)}
+                />
+                <span>Require a password</span>
+              </label>
+              {requirePassword && (
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder={link?.hasPassword ? 'Leave blank to keep the current password' : 'Password'}
+                  autoComplete="new-password"
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-400 text-sm"
+                />
+              )}
+            </div>
+
+            {message && <p className="text-sm text-green-700 dark:text-green-400">{message}</p>}
+            {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+            <div className="flex justify-between items-center">
+              {link ? (
+                <button
+                  type="button"
+                  onClick={handleRevoke}
+                  disabled={busy}
+                  className="text-sm text-red-600 dark:text-red-400 hover:underline disabled:opacity-50"
+                >
+                  Revoke link
+                </button>
+              ) : <span />}
+              <button
+                type="submit"
+                disabled={busy}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 text-sm"
+              >
+                {link ? 'Update link' : 'Publish link'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useNotes } from '../context/NotesContext';
+import { useAuth } from '../context/AuthContext';
+import { findRelatedNotes } from '../services/ai';
+import { roleOf } from '../services/sharing';
+import { linkedNoteIds } from '../utils/noteLinks';
+import { notePath } from '../utils/routes';
+
+const RELATED_LIMIT = 6;
+
+// Notes closest to the one being edited, by embedding. Looked up again only when the
+// embedding is recomputed, not on every keystroke.
+export default function RelatedNotes({ noteId, embedding, content, onLink, onMerge, readOnly = false }) {
+  const { notes, sharedNotes = [] } = useNotes();
+  const { user } = useAuth();
+  const [busy, setBusy] = useState(null);
+  const linked = useMemo(() => new Set(linkedNoteIds(content)), [content]);
+
+  const related = useMemo(() => {
+    if (!embedding?.vector?.length) return [];
+    return findRelatedNotes(embedding, [...notes, ...sharedNotes], { excludeId: noteId, limit: RELATED_LIMIT });
+  }, [embedding, notes, sharedNotes, noteId]);
+
+  const run = async (id, action) => {
+    setBusy(id);
+    try {
+      await action();
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <section className="text-sm">
+      <h3 className="font-semibold text-gray-700 dark:text-gray-300 mb-2">Related notes</h3>
+      {!embedding?.vector?.length ? (
+        <p className="text-gray-500 dark:text-gray-400">Related notes show up once the note has some text.</p>
+      ) : related.length === 0 ? (
+        <p className="text-gray-500 dark:text-gray-400">No similar notes yet.</p>
+      ) : (
+        <ul className="space-y-3">
+          {related.map(({ note, similarity }) => (
+            <li key={note.id}>
+              <div className="flex justify-between items-baseline">
+                <Link
+                  to={notePath(note.id)}
+                  className="text-blue-600 dark:text-blue-400 hover:underline truncate"
+                  title={note.title || 'Untitled'}
+                >
+                  {note.title || 'Untitled'}
+                </Link>
+                <span
+                  className="ml-2 shrink-0 text-xs text-gray-500 dark:text-gray-400"
+                  title="Cosine similarity of the two notes' embeddings"
+                >
+                  {Math.round(similarity * 100)}%
+                </span>
+              </div>
+              {!readOnly && (
+                <div className="flex space-x-3 mt-1 text-xs">
+                  {linked.has(note.id) ? (
+                    <span className="text-gray-400 dark:text-gray-500">Linked</span>
+                  ) : (
+                    <button
+                      onClick={() => run(note.id, () => onLink(note))}
+                      disabled={busy !== null}
+                      className="text-gray-600 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 disabled:opacity-50"
+                      title="Insert a link to this note at the cursor"
+                    >
+                      Link
+                    </button>
+                  )}
+                  {/* Merging deletes the other note, so only its owner can do it */}
+                  {roleOf(note, user?.uid) === 'owner' && (
+                    <button
+                      onClick={() => run(note.id, () => onMerge(note))}
+                      disabled={busy !== null}
+                      className="text-gray-600 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400 disabled:opacity-50"
+                      title="Move this note's text into this one and delete it"
+                    >
+                      {busy === note.id ? 'Working...' : 'Merge'}
+                    </button>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -1,10 +1,25 @@
-import { useState, useEffect } from 'react';
-import { semanticSearch } from '../services/ai';
-
-export default function SearchBar({ notes, onResults, onClear }) {
-  const [query, setQuery] = useState('');
-  const [searchType, setSearchType] = useState('text'); // 'text' or 'semantic'
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { searchVault, SEARCH_MODES } from '../services/search';
+import { parseSearchQuery } from '../utils/searchQuery';
+import { createSearchIndex } from '../utils/searchIndex';
+
+const MODE_BUTTONS = [
+  { mode: SEARCH_MODES.HYBRID, label: 'Hybrid', title: 'Keywords and meaning together' },
+  { mode: SEARCH_MODES.TEXT, label: 'Text Search', title: 'Only notes containing the words' },
+  { mode: SEARCH_MODES.SEMANTIC, label: 'AI Search', title: 'Notes about the same thing, whatever words they use' },
+];
+
+// The query and search type are controlled by the parent, which keeps them in the address
+export default function SearchBar({ notes, userId, notebooks, query, searchType, index: sharedIndex, onQueryChange, onSearchTypeChange, onResults, onClear, children }) {
   const [isSearching, setIsSearching] = useState(false);
+  // Parsed as the user types, so mistakes show up straight away
+  const { errors } = useMemo(() => parseSearchQuery(query), [query]);
+  // Kept between searches, so each one only reindexes the notes that changed; the parent
+  // may pass one it also uses elsewhere
+  const ownIndex = useMemo(() => (sharedIndex ? null : createSearchIndex()), [sharedIndex]);
+  const index = sharedIndex || ownIndex;
+  // Searches by meaning can finish out of order; only the latest one's results are shown
+  const latestSearch = useRef(0);
 
   useEffect(() => {
     if (!query.trim()) {
@@ -17,98 +32,28 @@ export default function SearchBar({ notes, onResults, onClear }) {
     }, 300); // Debounce search
 
     return () => clearTimeout(timeoutId);
-  }, [query, notes]); // eslint-disable-line react-hooks/exhaustive-deps
+  }, [query, searchType, notes, notebooks]); // eslint-disable-line react-hooks/exhaustive-deps
 
   const handleSearch = async () => {
-    if (!query.trim()) {
-      onClear?.();
-      return;
-    }
+    // Keep showing the last results until the query makes sense again
+    if (errors.length) return;
 
+    const searchId = ++latestSearch.current;
     setIsSearching(true);
 
     try {
-      let results = [];
-
-      if (searchType === 'text') {
-        // Simple text search
-        results = notes.filter(note => {
-          const searchText = query.toLowerCase();
-          return (
-            note.title?.toLowerCase().includes(searchText) ||
-            note.content?.toLowerCase().includes(searchText) ||
-            note.summary?.toLowerCase().includes(searchText) ||
-            note.tags?.some(tag => tag.toLowerCase().includes(searchText))
-          );
-        });
-      } else {
-        // Semantic search (placeholder - would use AI embeddings in real implementation)
-        results = await performSemanticSearch(query, notes);
-      }
-
-      // Sort by relevance (simple scoring for now)
-      results.sort((a, b) => {
-        const scoreA = calculateRelevanceScore(a, query);
-        const scoreB = calculateRelevanceScore(b, query);
-        return scoreB - scoreA;
-      });
-
-      onResults?.(results);
+      const { results } = await searchVault(notes, query, { mode: searchType, index, userId, notebooks });
+      if (searchId === latestSearch.current) onResults?.(results);
     } catch (error) {
       console.error('Search failed:', error);
-      onResults?.([]);
+      if (searchId === latestSearch.current) onResults?.([]);
     } finally {
-      setIsSearching(false);
-    }
-  };
-
-  const calculateRelevanceScore = (note, query) => {
-    const searchText = query.toLowerCase();
-    let score = 0;
-
-    // Title matches get highest score
-    if (note.title?.toLowerCase().includes(searchText)) {
-      score += 10;
-    }
-
-    // Summary matches get medium score
-    if (note.summary?.toLowerCase().includes(searchText)) {
-      score += 5;
-    }
-
-    // Content matches get lower score
-    if (note.content?.toLowerCase().includes(searchText)) {
-      score += 2;
-    }
-
-    // Tag matches get medium score
-    if (note.tags?.some(tag => tag.toLowerCase().includes(searchText))) {
-      score += 7;
-    }
-
-    return score;
-  };
-
-  const performSemanticSearch = async (query, notes) => {
-    try {
-      const results = await semanticSearch(query, notes);
-      return results;
-    } catch (error) {
-      console.error('Semantic search failed, falling back to text search:', error);
-      return notes.filter(note => {
-        const searchText = query.toLowerCase();
-        return (
-          note.title?.toLowerCase().includes(searchText) ||
-          note.content?.toLowerCase().includes(searchText) ||
-          note.summary?.toLowerCase().includes(searchText) ||
-          note.tags?.some(tag => tag.toLowerCase().includes(searchText))
-        );
-      });
+      if (searchId === latestSearch.current) setIsSearching(false);
     }
   };
 
   const handleClear = () => {
-    setQuery('');
+    onQueryChange('');
     onClear?.();
   };
 
@@ -120,9 +65,11 @@ export default function SearchBar({ notes, onResults, onClear }) {
           <input
             type="text"
             value={query}
-            onChange={(e) => setQuery(e.target.value)}
-            placeholder="Search your notes..."
-            className="w-full pl-10 pr-20 py-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            onChange={(e) => onQueryChange(e.target.value)}
+            placeholder='Search your notes... e.g. tag:work "release plan" -draft'
+            aria-invalid={errors.length > 0}
+            aria-describedby={errors.length > 0 ? 'search-errors' : undefined}
+            className={`w-full pl-10 pr-20 py-3 border ${errors.length > 0 ? 'border-red-400 dark:border-red-500' : 'border-gray-300 dark:border-gray-600'} rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent`}
           />
           
           {/* Search Icon */}
@@ -151,33 +98,44 @@ export default function SearchBar({ notes, onResults, onClear }) {
           </div>
         </div>
 
+        {/* Syntax errors, each with the part of the query it's about */}
+        {errors.length > 0 && (
+          <ul id="search-errors" className="mt-2 space-y-1 text-sm text-red-600 dark:text-red-400">
+            {errors.map(({ message, start, end }) => (
+              <li key={`${start}-${message}`}>
+                {message}
+                {end > start && (
+                  <code className="ml-2 px-1 bg-red-50 dark:bg-red-900/30 rounded">{query.slice(start, end)}</code>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
         {/* Search Type Toggle */}
         <div className="flex justify-center mt-3">
           <div className="inline-flex rounded-md shadow-sm" role="group">
-            <button
-              type="button"
-              onClick={() => setSearchType('text')}
-              className={`px-4 py-2 text-sm font-medium border rounded-l-lg ${
-                searchType === 'text'
-                  ? 'bg-blue-600 text-white border-blue-600'
-                  : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700'
-              }`}
-            >
-              Text Search
-            </button>
-            <button
-              type="button"
-              onClick={() => setSearchType('semantic')}
-              className={`px-4 py-2 text-sm font-medium border-t border-b border-r rounded-r-lg ${
-                searchType === 'semantic'
-                  ? 'bg-blue-600 text-white border-blue-600'
-                  : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700'
-              }`}
-            >
-              AI Search
-            </button>
+            {MODE_BUTTONS.map(({ mode, label, title }, i) => (
+              <button
+                key={mode}
+                type="button"
+                title={title}
+                onClick={() => onSearchTypeChange(mode)}
+                className={`px-4 py-2 text-sm font-medium border ${i > 0 ? 'border-l-0' : 'rounded-l-lg'} ${
+                  i === MODE_BUTTONS.length - 1 ? 'rounded-r-lg' : ''
+                } ${
+                  searchType === mode
+                    ? 'bg-blue-600 text-white border-blue-600'
+                    : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
           </div>
         </div>
+
+        {children}
       </div>
     </div>
   );
@@ -0,0 +1,207 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNotes } from '../context/NotesContext';
+import { ROLES, ROLE_LABELS } from '../services/sharing';
+
+const ROLE_OPTIONS = [ROLES.VIEWER, ROLES.COMMENTER, ROLES.EDITOR];
+
+function RoleSelect({ value, onChange, disabled }) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm disabled:opacity-50"
+    >
+      {ROLE_OPTIONS.map(role => (
+        <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+      ))}
+    </select>
+  );
+}
+
+// Shares a note, or a notebook with everything in it. Notebooks only go to people with an
+// account, so they have no invitations.
+export default function ShareDialog({ note, notebook, onClose }) {
+  const {
+    notes,
+    notebooks,
+    canShare,
+    shareNote,
+    removeCollaborator,
+    shareNotebook,
+    removeNotebookCollaborator,
+    listInvitations,
+    revokeInvitation,
+  } = useNotes();
+  const item = notebook || note;
+  // Sharing changes update what's stored, not the copy the dialog was opened with
+  const current = (notebook ? notebooks : notes).find(existing => existing.id === item.id) || item;
+  const title = notebook ? current.name : current.title || 'Untitled';
+  const share = notebook ? shareNotebook : shareNote;
+  const remove = notebook ? removeNotebookCollaborator : removeCollaborator;
+  const collaborators = Object.entries(current.collaborators || {});
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState(ROLES.VIEWER);
+  const [invitations, setInvitations] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const loadInvitations = useCallback(async () => {
+    if (notebook) return;
+    try {
+      setInvitations(await listInvitations(note.id));
+    } catch (err) {
+      console.error('Failed to load invitations:', err);
+    }
+  }, [listInvitations, notebook, note?.id]);
+
+  useEffect(() => {
+    if (canShare) loadInvitations();
+  }, [canShare, loadInvitations]);
+
+  // Runs one sharing change, reporting failures in the dialog
+  const run = async (work) => {
+    setBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      await work();
+    } catch (err) {
+      console.error('Sharing failed:', err);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleShare = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const result = await share(item.id, email, role);
+      if (result.status === 'invited') {
+        setMessage(`${email.trim()} doesn't have an account yet. They'll get access when they sign up.`);
+        await loadInvitations();
+      } else {
+        setMessage(`Shared with ${email.trim()}.`);
+      }
+      setEmail('');
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-lg bg-white dark:bg-gray-800 rounded-lg shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label={`Share ${title}`}
+      >
+        <div className="flex justify-between items-center px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Share {notebook ? 'notebook ' : ''}"{title}"
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+            title="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        {!canShare ? (
+          <p className="px-4 py-4 text-sm text-gray-600 dark:text-gray-400">
+            Notes stored on this device can't be shared. Sharing needs the Firestore backend
+            (REACT_APP_NOTES_BACKEND=firestore).
+          </p>
+        ) : (
+          <div className="px-4 py-4 space-y-4">
+            {notebook && (
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                Everyone added here gets the same access to every note and notebook in it, including ones added later.
+              </p>
+            )}
+            <form onSubmit={handleShare} className="flex space-x-2">
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Email address"
+                required
+                className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-400 text-sm"
+              />
+              <RoleSelect value={role} onChange={setRole} disabled={busy} />
+              <button
+                type="submit"
+                disabled={busy || !email.trim()}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 text-sm"
+              >
+                Share
+              </button>
+            </form>
+
+            {message && <p className="text-sm text-green-700 dark:text-green-400">{message}</p>}
+            {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+            <div>
+              <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">People with access</h4>
+              {collaborators.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Only you can see this {notebook ? 'notebook' : 'note'}.
+                </p>
+              ) : (
+                <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+                  {collaborators.map(([uid, collaborator]) => (
+                    <li key={uid} className="flex items-center justify-between py-2 text-sm">
+                      <span className="text-gray-900 dark:text-white truncate mr-2">{collaborator.email}</span>
+                      <div className="flex items-center space-x-2">
+                        <RoleSelect
+                          value={collaborator.role}
+                          onChange={(newRole) => run(() => share(item.id, collaborator.email, newRole))}
+                          disabled={busy}
+                        />
+                        <button
+                          onClick={() => run(() => remove(item.id, uid))}
+                          disabled={busy}
+                          className="text-xs text-red-600 dark:text-red-400 hover:underline disabled:opacity-50"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {invitations.length > 0 && (
+              <div>
+                <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Pending invitations</h4>
+                <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+                  {invitations.map(invitation => (
+                    <li key={invitation.email} className="flex items-center justify-between py-2 text-sm">
+                      <span className="text-gray-600 dark:text-gray-400 truncate mr-2">
+                        {invitation.email} · {ROLE_LABELS[invitation.role]}
+                      </span>
+                      <button
+                        onClick={() => run(async () => {
+                          await revokeInvitation(note.id, invitation.email);
+                          await loadInvitations();
+                        })}
+                        disabled={busy}
+                        className="text-xs text-red-600 dark:text-red-400 hover:underline disabled:opacity-50"
+                      >
+                        Revoke
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+import { useState } from 'react';
+import { useSavedSearches } from '../context/SavedSearchesContext';
+import { parseSearchQuery } from '../utils/searchQuery';
+
+const isOpen = (search, query, searchType) => search.query === query.trim() && search.searchType === searchType;
+
+// Saved searches in the dashboard sidebar, each with how many notes it finds right now
+export default function SmartFolders({ query, searchType, onOpen }) {
+  const { searches, counts, newCounts, error, saveSearch, removeSearch, togglePinned, toggleNotify, markSeen } = useSavedSearches();
+  const [naming, setNaming] = useState(false);
+  const [name, setName] = useState('');
+  const [actionError, setActionError] = useState('');
+
+  const canSave = query.trim() && parseSearchQuery(query).errors.length === 0 &&
+    !searches.some(search => isOpen(search, query, searchType));
+
+  const run = async (action) => {
+    try {
+      setActionError('');
+      await action();
+    } catch (err) {
+      console.error('Saved search action failed:', err);
+      setActionError(err.message);
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await saveSearch({ name, query, searchType });
+      setNaming(false);
+      setName('');
+    });
+  };
+
+  const handleOpen = (search) => {
+    onOpen(search);
+    run(() => markSeen(search));
+  };
+
+  const handleRemove = (search) => {
+    if (window.confirm(`Delete the smart folder "${search.name}"? Its notes are kept.`)) {
+      run(() => removeSearch(search.id));
+    }
+  };
+
+  return (
+    <nav aria-label="Smart folders" className="text-sm">
+      <h2 className="font-semibold text-gray-700 dark:text-gray-300 mb-2">Smart folders</h2>
+
+      {searches.length === 0 && (
+        <p className="text-gray-500 dark:text-gray-400 mb-2">
+          Save a search to keep its notes one click away.
+        </p>
+      )}
+
+      <ul className="space-y-1">
+        {searches.map(search => {
+          const active = isOpen(search, query, searchType);
+          return (
+            <li
+              key={search.id}
+              className={`group flex items-center rounded-md ${
+                active ? 'bg-blue-50 dark:bg-blue-900/30' : 'hover:bg-gray-100 dark:hover:bg-gray-800'
+              }`}
+            >
+              <button
+                onClick={() => handleOpen(search)}
+                aria-current={active ? 'true' : undefined}
+                title={search.query}
+                className={`flex-1 min-w-0 flex items-center px-2 py-1 text-left ${
+                  active ? 'text-blue-700 dark:text-blue-300' : 'text-gray-700 dark:text-gray-300'
+                }`}
+              >
+                {search.pinned && <span className="mr-1" aria-label="Pinned">📌</span>}
+                <span className="truncate">{search.name}</span>
+                {newCounts[search.id] > 0 && (
+                  <span className="ml-2 shrink-0 px-1.5 text-xs bg-blue-600 text-white rounded-full">
+                    {newCounts[search.id]} new
+                  </span>
+                )}
+                <span className="ml-auto pl-2 shrink-0 text-xs text-gray-500 dark:text-gray-400">
+                  {counts[search.id] ?? '…'}
+                </span>
+              </button>
+              <div className="hidden group-hover:flex group-focus-within:flex items-center pr-1 space-x-1 text-xs">
+                <button
+                  onClick={() => run(() => togglePinned(search))}
+                  title={search.pinned ? 'Unpin' : 'Pin to the top and under the search bar'}
+                  className="text-gray-400 hover:text-gray-700 dark:hover:text-gray-200"
+                >
+                  {search.pinned ? 'Unpin' : 'Pin'}
+                </button>
+                <button
+                  onClick={() => run(() => toggleNotify(search))}
+                  title={search.notify ? 'Stop telling me about new matches' : 'Tell me when new notes match'}
+                  className={search.notify ? 'text-blue-600 dark:text-blue-400' : 'text-gray-400 hover:text-gray-700 dark:hover:text-gray-200'}
+                >
+                  🔔
+                </button>
+                <button
+                  onClick={() => handleRemove(search)}
+                  title="Delete smart folder"
+                  className="text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                >
+                  ✕
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {canSave && (naming ? (
+        <form onSubmit={handleSave} className="mt-3 space-y-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Folder name"
+            aria-label="Folder name"
+            autoFocus
+            className="w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              disabled={!name.trim()}
+              className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={() => setNaming(false)}
+              className="px-3 py-1 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-200"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          onClick={() => setNaming(true)}
+          className="mt-3 text-blue-600 dark:text-blue-400 hover:underline"
+        >
+          + Save this search
+        </button>
+      ))}
+
+      {(error || actionError) && (
+        <p className="mt-2 text-red-600 dark:text-red-400">{error || actionError}</p>
+      )}
+    </nav>
+  );
+}
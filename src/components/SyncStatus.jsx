@@ -0,0 +1,32 @@
+import { useNotes } from '../context/NotesContext';
+
+// Connectivity and sync queue at a glance; only shown for synced backends
+export default function SyncStatus() {
+  const { syncStatus } = useNotes();
+  if (!syncStatus) return null;
+
+  const { online, syncing, pending, error, lastSyncedAt } = syncStatus;
+  const waiting = pending > 0 ? ` · ${pending} change${pending === 1 ? '' : 's'} waiting` : '';
+
+  let label = '✅ Synced';
+  let className = 'text-green-600 dark:text-green-400';
+  if (!online) {
+    label = `📴 Offline${waiting}`;
+    className = 'text-gray-500 dark:text-gray-400';
+  } else if (syncing) {
+    label = '🔄 Syncing...';
+    className = 'text-blue-600 dark:text-blue-400';
+  } else if (error) {
+    label = `⚠️ Sync paused${waiting}`;
+    className = 'text-amber-600 dark:text-amber-400';
+  }
+
+  return (
+    <span
+      className={`text-sm ${className}`}
+      title={error || (lastSyncedAt ? `Last synced ${new Date(lastSyncedAt).toLocaleString()}` : 'Not synced yet')}
+    >
+      {label}
+    </span>
+  );
+}
@@ -0,0 +1,147 @@
+import { useState, useRef, useEffect } from 'react';
+import { askVault } from '../services/ai';
+
+export default function VaultChat({ notes, onOpenNote, onClose }) {
+  const [messages, setMessages] = useState([]);
+  const [question, setQuestion] = useState('');
+  const [loading, setLoading] = useState(false);
+  const messagesEndRef = useRef(null);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView?.({ behavior: 'smooth' });
+  }, [messages, loading]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const asked = question.trim();
+    if (!asked || loading) return;
+
+    setMessages(previous => [...previous, { role: 'user', text: asked }]);
+    setQuestion('');
+    setLoading(true);
+
+    try {
+      const result = await askVault(asked, notes);
+      setMessages(previous => [...previous, { role: 'assistant', text: result.answer, ...result }]);
+    } catch (error) {
+      console.error('Ask vault failed:', error);
+      setMessages(previous => [...previous, {
+        role: 'assistant',
+        text: 'Something went wrong while searching your notes. Please try again.',
+        citations: [],
+        failed: true,
+      }]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openSource = (source) => {
+    const note = notes.find(n => n.id === source.noteId);
+    if (note) {
+      onOpenNote(note);
+    }
+  };
+
+  // Turn "[2]" markers in an answer into links to the cited note
+  const renderAnswer = (message) => message.text.split(/(\[\d+\])/g).map((part, i) => {
+    const source = message.citations?.find(citation => `[${citation.index}]` === part);
+    if (!source) return <span key={i}>{part}</span>;
+    return (
+      <button
+        key={i}
+        onClick={() => openSource(source)}
+        className="text-blue-600 dark:text-blue-400 hover:underline align-super text-xs"
+        title={source.title}
+      >
+        {part}
+      </button>
+    );
+  });
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md border border-gray-200 dark:border-gray-700 mb-8">
+      <div className="flex justify-between items-center px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+          💬 Ask your vault
+        </h3>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+          title="Close"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="max-h-96 overflow-y-auto px-4 py-3 space-y-4">
+        {messages.length === 0 && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Ask a question and get an answer drawn from your notes, with links to the notes it came from.
+          </p>
+        )}
+
+        {messages.map((message, i) => (
+          <div key={i} className={message.role === 'user' ? 'flex justify-end' : 'flex justify-start'}>
+            <div className={`max-w-[85%] rounded-lg px-3 py-2 text-sm ${
+              message.role === 'user'
+                ? 'bg-blue-600 text-white'
+                : message.failed
+                  ? 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300'
+                  : 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200'
+            }`}>
+              <p className="whitespace-pre-line">
+                {message.role === 'user' ? message.text : renderAnswer(message)}
+              </p>
+
+              {message.citations?.length > 0 && (
+                <div className="mt-2 pt-2 border-t border-gray-200 dark:border-gray-600 space-y-1">
+                  {message.citations.map(source => (
+                    <button
+                      key={source.index}
+                      onClick={() => openSource(source)}
+                      className="block text-left text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                    >
+                      [{source.index}] {source.title}{source.heading ? ` — ${source.heading}` : ''}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {message.role === 'assistant' && message.provider && (
+                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                  {message.extractive ? 'Quoted from your notes' : `Answered by ${message.provider}`}
+                </p>
+              )}
+            </div>
+          </div>
+        ))}
+
+        {loading && (
+          <div className="flex items-center text-sm text-gray-500 dark:text-gray-400">
+            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600 mr-2"></div>
+            Searching your notes...
+          </div>
+        )}
+        <div ref={messagesEndRef} />
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex space-x-2 px-4 py-3 border-t border-gray-200 dark:border-gray-700">
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder="What did we decide about the roadmap?"
+          className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={loading || !question.trim()}
+          className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          Ask
+        </button>
+      </form>
+    </div>
+  );
+}
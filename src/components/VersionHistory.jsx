@@ -0,0 +1,168 @@
+import { useState, useMemo, useEffect } from 'react';
+import { diffWords } from '../utils/diff';
+import { htmlToText } from '../utils/textAnalysis';
+import { versionAuthorLabel } from '../services/noteVersions';
+
+const PART_STYLES = {
+  insert: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-200',
+  delete: 'bg-red-100 text-red-800 line-through dark:bg-red-900/40 dark:text-red-200',
+  equal: '',
+};
+
+// History is only downloaded when the panel opens, and again when a save records a new version.
+// Without onRestore (read-only collaborators) versions can be compared but not restored.
+export default function VersionHistory({ loadVersions, versionCount, latestVersionId, userId, onRestore, onClose }) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const newest = versions.length - 1;
+  const [fromIndex, setFromIndex] = useState(0);
+  const [toIndex, setToIndex] = useState(0);
+  const [restoring, setRestoring] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    loadVersions()
+      .then(loaded => {
+        if (cancelled) return;
+        setVersions(loaded);
+        setFromIndex(Math.max(0, loaded.length - 2));
+        setToIndex(Math.max(0, loaded.length - 1));
+        setError('');
+      })
+      .catch(err => {
+        console.error('Failed to load version history:', err);
+        if (!cancelled) setError('Failed to load version history: ' + err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [loadVersions, latestVersionId]);
+
+  const from = versions[fromIndex];
+  const to = versions[toIndex];
+  const parts = useMemo(
+    () => (from && to ? diffWords(htmlToText(from.content), htmlToText(to.content)) : []),
+    [from, to]
+  );
+
+  const describe = (version, index) =>
+    `${new Date(version.timestamp).toLocaleString()} · ${versionAuthorLabel(version, userId)}${index === newest ? ' (latest)' : ''}`;
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore the version from ${new Date(version.timestamp).toLocaleString()}? Your current text is kept in the history.`)) {
+      return;
+    }
+    setRestoring(true);
+    try {
+      await onRestore(version);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const versionSelect = (value, onChange, label) => (
+    <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+      <span>{label}</span>
+      <select
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+      >
+        {versions.map((version, index) => (
+          <option key={index} value={index}>{describe(version, index)}</option>
+        )).reverse()}
+      </select>
+    </label>
+  );
+
+  return (
+    <div className="mb-6 border border-gray-200 dark:border-gray-700 rounded-lg">
+      <div className="flex justify-between items-center px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+        <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300">
+          🕘 Version history ({loading ? versionCount : versions.length})
+        </h3>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+          title="Close"
+        >
+          ✕
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center px-4 py-3 text-sm text-gray-500 dark:text-gray-400">
+          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600 mr-2"></div>
+          Loading history...
+        </div>
+      ) : error ? (
+        <p className="px-4 py-3 text-sm text-red-600 dark:text-red-400">{error}</p>
+      ) : versions.length === 0 ? (
+        <p className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">
+          No versions yet. One is recorded each time you save changes to the title or text.
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3">
+          <ul className="md:border-r border-gray-200 dark:border-gray-700 max-h-96 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700">
+            {versions.map((version, index) => (
+              <li key={index} className={`px-4 py-2 text-sm ${index === fromIndex ? 'bg-blue-50 dark:bg-blue-900/20' : ''}`}>
+                <p className="text-gray-900 dark:text-white">{new Date(version.timestamp).toLocaleString()}</p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {versionAuthorLabel(version, userId)}
+                  {version.restoredFrom && ` · restored from ${new Date(version.restoredFrom).toLocaleString()}`}
+                </p>
+                <div className="flex space-x-3 mt-1">
+                  <button
+                    onClick={() => {
+                      setFromIndex(index);
+                      setToIndex(newest);
+                    }}
+                    className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                  >
+                    Compare with latest
+                  </button>
+                  {onRestore && index !== newest && (
+                    <button
+                      onClick={() => handleRestore(version)}
+                      disabled={restoring}
+                      className="text-xs text-purple-600 dark:text-purple-400 hover:underline disabled:opacity-50"
+                    >
+                      Restore
+                    </button>
+                  )}
+                </div>
+              </li>
+            )).reverse()}
+          </ul>
+
+          <div className="md:col-span-2 px-4 py-3 space-y-3">
+            <div className="flex flex-wrap gap-3">
+              {versionSelect(fromIndex, setFromIndex, 'From')}
+              {versionSelect(toIndex, setToIndex, 'To')}
+            </div>
+
+            {from && to && from.title !== to.title && (
+              <p className="text-sm">
+                <span className={PART_STYLES.delete}>{from.title}</span>{' → '}
+                <span className={PART_STYLES.insert}>{to.title}</span>
+              </p>
+            )}
+
+            <p className="text-sm text-gray-800 dark:text-gray-200 max-h-80 overflow-y-auto whitespace-pre-wrap">
+              {parts.length === 0 || parts.every(part => part.type === 'equal')
+                ? <em className="text-gray-500 dark:text-gray-400">No text changes between these versions.</em>
+                : parts.map((part, i) => (
+                  <span key={i} className={PART_STYLES[part.type]}>{part.text}</span>
+                ))}
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
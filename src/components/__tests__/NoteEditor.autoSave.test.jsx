@@ -0,0 +1,101 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import NoteEditor from '../NoteEditor';
+import { AuthContext } from '../../context/AuthContext';
+import { NotesContext } from '../../context/NotesContext';
+
+jest.mock('../../services/firebase', () => ({ db: {}, auth: {} }));
+
+// Mock axios
+jest.mock('axios', () => ({
+  create: jest.fn(() => ({
+    post: jest.fn()
+  }))
+}));
+
+jest.mock('../../services/ai', () => ({
+  getSummary: jest.fn(async () => ({ ok: true, value: 'A summary' })),
+  getTags: jest.fn(async () => ({ ok: true, value: [] })),
+  getEmbeddingWithModel: jest.fn(async () => ({ embedding: null, embeddingModel: null })),
+  findRelatedNotes: jest.fn(async () => []),
+  isFailureSummary: () => false,
+  SUMMARY_STYLES: { PARAGRAPH: 'paragraph' },
+  AI_ERROR_CODES: {},
+}));
+
+// Mock ReactQuill to avoid issues with rich text editor in tests
+jest.mock('react-quill', () => {
+  return function MockReactQuill({ value, onChange, placeholder }) {
+    return (
+      <textarea
+        data-testid="content-editor"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={placeholder}
+      />
+    );
+  };
+});
+
+jest.mock('react-quill/dist/quill.snow.css', () => {});
+jest.mock('../NoteEditor.css', () => {});
+
+const existingNote = {
+  id: 'note-1',
+  ownerId: 'alice',
+  title: 'Groceries',
+  content: '<p>Milk</p>',
+  tags: ['home'],
+};
+
+describe('NoteEditor auto-save', () => {
+  let saveNote;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    saveNote = jest.fn(async (note) => note);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const renderNoteEditor = () => render(
+    <MemoryRouter>
+      <AuthContext.Provider value={{ user: { uid: 'alice' } }}>
+        <NotesContext.Provider value={{ saveNote, notes: [existingNote], getVersions: jest.fn(async () => []) }}>
+          <NoteEditor existingNote={existingNote} />
+        </NotesContext.Provider>
+      </AuthContext.Provider>
+    </MemoryRouter>
+  );
+
+  const waitForAutoSave = () => act(async () => {
+    jest.advanceTimersByTime(3000);
+  });
+
+  test('should not save a note that was only opened', async () => {
+    renderNoteEditor();
+    await waitForAutoSave();
+
+    expect(saveNote).not.toHaveBeenCalled();
+  });
+
+  test('should save once the note changes, and not again until it changes', async () => {
+    renderNoteEditor();
+    fireEvent.change(screen.getByTestId('content-editor'), { target: { value: '<p>Milk, eggs</p>' } });
+    await waitForAutoSave();
+
+    expect(saveNote).toHaveBeenCalledTimes(1);
+    expect(saveNote.mock.calls[0][0]).toMatchObject({ id: 'note-1', content: '<p>Milk, eggs</p>', tags: ['home'] });
+
+    // Edits that end up back at what was just saved don't need saving again
+    fireEvent.change(screen.getByTestId('content-editor'), { target: { value: '<p>Milk</p>' } });
+    fireEvent.change(screen.getByTestId('content-editor'), { target: { value: '<p>Milk, eggs</p>' } });
+    await waitForAutoSave();
+
+    expect(saveNote).toHaveBeenCalledTimes(1);
+  });
+});
@@ -3,6 +3,7 @@ import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import NoteEditor from '../NoteEditor';
 import { AuthContext } from '../../context/AuthContext';
+import { NotesContext } from '../../context/NotesContext';
 
 // Mock ReactQuill
 jest.mock('react-quill', () => {
@@ -56,6 +57,15 @@ describe('NoteEditor - Regenerate Button Integration Tests', () => {
     register: jest.fn()
   };
 
+  const mockNotesContext = {
+    notes: [],
+    loading: false,
+    error: null,
+    saveNote: jest.fn(),
+    deleteNote: jest.fn(),
+    getNote: jest.fn()
+  };
+
   const defaultProps = {
     onSave: jest.fn(),
     onCancel: jest.fn()
@@ -64,12 +74,15 @@ describe('NoteEditor - Regenerate Button Integration Tests', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     localStorageMock.getItem.mockReturnValue(null);
+    mockNotesContext.saveNote.mockImplementation(async (noteData) => noteData);
   });
 
   const renderNoteEditor = (props = {}) => {
     return render(
       <AuthContext.Provider value={mockAuthContext}>
-        <NoteEditor {...defaultProps} {...props} />
+        <NotesContext.Provider value={mockNotesContext}>
+          <NoteEditor {...defaultProps} {...props} />
+        </NotesContext.Provider>
       </AuthContext.Provider>
     );
   };
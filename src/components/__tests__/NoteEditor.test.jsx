@@ -3,6 +3,7 @@ import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import NoteEditor from '../NoteEditor';
 import { AuthContext } from '../../context/AuthContext';
+import { NotesContext } from '../../context/NotesContext';
 import * as aiService from '../../services/ai';
 
 // Mock the AI service
@@ -60,6 +61,15 @@ describe('NoteEditor - Regenerate Button', () => {
     register: jest.fn()
   };
 
+  const mockNotesContext = {
+    notes: [],
+    loading: false,
+    error: null,
+    saveNote: jest.fn(),
+    deleteNote: jest.fn(),
+    getNote: jest.fn()
+  };
+
   const defaultProps = {
     onSave: jest.fn(),
     onCancel: jest.fn()
@@ -68,17 +78,20 @@ describe('NoteEditor - Regenerate Button', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     localStorageMock.getItem.mockReturnValue(null);
+    mockNotesContext.saveNote.mockImplementation(async (noteData) => noteData);
     
     // Setup default AI service mocks
-    aiService.getSummary.mockResolvedValue('Test summary');
-    aiService.getTags.mockResolvedValue(['test', 'tag']);
+    aiService.getSummary.mockResolvedValue({ ok: true, value: 'Test summary', error: null });
+    aiService.getTags.mockResolvedValue({ ok: true, value: ['test', 'tag'], error: null });
     aiService.getEmbedding.mockResolvedValue([0.1, 0.2, 0.3]);
   });
 
   const renderNoteEditor = (props = {}) => {
     return render(
       <AuthContext.Provider value={mockAuthContext}>
-        <NoteEditor {...defaultProps} {...props} />
+        <NotesContext.Provider value={mockNotesContext}>
+          <NoteEditor {...defaultProps} {...props} />
+        </NotesContext.Provider>
       </AuthContext.Provider>
     );
   };
@@ -105,7 +118,7 @@ describe('NoteEditor - Regenerate Button', () => {
     test('should show "Loading..." text when regenerating', async () => {
       // Make getSummary take some time to resolve
       aiService.getSummary.mockImplementation(() => 
-        new Promise(resolve => setTimeout(() => resolve('New summary'), 100))
+        new Promise(resolve => setTimeout(() => resolve({ ok: true, value: 'New summary', error: null }), 100))
       );
 
       renderNoteEditor();
@@ -126,7 +139,7 @@ describe('NoteEditor - Regenerate Button', () => {
     });
 
     test('should change back to "Regenerate" after loading completes', async () => {
-      aiService.getSummary.mockResolvedValue('New regenerated summary');
+      aiService.getSummary.mockResolvedValue({ ok: true, value: 'New regenerated summary', error: null });
 
       renderNoteEditor();
       
@@ -174,7 +187,7 @@ describe('NoteEditor - Regenerate Button', () => {
 
     test('should update summary with new content after regeneration', async () => {
       const newSummary = 'This is a newly regenerated summary';
-      aiService.getSummary.mockResolvedValue(newSummary);
+      aiService.getSummary.mockResolvedValue({ ok: true, value: newSummary, error: null });
 
       renderNoteEditor();
       
@@ -195,7 +208,7 @@ describe('NoteEditor - Regenerate Button', () => {
 
     test('should disable regenerate button during processing', async () => {
       aiService.getSummary.mockImplementation(() => 
-        new Promise(resolve => setTimeout(() => resolve('New summary'), 100))
+        new Promise(resolve => setTimeout(() => resolve({ ok: true, value: 'New summary', error: null }), 100))
       );
 
       renderNoteEditor();
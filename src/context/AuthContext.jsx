@@ -4,10 +4,13 @@ import {
   signInWithEmailAndPassword, 
   createUserWithEmailAndPassword, 
   signOut,
-  updateProfile 
+  updateProfile,
+  sendEmailVerification
 } from 'firebase/auth';
 import { doc, setDoc, getDoc } from 'firebase/firestore';
 import { auth, db } from '../services/firebase';
+import { setAuthTokenProvider } from '../services/aiProviders';
+import { normalizeEmail } from '../services/sharing';
 
 export const AuthContext = createContext();
 
@@ -19,22 +22,42 @@ export function useAuth() {
   return context;
 }
 
+// Makes the account findable by its exact email, so notes can be shared with it. Profiles
+// themselves can't be queried by email (see firestore.rules and storage/firestoreDirectory).
+// Security rules only accept it once the email is verified.
+async function publishEmail(firebaseUser, displayName = firebaseUser.displayName) {
+  const email = normalizeEmail(firebaseUser.email);
+  if (!email || !firebaseUser.emailVerified) return;
+  const entry = doc(db, 'userEmails', email);
+  const existing = await getDoc(entry);
+  if (!existing.exists() || (displayName && existing.data().displayName !== displayName)) {
+    await setDoc(entry, { uid: firebaseUser.uid, displayName: displayName || null });
+  }
+}
+
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
+    // The AI proxy authenticates requests with the current user's ID token
+    setAuthTokenProvider(() => auth.currentUser?.getIdToken() ?? null);
+
     const unsubscribe = onAuthStateChanged(auth, async (firebaseUser) => {
       try {
         if (firebaseUser) {
           // Get user data from Firestore
           const userDoc = await getDoc(doc(db, 'users', firebaseUser.uid));
           const userData = userDoc.exists() ? userDoc.data() : {};
+          // Accounts that verified their email since, or registered before email entries
+          // existed, get theirs on the next sign-in
+          publishEmail(firebaseUser).catch(error => console.error('Failed to publish email:', error));
 
           setUser({
             uid: firebaseUser.uid,
             email: firebaseUser.email,
             displayName: firebaseUser.displayName,
+            emailVerified: firebaseUser.emailVerified,
             role: userData.role || 'user',
             ...userData
           });
@@ -56,23 +79,41 @@ export function AuthProvider({ children }) {
     return signInWithEmailAndPassword(auth, email, password);
   };
 
-  const register = async (email, password, displayName, role = 'user') => {
+  const register = async (email, password, displayName) => {
     const result = await createUserWithEmailAndPassword(auth, email, password);
     
     // Update profile
     await updateProfile(result.user, { displayName });
     
     // Save user data to Firestore
+    // Stored normalized, so notes can be shared by email (see services/sharing).
+    // Every account starts as a plain user; security rules reject any other role.
     await setDoc(doc(db, 'users', result.user.uid), {
-      email,
+      email: normalizeEmail(email),
       displayName,
-      role,
+      role: 'user',
       createdAt: new Date().toISOString()
     });
+    // Notes can only be shared with the account once it has proven it owns the email
+    await sendEmailVerification(result.user);
     
     return result;
   };
 
+  const resendVerification = () => sendEmailVerification(auth.currentUser);
+
+  // After following the link in the verification email; the ID token is refreshed so
+  // security rules see the verified email straight away
+  const checkEmailVerified = async () => {
+    const firebaseUser = auth.currentUser;
+    await firebaseUser.reload();
+    if (!firebaseUser.emailVerified) return false;
+    await firebaseUser.getIdToken(true);
+    await publishEmail(firebaseUser);
+    setUser(previous => previous && { ...previous, emailVerified: true });
+    return true;
+  };
+
   const logout = () => {
     return signOut(auth);
   };
@@ -82,7 +123,9 @@ export function AuthProvider({ children }) {
     loading,
     login,
     register,
-    logout
+    logout,
+    resendVerification,
+    checkEmailVerified
   };
 
   return (
@@ -0,0 +1,265 @@
+import React, { createContext, useState, useEffect, useContext, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { getNotesRepository, importLocalNotes } from '../services/notesService';
+import { loadDemoData } from '../utils/demoData';
+
+export const NotesContext = createContext();
+
+export function useNotes() {
+  const context = useContext(NotesContext);
+  if (!context) {
+    throw new Error('useNotes must be used within a NotesProvider');
+  }
+  return context;
+}
+
+const byNewest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+const upsert = (notes, saved) => [...notes.filter(note => note.id !== saved.id), saved].sort(byNewest);
+
+export function NotesProvider({ children, repository = getNotesRepository() }) {
+  const { user } = useAuth();
+  const [notes, setNotes] = useState([]);
+  // Notes other users shared with this one
+  const [sharedNotes, setSharedNotes] = useState([]);
+  // The user's notebooks and those shared with them, as a flat list (see utils/notebookTree)
+  const [notebooks, setNotebooks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const syncEngine = repository.syncEngine;
+  const [syncStatus, setSyncStatus] = useState(() => syncEngine?.getStatus() ?? null);
+  const [conflicts, setConflicts] = useState([]);
+
+  const refresh = useCallback(async () => {
+    if (!user) {
+      setNotes([]);
+      setSharedNotes([]);
+      setNotebooks([]);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await importLocalNotes(user.uid, repository);
+      await loadDemoData(repository, user.uid);
+      await repository.acceptInvitations(user);
+      setNotes(await repository.listNotes(user.uid));
+      setSharedNotes(await repository.listSharedNotes(user.uid));
+      setNotebooks(await repository.listNotebooks(user.uid));
+      setError(null);
+    } catch (err) {
+      console.error('Failed to load notes:', err);
+      setError('Failed to load notes: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [user, repository]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Reload from the local cache whenever a sync pulls in or merges changes
+  useEffect(() => {
+    if (!syncEngine || !user) return;
+
+    const stop = syncEngine.start();
+    let revision = syncEngine.getStatus().revision;
+    const unsubscribe = syncEngine.subscribe(async (status) => {
+      setSyncStatus(status);
+      setConflicts(syncEngine.getConflicts());
+      if (status.revision !== revision) {
+        revision = status.revision;
+        setNotes((await syncEngine.listCached(user.uid)).sort(byNewest));
+      }
+    });
+    setConflicts(syncEngine.getConflicts());
+
+    return () => {
+      unsubscribe();
+      stop();
+    };
+  }, [syncEngine, user]);
+
+  const saveNote = useCallback(async (noteData, options = {}) => {
+    const previous = [...notes, ...sharedNotes].find(note => note.id === noteData.id);
+    const saved = await repository.saveNote(noteData, user.uid, {
+      authorName: user.displayName || user.email,
+      ...options,
+    });
+    if (saved.ownerId === user.uid) {
+      setNotes(current => upsert(current, saved));
+    } else {
+      setSharedNotes(current => upsert(current, saved));
+    }
+    // Renaming a note also renames the links to it in the user's other notes
+    if (previous && previous.title !== saved.title) {
+      setNotes(await repository.listNotes(user.uid));
+    }
+    return saved;
+  }, [repository, user, notes, sharedNotes]);
+
+  const deleteNote = useCallback(async (noteId) => {
+    const deleted = await repository.deleteNote(noteId, user.uid);
+    setNotes(previous => previous.filter(note => note.id !== noteId));
+    return deleted;
+  }, [repository, user]);
+
+  // Merging rewrites links in other notes and deletes the merged note, so the list is re-read
+  const mergeNotes = useCallback(async (targetId, sourceId) => {
+    const merged = await repository.mergeNotes(targetId, sourceId, user.uid, {
+      authorName: user.displayName || user.email,
+    });
+    setNotes(await repository.listNotes(user.uid));
+    if (merged.ownerId !== user.uid) {
+      setSharedNotes(previous => upsert(previous, merged));
+    }
+    return merged;
+  }, [repository, user]);
+
+  const resolveConflict = useCallback(async (noteId, resolution) => {
+    const resolved = await repository.resolveConflict(noteId, resolution, user.uid, {
+      authorName: user.displayName || user.email,
+    });
+    setConflicts(syncEngine.getConflicts());
+    if (resolved.ownerId === user.uid) {
+      setNotes(previous => upsert(previous, resolved));
+    } else {
+      setSharedNotes(previous => upsert(previous, resolved));
+    }
+    return resolved;
+  }, [repository, syncEngine, user]);
+
+  // Sharing changes are written to the server, so the note is re-read afterwards
+  const reloadNote = useCallback(async (noteId) => {
+    const note = await repository.getNote(noteId, user.uid);
+    if (note?.ownerId === user.uid) {
+      setNotes(previous => upsert(previous, note));
+    }
+    return note;
+  }, [repository, user]);
+
+  const shareNote = useCallback(async (noteId, email, role) => {
+    const result = await repository.shareNote(noteId, email, role, user.uid, {
+      ownerName: user.displayName || user.email,
+    });
+    await reloadNote(noteId);
+    return result;
+  }, [repository, user, reloadNote]);
+
+  const removeCollaborator = useCallback(async (noteId, collaboratorId) => {
+    await repository.removeCollaborator(noteId, collaboratorId, user.uid);
+    if (collaboratorId === user.uid) {
+      setSharedNotes(previous => previous.filter(note => note.id !== noteId));
+    } else {
+      await reloadNote(noteId);
+    }
+  }, [repository, user, reloadNote]);
+
+  const publishNote = useCallback(async (noteId, options) => {
+    const published = await repository.publishNote(noteId, user.uid, options);
+    setNotes(previous => upsert(previous, published));
+    return published;
+  }, [repository, user]);
+
+  const unpublishNote = useCallback(async (noteId) => {
+    const unpublished = await repository.unpublishNote(noteId, user.uid);
+    setNotes(previous => upsert(previous, unpublished));
+    return unpublished;
+  }, [repository, user]);
+
+  const listInvitations = useCallback(
+    (noteId) => repository.listInvitations(noteId, user.uid),
+    [repository, user]
+  );
+
+  const revokeInvitation = useCallback(
+    (noteId, email) => repository.revokeInvitation(noteId, email, user.uid),
+    [repository, user]
+  );
+
+  const getNote = useCallback(
+    (noteId) => repository.getNote(noteId, user?.uid),
+    [repository, user]
+  );
+
+  const getVersions = useCallback(
+    (noteId) => repository.getVersions(noteId, user?.uid),
+    [repository, user]
+  );
+
+  // Notebook changes can move and reshare any number of notes, so everything is re-read
+  const reloadNotebooks = useCallback(async () => {
+    setNotebooks(await repository.listNotebooks(user.uid));
+    setNotes(await repository.listNotes(user.uid));
+    setSharedNotes(await repository.listSharedNotes(user.uid));
+  }, [repository, user]);
+
+  const saveNotebook = useCallback(async (notebookData) => {
+    const saved = await repository.saveNotebook(notebookData, user.uid);
+    await reloadNotebooks();
+    return saved;
+  }, [repository, user, reloadNotebooks]);
+
+  const deleteNotebook = useCallback(async (notebookId) => {
+    const deleted = await repository.deleteNotebook(notebookId, user.uid, {
+      authorName: user.displayName || user.email,
+    });
+    await reloadNotebooks();
+    return deleted;
+  }, [repository, user, reloadNotebooks]);
+
+  // Files a note in a notebook, or takes it out of one with null
+  const moveNote = useCallback(
+    (noteId, notebookId) => saveNote({ id: noteId, notebookId }),
+    [saveNote]
+  );
+
+  const shareNotebook = useCallback(async (notebookId, email, role) => {
+    const result = await repository.shareNotebook(notebookId, email, role, user.uid);
+    await reloadNotebooks();
+    return result;
+  }, [repository, user, reloadNotebooks]);
+
+  const removeNotebookCollaborator = useCallback(async (notebookId, collaboratorId) => {
+    await repository.removeNotebookCollaborator(notebookId, collaboratorId, user.uid);
+    await reloadNotebooks();
+  }, [repository, user, reloadNotebooks]);
+
+  const value = {
+    notes,
+    sharedNotes,
+    loading,
+    error,
+    backend: repository.backend,
+    syncStatus,
+    conflicts,
+    resolveConflict,
+    refresh,
+    saveNote,
+    deleteNote,
+    mergeNotes,
+    notebooks,
+    canFile: repository.filing,
+    saveNotebook,
+    deleteNotebook,
+    moveNote,
+    shareNotebook,
+    removeNotebookCollaborator,
+    getNote,
+    getVersions,
+    canShare: repository.sharing,
+    shareNote,
+    removeCollaborator,
+    listInvitations,
+    revokeInvitation,
+    publishNote,
+    unpublishNote,
+  };
+
+  return (
+    <NotesContext.Provider value={value}>
+      {children}
+    </NotesContext.Provider>
+  );
+}
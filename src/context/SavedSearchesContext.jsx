@@ -0,0 +1,163 @@
+import React, { createContext, useState, useEffect, useContext, useCallback, useMemo, useRef } from 'react';
+import { useAuth } from './AuthContext';
+import { useNotes } from './NotesContext';
+import { getSavedSearches, sortSavedSearches, newMatches } from '../services/savedSearches';
+import { searchVault } from '../services/search';
+import { createSearchIndex } from '../utils/searchIndex';
+
+export const SavedSearchesContext = createContext();
+
+export function useSavedSearches() {
+  const context = useContext(SavedSearchesContext);
+  if (!context) {
+    throw new Error('useSavedSearches must be used within a SavedSearchesProvider');
+  }
+  return context;
+}
+
+// Saves in a burst (auto-save while typing) only recount the folders once
+const RECOUNT_DELAY = 500;
+
+// Tell the user through the browser too, if they've allowed it
+function notifyBrowser(search, count) {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  try {
+    new Notification(`${count} new in "${search.name}"`, { body: search.query, tag: `saved-search-${search.id}` });
+  } catch (error) {
+    // Some browsers only allow notifications from a service worker
+    console.warn('Could not show a notification:', error);
+  }
+}
+
+export function SavedSearchesProvider({ children, savedSearches = getSavedSearches() }) {
+  const { user } = useAuth();
+  const { notes, sharedNotes, notebooks } = useNotes();
+  const [searches, setSearches] = useState([]);
+  // Saved search id -> ids of the notes it matches now
+  const [matches, setMatches] = useState({});
+  const [error, setError] = useState(null);
+  // One full-text index for every folder and the search bar, kept up to date incrementally
+  const index = useMemo(() => createSearchIndex(), []);
+  // New matches already announced, so a recount doesn't announce them again
+  const announced = useRef(new Set());
+
+  const searchableNotes = useMemo(() => [...notes, ...sharedNotes], [notes, sharedNotes]);
+
+  useEffect(() => {
+    announced.current.clear();
+    if (!user) {
+      setSearches([]);
+      setMatches({});
+      return;
+    }
+
+    let cancelled = false;
+    savedSearches.list(user.uid)
+      .then(loaded => {
+        if (!cancelled) setSearches(loaded);
+      })
+      .catch(err => {
+        console.error('Failed to load saved searches:', err);
+        if (!cancelled) setError('Failed to load saved searches: ' + err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [user, savedSearches]);
+
+  // Live counts: every folder is re-run whenever the notes change
+  useEffect(() => {
+    if (!user || searches.length === 0) return;
+
+    let cancelled = false;
+    const timeoutId = setTimeout(async () => {
+      const counted = {};
+      for (const search of searches) {
+        try {
+          const { results } = await searchVault(searchableNotes, search.query, {
+            mode: search.searchType,
+            index,
+            userId: user.uid,
+            notebooks,
+          });
+          counted[search.id] = results.map(note => note.id);
+        } catch (err) {
+          console.error(`Failed to run saved search "${search.name}":`, err);
+          counted[search.id] = [];
+        }
+      }
+      if (!cancelled) setMatches(counted);
+    }, RECOUNT_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [user, searches, searchableNotes, notebooks, index]);
+
+  useEffect(() => {
+    searches.filter(search => search.notify && matches[search.id]).forEach(search => {
+      const fresh = newMatches(search, matches[search.id]).filter(id => !announced.current.has(`${search.id}:${id}`));
+      if (fresh.length === 0) return;
+      fresh.forEach(id => announced.current.add(`${search.id}:${id}`));
+      notifyBrowser(search, fresh.length);
+    });
+  }, [searches, matches]);
+
+  const saveSearch = useCallback(async (search) => {
+    const saved = await savedSearches.save({ seenIds: matches[search.id], ...search }, user.uid);
+    setSearches(previous => sortSavedSearches([...previous.filter(existing => existing.id !== saved.id), saved]));
+    return saved;
+  }, [savedSearches, user, matches]);
+
+  const removeSearch = useCallback(async (searchId) => {
+    await savedSearches.remove(searchId, user.uid);
+    setSearches(previous => previous.filter(search => search.id !== searchId));
+  }, [savedSearches, user]);
+
+  const togglePinned = useCallback(
+    (search) => saveSearch({ ...search, pinned: !search.pinned }),
+    [saveSearch]
+  );
+
+  // Turning notifications on starts from what matches now; only later matches are new
+  const toggleNotify = useCallback(async (search) => {
+    const notify = !search.notify;
+    if (notify && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+      await Notification.requestPermission();
+    }
+    return saveSearch({ ...search, notify, seenIds: matches[search.id] || search.seenIds || [] });
+  }, [saveSearch, matches]);
+
+  // Opening a folder shows its new matches, so they stop being new
+  const markSeen = useCallback(async (search) => {
+    const current = matches[search.id];
+    if (!search.notify || !current || newMatches(search, current).length === 0) return search;
+    return saveSearch({ ...search, seenIds: current });
+  }, [saveSearch, matches]);
+
+  const newCounts = useMemo(() => Object.fromEntries(searches.map(search => [
+    search.id,
+    search.notify && matches[search.id] ? newMatches(search, matches[search.id]).length : 0,
+  ])), [searches, matches]);
+
+  const value = {
+    searches,
+    // null until a folder has been counted
+    counts: Object.fromEntries(searches.map(search => [search.id, matches[search.id]?.length ?? null])),
+    newCounts,
+    error,
+    index,
+    saveSearch,
+    removeSearch,
+    togglePinned,
+    toggleNotify,
+    markSeen,
+  };
+
+  return (
+    <SavedSearchesContext.Provider value={value}>
+      {children}
+    </SavedSearchesContext.Provider>
+  );
+}
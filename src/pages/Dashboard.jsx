@@ -1,41 +1,57 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { Link, useNavigate, useLocation, useParams, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
+import { useNotes } from '../context/NotesContext';
+import { useSavedSearches } from '../context/SavedSearchesContext';
 import NoteCard from '../components/NoteCard';
-import NoteEditor from '../components/NoteEditor';
 import SearchBar from '../components/SearchBar';
-import { loadDemoData } from '../utils/demoData';
+import SmartFolders from '../components/SmartFolders';
+import NotebookTree, { NOTE_DRAG_TYPE } from '../components/NotebookTree';
+import AISettings from '../components/AISettings';
+import VaultChat from '../components/VaultChat';
+import ConflictResolver from '../components/ConflictResolver';
+import SyncStatus from '../components/SyncStatus';
+import EmailVerificationNotice from '../components/EmailVerificationNotice';
+import KnowledgeGraph from '../components/KnowledgeGraph';
+import { setVaultCorpus } from '../services/ai';
+import { roleOf } from '../services/sharing';
+import { notebookSubtree, notebookBreadcrumbs } from '../utils/notebookTree';
+import { DASHBOARD_PATH, NEW_NOTE_PATH, notePath, editNotePath, notebookPath, readSearch, writeSearch } from '../utils/routes';
+
+const hasTag = (note, tag) => note.tags?.some(noteTag => noteTag.toLowerCase() === tag.toLowerCase());
 
 export default function Dashboard() {
   const { user, logout } = useAuth();
   const { theme, toggleTheme } = useTheme();
-  const [notes, setNotes] = useState([]);
-  const [filteredNotes, setFilteredNotes] = useState([]);
-  const [showEditor, setShowEditor] = useState(false);
-  const [editingNote, setEditingNote] = useState(null);
-  const [viewMode, setViewMode] = useState('grid'); // 'grid' or 'list'
+  const { notes, sharedNotes, notebooks, canFile, loading, error, deleteNote, conflicts, resolveConflict } = useNotes();
+  const { searches, counts, index: searchIndex, markSeen } = useSavedSearches();
+  // Notes matching the search, own and shared together; null when not searching
+  const [searchResults, setSearchResults] = useState(null);
+  const [actionError, setActionError] = useState('');
+  const navigate = useNavigate();
+  const location = useLocation();
+  // /tags/:tag narrows the dashboard to one tag and /notebooks/:notebookId to one notebook;
+  // the search lives in the query string
+  const { tag, notebookId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { query, searchType } = readSearch(searchParams);
+  const [viewMode, setViewMode] = useState('grid'); // 'grid', 'list' or 'graph'
+  const [showChat, setShowChat] = useState(false);
+  const [showConflicts, setShowConflicts] = useState(false);
 
-  // Load notes from localStorage on mount
-  useEffect(() => {
-    const savedNotes = JSON.parse(localStorage.getItem('notes') || '[]');
-
-    // Load demo data if no notes exist
-    if (savedNotes.length === 0) {
-      const demoLoaded = loadDemoData();
-      if (demoLoaded) {
-        const demoNotes = JSON.parse(localStorage.getItem('notes') || '[]');
-        const sortedDemoNotes = demoNotes.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-        setNotes(sortedDemoNotes);
-        setFilteredNotes(sortedDemoNotes);
-        return;
-      }
-    }
+  // Searches cover shared notes too, so shared:me can find them
+  const searchableNotes = useMemo(() => [...notes, ...sharedNotes], [notes, sharedNotes]);
+  const sharedIds = useMemo(() => new Set(sharedNotes.map(note => note.id)), [sharedNotes]);
+  // The open notebook and everything nested in it; searches are narrowed to it afterwards,
+  // so the other notes still count towards ranking
+  const scope = useMemo(() => (notebookId ? notebookSubtree(notebooks, notebookId) : null), [notebooks, notebookId]);
+  const breadcrumbs = useMemo(() => (notebookId ? notebookBreadcrumbs(notebooks, notebookId) : []), [notebooks, notebookId]);
 
-    // Sort notes by creation date (newest first)
-    const sortedNotes = savedNotes.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    setNotes(sortedNotes);
-    setFilteredNotes(sortedNotes);
-  }, []);
+  // Keep the offline AI models fitted on the notes being searched
+  useEffect(() => {
+    setVaultCorpus(searchableNotes);
+  }, [searchableNotes]);
 
   const handleLogout = async () => {
     try {
@@ -45,62 +61,52 @@ export default function Dashboard() {
     }
   };
 
-  const handleCreateNote = () => {
-    setEditingNote(null);
-    setShowEditor(true);
-  };
+  // Notes remember where they were opened from, so closing one comes back to this view
+  const openNote = (path) => navigate(path, { state: { from: location } });
 
-  const handleEditNote = (note) => {
-    setEditingNote(note);
-    setShowEditor(true);
-  };
+  const handleCreateNote = () => openNote(NEW_NOTE_PATH);
 
-  const handleViewNote = (note) => {
-    setEditingNote(note);
-    setShowEditor(true);
-  };
+  const handleEditNote = (note) => openNote(editNotePath(note.id));
 
-  const handleSaveNote = (noteData) => {
-    const updatedNotes = editingNote
-      ? notes.map(note => note.id === editingNote.id ? noteData : note)
-      : [...notes, noteData];
+  const handleViewNote = (note) => openNote(notePath(note.id));
 
-    // Sort notes by creation date (newest first)
-    const sortedNotes = updatedNotes.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  // Typing replaces the address rather than adding a history entry per keystroke
+  const updateSearch = (changes, options) => setSearchParams(writeSearch(searchParams, changes), options);
 
-    setNotes(sortedNotes);
-    setFilteredNotes(sortedNotes);
-    localStorage.setItem('notes', JSON.stringify(sortedNotes));
-    setShowEditor(false);
-    setEditingNote(null);
+  const handleDeleteNote = async (noteToDelete) => {
+    try {
+      setActionError('');
+      await deleteNote(noteToDelete.id);
+    } catch (err) {
+      console.error('Failed to delete note:', err);
+      setActionError('Failed to delete note: ' + err.message);
+    }
   };
 
-  const handleDeleteNote = (noteToDelete) => {
-    const updatedNotes = notes.filter(note => note.id !== noteToDelete.id);
-    setNotes(updatedNotes);
-    setFilteredNotes(updatedNotes);
-    localStorage.setItem('notes', JSON.stringify(updatedNotes));
-  };
+  // A smart folder is its saved search, run again
+  const openSmartFolder = (search) => updateSearch({ query: search.query, searchType: search.searchType });
 
   const handleSearchResults = (results) => {
-    setFilteredNotes(results);
+    setSearchResults(results);
   };
 
   const handleClearSearch = () => {
-    setFilteredNotes(notes);
+    setSearchResults(null);
   };
 
-  if (showEditor) {
-    return (
-      <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-6">
-        <NoteEditor
-          existingNote={editingNote}
-          onSave={handleSaveNote}
-          onCancel={() => setShowEditor(false)}
-        />
-      </div>
-    );
-  }
+  const inView = useCallback((note) => (
+    (!tag || hasTag(note, tag)) && (!scope || scope.has(note.notebookId))
+  ), [tag, scope]);
+  const visibleNotes = useMemo(() => {
+    const found = searchResults ? searchResults.filter(note => !sharedIds.has(note.id)) : notes;
+    return found.filter(inView);
+  }, [inView, searchResults, sharedIds, notes]);
+  const visibleSharedNotes = useMemo(() => {
+    const found = searchResults ? searchResults.filter(note => sharedIds.has(note.id)) : sharedNotes;
+    return found.filter(inView);
+  }, [inView, searchResults, sharedIds, sharedNotes]);
+  // The graph shows shared notes alongside the user's own, since links cross between them
+  const graphNotes = useMemo(() => [...visibleNotes, ...visibleSharedNotes], [visibleNotes, visibleSharedNotes]);
 
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
@@ -118,13 +124,10 @@ export default function Dashboard() {
             </div>
 
             <div className="flex items-center space-x-4">
+              <SyncStatus />
+
               {/* AI Status Indicator */}
-              <div className="flex items-center space-x-2">
-                <div className="w-2 h-2 rounded-full bg-blue-500"></div>
-                <span className="text-xs text-gray-600 dark:text-gray-400" title="Using secure mock AI - no API keys exposed">
-                  AI: Secure
-                </span>
-              </div>
+              <AISettings />
 
               {/* Theme Toggle */}
               <button
@@ -153,20 +156,93 @@ export default function Dashboard() {
       </header>
 
       {/* Main Content */}
-      <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
-        <div className="px-4 sm:px-0">
+      <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8 lg:flex lg:space-x-8">
+        <aside className="px-4 sm:px-0 mb-6 lg:mb-0 lg:w-56 lg:shrink-0">
+          <NotebookTree activeId={notebookId} search={searchParams.toString() ? `?${searchParams}` : ''} />
+          <SmartFolders query={query} searchType={searchType} onOpen={openSmartFolder} />
+        </aside>
+
+        <div className="px-4 sm:px-0 lg:flex-1 lg:min-w-0">
           {/* Search and Controls */}
           <div className="mb-8">
             <SearchBar
-              notes={notes}
+              notes={searchableNotes}
+              userId={user?.uid}
+              query={query}
+              searchType={searchType}
+              onQueryChange={(value) => updateSearch({ query: value }, { replace: true })}
+              onSearchTypeChange={(value) => updateSearch({ searchType: value })}
+              index={searchIndex}
+              notebooks={notebooks}
               onResults={handleSearchResults}
               onClear={handleClearSearch}
-            />
+            >
+              {/* Pinned smart folders, one click from the search bar */}
+              {searches.some(search => search.pinned) && (
+                <div className="flex flex-wrap justify-center gap-2 mt-3">
+                  {searches.filter(search => search.pinned).map(search => (
+                    <button
+                      key={search.id}
+                      onClick={() => {
+                        openSmartFolder(search);
+                        markSeen(search).catch(err => console.error('Failed to update smart folder:', err));
+                      }}
+                      title={search.query}
+                      className="px-3 py-1 text-xs rounded-full bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-blue-100 dark:hover:bg-blue-900"
+                    >
+                      📌 {search.name} ({counts[search.id] ?? '…'})
+                    </button>
+                  ))}
+                </div>
+              )}
+            </SearchBar>
+
+            {breadcrumbs.length > 0 && (
+              <nav aria-label="Notebook" className="flex items-center flex-wrap mt-4 text-sm text-gray-600 dark:text-gray-400">
+                <span className="mr-2">In</span>
+                {breadcrumbs.map((notebook, i) => (
+                  <span key={notebook.id} className="flex items-center">
+                    {i > 0 && <span className="mx-1">›</span>}
+                    {i === breadcrumbs.length - 1 ? (
+                      <span className="font-medium text-gray-900 dark:text-white">{notebook.name}</span>
+                    ) : (
+                      <Link
+                        to={{ pathname: notebookPath(notebook.id), search: searchParams.toString() }}
+                        className="text-blue-600 dark:text-blue-400 hover:underline"
+                      >
+                        {notebook.name}
+                      </Link>
+                    )}
+                  </span>
+                ))}
+                <Link
+                  to={{ pathname: DASHBOARD_PATH, search: searchParams.toString() }}
+                  className="ml-2 text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                  Show all notes
+                </Link>
+              </nav>
+            )}
+
+            {tag && (
+              <div className="flex items-center space-x-2 mt-4 text-sm text-gray-600 dark:text-gray-400">
+                <span>Tagged</span>
+                <span className="inline-block px-2 py-1 text-xs bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200 rounded-full">
+                  {tag}
+                </span>
+                <Link
+                  to={{ pathname: DASHBOARD_PATH, search: searchParams.toString() }}
+                  className="text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                  Show all notes
+                </Link>
+              </div>
+            )}
 
             <div className="flex justify-between items-center mt-6">
               <div className="flex items-center space-x-4">
                 <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
-                  Your Notes ({filteredNotes.length})
+                  Your Notes ({visibleNotes.length})
                 </h2>
 
                 {/* View Mode Toggle */}
@@ -183,7 +259,7 @@ export default function Dashboard() {
                   </button>
                   <button
                     onClick={() => setViewMode('list')}
-                    className={`px-3 py-2 text-sm font-medium rounded-r-md border-t border-b border-r ${
+                    className={`px-3 py-2 text-sm font-medium border-t border-b border-r ${
                       viewMode === 'list'
                         ? 'bg-blue-600 text-white border-blue-600'
                         : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 border-gray-300 dark:border-gray-600'
@@ -191,23 +267,93 @@ export default function Dashboard() {
                   >
                     List
                   </button>
+                  <button
+                    onClick={() => setViewMode('graph')}
+                    className={`px-3 py-2 text-sm font-medium rounded-r-md border-t border-b border-r ${
+                      viewMode === 'graph'
+                        ? 'bg-blue-600 text-white border-blue-600'
+                        : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 border-gray-300 dark:border-gray-600'
+                    }`}
+                  >
+                    Graph
+                  </button>
                 </div>
               </div>
 
+              <div className="flex items-center space-x-3">
+                <button
+                  onClick={() => setShowChat(!showChat)}
+                  className={`px-4 py-3 rounded-md border transition-colors ${
+                    showChat
+                      ? 'bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300 border-blue-300 dark:border-blue-700'
+                      : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700'
+                  }`}
+                >
+                  💬 Ask
+                </button>
+                <button
+                  onClick={handleCreateNote}
+                  className="bg-blue-600 text-white px-6 py-3 rounded-md hover:bg-blue-700 transition-colors flex items-center space-x-2"
+                >
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                  </svg>
+                  <span>New Note</span>
+                </button>
+              </div>
+            </div>
+          </div>
+
+          {/* Notes edited on two devices */}
+          {conflicts.length > 0 && (showConflicts ? (
+            <ConflictResolver
+              key={conflicts[0].noteId}
+              conflict={conflicts[0]}
+              remaining={conflicts.length - 1}
+              onResolve={resolveConflict}
+              onClose={() => setShowConflicts(false)}
+            />
+          ) : (
+            <div className="mb-6 p-4 bg-amber-50 dark:bg-amber-900/20 border border-amber-300 dark:border-amber-700 text-amber-800 dark:text-amber-200 rounded flex justify-between items-center">
+              <span>
+                {conflicts.length === 1
+                  ? '1 note has changes from another device that overlap with yours.'
+                  : `${conflicts.length} notes have changes from another device that overlap with yours.`}
+              </span>
               <button
-                onClick={handleCreateNote}
-                className="bg-blue-600 text-white px-6 py-3 rounded-md hover:bg-blue-700 transition-colors flex items-center space-x-2"
+                onClick={() => setShowConflicts(true)}
+                className="bg-amber-600 text-white px-4 py-2 rounded-md hover:bg-amber-700 transition-colors"
               >
-                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                </svg>
-                <span>New Note</span>
+                Review changes
               </button>
             </div>
-          </div>
+          ))}
+
+          {/* Ask-your-vault chat */}
+          {showChat && (
+            <VaultChat
+              notes={notes}
+              onOpenNote={handleViewNote}
+              onClose={() => setShowChat(false)}
+            />
+          )}
+
+          <EmailVerificationNotice />
+
+          {(error || actionError) && (
+            <div className="mb-6 p-4 bg-red-100 border border-red-400 text-red-700 rounded">
+              {error || actionError}
+            </div>
+          )}
 
           {/* Notes Grid/List */}
-          {filteredNotes.length === 0 ? (
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+            </div>
+          ) : viewMode === 'graph' && graphNotes.length > 0 ? (
+            <KnowledgeGraph notes={graphNotes} onOpenNote={handleViewNote} />
+          ) : visibleNotes.length === 0 ? (
             <div className="text-center py-12">
               <div className="text-gray-400 dark:text-gray-500 mb-4">
                 <svg className="mx-auto h-12 w-12" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -220,7 +366,9 @@ export default function Dashboard() {
               <p className="text-gray-600 dark:text-gray-400 mb-6">
                 {notes.length === 0
                   ? 'Start creating your AI-powered notes!'
-                  : 'Try adjusting your search terms.'
+                  : notebookId && !searchResults
+                    ? 'Drag notes onto this notebook in the sidebar to file them here.'
+                    : 'Try adjusting your search terms.'
                 }
               </p>
               {notes.length === 0 && (
@@ -238,17 +386,50 @@ export default function Dashboard() {
                 ? 'grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6'
                 : 'space-y-4'
             }>
-              {filteredNotes.map(note => (
-                <NoteCard
+              {visibleNotes.map(note => (
+                // Dragged onto a notebook in the sidebar to file it there
+                <div
                   key={note.id}
-                  note={note}
-                  onEdit={handleEditNote}
-                  onDelete={handleDeleteNote}
-                  onView={handleViewNote}
-                />
+                  draggable={canFile}
+                  onDragStart={(e) => {
+                    e.dataTransfer.setData(NOTE_DRAG_TYPE, note.id);
+                    e.dataTransfer.effectAllowed = 'move';
+                  }}
+                >
+                  <NoteCard
+                    note={note}
+                    onEdit={handleEditNote}
+                    onDelete={handleDeleteNote}
+                    onView={handleViewNote}
+                  />
+                </div>
               ))}
             </div>
           )}
+
+          {/* Notes other people shared with this user */}
+          {!loading && viewMode !== 'graph' && visibleSharedNotes.length > 0 && (
+            <section className="mt-12">
+              <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-6">
+                Shared with me ({visibleSharedNotes.length})
+              </h2>
+              <div className={
+                viewMode === 'grid'
+                  ? 'grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6'
+                  : 'space-y-4'
+              }>
+                {visibleSharedNotes.map(note => (
+                  <NoteCard
+                    key={note.id}
+                    note={note}
+                    role={roleOf(note, user?.uid)}
+                    onEdit={handleEditNote}
+                    onView={handleViewNote}
+                  />
+                ))}
+              </div>
+            </section>
+          )}
         </div>
       </main>
     </div>
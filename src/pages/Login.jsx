@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
 export default function Login() {
@@ -10,13 +10,16 @@ export default function Login() {
 
   const { login, user } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  // The page ProtectedRoute sent the user here from
+  const from = location.state?.from;
 
   // Redirect if user is already logged in
   useEffect(() => {
     if (user) {
-      navigate('/dashboard');
+      navigate(from ? `${from.pathname}${from.search || ''}` : '/dashboard', { replace: true });
     }
-  }, [user, navigate]);
+  }, [user, navigate, from]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -0,0 +1,92 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate, useLocation } from 'react-router-dom';
+import { useNotes } from '../context/NotesContext';
+import NoteEditor from '../components/NoteEditor';
+import NoteViewer from '../components/NoteViewer';
+import { DASHBOARD_PATH, editNotePath } from '../utils/routes';
+
+// A single note at its own address: /notes/new, /notes/:id and /notes/:id/edit
+export default function NotePage({ mode }) {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { notes, sharedNotes, loading, getNote } = useNotes();
+  const listed = id ? [...notes, ...sharedNotes].find(note => note.id === id) : null;
+  // Notes that aren't in either list (e.g. just shared with this user) are fetched on their own
+  const [fetched, setFetched] = useState(undefined);
+  const hasListed = Boolean(listed);
+
+  useEffect(() => {
+    if (!id || loading || hasListed) return;
+
+    let cancelled = false;
+    getNote(id)
+      .then(note => !cancelled && setFetched(note || null))
+      .catch(error => {
+        console.error('Failed to open note:', error);
+        if (!cancelled) setFetched(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [id, loading, hasListed, getNote]);
+
+  // Back to wherever the note was opened from, with its search and filters
+  const goBack = () => navigate(location.state?.from || DASHBOARD_PATH);
+
+  const note = listed || fetched;
+  const waiting = mode !== 'new' && !note && (loading || fetched === undefined);
+
+  if (waiting) {
+    return (
+      <div className="min-h-screen flex justify-center items-center bg-gray-50 dark:bg-gray-900">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  if (mode !== 'new' && !note) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 px-4">
+        <div className="max-w-md w-full text-center">
+          <h1 className="text-2xl font-semibold text-gray-900 dark:text-white">Note not found</h1>
+          <p className="text-gray-600 dark:text-gray-400 mt-2">
+            It may have been deleted, or it isn't shared with you.
+          </p>
+          <Link
+            to={DASHBOARD_PATH}
+            className="inline-block mt-6 bg-blue-600 text-white px-6 py-3 rounded-md hover:bg-blue-700 transition-colors"
+          >
+            Back to your notes
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (mode === 'view') {
+    return (
+      <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-6 print:bg-white print:py-0">
+        <NoteViewer
+          key={id}
+          note={note}
+          onEdit={() => navigate(editNotePath(id), { state: location.state })}
+          onClose={goBack}
+          // Notes opened from this one still lead back to where the reader started
+          linkState={location.state}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-6">
+      <NoteEditor
+        key={id || 'new'}
+        existingNote={mode === 'new' ? null : note}
+        onSave={goBack}
+        onCancel={goBack}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import ReactMarkdown from 'react-markdown';
+import { getPublicNote } from '../services/notesService';
+import { isFailureSummary } from '../services/aiResult';
+import NoteContent from '../components/NoteContent';
+
+// A note published with a public link. Open to anyone with the link, signed in or not.
+export default function PublicNote() {
+  const { token } = useParams();
+  const [result, setResult] = useState(null);
+  const [password, setPassword] = useState('');
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async (withPassword) => {
+    setChecking(true);
+    setError('');
+    try {
+      setResult(await getPublicNote(token, withPassword));
+    } catch (err) {
+      console.error('Failed to load the shared note:', err);
+      setError('Failed to load this note. Check your connection and try again.');
+    } finally {
+      setChecking(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleUnlock = (e) => {
+    e.preventDefault();
+    load(password);
+  };
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+
+  if (!result && !error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  if (error || result.status === 'unavailable') {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 px-4">
+        <div className="max-w-md w-full text-center">
+          <h1 className="text-2xl font-semibold text-gray-900 dark:text-white">
+            {error ? 'Something went wrong' : 'This link isn\'t available'}
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400 mt-2">
+            {error || 'It may have expired or been revoked by the note\'s owner.'}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  if (result.status !== 'ok') {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 px-4">
+        <form onSubmit={handleUnlock} className="max-w-sm w-full bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-4">
+          <div>
+            <h1 className="text-xl font-semibold text-gray-900 dark:text-white">This note is password protected</h1>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">Enter the password you were given with the link.</p>
+          </div>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            autoFocus
+            required
+            className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-400"
+          />
+          {result.status === 'wrong-password' && (
+            <p className="text-sm text-red-600 dark:text-red-400">That password isn't right.</p>
+          )}
+          <button
+            type="submit"
+            disabled={checking || !password}
+            className="w-full bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {checking ? 'Checking...' : 'Open note'}
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  const { note } = result;
+  const hasSummary = note.summary && !isFailureSummary(note.summary);
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-10 px-4">
+      <article className="max-w-3xl mx-auto bg-white dark:bg-gray-800 rounded-lg shadow p-8">
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">{note.title || 'Untitled'}</h1>
+        {note.updatedAt && (
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">Last updated {formatDate(note.updatedAt)}</p>
+        )}
+
+        {note.tags?.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-6">
+            {note.tags.map(tag => (
+              <span
+                key={tag}
+                className="inline-block px-3 py-1 rounded-full text-sm bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200"
+              >
+                {tag}
+              </span>
+            ))}
+          </div>
+        )}
+
+        {hasSummary && (
+          <div className="p-4 mb-6 bg-gray-50 dark:bg-gray-700 rounded-md">
+            <h2 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">AI Summary</h2>
+            <div className="text-sm text-gray-600 dark:text-gray-400 whitespace-pre-line">
+              <ReactMarkdown>{note.summary}</ReactMarkdown>
+            </div>
+          </div>
+        )}
+
+        <NoteContent html={note.content} />
+      </article>
+      <p className="text-center text-xs text-gray-400 dark:text-gray-500 mt-6">Shared read-only from AI Notes Vault</p>
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
-import { getSummary, getTags, getEmbedding } from '../ai';
+import { getSummary, getTags, getEmbedding, AI_ERROR_CODES } from '../ai';
+import { LOCAL_EMBEDDING_DIMENSIONS } from '../localEmbeddings';
 
 // Mock axios
 jest.mock('axios', () => ({
@@ -20,17 +21,20 @@ describe('AI Service', () => {
   });
 
   describe('getSummary', () => {
-    test('should return mock summary for short text', async () => {
+    test('should report short text as an error instead of a summary', async () => {
       const shortText = 'Short text';
       const result = await getSummary(shortText);
       
-      expect(result).toBe('Short text');
+      expect(result.ok).toBe(false);
+      expect(result.value).toBeNull();
+      expect(result.error).toMatchObject({ code: AI_ERROR_CODES.TOO_SHORT, retryable: false });
     });
 
     test('should return mock summary for longer text when AI is disabled', async () => {
       const longText = 'This is a much longer text that should trigger the AI processing but since AI is disabled it will use mock summary generation instead. This text contains enough content to be processed.';
-      const result = await getSummary(longText);
+      const { ok, value: result } = await getSummary(longText);
       
+      expect(ok).toBe(true);
       expect(typeof result).toBe('string');
       expect(result.length).toBeGreaterThan(0);
       expect(result).not.toBe(longText); // Should be a summary, not the original text
@@ -38,21 +42,22 @@ describe('AI Service', () => {
 
     test('should handle empty text gracefully', async () => {
       const result = await getSummary('');
-      expect(result).toBe('No content to summarize');
+      expect(result.ok).toBe(false);
+      expect(result.error.code).toBe(AI_ERROR_CODES.TOO_SHORT);
     });
 
     test('should handle null/undefined text', async () => {
       const resultNull = await getSummary(null);
       const resultUndefined = await getSummary(undefined);
       
-      expect(resultNull).toBe('No content to summarize');
-      expect(resultUndefined).toBe('No content to summarize');
+      expect(resultNull.error.code).toBe(AI_ERROR_CODES.TOO_SHORT);
+      expect(resultUndefined.error.code).toBe(AI_ERROR_CODES.TOO_SHORT);
     });
 
     test('should respect maxLength parameter', async () => {
       const longText = 'This is a very long text that should be summarized with a specific maximum length parameter to test if the function respects the length limit properly.';
       const maxLength = 50;
-      const result = await getSummary(longText, maxLength);
+      const { value: result } = await getSummary(longText, maxLength);
       
       expect(typeof result).toBe('string');
       expect(result.length).toBeLessThanOrEqual(maxLength + 20); // Allow some tolerance for mock generation
@@ -62,8 +67,8 @@ describe('AI Service', () => {
       const text1 = 'This is about technology and programming with lots of technical terms and code examples that developers would find useful.';
       const text2 = 'This is about cooking and recipes with ingredients and cooking methods that chefs would find interesting and helpful.';
       
-      const summary1 = await getSummary(text1);
-      const summary2 = await getSummary(text2);
+      const { value: summary1 } = await getSummary(text1);
+      const { value: summary2 } = await getSummary(text2);
       
       expect(summary1).not.toBe(summary2);
       expect(typeof summary1).toBe('string');
@@ -72,7 +77,7 @@ describe('AI Service', () => {
 
     test('should clean HTML content before processing', async () => {
       const htmlText = '<p>This is <strong>HTML content</strong> with <em>formatting</em> that should be cleaned.</p>';
-      const result = await getSummary(htmlText);
+      const { value: result } = await getSummary(htmlText);
       
       expect(typeof result).toBe('string');
       expect(result).not.toContain('<p>');
@@ -84,7 +89,7 @@ describe('AI Service', () => {
   describe('getTags', () => {
     test('should return array of tags for content', async () => {
       const text = 'This is about programming and software development with JavaScript and React frameworks.';
-      const result = await getTags(text);
+      const { value: result } = await getTags(text);
       
       expect(Array.isArray(result)).toBe(true);
       expect(result.length).toBeGreaterThan(0);
@@ -94,21 +99,22 @@ describe('AI Service', () => {
     test('should respect maxTags parameter', async () => {
       const text = 'This is about programming and software development with JavaScript and React frameworks.';
       const maxTags = 3;
-      const result = await getTags(text, maxTags);
+      const { value: result } = await getTags(text, maxTags);
       
       expect(Array.isArray(result)).toBe(true);
       expect(result.length).toBeLessThanOrEqual(maxTags);
     });
 
     test('should return empty array for empty text', async () => {
-      const result = await getTags('');
+      const { ok, value: result } = await getTags('');
+      expect(ok).toBe(true);
       expect(Array.isArray(result)).toBe(true);
       expect(result.length).toBe(0);
     });
 
     test('should generate relevant tags based on content', async () => {
       const text = 'This note is about cooking recipes and food preparation techniques for professional chefs.';
-      const result = await getTags(text);
+      const { value: result } = await getTags(text);
       
       expect(Array.isArray(result)).toBe(true);
       expect(result.length).toBeGreaterThan(0);
@@ -126,7 +132,7 @@ describe('AI Service', () => {
       const result = await getEmbedding(text);
       
       expect(Array.isArray(result)).toBe(true);
-      expect(result.length).toBe(1536); // OpenAI ada-002 embedding size
+      expect(result.length).toBe(LOCAL_EMBEDDING_DIMENSIONS);
       result.forEach(value => {
         expect(typeof value).toBe('number');
         expect(value).toBeGreaterThanOrEqual(-1);
@@ -156,7 +162,7 @@ describe('AI Service', () => {
       const result = await getEmbedding('');
       
       expect(Array.isArray(result)).toBe(true);
-      expect(result.length).toBe(1536);
+      expect(result.length).toBe(LOCAL_EMBEDDING_DIMENSIONS);
     });
   });
 
@@ -166,15 +172,15 @@ describe('AI Service', () => {
       const problematicText = 'A'.repeat(10000); // Very long text
       const result = await getSummary(problematicText);
       
-      expect(typeof result).toBe('string');
-      expect(result.length).toBeGreaterThan(0);
+      expect(result.ok).toBe(true);
+      expect(result.value.length).toBeGreaterThan(0);
     });
 
     test('getTags should handle errors gracefully', async () => {
       const problematicText = 'A'.repeat(10000);
       const result = await getTags(problematicText);
       
-      expect(Array.isArray(result)).toBe(true);
+      expect(Array.isArray(result.value)).toBe(true);
     });
 
     test('getEmbedding should handle errors gracefully', async () => {
@@ -182,14 +188,14 @@ describe('AI Service', () => {
       const result = await getEmbedding(problematicText);
       
       expect(Array.isArray(result)).toBe(true);
-      expect(result.length).toBe(1536);
+      expect(result.length).toBe(LOCAL_EMBEDDING_DIMENSIONS);
     });
   });
 
   describe('Content Cleaning', () => {
     test('should clean HTML tags from content', async () => {
-      const htmlContent = '<div><p>This is <strong>bold</strong> and <em>italic</em> text.</p></div>';
-      const summary = await getSummary(htmlContent);
+      const htmlContent = '<div><p>This is <strong>bold</strong> and <em>italic</em> text in a paragraph.</p></div>';
+      const { value: summary } = await getSummary(htmlContent);
       
       // Summary should not contain HTML tags
       expect(summary).not.toContain('<div>');
@@ -200,7 +206,7 @@ describe('AI Service', () => {
 
     test('should handle special characters', async () => {
       const specialContent = 'This content has special chars: @#$%^&*()_+{}|:"<>?[]\\;\',./ and unicode: 🚀 🎉 ✨';
-      const result = await getSummary(specialContent);
+      const { value: result } = await getSummary(specialContent);
       
       expect(typeof result).toBe('string');
       expect(result.length).toBeGreaterThan(0);
@@ -208,7 +214,7 @@ describe('AI Service', () => {
 
     test('should handle very long content', async () => {
       const longContent = 'This is a very long piece of content. '.repeat(100);
-      const result = await getSummary(longContent);
+      const { value: result } = await getSummary(longContent);
       
       expect(typeof result).toBe('string');
       expect(result.length).toBeGreaterThan(0);
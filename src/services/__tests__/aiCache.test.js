@@ -0,0 +1,117 @@
+import {
+  withAICache,
+  buildCacheKey,
+  clearAICache,
+  getCacheStats,
+  evictAICache,
+  CACHE_MAX_ENTRIES
+} from '../aiCache';
+import { CAPABILITIES, registerProvider, setCapabilityProvider } from '../aiProviders';
+import { getSummary } from '../ai';
+
+// Mock axios
+jest.mock('axios', () => ({
+  create: jest.fn(() => ({
+    post: jest.fn()
+  }))
+}));
+
+// Mock console methods to avoid noise in tests
+global.console = {
+  ...console,
+  log: jest.fn(),
+  error: jest.fn(),
+};
+
+const request = (text, params = {}) => ({
+  capability: 'summarize',
+  providerId: 'test',
+  model: 'test-model',
+  params,
+  text
+});
+
+describe('AI Cache', () => {
+  beforeEach(async () => {
+    await clearAICache();
+  });
+
+  test('should key on normalized content, provider, model and parameters', () => {
+    expect(buildCacheKey(request('Hello   world\n'))).toBe(buildCacheKey(request('Hello world')));
+    expect(buildCacheKey(request('Hello world'))).not.toBe(buildCacheKey(request('Hello there')));
+    expect(buildCacheKey(request('Hello', { maxLength: 100 }))).not.toBe(buildCacheKey(request('Hello', { maxLength: 200 })));
+    expect(buildCacheKey({ ...request('Hello'), model: 'other' })).not.toBe(buildCacheKey(request('Hello')));
+  });
+
+  test('should compute once and count hits and misses', async () => {
+    const compute = jest.fn(async () => 'result');
+
+    await withAICache(request('same text'), compute);
+    const second = await withAICache(request('same text'), compute);
+
+    expect(second).toBe('result');
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(getCacheStats()).toEqual({ hits: 1, misses: 1, entries: 1 });
+  });
+
+  test('should share a single computation between concurrent callers', async () => {
+    const compute = jest.fn(() => new Promise(resolve => setTimeout(() => resolve('slow'), 10)));
+
+    const results = await Promise.all([
+      withAICache(request('concurrent'), compute),
+      withAICache(request('concurrent'), compute),
+    ]);
+
+    expect(results).toEqual(['slow', 'slow']);
+    expect(compute).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not cache failures', async () => {
+    const compute = jest.fn()
+      .mockRejectedValueOnce(new Error('provider down'))
+      .mockResolvedValueOnce('recovered');
+
+    await expect(withAICache(request('flaky'), compute)).rejects.toThrow('provider down');
+    await expect(withAICache(request('flaky'), compute)).resolves.toBe('recovered');
+  });
+
+  test('should recompute expired entries', async () => {
+    const compute = jest.fn(async () => 'value');
+
+    await withAICache(request('short-lived'), compute, { ttl: -1 });
+    await withAICache(request('short-lived'), compute);
+
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+
+  test('should evict least recently used entries above the size limit', async () => {
+    for (let i = 0; i <= CACHE_MAX_ENTRIES; i++) {
+      await withAICache(request(`entry ${i}`), async () => i);
+    }
+
+    expect(await evictAICache()).toBe(CACHE_MAX_ENTRIES);
+    const compute = jest.fn(async () => 'again');
+    await withAICache(request('entry 0'), compute);
+    expect(compute).toHaveBeenCalledTimes(1);
+  });
+
+  test('should never send identical content to a remote provider twice', async () => {
+    const summarize = jest.fn(async () => 'Cached summary');
+    registerProvider({
+      id: 'remote',
+      label: 'Remote',
+      capabilities: [CAPABILITIES.SUMMARIZE],
+      defaultModels: { [CAPABILITIES.SUMMARIZE]: 'remote-model' },
+      isConfigured: () => true,
+      summarize,
+    });
+    setCapabilityProvider(CAPABILITIES.SUMMARIZE, 'remote');
+
+    const content = '<p>The same meeting note content, saved from the editor and again from the service.</p>';
+    await getSummary(content);
+    await getSummary(content);
+
+    expect(summarize).toHaveBeenCalledTimes(1);
+    setCapabilityProvider(CAPABILITIES.SUMMARIZE, 'offline');
+  });
+});
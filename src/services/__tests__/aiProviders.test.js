@@ -0,0 +1,170 @@
+import {
+  CAPABILITIES,
+  registerProvider,
+  setCapabilityProvider,
+  resolveCapability,
+  getAICapabilities,
+  listProviders,
+  createProxyProvider,
+  setAuthTokenProvider
+} from '../aiProviders';
+import axios from 'axios';
+import { getSummary, getTags, getEmbedding, clearAICache } from '../ai';
+import { LOCAL_EMBEDDING_DIMENSIONS } from '../localEmbeddings';
+
+// Mock axios
+jest.mock('axios', () => ({
+  create: jest.fn(() => ({
+    post: jest.fn()
+  }))
+}));
+
+// Mock console methods to avoid noise in tests
+global.console = {
+  ...console,
+  log: jest.fn(),
+  error: jest.fn(),
+};
+
+const createTestProvider = (overrides = {}) => ({
+  id: 'test',
+  label: 'Test Provider',
+  capabilities: [CAPABILITIES.SUMMARIZE, CAPABILITIES.TAGS, CAPABILITIES.EMBED],
+  defaultModels: {
+    [CAPABILITIES.SUMMARIZE]: 'test-summarizer',
+    [CAPABILITIES.TAGS]: 'test-tagger',
+    [CAPABILITIES.EMBED]: 'test-embedder',
+  },
+  isConfigured: () => true,
+  summarize: jest.fn(async () => 'Provider summary'),
+  tags: jest.fn(async () => ['provider-tag']),
+  embed: jest.fn(async () => [1, 0, 0]),
+  ...overrides,
+});
+
+describe('AI Provider Registry', () => {
+  const longText = 'This note talks about planning the quarterly roadmap with the whole product team.';
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    localStorage.clear();
+    await clearAICache();
+    Object.values(CAPABILITIES).forEach(capability => {
+      setCapabilityProvider(capability, 'offline');
+    });
+  });
+
+  test('should register the built-in providers', () => {
+    const ids = listProviders().map(provider => provider.id);
+    expect(ids).toEqual(expect.arrayContaining(['huggingface', 'openai', 'ollama', 'offline']));
+  });
+
+  test('should report the offline provider when nothing remote is routed', () => {
+    const capabilities = getAICapabilities();
+    Object.values(CAPABILITIES).forEach(capability => {
+      expect(capabilities[capability].providerId).toBe('offline');
+      expect(capabilities[capability].remote).toBe(false);
+    });
+  });
+
+  test('should route each capability to its own provider and model', async () => {
+    const provider = createTestProvider();
+    registerProvider(provider);
+    setCapabilityProvider(CAPABILITIES.SUMMARIZE, 'test', 'custom-model');
+
+    const { value: summary } = await getSummary(longText);
+    const { value: tags } = await getTags(longText);
+
+    expect(summary).toBe('Provider summary');
+    expect(provider.summarize).toHaveBeenCalledWith(longText, { model: 'custom-model', maxLength: 300, style: 'paragraph' });
+    // Tags are still routed to the offline provider
+    expect(provider.tags).not.toHaveBeenCalled();
+    expect(tags).not.toContain('provider-tag');
+  });
+
+  test('should use the provider default model when none is given', () => {
+    registerProvider(createTestProvider());
+    setCapabilityProvider(CAPABILITIES.EMBED, 'test');
+
+    expect(resolveCapability(CAPABILITIES.EMBED).model).toBe('test-embedder');
+  });
+
+  test('should fall back to offline when the routed provider is not configured', () => {
+    registerProvider(createTestProvider({ isConfigured: () => false }));
+    setCapabilityProvider(CAPABILITIES.SUMMARIZE, 'test');
+
+    expect(resolveCapability(CAPABILITIES.SUMMARIZE).provider.id).toBe('offline');
+  });
+
+  test('should reject unknown providers and unsupported capabilities', () => {
+    registerProvider(createTestProvider({ capabilities: [CAPABILITIES.EMBED] }));
+
+    expect(() => setCapabilityProvider(CAPABILITIES.SUMMARIZE, 'missing')).toThrow('Unknown AI provider');
+    expect(() => setCapabilityProvider(CAPABILITIES.SUMMARIZE, 'test')).toThrow('does not support');
+  });
+
+  test('should persist runtime routes to localStorage', () => {
+    registerProvider(createTestProvider());
+    setCapabilityProvider(CAPABILITIES.TAGS, 'test', 'tagger-v2');
+
+    const saved = JSON.parse(localStorage.getItem('aiProviderRoutes'));
+    expect(saved[CAPABILITIES.TAGS]).toEqual({ providerId: 'test', model: 'tagger-v2' });
+  });
+
+  test('should fall back to offline tags and embeddings when a provider fails', async () => {
+    registerProvider(createTestProvider({
+      tags: jest.fn(async () => { throw new Error('boom'); }),
+      embed: jest.fn(async () => { throw new Error('boom'); }),
+    }));
+    setCapabilityProvider(CAPABILITIES.TAGS, 'test');
+    setCapabilityProvider(CAPABILITIES.EMBED, 'test');
+
+    const { value: tags } = await getTags(longText);
+    const embedding = await getEmbedding(longText);
+
+    expect(tags.length).toBeGreaterThan(0);
+    expect(embedding.length).toBe(LOCAL_EMBEDDING_DIMENSIONS);
+  });
+});
+
+describe('AI Proxy Provider', () => {
+  const createProxy = () => {
+    const client = { post: jest.fn() };
+    axios.create.mockReturnValue(client);
+    return { proxy: createProxyProvider({ baseURL: 'http://proxy.test' }), client };
+  };
+
+  afterEach(() => {
+    setAuthTokenProvider(null);
+  });
+
+  test('should send the Firebase ID token with every request', async () => {
+    setAuthTokenProvider(async () => 'id-token');
+    const { proxy, client } = createProxy();
+    client.post.mockResolvedValueOnce({ data: { summary: 'Proxied summary' } });
+
+    const summary = await proxy.summarize('Some note text', { maxLength: 200 });
+
+    expect(summary).toBe('Proxied summary');
+    expect(client.post).toHaveBeenCalledWith(
+      '/api/ai/summarize',
+      { text: 'Some note text', maxLength: 200 },
+      { headers: { 'Authorization': 'Bearer id-token' } }
+    );
+  });
+
+  test('should refuse to call the proxy when signed out', async () => {
+    const { proxy, client } = createProxy();
+
+    await expect(proxy.tags('Some note text', { maxTags: 5 })).rejects.toThrow('Sign in');
+    expect(client.post).not.toHaveBeenCalled();
+  });
+
+  test('should reject malformed proxy responses', async () => {
+    setAuthTokenProvider(async () => 'id-token');
+    const { proxy, client } = createProxy();
+    client.post.mockResolvedValueOnce({ data: { error: 'nope' } });
+
+    await expect(proxy.embed('Some note text', {})).rejects.toThrow('Unexpected embedding format');
+  });
+});
@@ -0,0 +1,105 @@
+import { classifyAIError, withRetry, isFailureSummary, AI_ERROR_CODES } from '../aiResult';
+import { getSummary, CAPABILITIES, setCapabilityProvider, clearAICache } from '../ai';
+import { registerProvider } from '../aiProviders';
+
+// Mock axios
+jest.mock('axios', () => ({
+  create: jest.fn(() => ({
+    post: jest.fn()
+  }))
+}));
+
+// Mock console methods to avoid noise in tests
+global.console = {
+  ...console,
+  log: jest.fn(),
+  error: jest.fn(),
+};
+
+const httpError = (status, data = {}, headers = {}) => Object.assign(new Error(`HTTP ${status}`), {
+  request: {},
+  response: { status, data, headers }
+});
+
+describe('AI Results', () => {
+  describe('classifyAIError', () => {
+    test('should classify auth, rate limit and model loading responses', () => {
+      expect(classifyAIError(httpError(401))).toMatchObject({ code: AI_ERROR_CODES.UNAUTHORIZED, retryable: false });
+      expect(classifyAIError(httpError(429, {}, { 'retry-after': '12' })))
+        .toMatchObject({ code: AI_ERROR_CODES.RATE_LIMITED, retryable: true, retryAfter: 12 });
+      expect(classifyAIError(httpError(503, { error: 'Model is currently loading', estimated_time: 20.5 })))
+        .toMatchObject({ code: AI_ERROR_CODES.MODEL_LOADING, retryable: true, retryAfter: 20.5 });
+    });
+
+    test('should treat missing responses as network errors', () => {
+      const error = Object.assign(new Error('Network Error'), { request: {} });
+      expect(classifyAIError(error)).toMatchObject({ code: AI_ERROR_CODES.NETWORK, retryable: true });
+      expect(classifyAIError(new Error('bad format'))).toMatchObject({ code: AI_ERROR_CODES.PROVIDER_ERROR, retryable: false });
+    });
+  });
+
+  describe('withRetry', () => {
+    test('should back off on retryable errors and honor Retry-After', async () => {
+      const sleep = jest.fn(async () => {});
+      const fn = jest.fn()
+        .mockRejectedValueOnce(httpError(429, {}, { 'retry-after': '3' }))
+        .mockRejectedValueOnce(httpError(503, { estimated_time: 5 }))
+        .mockResolvedValueOnce('done');
+
+      await expect(withRetry(fn, { sleep })).resolves.toBe('done');
+      expect(sleep.mock.calls).toEqual([[3000], [5000]]);
+    });
+
+    test('should give up on errors that retrying cannot fix', async () => {
+      const sleep = jest.fn(async () => {});
+      const fn = jest.fn().mockRejectedValue(httpError(401));
+
+      await expect(withRetry(fn, { sleep })).rejects.toThrow('HTTP 401');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not wait longer than maxDelay', async () => {
+      const sleep = jest.fn(async () => {});
+      const fn = jest.fn().mockRejectedValue(httpError(429, {}, { 'retry-after': '120' }));
+
+      await expect(withRetry(fn, { sleep, maxDelay: 10000 })).rejects.toThrow('HTTP 429');
+      expect(sleep).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSummary', () => {
+    beforeEach(async () => {
+      await clearAICache();
+    });
+
+    afterEach(() => {
+      setCapabilityProvider(CAPABILITIES.SUMMARIZE, 'offline');
+    });
+
+    test('should return provider failures as errors, not as summary text', async () => {
+      registerProvider({
+        id: 'failing',
+        label: 'Failing',
+        capabilities: [CAPABILITIES.SUMMARIZE],
+        defaultModels: { [CAPABILITIES.SUMMARIZE]: 'failing-model' },
+        isConfigured: () => true,
+        summarize: jest.fn(async () => { throw httpError(401); }),
+      });
+      setCapabilityProvider(CAPABILITIES.SUMMARIZE, 'failing');
+
+      const result = await getSummary('<p>A perfectly reasonable note about the quarterly roadmap.</p>');
+
+      expect(result.ok).toBe(false);
+      expect(result.value).toBeNull();
+      expect(result.error).toMatchObject({ code: AI_ERROR_CODES.UNAUTHORIZED, retryable: false });
+      expect(result.error.message).toContain('Failing');
+    });
+  });
+
+  test('should recognize failure messages saved as summaries by older versions', () => {
+    expect(isFailureSummary('Content too short to summarize')).toBe(true);
+    expect(isFailureSummary('Invalid Hugging Face API key. Please check your configuration.')).toBe(true);
+    expect(isFailureSummary('Failed to generate summary using Hugging Face. Please check console for details.')).toBe(true);
+    expect(isFailureSummary('Quarterly roadmap with three milestones.')).toBe(false);
+  });
+});
@@ -0,0 +1,97 @@
+import { askVault, clearAICache, CAPABILITIES, setCapabilityProvider } from '../ai';
+import { registerProvider } from '../aiProviders';
+
+// Mock axios
+jest.mock('axios', () => ({
+  create: jest.fn(() => ({
+    post: jest.fn()
+  }))
+}));
+
+// Mock console methods to avoid noise in tests
+global.console = {
+  ...console,
+  log: jest.fn(),
+  error: jest.fn(),
+};
+
+const notes = [
+  {
+    id: 'roadmap',
+    title: 'Roadmap planning',
+    content: '<h2>Decisions</h2><p>We decided to ship the mobile app in March. The web redesign moves to the summer.</p>' +
+      '<h2>Risks</h2><p>Hiring two more engineers is the biggest risk for the mobile launch.</p>',
+    updatedAt: '2024-01-01T00:00:00.000Z'
+  },
+  {
+    id: 'recipes',
+    title: 'Dinner recipes',
+    content: '<p>Roast the vegetables with olive oil and garlic. Simmer the tomato sauce for an hour.</p>',
+    updatedAt: '2024-01-02T00:00:00.000Z'
+  },
+  {
+    id: 'fitness',
+    title: 'Training log',
+    content: '<p>Ran ten kilometres on Sunday morning. Stretching after the run helped with sore legs.</p>',
+    updatedAt: '2024-01-03T00:00:00.000Z'
+  }
+];
+
+const createAnswerProvider = (answer) => ({
+  id: 'generator',
+  label: 'Generator',
+  capabilities: [CAPABILITIES.ANSWER],
+  defaultModels: { [CAPABILITIES.ANSWER]: 'generator-model' },
+  isConfigured: () => true,
+  answer,
+});
+
+describe('askVault', () => {
+  beforeEach(async () => {
+    await clearAICache();
+    setCapabilityProvider(CAPABILITIES.EMBED, 'offline');
+    setCapabilityProvider(CAPABILITIES.ANSWER, 'offline');
+  });
+
+  test('should quote the most relevant note when no generative provider is configured', async () => {
+    const result = await askVault('When will the mobile app ship?', notes);
+
+    expect(result.extractive).toBe(true);
+    expect(result.answer).toContain('mobile app in March');
+    expect(result.citations.length).toBeGreaterThan(0);
+    expect(result.citations[0].noteId).toBe('roadmap');
+    expect(result.answer).toContain(`[${result.citations[0].index}]`);
+  });
+
+  test('should ground a generative provider in numbered note chunks', async () => {
+    const answer = jest.fn(async () => 'The mobile app ships in March [1].');
+    registerProvider(createAnswerProvider(answer));
+    setCapabilityProvider(CAPABILITIES.ANSWER, 'generator');
+
+    const result = await askVault('When will the mobile app ship?', notes);
+
+    const [question, sources] = answer.mock.calls[0];
+    expect(question).toBe('When will the mobile app ship?');
+    expect(sources[0]).toEqual({ title: 'Roadmap planning — Decisions', text: expect.stringContaining('March') });
+    expect(result.extractive).toBe(false);
+    expect(result.citations).toHaveLength(1);
+    expect(result.citations[0]).toMatchObject({ index: 1, noteId: 'roadmap', heading: 'Decisions' });
+  });
+
+  test('should fall back to an extractive answer when the provider fails', async () => {
+    registerProvider(createAnswerProvider(jest.fn(async () => { throw new Error('down'); })));
+    setCapabilityProvider(CAPABILITIES.ANSWER, 'generator');
+
+    const result = await askVault('Who do we need to hire for the mobile launch?', notes);
+
+    expect(result.extractive).toBe(true);
+    expect(result.answer).toContain('engineers');
+  });
+
+  test('should say so when nothing in the vault matches', async () => {
+    const result = await askVault('quantum chromodynamics', notes);
+
+    expect(result.answer).toMatch(/couldn't find/);
+    expect(result.citations).toEqual([]);
+  });
+});
@@ -0,0 +1,566 @@
+/**
+ * @jest-environment node
+ */
+import { readFileSync } from 'fs';
+import path from 'path';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  collection,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+} from 'firebase/firestore';
+import * as notesService from '../notesService';
+import { createNotesRepository } from '../notesRepository';
+import {
+  createFirestoreBackend,
+  createFirestoreDirectory,
+  createLocalStorageBackend,
+  createMemoryBackend,
+  createSyncEngine,
+  createNotesBackend,
+  createUserDirectory,
+  createFirestoreSavedSearchStore,
+  createFirestoreNotebookStore,
+} from '../storage';
+import { createSavedSearches } from '../savedSearches';
+import { getSummary, getTags, getEmbeddingWithModel } from '../ai';
+
+// Security rules and notesService against the Firestore emulator. Run with `npm run test:rules`,
+// which starts the emulators; without them only the local-storage tests run.
+// Auth tokens are minted by @firebase/rules-unit-testing, as the Auth emulator would.
+
+// The app's Firebase instance isn't used; each test user gets an emulator-backed one
+jest.mock('../firebase', () => ({ db: {}, auth: {} }));
+
+// The AI services import axios, and their results don't matter to storage
+jest.mock('../ai', () => ({
+  getSummary: jest.fn(),
+  getTags: jest.fn(),
+  getEmbeddingWithModel: jest.fn(),
+}));
+
+// The node environment has no localStorage; the sync engine keeps its queue there
+const storage = new Map();
+global.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+  clear: () => storage.clear(),
+};
+
+// Mock console methods to avoid noise in tests
+global.console = {
+  ...console,
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+};
+
+const PROJECT_ID = 'demo-ai-notes-vault';
+const USERS = ['alice', 'bob', 'carol'];
+const emailOf = (uid) => `${uid}@example.com`;
+// Only runs under `npm run test:rules`, which starts the emulator; a plain `npm test` skips it
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+beforeEach(() => {
+  storage.clear();
+  getSummary.mockResolvedValue({ ok: true, value: 'A summary' });
+  getTags.mockResolvedValue({ ok: true, value: ['planning'] });
+  getEmbeddingWithModel.mockResolvedValue({ embedding: [0.1, 0.2], embeddingModel: 'test' });
+});
+
+describeWithEmulator('Firestore security rules with notesService', () => {
+  let testEnv;
+
+  // A signed-in user on their own device: offline-first repository over the emulator,
+  // as the app builds it (see storage/index.js), loaded the way NotesContext does
+  async function signIn(uid, email = emailOf(uid), { verified = true } = {}) {
+    const firestore = testEnv.authenticatedContext(uid, { email, email_verified: verified }).firestore();
+    const engine = createSyncEngine({
+      local: createMemoryBackend(),
+      remote: createFirestoreBackend(firestore),
+      isOnline: () => true,
+      namespace: `sync-${uid}`,
+    });
+    const repository = createNotesRepository(engine, {
+      directory: createFirestoreDirectory(firestore),
+      notebooks: createFirestoreNotebookStore(firestore),
+    });
+    notesService.setNotesRepository(repository);
+    await repository.listNotes(uid);
+    await repository.listSharedNotes(uid);
+    return { uid, firestore, engine, repository };
+  }
+
+  // Pushes queued writes, failing the test if the emulator rejected any of them
+  async function sync(user) {
+    await user.engine.sync(user.uid);
+    expect(user.engine.getStatus()).toMatchObject({ pending: 0, error: null });
+  }
+
+  const noteRef = (firestore, noteId) => doc(firestore, 'notes', noteId);
+
+  async function stored(noteId) {
+    let note = null;
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const snapshot = await getDoc(noteRef(context.firestore(), noteId));
+      note = snapshot.exists() ? snapshot.data() : null;
+    });
+    return note;
+  }
+
+  async function createSyncedNote(user, data = { title: 'Roadmap', content: '<p>Ship the rules</p>' }) {
+    const note = await notesService.createNote(data, user.uid);
+    await sync(user);
+    return note;
+  }
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { rules: readFileSync(path.resolve(__dirname, '../../../firestore.rules'), 'utf8') },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      for (const uid of USERS) {
+        await setDoc(doc(context.firestore(), 'users', uid), { email: emailOf(uid), displayName: uid, role: 'user' });
+        await setDoc(doc(context.firestore(), 'userEmails', emailOf(uid)), { uid, displayName: uid });
+      }
+    });
+  });
+
+  describe('Notes CRUD', () => {
+    test('should create, read, update and delete a note through notesService', async () => {
+      const alice = await signIn('alice');
+
+      const created = await createSyncedNote(alice);
+      expect(created).toMatchObject({ ownerId: 'alice', summary: 'A summary', tags: ['planning'] });
+      expect(await stored(created.id)).toMatchObject({ title: 'Roadmap', ownerId: 'alice', rev: 1 });
+
+      expect((await notesService.getUserNotes('alice')).map(note => note.id)).toEqual([created.id]);
+      expect(await notesService.getNote(created.id, 'alice')).toMatchObject({ title: 'Roadmap' });
+
+      await notesService.updateNote(created.id, { content: '<p>Shipped</p>' }, 'alice');
+      await sync(alice);
+      expect(await stored(created.id)).toMatchObject({ content: '<p>Shipped</p>', rev: 2 });
+      expect(await alice.repository.getVersions(created.id, 'alice')).not.toEqual([]);
+      await expect(notesService.updateNote('missing', { content: 'x' }, 'alice')).rejects.toThrow('Note not found');
+
+      expect(await notesService.deleteNote(created.id, 'alice')).toBe(true);
+      await sync(alice);
+      expect(await stored(created.id)).toBeNull();
+      expect(await notesService.deleteNote(created.id, 'alice')).toBe(false);
+    });
+
+    test('should keep notes and their history away from other users', async () => {
+      const alice = await signIn('alice');
+      const { id } = await createSyncedNote(alice);
+
+      const bob = await signIn('bob');
+      expect(await notesService.getNote(id, 'bob')).toBeNull();
+      await assertFails(getDoc(noteRef(bob.firestore, id)));
+      await assertFails(getDocs(collection(bob.firestore, 'notes', id, 'versions')));
+      await assertFails(getDocs(query(collection(bob.firestore, 'notes'), where('ownerId', '==', 'alice'))));
+      await assertFails(updateDoc(noteRef(bob.firestore, id), { content: 'Mine now' }));
+      await assertFails(deleteDoc(noteRef(bob.firestore, id)));
+      expect(await notesService.getUserNotes('bob')).toEqual([]);
+    });
+
+    test('should only let users create notes they own, unshared', async () => {
+      const bob = await signIn('bob');
+      await assertFails(setDoc(noteRef(bob.firestore, 'n1'), { title: 'Forged', ownerId: 'alice' }));
+      await assertFails(setDoc(noteRef(bob.firestore, 'n1'), { title: 'Pre-shared', ownerId: 'bob', sharedWith: ['carol'] }));
+      await assertSucceeds(setDoc(noteRef(bob.firestore, 'n1'), { title: 'Mine', ownerId: 'bob' }));
+      await assertFails(updateDoc(noteRef(bob.firestore, 'n1'), { ownerId: 'carol' }));
+      await assertFails(getDoc(noteRef(testEnv.unauthenticatedContext().firestore(), 'n1')));
+    });
+
+    test('should only accept saves that bump the revision by one', async () => {
+      const alice = await signIn('alice');
+      const { id } = await createSyncedNote(alice);
+
+      await assertFails(updateDoc(noteRef(alice.firestore, id), { content: 'Stale' }));
+      await assertFails(updateDoc(noteRef(alice.firestore, id), { content: 'Skipped ahead', rev: 3 }));
+      await assertSucceeds(updateDoc(noteRef(alice.firestore, id), { content: 'Next', rev: 2 }));
+    });
+
+    test('should turn the losing push of two devices into a conflict', async () => {
+      const alice = await signIn('alice');
+      const { id } = await createSyncedNote(alice);
+      const device = (name) => {
+        const online = { value: true };
+        const engine = createSyncEngine({
+          local: createMemoryBackend(),
+          remote: createFirestoreBackend(alice.firestore),
+          isOnline: () => online.value,
+          namespace: `sync-alice-${name}`,
+        });
+        return { online, engine, repository: createNotesRepository(engine) };
+      };
+      const laptop = device('laptop');
+      const phone = device('phone');
+      await laptop.repository.listNotes('alice');
+      await phone.repository.listNotes('alice');
+
+      laptop.online.value = false;
+      phone.online.value = false;
+      await laptop.repository.saveNote({ id, content: 'From laptop' }, 'alice');
+      await phone.repository.saveNote({ id, content: 'From phone' }, 'alice');
+      laptop.online.value = true;
+      phone.online.value = true;
+      await Promise.all([laptop.engine.sync('alice'), phone.engine.sync('alice')]);
+
+      expect(await stored(id)).toMatchObject({ rev: 2 });
+      expect(laptop.engine.getConflicts().length + phone.engine.getConflicts().length).toBe(1);
+    });
+  });
+
+  describe('Sharing', () => {
+    test('should give viewers read-only access', async () => {
+      const alice = await signIn('alice');
+      const { id } = await createSyncedNote(alice);
+      expect(await notesService.shareNote(id, 'Bob@Example.com', 'viewer', 'alice')).toBe(true);
+      expect(await stored(id)).toMatchObject({ sharedWith: ['bob'], collaborators: { bob: { role: 'viewer' } } });
+
+      const bob = await signIn('bob');
+      expect(await notesService.getNote(id, 'bob')).toMatchObject({ title: 'Roadmap' });
+      expect((await bob.repository.listSharedNotes('bob')).map(note => note.id)).toEqual([id]);
+      expect(await bob.repository.getVersions(id, 'bob')).toHaveLength(1);
+      await assertFails(updateDoc(noteRef(bob.firestore, id), { content: 'Viewer edit' }));
+      await assertFails(setDoc(doc(bob.firestore, 'notes', id, 'versions', 'v-forged'), { id: 'v-forged' }));
+      await expect(notesService.updateNote(id, { content: 'Viewer edit' }, 'bob')).rejects.toThrow('Access denied');
+    });
+
+    test('should let commenters read a note but not change it', async () => {
+      const alice = await signIn('alice');
+      const { id } = await createSyncedNote(alice);
+      expect(await notesService.shareNote(id, emailOf('bob'), 'commenter', 'alice')).toBe(true);
+      expect((await stored(id)).collaborators.bob.role).toBe('commenter');
+
+      const bob = await signIn('bob');
+      expect(await notesService.getNote(id, 'bob')).toMatchObject({ title: 'Roadmap' });
+      // Refused for the role, not the revision: the rev is bumped as a real save would
+      await assertFails(updateDoc(noteRef(bob.firestore, id), { content: 'Commenter edit', rev: 2 }));
+      await assertFails(updateDoc(noteRef(bob.firestore, id), { title: 'Commenter title', rev: 2 }));
+      await assertFails(setDoc(doc(bob.firestore, 'notes', id, 'versions', 'v-forged'), { id: 'v-forged' }));
+      await expect(notesService.updateNote(id, { content: 'Commenter edit' }, 'bob')).rejects.toThrow('Access denied');
+    });
+
+    test('should let editors change the note but not who it is shared with', async () => {
+      const alice = await signIn('alice');
+      const { id } = await createSyncedNote(alice);
+      await notesService.shareNote(id, emailOf('bob'), 'editor', 'alice');
+
+      const bob = await signIn('bob');
+      await notesService.updateNote(id, { content: '<p>Edited by Bob</p>' }, 'bob');
+      await sync(bob);
+      expect(await stored(id)).toMatchObject({ content: '<p>Edited by Bob</p>', ownerId: 'alice' });
+
+      await assertFails(updateDoc(noteRef(bob.firestore, id), {
+        'collaborators.carol': { role: 'editor', email: emailOf('carol') },
+        sharedWith: ['bob', 'carol'],
+      }));
+      await assertFails(updateDoc(noteRef(bob.firestore, id), { ownerId: 'bob' }));
+      await assertFails(deleteDoc(noteRef(bob.firestore, id)));
+      expect(await notesService.deleteNote(id, 'bob')).toBe(false);
+      expect(await notesService.shareNote(id, emailOf('carol'), 'viewer', 'bob')).toBe(false);
+    });
+
+    test('should let owners change roles and remove people, and collaborators leave', async () => {
+      const alice = await signIn('alice');
+      const { id } = await createSyncedNote(alice);
+      await notesService.shareNote(id, emailOf('bob'), 'viewer', 'alice');
+      await notesService.shareNote(id, emailOf('carol'), 'viewer', 'alice');
+      await notesService.shareNote(id, emailOf('bob'), 'commenter', 'alice');
+      expect((await stored(id)).collaborators.bob.role).toBe('commenter');
+
+      await alice.repository.removeCollaborator(id, 'carol', 'alice');
+      expect((await stored(id)).sharedWith).toEqual(['bob']);
+
+      const bob = await signIn('bob');
+      // Collaborators can only take themselves off a note
+      await assertFails(updateDoc(noteRef(bob.firestore, id), { 'collaborators.bob.role': 'editor' }));
+      await bob.repository.removeCollaborator(id, 'bob', 'bob');
+      expect(await stored(id)).toMatchObject({ sharedWith: [], collaborators: {} });
+      expect(await notesService.getNote(id, 'bob')).toBeNull();
+    });
+
+    test('should invite emails without an account and let only the invitee join', async () => {
+      const alice = await signIn('alice');
+      const { id } = await createSyncedNote(alice);
+      expect(await notesService.shareNote(id, 'dave@example.com', 'editor', 'alice')).toBe(true);
+      expect(await alice.repository.listInvitations(id, 'alice')).toEqual([
+        expect.objectContaining({ email: 'dave@example.com', role: 'editor' })
+      ]);
+
+      // Someone else can't see the invitation or use it
+      const carol = await signIn('carol');
+      await assertFails(getDoc(doc(carol.firestore, 'invitations', `${id}_dave@example.com`)));
+      await assertFails(updateDoc(noteRef(carol.firestore, id), {
+        'collaborators.carol': { role: 'editor', email: emailOf('carol') },
+        sharedWith: ['carol'],
+      }));
+
+      // Invitees can't give themselves a better role than they were invited with
+      const dave = await signIn('dave', 'Dave@Example.com');
+      await assertFails(updateDoc(noteRef(dave.firestore, id), {
+        'collaborators.dave': { role: 'owner', email: 'dave@example.com' },
+        sharedWith: ['dave'],
+      }));
+      expect(await dave.repository.acceptInvitations({ uid: 'dave', email: 'Dave@Example.com', emailVerified: true })).toBe(1);
+      expect((await stored(id)).collaborators.dave.role).toBe('editor');
+      expect(await alice.repository.listInvitations(id, 'alice')).toEqual([]);
+    });
+
+    test('should not let an unverified account claim someone else\'s invitation', async () => {
+      const alice = await signIn('alice');
+      const { id } = await createSyncedNote(alice);
+      await notesService.shareNote(id, 'dave@example.com', 'editor', 'alice');
+
+      // Anyone can sign up with dave's address; until it's verified it proves nothing
+      const mallory = await signIn('mallory', 'dave@example.com', { verified: false });
+      await assertFails(getDoc(doc(mallory.firestore, 'invitations', `${id}_dave@example.com`)));
+      await assertFails(getDoc(noteRef(mallory.firestore, id)));
+      await assertFails(updateDoc(noteRef(mallory.firestore, id), {
+        'collaborators.mallory': { role: 'editor', email: 'dave@example.com' },
+        sharedWith: ['mallory'],
+      }));
+      await assertFails(setDoc(doc(mallory.firestore, 'userEmails', 'dave@example.com'), { uid: 'mallory', displayName: 'Dave' }));
+      // Even a client that claims the email is verified
+      expect(await mallory.repository.acceptInvitations({ uid: 'mallory', email: 'dave@example.com', emailVerified: true })).toBe(0);
+      expect(await alice.repository.listInvitations(id, 'alice')).toHaveLength(1);
+    });
+
+    test('should only let owners invite people to a note', async () => {
+      const alice = await signIn('alice');
+      const { id } = await createSyncedNote(alice);
+
+      const bob = await signIn('bob');
+      await assertFails(setDoc(doc(bob.firestore, 'invitations', `${id}_eve@example.com`), {
+        noteId: id, email: 'eve@example.com', role: 'editor', invitedBy: 'bob',
+      }));
+      await assertSucceeds(setDoc(doc(alice.firestore, 'invitations', `${id}_eve@example.com`), {
+        noteId: id, email: 'eve@example.com', role: 'commenter', invitedBy: 'alice',
+      }));
+      await assertFails(setDoc(doc(alice.firestore, 'invitations', `${id}_erin@example.com`), {
+        noteId: id, email: 'erin@example.com', role: 'owner', invitedBy: 'alice',
+      }));
+    });
+  });
+
+  describe('Notebooks', () => {
+    test('should share a notebook with the notes in it, and only let its owner arrange it', async () => {
+      const alice = await signIn('alice');
+      const work = await alice.repository.saveNotebook({ name: 'Work' }, 'alice');
+      const note = await notesService.createNote({ title: 'Roadmap', notebookId: work.id }, 'alice');
+      await sync(alice);
+      expect(await notesService.shareNotebook(work.id, emailOf('bob'), 'editor', 'alice')).toBe(true);
+
+      const bob = await signIn('bob');
+      expect((await bob.repository.listNotebooks('bob')).map(notebook => notebook.name)).toEqual(['Work']);
+      expect((await bob.repository.listSharedNotes('bob')).map(shared => shared.id)).toEqual([note.id]);
+      await assertFails(updateDoc(doc(bob.firestore, 'notebooks', work.id), { name: 'Bob\'s' }));
+      await assertFails(updateDoc(doc(bob.firestore, 'notes', note.id), { notebookId: null }));
+      const carol = await signIn('carol');
+      await assertFails(getDocs(query(collection(carol.firestore, 'notebooks'), where('ownerId', '==', 'alice'))));
+
+      // A note filed later is shared once it reaches the server
+      const later = await alice.repository.saveNote({ title: 'Later', notebookId: work.id }, 'alice');
+      expect((await stored(later.id)).sharedWith).toEqual(['bob']);
+
+      await bob.repository.removeNotebookCollaborator(work.id, 'bob', 'bob');
+      expect((await stored(note.id)).sharedWith).toEqual([]);
+    });
+
+    test('should let the owner rename, move and delete notebooks', async () => {
+      const alice = await signIn('alice');
+      const work = await alice.repository.saveNotebook({ name: 'Work' }, 'alice');
+      const projects = await alice.repository.saveNotebook({ name: 'Projects' }, 'alice');
+      const launch = await alice.repository.saveNotebook({ name: 'Launch', parentId: projects.id }, 'alice');
+      const storedNotebook = async (notebookId) => {
+        let notebook = null;
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+          const snapshot = await getDoc(doc(context.firestore(), 'notebooks', notebookId));
+          notebook = snapshot.exists() ? snapshot.data() : null;
+        });
+        return notebook;
+      };
+
+      await alice.repository.saveNotebook({ id: work.id, name: 'Day job' }, 'alice');
+      expect(await storedNotebook(work.id)).toMatchObject({ name: 'Day job' });
+
+      await alice.repository.saveNotebook({ id: launch.id, parentId: work.id }, 'alice');
+      expect(await storedNotebook(launch.id)).toMatchObject({ name: 'Launch', parentId: work.id });
+
+      // Deleting moves what's inside up a level
+      await alice.repository.deleteNotebook(work.id, 'alice');
+      expect(await storedNotebook(work.id)).toBeNull();
+      expect(await storedNotebook(launch.id)).toMatchObject({ parentId: null });
+    });
+  });
+
+  describe('User profiles', () => {
+    test('should not let users give themselves a role', async () => {
+      // A new account registering, as AuthContext.register does, before verifying its email
+      const { firestore } = await signIn('erin', emailOf('erin'), { verified: false });
+      const profile = doc(firestore, 'users', 'erin');
+      await assertFails(setDoc(profile, { email: emailOf('erin'), displayName: 'Erin', role: 'admin' }));
+      await assertSucceeds(setDoc(profile, { email: emailOf('erin'), displayName: 'Erin', role: 'user' }));
+      await assertFails(updateDoc(profile, { role: 'admin' }));
+      await assertSucceeds(updateDoc(profile, { displayName: 'Erin E.' }));
+    });
+
+    test('should only store the account\'s own email, so shares reach the right person', async () => {
+      const { firestore } = await signIn('alice');
+      await assertFails(setDoc(doc(firestore, 'users', 'alice'), { email: emailOf('bob'), role: 'user' }));
+      await assertFails(setDoc(doc(firestore, 'users', 'bob'), { email: emailOf('bob'), role: 'user' }));
+    });
+
+    test('should allow looking up an account by its exact email, and reading only your own profile', async () => {
+      const { firestore } = await signIn('alice');
+      expect((await assertSucceeds(getDoc(doc(firestore, 'userEmails', emailOf('bob'))))).data()).toEqual({ uid: 'bob', displayName: 'bob' });
+      await assertFails(getDoc(doc(firestore, 'users', 'bob')));
+      await assertSucceeds(getDoc(doc(firestore, 'users', 'alice')));
+    });
+
+    test('should not let anyone page through profiles or email entries', async () => {
+      const { firestore } = await signIn('alice');
+      const users = collection(firestore, 'users');
+      const emails = collection(firestore, 'userEmails');
+      await assertFails(getDocs(users));
+      await assertFails(getDocs(query(users, limit(1))));
+      await assertFails(getDocs(query(users, orderBy('email'), startAfter(emailOf('alice')), limit(1))));
+      await assertFails(getDocs(query(users, where('email', '==', emailOf('bob')), limit(1))));
+      await assertFails(getDocs(emails));
+      await assertFails(getDocs(query(emails, limit(1))));
+    });
+
+    test('should only let an account publish the entry for its own email', async () => {
+      const { firestore } = await signIn('erin');
+      await assertFails(setDoc(doc(firestore, 'userEmails', emailOf('bob')), { uid: 'erin', displayName: 'Erin' }));
+      await assertFails(setDoc(doc(firestore, 'userEmails', emailOf('erin')), { uid: 'bob', displayName: 'Erin' }));
+      await assertFails(setDoc(doc(firestore, 'userEmails', emailOf('erin')), { uid: 'erin', role: 'admin' }));
+      await assertSucceeds(setDoc(doc(firestore, 'userEmails', emailOf('erin')), { uid: 'erin', displayName: 'Erin' }));
+      await assertFails(deleteDoc(doc(firestore, 'userEmails', emailOf('bob'))));
+    });
+
+    test('should keep saved searches with their account, away from other users', async () => {
+      const alice = await signIn('alice');
+      const savedSearches = createSavedSearches(createFirestoreSavedSearchStore(alice.firestore));
+      const search = await savedSearches.save({ name: 'This week\'s meetings', query: 'tag:meeting updated:this-week' }, 'alice');
+
+      expect((await savedSearches.list('alice')).map(saved => saved.name)).toEqual(['This week\'s meetings']);
+      const bob = await signIn('bob');
+      await assertFails(getDocs(collection(bob.firestore, 'users', 'alice', 'savedSearches')));
+      await assertFails(setDoc(doc(bob.firestore, 'users', 'alice', 'savedSearches', search.id), { name: 'Mine now' }));
+      await assertFails(deleteDoc(doc(bob.firestore, 'users', 'alice', 'savedSearches', search.id)));
+    });
+  });
+
+  describe('Public links', () => {
+    test('should let anyone read a published note by its link, but not list or write links', async () => {
+      const alice = await signIn('alice');
+      const { id } = await createSyncedNote(alice);
+      const { publicLink } = await alice.repository.publishNote(id, 'alice');
+
+      const anonymous = testEnv.unauthenticatedContext().firestore();
+      await assertSucceeds(getDoc(doc(anonymous, 'publicNotes', publicLink.token)));
+      await assertFails(getDocs(collection(anonymous, 'publicNotes')));
+      await assertFails(setDoc(doc(anonymous, 'publicNotes', publicLink.token), { title: 'Defaced' }));
+
+      const bob = await signIn('bob');
+      await assertFails(setDoc(doc(bob.firestore, 'publicNotes', 'bobs-link'), { noteId: id, publishedBy: 'bob' }));
+      await assertFails(deleteDoc(doc(bob.firestore, 'publicNotes', publicLink.token)));
+    });
+
+    test('should stop serving links once they expire', async () => {
+      const alice = await signIn('alice');
+      const { id } = await createSyncedNote(alice);
+      const { publicLink } = await alice.repository.publishNote(id, 'alice', { expiresAt: '2999-01-01T00:00:00.000Z' });
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await updateDoc(doc(context.firestore(), 'publicNotes', publicLink.token), { expiresAtMs: Date.now() - 1000 });
+      });
+
+      await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), 'publicNotes', publicLink.token)));
+      expect(await alice.repository.getPublicNote(publicLink.token)).toEqual({ status: 'unavailable' });
+    });
+  });
+});
+
+describe('notesService without Firebase (localStorage fallback)', () => {
+  const note = (overrides = {}) => ({
+    id: 'note-1',
+    title: 'Roadmap',
+    content: '<p>Local only</p>',
+    ownerId: 'alice',
+    createdAt: '2024-01-01T00:00:00.000Z',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    notesService.setNotesRepository(createNotesRepository(createLocalStorageBackend()));
+  });
+
+  test('should default to localStorage, without sharing, when Firebase isn\'t configured', () => {
+    expect(process.env.REACT_APP_FIREBASE_PROJECT_ID).toBeUndefined();
+    expect(createNotesBackend().id).toBe('localStorage');
+    expect(createUserDirectory()).toBeNull();
+  });
+
+  test('should create, update and delete notes in localStorage', async () => {
+    const created = await notesService.createNote({ title: 'Local', content: '<p>Offline notes</p>' }, 'alice');
+    expect(JSON.parse(localStorage.getItem('notes'))).toEqual([expect.objectContaining({ id: created.id, ownerId: 'alice' })]);
+    expect((await notesService.getUserNotes('alice')).map(n => n.id)).toEqual([created.id]);
+
+    await notesService.updateNote(created.id, { content: '<p>Edited</p>' }, 'alice');
+    expect((await notesService.getNote(created.id, 'alice')).content).toBe('<p>Edited</p>');
+    expect(getSummary).toHaveBeenCalledTimes(2);
+
+    expect(await notesService.deleteNote(created.id, 'alice')).toBe(true);
+    expect(await notesService.getUserNotes('alice')).toEqual([]);
+  });
+
+  test('should skip AI fields for empty notes and leave failed results out', async () => {
+    const empty = await notesService.createNote({ title: 'Empty' }, 'alice');
+    expect(empty.summary).toBeUndefined();
+    expect(getSummary).not.toHaveBeenCalled();
+
+    getSummary.mockResolvedValue({ ok: false, error: { code: 'rate_limited' } });
+    const saved = await notesService.createNote({ title: 'T', content: '<p>Text</p>', tags: ['mine'] }, 'alice');
+    expect(saved.summary).toBeUndefined();
+    expect(saved.tags).toEqual(['mine', 'planning']);
+  });
+
+  test('should report failures instead of throwing for reads, deletes and shares', async () => {
+    localStorage.setItem('notes', JSON.stringify([note({ ownerId: 'bob' })]));
+
+    expect(await notesService.getNote('note-1', 'alice')).toBeNull();
+    expect(await notesService.deleteNote('note-1', 'alice')).toBe(false);
+    expect(await notesService.deleteNote('missing', 'alice')).toBe(false);
+    expect(await notesService.shareNote('note-1', 'carol@example.com', 'viewer', 'bob')).toBe(false);
+    await expect(notesService.updateNote('note-1', { content: 'x' }, 'alice')).rejects.toThrow('Access denied');
+  });
+
+  test('should treat notes saved before ownership was recorded as the user\'s own', async () => {
+    localStorage.setItem('notes', JSON.stringify([note({ ownerId: undefined })]));
+
+    expect((await notesService.getUserNotes('alice')).map(n => n.id)).toEqual(['note-1']);
+    expect(await notesService.importLocalNotes('alice')).toBe(0);
+  });
+});
@@ -0,0 +1,89 @@
+import { extractKeywords, fitKeywordCorpus, reconcileWithVaultTags, tagKey } from '../keywordExtraction';
+import { getTags, setVaultCorpus } from '../ai';
+
+// Mock axios
+jest.mock('axios', () => ({
+  create: jest.fn(() => ({
+    post: jest.fn()
+  }))
+}));
+
+// Mock console methods to avoid noise in tests
+global.console = {
+  ...console,
+  log: jest.fn(),
+  error: jest.fn(),
+};
+
+const meetingNote = 'Sprint planning meeting. The sprint planning covered the release schedule, ' +
+  'the database migration and the release schedule for mobile. The database migration starts Monday.';
+
+describe('Keyword Extraction', () => {
+  beforeEach(() => {
+    fitKeywordCorpus([], 'empty');
+  });
+
+  test('should never return stopwords or filler tags', () => {
+    const tags = extractKeywords(meetingNote, 5);
+
+    expect(tags.length).toBeGreaterThan(0);
+    ['the', 'and', 'for', 'note', 'idea', 'draft'].forEach(filler => {
+      expect(tags).not.toContain(filler);
+    });
+  });
+
+  test('should extract recurring multi-word keyphrases', () => {
+    const tags = extractKeywords(meetingNote, 5);
+
+    expect(tags).toEqual(expect.arrayContaining(['sprint-planning', 'release-schedule', 'database-migration']));
+  });
+
+  test('should not return a word already covered by a selected phrase', () => {
+    const tags = extractKeywords(meetingNote, 5);
+
+    expect(tags).not.toContain('sprint');
+    expect(tags).not.toContain('migration');
+  });
+
+  test('should respect maxTags', () => {
+    expect(extractKeywords(meetingNote, 2)).toHaveLength(2);
+  });
+
+  test('should prefer terms that are rare across the vault', () => {
+    // Every note in this vault talks about meetings, so "meeting" says little
+    fitKeywordCorpus([
+      { text: 'Weekly meeting notes about hiring', tags: [] },
+      { text: 'Meeting with design about the logo', tags: [] },
+      { text: 'Board meeting agenda and minutes', tags: [] },
+    ], 'meetings');
+
+    const tags = extractKeywords('Meeting about kubernetes. Kubernetes cluster upgrade and meeting follow-up.', 2);
+
+    expect(tags[0]).toBe('kubernetes');
+    expect(tags).not.toContain('meeting');
+  });
+
+  test('should reuse existing vault tags instead of near-duplicates', () => {
+    fitKeywordCorpus([
+      { text: 'Old note', tags: ['Databases', 'project-planning'] },
+      { text: 'Another note', tags: ['Databases'] },
+    ], 'tagged');
+
+    expect(tagKey('Project Planning')).toBe(tagKey('project-planning'));
+    expect(reconcileWithVaultTags('database')).toBe('Databases');
+    expect(reconcileWithVaultTags('projects planned')).toBe('project-planning');
+    expect(reconcileWithVaultTags('gardening')).toBe('gardening');
+  });
+
+  test('getTags should fit on the vault and reuse its tags', async () => {
+    setVaultCorpus([
+      { id: '1', title: 'Schema', content: '<p>Designing the database schema</p>', tags: ['databases'], updatedAt: '1' },
+      { id: '2', title: 'Recipes', content: '<p>Baking bread at home</p>', tags: ['baking'], updatedAt: '2' },
+    ]);
+
+    const { value: tags } = await getTags('<p>Tuning a database. Every database needs backups, and each database replica needs monitoring.</p>');
+
+    expect(tags).toContain('databases');
+    expect(tags).not.toContain('database');
+  });
+});
@@ -0,0 +1,106 @@
+import {
+  embedLocally,
+  fitLocalEmbeddingCorpus,
+  LOCAL_EMBEDDING_DIMENSIONS
+} from '../localEmbeddings';
+import { cosineSimilarity, semanticSearch, getEmbeddingWithModel } from '../ai';
+import { stem } from '../../utils/textAnalysis';
+
+// Mock axios
+jest.mock('axios', () => ({
+  create: jest.fn(() => ({
+    post: jest.fn()
+  }))
+}));
+
+// Mock console methods to avoid noise in tests
+global.console = {
+  ...console,
+  log: jest.fn(),
+  error: jest.fn(),
+};
+
+const notes = [
+  {
+    id: 'cookies',
+    title: 'Chocolate chip cookies',
+    content: '<p>Cream the butter and sugar, add eggs, fold in flour and chocolate chips, then bake the cookies for ten minutes.</p>',
+    updatedAt: '2026-01-01T00:00:00.000Z'
+  },
+  {
+    id: 'hooks',
+    title: 'React hooks',
+    content: '<p>useState manages component state and useEffect runs side effects after rendering in React components.</p>',
+    updatedAt: '2026-01-02T00:00:00.000Z'
+  },
+  {
+    id: 'roadmap',
+    title: 'Quarterly roadmap',
+    content: '<p>Planning meeting with the product team about the roadmap, milestones and budget for next quarter.</p>',
+    updatedAt: '2026-01-03T00:00:00.000Z'
+  }
+];
+
+describe('Local Embeddings', () => {
+  beforeEach(() => {
+    fitLocalEmbeddingCorpus([], 'empty');
+  });
+
+  test('should stem related word forms to the same term', () => {
+    expect(stem('planning')).toBe(stem('planned'));
+    expect(stem('cookies')).toBe(stem('cookie'));
+    expect(stem('relational')).toBe('relat');
+  });
+
+  test('should return unit-length vectors of the configured dimension', () => {
+    const vector = embedLocally('Baking cookies with chocolate');
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+
+    expect(vector.length).toBe(LOCAL_EMBEDDING_DIMENSIONS);
+    expect(norm).toBeCloseTo(1, 5);
+  });
+
+  test('should return a zero vector for empty text', () => {
+    expect(embedLocally('').every(value => value === 0)).toBe(true);
+  });
+
+  test('should place texts with shared meaning closer together', () => {
+    const baking = embedLocally('baking chocolate cookies');
+    const recipe = embedLocally('a cookie recipe with chocolate chips');
+    const meeting = embedLocally('quarterly planning meeting');
+
+    expect(cosineSimilarity(baking, recipe)).toBeGreaterThan(cosineSimilarity(baking, meeting));
+  });
+
+  test('should record the model and dimension of an embedding', async () => {
+    const result = await getEmbeddingWithModel('Some text about cookies');
+
+    expect(result.embeddingModel).toBe(`offline/tfidf-hash-${LOCAL_EMBEDDING_DIMENSIONS}`);
+    expect(result.embeddingDim).toBe(LOCAL_EMBEDDING_DIMENSIONS);
+  });
+
+  test('should rank semantic search results by meaning', async () => {
+    const bakingResults = await semanticSearch('how do I bake cookies', notes);
+    const planningResults = await semanticSearch('milestones for the product plan', notes);
+
+    expect(bakingResults[0].id).toBe('cookies');
+    expect(planningResults[0].id).toBe('roadmap');
+  });
+
+  test('should score unrelated notes far below matching ones', async () => {
+    const results = await semanticSearch('chocolate', notes);
+
+    expect(results[0].id).toBe('cookies');
+    results.slice(1).forEach(note => {
+      expect(note.similarity).toBeLessThan(results[0].similarity / 2);
+    });
+  });
+
+  test('should skip stored embeddings from a different model', async () => {
+    const legacyNotes = notes.map(note => ({ ...note, embedding: [0.1, 0.2], embeddingModel: 'openai/text-embedding-3-small' }));
+    const results = await semanticSearch('bake cookies', legacyNotes);
+
+    // Offline queries are compared against vectors recomputed from the notes themselves
+    expect(results[0].id).toBe('cookies');
+  });
+});
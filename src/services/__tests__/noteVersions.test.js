@@ -0,0 +1,140 @@
+import {
+  appendVersion,
+  pruneVersions,
+  versionAuthorLabel,
+  planVersionRecords,
+  decodeVersions,
+  MAX_VERSIONS,
+  SNAPSHOT_EVERY
+} from '../noteVersions';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = new Date('2024-06-30T12:00:00.000Z').getTime();
+
+const at = (ms, overrides = {}) => ({
+  title: 'T',
+  content: `content at ${ms}`,
+  timestamp: new Date(ms).toISOString(),
+  author: 'alice',
+  ...overrides
+});
+
+describe('Note Versions', () => {
+  describe('appendVersion', () => {
+    test('should coalesce saves by the same author within the window', () => {
+      const first = at(NOW);
+      const versions = appendVersion(appendVersion([], first), at(NOW + 5 * 60 * 1000));
+
+      expect(versions).toHaveLength(1);
+      expect(versions[0]).toMatchObject({ content: `content at ${NOW + 5 * 60 * 1000}`, startedAt: first.timestamp });
+
+      // The window runs from the first save of the session, not the last
+      expect(appendVersion(versions, at(NOW + 11 * 60 * 1000))).toHaveLength(2);
+    });
+
+    test('should start a new version for another author, a new rev or a restore', () => {
+      const versions = [at(NOW)];
+
+      expect(appendVersion(versions, at(NOW + 1000, { author: 'bob' }))).toHaveLength(2);
+      expect(appendVersion(versions, at(NOW + 1000, { rev: 1 }))).toHaveLength(2);
+      expect(appendVersion(versions, at(NOW + 1000, { restoredFrom: versions[0].timestamp }))).toHaveLength(2);
+      expect(appendVersion([at(NOW, { restoredFrom: 'x' })], at(NOW + 1000))).toHaveLength(2);
+    });
+  });
+
+  describe('pruneVersions', () => {
+    test('should keep everything from the last day', () => {
+      const versions = [at(NOW - 5 * HOUR), at(NOW - 3 * HOUR), at(NOW - HOUR)];
+      expect(pruneVersions(versions, { now: NOW })).toEqual(versions);
+    });
+
+    test('should thin older versions to one per hour, then one per day', () => {
+      const versions = [
+        at(NOW - 30 * DAY),
+        at(NOW - 20 * DAY - 2 * HOUR),
+        at(NOW - 20 * DAY - HOUR),
+        at(NOW - 3 * DAY - 10 * 60 * 1000),
+        at(NOW - 3 * DAY - 5 * 60 * 1000),
+        at(NOW - HOUR),
+      ];
+
+      expect(pruneVersions(versions, { now: NOW })).toEqual([
+        versions[0],
+        versions[2],
+        versions[4],
+        versions[5],
+      ]);
+    });
+
+    test('should keep restores and cap the total', () => {
+      const restore = at(NOW - 20 * DAY - 2 * HOUR, { restoredFrom: 'x' });
+      expect(pruneVersions([at(NOW - 30 * DAY), restore, at(NOW - 20 * DAY - HOUR), at(NOW)], { now: NOW }))
+        .toContain(restore);
+
+      const many = Array.from({ length: 80 }, (_, i) => at(NOW - (80 - i) * 60 * 1000));
+      const pruned = pruneVersions(many, { now: NOW });
+      expect(pruned).toHaveLength(MAX_VERSIONS);
+      expect(pruned[0]).toBe(many[0]);
+      expect(pruned[pruned.length - 1]).toBe(many[79]);
+    });
+  });
+
+  test('should label authors', () => {
+    expect(versionAuthorLabel({ author: 'alice' }, 'alice')).toBe('You');
+    expect(versionAuthorLabel({ author: 'bob', authorName: 'Bob' }, 'alice')).toBe('Bob');
+    expect(versionAuthorLabel({ author: 'bob' }, 'alice')).toBe('Collaborator');
+    expect(versionAuthorLabel({}, 'alice')).toBe('Unknown');
+  });
+
+  describe('version records', () => {
+    const paragraphs = Array.from({ length: 10 }, (_, i) => `<p>Paragraph ${i} of a long enough note.</p>`);
+    const edit = (i) => ({
+      ...at(NOW + i * HOUR, { id: `v${i}` }),
+      content: paragraphs.map((p, j) => (j === i % paragraphs.length ? `<p>Edit ${i}</p>` : p)).join(''),
+    });
+
+    test('should store deltas with a snapshot every SNAPSHOT_EVERY versions', () => {
+      const versions = Array.from({ length: SNAPSHOT_EVERY + 2 }, (_, i) => edit(i));
+      const { records, removed, index } = planVersionRecords('n1', [], versions);
+
+      expect(removed).toEqual([]);
+      expect(records.map(r => r.depth)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 0, 1]);
+      expect(records[1]).toMatchObject({ noteId: 'n1', baseId: 'v0', delta: expect.any(Array) });
+      expect(records[1].content).toBeUndefined();
+      expect(index[1]).toEqual({ id: 'v1', timestamp: versions[1].timestamp, author: 'alice', baseId: 'v0' });
+
+      expect(decodeVersions(index, records).map(v => v.content)).toEqual(versions.map(v => v.content));
+    });
+
+    test('should only write new versions and re-encode ones whose base was pruned', () => {
+      const versions = [edit(0), edit(1), edit(2)];
+      const first = planVersionRecords('n1', [], versions);
+      const stored = decodeVersions(first.index, first.records);
+
+      const appended = planVersionRecords('n1', stored, [...stored, edit(3)]);
+      expect(appended.records.map(r => r.id)).toEqual(['v3']);
+      expect(appended.removed).toEqual([]);
+
+      const pruned = planVersionRecords('n1', stored, [stored[0], stored[2]]);
+      expect(pruned.removed).toEqual(['v1']);
+      expect(pruned.records).toEqual([expect.objectContaining({ id: 'v2', baseId: 'v0', depth: 1 })]);
+      expect(decodeVersions(pruned.index, [first.records[0], ...pruned.records])[1].content).toBe(versions[2].content);
+    });
+
+    test('should keep index entries that were never fetched as they are', () => {
+      const { index } = planVersionRecords('n1', [], [edit(0), edit(1)]);
+      const { records, removed, index: next } = planVersionRecords('n1', index, [...index, edit(2)]);
+
+      expect(removed).toEqual([]);
+      expect(records).toEqual([expect.objectContaining({ id: 'v2', baseId: null, snapshot: edit(2).content })]);
+      expect(next.map(entry => entry.baseId)).toEqual([null, 'v0', null]);
+    });
+
+    test('should leave out versions whose records are missing', () => {
+      const { records, index } = planVersionRecords('n1', [], [edit(0), edit(1)]);
+      expect(decodeVersions(index, records.slice(1))).toEqual([]);
+      expect(decodeVersions(index, records.slice(0, 1)).map(v => v.id)).toEqual(['v0']);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+import 'fake-indexeddb/auto';
+import { createNotesCache } from '../storage';
+import { withAICache, clearAICache } from '../aiCache';
+
+jest.mock('../firebase', () => ({ db: {}, auth: {} }));
+
+// Mock axios
+jest.mock('axios', () => ({
+  create: jest.fn(() => ({
+    post: jest.fn()
+  }))
+}));
+
+// Mock console methods to avoid noise in tests
+global.console = {
+  ...console,
+  log: jest.fn(),
+  error: jest.fn(),
+};
+
+const request = (text) => ({
+  capability: 'summarize',
+  providerId: 'test',
+  model: 'test-model',
+  text
+});
+
+describe('Notes cache', () => {
+  test('should open alongside the AI result cache in the same session', async () => {
+    // The AI cache opens its database first, as it does whenever a note is summarized
+    expect(await withAICache(request('cached'), async () => 'summary')).toBe('summary');
+
+    const cache = createNotesCache();
+    await cache.put({ id: 'n1', ownerId: 'alice', title: 'Cached', sharedWith: ['bob'] });
+
+    expect((await cache.list('alice')).map(note => note.id)).toEqual(['n1']);
+    expect((await cache.listShared('bob')).map(note => note.id)).toEqual(['n1']);
+
+    // ...and the AI cache keeps working with the notes cache open
+    const compute = jest.fn(async () => 'recomputed');
+    expect(await withAICache(request('cached'), compute)).toBe('summary');
+    expect(compute).not.toHaveBeenCalled();
+    await clearAICache();
+  });
+});
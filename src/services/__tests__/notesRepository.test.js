@@ -0,0 +1,498 @@
+import { createNotesRepository } from '../notesRepository';
+import { createMemoryBackend, createLocalStorageBackend, createMemoryDirectory, createMemoryNotebookStore } from '../storage';
+import { importLocalNotes } from '../notesService';
+import { roleOf } from '../sharing';
+
+// The Firestore backend initializes Firebase on import; these tests only use local backends
+jest.mock('../firebase', () => ({ db: {}, auth: {} }));
+
+// notesService pulls in the AI services, which import axios
+jest.mock('axios', () => ({
+  create: jest.fn(() => ({
+    post: jest.fn()
+  }))
+}));
+
+// Mock console methods to avoid noise in tests
+global.console = {
+  ...console,
+  log: jest.fn(),
+  error: jest.fn(),
+};
+
+const note = (overrides = {}) => ({
+  id: 'note-1',
+  title: 'Roadmap',
+  content: '<p>Ship the storage layer</p>',
+  ownerId: 'alice',
+  createdAt: '2024-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+describe('Notes Repository', () => {
+  let repository;
+
+  beforeEach(() => {
+    repository = createNotesRepository(createMemoryBackend([
+      note(),
+      note({ id: 'note-2', title: 'Later', createdAt: '2024-02-01T00:00:00.000Z' }),
+      note({ id: 'note-3', ownerId: 'bob' })
+    ]));
+  });
+
+  test('should list only the user\'s notes, newest first', async () => {
+    const notes = await repository.listNotes('alice');
+    expect(notes.map(n => n.id)).toEqual(['note-2', 'note-1']);
+  });
+
+  test('should create notes with an id, owner, timestamps and a first version', async () => {
+    const saved = await repository.saveNote({ title: 'New', content: '<p>Hello</p>' }, 'alice');
+
+    expect(saved.id).toEqual(expect.any(String));
+    expect(saved.ownerId).toBe('alice');
+    expect(saved.createdAt).toBe(saved.updatedAt);
+    expect(saved.versions).toBeUndefined();
+    expect(saved.versionIndex).toEqual([
+      { id: expect.any(String), timestamp: saved.updatedAt, author: 'alice', rev: 0, baseId: null }
+    ]);
+    expect(await repository.getNote(saved.id, 'alice')).toEqual(saved);
+    expect(await repository.getVersions(saved.id, 'alice')).toEqual([
+      expect.objectContaining({ title: 'New', content: '<p>Hello</p>', timestamp: saved.updatedAt, author: 'alice' })
+    ]);
+  });
+
+  test('should keep the client\'s id so repeated saves update one note', async () => {
+    await repository.saveNote({ id: 'draft-1', title: 'Draft', content: 'a' }, 'alice');
+    await repository.saveNote({ id: 'draft-1', title: 'Draft', content: 'ab' }, 'alice');
+
+    const notes = await repository.listNotes('alice');
+    expect(notes.filter(n => n.id === 'draft-1')).toHaveLength(1);
+  });
+
+  test('should record a version only when the title or content changes', async () => {
+    await repository.saveNote({ id: 'note-1', tags: ['planning'] }, 'alice');
+    let saved = await repository.getNote('note-1', 'alice');
+    expect(await repository.getVersions('note-1', 'alice')).toEqual([]);
+    expect(saved.tags).toEqual(['planning']);
+    expect(saved.createdAt).toBe('2024-01-01T00:00:00.000Z');
+
+    saved = await repository.saveNote({ id: 'note-1', content: '<p>Shipped</p>' }, 'alice');
+    expect(saved.versionIndex).toHaveLength(1);
+    const [version] = await repository.getVersions('note-1', 'alice');
+    expect(version.content).toBe('<p>Shipped</p>');
+  });
+
+  test('should ignore stale version history sent by the caller', async () => {
+    await repository.saveNote({ id: 'note-1', content: 'v1' }, 'alice');
+    const saved = await repository.saveNote({ id: 'note-1', content: 'v2', versionIndex: [], versions: [] }, 'alice', { restoredFrom: 'x' });
+
+    expect(saved.versions).toBeUndefined();
+    expect(saved.versionIndex).toHaveLength(2);
+    expect((await repository.getVersions('note-1', 'alice')).map(v => v.content)).toEqual(['v1', 'v2']);
+  });
+
+  test('should move inline versions from older notes into version records', async () => {
+    const v1 = { title: 'Roadmap', content: '<p>v1</p>', timestamp: '2024-01-01T00:00:00.000Z', author: 'alice' };
+    const backend = createMemoryBackend([note({ versions: [v1] })]);
+    repository = createNotesRepository(backend);
+
+    expect(await repository.getVersions('note-1', 'alice')).toEqual([expect.objectContaining(v1)]);
+
+    const saved = await repository.saveNote({ id: 'note-1', content: '<p>v2</p>' }, 'alice');
+    expect(saved.versions).toBeUndefined();
+    expect(saved.versionIndex).toHaveLength(2);
+    expect(await backend.listVersions('note-1')).toHaveLength(2);
+    expect((await repository.getVersions('note-1', 'alice')).map(v => v.content)).toEqual(['<p>v1</p>', '<p>v2</p>']);
+  });
+
+  test('should store later versions as deltas', async () => {
+    const backend = createMemoryBackend([note()]);
+    repository = createNotesRepository(backend);
+    const paragraphs = Array.from({ length: 20 }, (_, i) => `<p>Paragraph ${i} with enough text to matter.</p>`);
+
+    await repository.saveNote({ id: 'note-1', content: paragraphs.join('') }, 'alice');
+    paragraphs[5] = '<p>Changed</p>';
+    await repository.saveNote({ id: 'note-1', content: paragraphs.join('') }, 'alice', { restoredFrom: 'x' });
+
+    const records = await backend.listVersions('note-1');
+    expect(records.map(r => (r.snapshot !== undefined ? 'snapshot' : 'delta'))).toEqual(['snapshot', 'delta']);
+    expect(records[1].delta).toEqual([5, -1, '<p>Changed</p>']);
+    expect((await repository.getVersions('note-1', 'alice'))[1].content).toBe(paragraphs.join(''));
+  });
+
+  test('should delete version records with the note', async () => {
+    const backend = createMemoryBackend([note()]);
+    repository = createNotesRepository(backend);
+    await repository.saveNote({ id: 'note-1', content: 'v1' }, 'alice');
+
+    await repository.deleteNote('note-1', 'alice');
+    expect(await backend.listVersions('note-1')).toEqual([]);
+  });
+
+  test('should coalesce auto-saves into one version and keep restores separate', async () => {
+    await repository.saveNote({ id: 'note-1', content: 'draft 1' }, 'alice', { authorName: 'Alice' });
+    await repository.saveNote({ id: 'note-1', content: 'draft 2' }, 'alice');
+    let versions = await repository.getVersions('note-1', 'alice');
+    expect(versions.map(v => v.content)).toEqual(['draft 2']);
+
+    const restoredFrom = versions[0].timestamp;
+    await repository.saveNote({ id: 'note-1', content: 'original' }, 'alice', { restoredFrom });
+    versions = await repository.getVersions('note-1', 'alice');
+    expect(versions.map(v => v.content)).toEqual(['draft 2', 'original']);
+    expect(versions[1]).toMatchObject({ author: 'alice', restoredFrom });
+  });
+
+  test('should deny reads and writes to other users\' notes', async () => {
+    await expect(repository.getNote('note-3', 'alice')).rejects.toThrow('Access denied');
+    await expect(repository.saveNote({ id: 'note-3', title: 'Mine now' }, 'alice')).rejects.toThrow('Access denied');
+    await expect(repository.deleteNote('note-3', 'alice')).rejects.toThrow('Access denied');
+    expect(await repository.getNote('missing', 'alice')).toBeNull();
+  });
+
+  test('should delete notes the user owns', async () => {
+    expect(await repository.deleteNote('note-1', 'alice')).toBe(true);
+    expect(await repository.getNote('note-1', 'alice')).toBeNull();
+    expect(await repository.deleteNote('note-1', 'alice')).toBe(false);
+  });
+
+  test('should retitle links to a renamed note in the user\'s notes', async () => {
+    await repository.saveNote({
+      id: 'note-2',
+      content: '<p>See <a href="/notes/note-1" rel="noopener noreferrer" target="_blank">Roadmap</a> and <a href="/notes/note-1">the plan</a></p>'
+    }, 'alice');
+
+    await repository.saveNote({ id: 'note-1', title: 'Roadmap 2025' }, 'alice');
+
+    const linking = await repository.getNote('note-2', 'alice');
+    expect(linking.content).toBe(
+      '<p>See <a href="/notes/note-1" rel="noopener noreferrer" target="_blank">Roadmap 2025</a> and <a href="/notes/note-1">the plan</a></p>'
+    );
+    expect(linking.title).toBe('Later');
+  });
+
+  test('should merge a note into another and point links at the merged note', async () => {
+    await repository.saveNote({ id: 'note-1', tags: ['plans'] }, 'alice');
+    await repository.saveNote({ id: 'note-2', content: '<p>Later</p>', tags: ['Plans', 'q3'] }, 'alice');
+    const linking = await repository.saveNote({ title: 'Index', content: '<p><a href="/notes/note-2">Later</a></p>' }, 'alice');
+
+    const merged = await repository.mergeNotes('note-1', 'note-2', 'alice');
+
+    expect(merged.content).toBe('<p>Ship the storage layer</p><h2>Later</h2><p>Later</p>');
+    expect(merged.tags).toEqual(['plans', 'q3']);
+    expect(await repository.getNote('note-2', 'alice')).toBeNull();
+    expect((await repository.getNote(linking.id, 'alice')).content).toBe('<p><a href="/notes/note-1">Later</a></p>');
+  });
+
+  test('should only merge notes the user owns', async () => {
+    await expect(repository.mergeNotes('note-1', 'note-3', 'alice')).rejects.toThrow('Access denied');
+    await expect(repository.mergeNotes('note-1', 'note-1', 'alice')).rejects.toThrow("can't be merged into itself");
+  });
+
+  test('should not share notes without a user directory', async () => {
+    await expect(repository.shareNote('note-1', 'bob@example.com', 'viewer', 'alice')).rejects.toThrow("can't be shared");
+    expect(await repository.listSharedNotes('bob')).toEqual([]);
+  });
+});
+
+describe('Note sharing', () => {
+  let repository;
+  let directory;
+  const users = [
+    { uid: 'alice', email: 'alice@example.com' },
+    { uid: 'bob', email: 'bob@example.com', displayName: 'Bob' },
+  ];
+
+  beforeEach(() => {
+    directory = createMemoryDirectory([...users]);
+    repository = createNotesRepository(createMemoryBackend([note()]), { directory });
+  });
+
+  test('should give collaborators access with their role', async () => {
+    expect(await repository.shareNote('note-1', ' Bob@Example.com ', 'viewer', 'alice'))
+      .toEqual({ status: 'shared', userId: 'bob' });
+
+    const shared = await repository.getNote('note-1', 'bob');
+    expect(shared.sharedWith).toEqual(['bob']);
+    expect(shared.collaborators.bob).toMatchObject({ role: 'viewer', email: 'bob@example.com' });
+    expect((await repository.listSharedNotes('bob')).map(n => n.id)).toEqual(['note-1']);
+    await expect(repository.getNote('note-1', 'carol')).rejects.toThrow('Access denied');
+  });
+
+  test('should only let editors change shared notes', async () => {
+    await repository.shareNote('note-1', 'bob@example.com', 'commenter', 'alice');
+    await expect(repository.saveNote({ id: 'note-1', content: 'Mine' }, 'bob')).rejects.toThrow('Access denied');
+
+    await repository.shareNote('note-1', 'bob@example.com', 'editor', 'alice');
+    const saved = await repository.saveNote({ id: 'note-1', content: 'Edited', sharedWith: [], collaborators: {} }, 'bob');
+    expect(saved).toMatchObject({ content: 'Edited', ownerId: 'alice', sharedWith: ['bob'] });
+    await expect(repository.deleteNote('note-1', 'bob')).rejects.toThrow('Access denied');
+    await expect(repository.shareNote('note-1', 'carol@example.com', 'viewer', 'bob')).rejects.toThrow('access denied');
+  });
+
+  test('should remove collaborators and let them leave', async () => {
+    await repository.shareNote('note-1', 'bob@example.com', 'viewer', 'alice');
+    await expect(repository.removeCollaborator('note-1', 'alice', 'bob')).rejects.toThrow('access denied');
+
+    await repository.removeCollaborator('note-1', 'bob', 'bob');
+    expect(await repository.listSharedNotes('bob')).toEqual([]);
+    await expect(repository.getNote('note-1', 'bob')).rejects.toThrow('Access denied');
+  });
+
+  test('should invite emails without an account and grant access once they sign up', async () => {
+    expect(await repository.shareNote('note-1', 'carol@example.com', 'editor', 'alice')).toEqual({ status: 'invited' });
+    expect(await repository.listInvitations('note-1', 'alice')).toEqual([
+      expect.objectContaining({ noteId: 'note-1', noteTitle: 'Roadmap', email: 'carol@example.com', role: 'editor' })
+    ]);
+    await expect(repository.getNote('note-1', 'carol')).rejects.toThrow('Access denied');
+
+    // Not until carol has shown the address is hers
+    expect(await repository.acceptInvitations({ uid: 'carol', email: 'carol@example.com', emailVerified: false })).toBe(0);
+    await expect(repository.getNote('note-1', 'carol')).rejects.toThrow('Access denied');
+
+    expect(await repository.acceptInvitations({ uid: 'carol', email: 'Carol@example.com', emailVerified: true })).toBe(1);
+    expect(roleOf(await repository.getNote('note-1', 'carol'), 'carol')).toBe('editor');
+    expect(await repository.listInvitations('note-1', 'alice')).toEqual([]);
+  });
+
+  test('should drop revoked invitations and ones for deleted notes', async () => {
+    await repository.shareNote('note-1', 'carol@example.com', 'viewer', 'alice');
+    await repository.revokeInvitation('note-1', 'carol@example.com', 'alice');
+    expect(await repository.acceptInvitations({ uid: 'carol', email: 'carol@example.com', emailVerified: true })).toBe(0);
+
+    await repository.shareNote('note-1', 'dave@example.com', 'viewer', 'alice');
+    await repository.deleteNote('note-1', 'alice');
+    expect(await repository.acceptInvitations({ uid: 'dave', email: 'dave@example.com', emailVerified: true })).toBe(0);
+    expect(await directory.listInvitationsFor('dave@example.com')).toEqual([]);
+  });
+
+  test('should reject unknown roles, bad emails and sharing with yourself', async () => {
+    await expect(repository.shareNote('note-1', 'bob@example.com', 'admin', 'alice')).rejects.toThrow('Unknown role');
+    await expect(repository.shareNote('note-1', 'bob', 'viewer', 'alice')).rejects.toThrow('valid email');
+    await expect(repository.shareNote('note-1', 'alice@example.com', 'viewer', 'alice')).rejects.toThrow('already own');
+  });
+});
+
+describe('Local notes import', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('should copy legacy localStorage notes into the repository once', async () => {
+    localStorage.setItem('notes', JSON.stringify([
+      note({ id: 'legacy-1', ownerId: undefined }),
+      note({ id: 'demo-1' }),
+      note({ id: 'other-1', ownerId: 'bob' })
+    ]));
+    const repository = createNotesRepository(createMemoryBackend());
+
+    expect(await importLocalNotes('alice', repository)).toBe(1);
+    expect((await repository.listNotes('alice')).map(n => n.id)).toEqual(['legacy-1']);
+    expect(await importLocalNotes('alice', repository)).toBe(0);
+  });
+
+  test('should not import into the localStorage backend itself', async () => {
+    localStorage.setItem('notes', JSON.stringify([note({ id: 'legacy-1' })]));
+    const repository = createNotesRepository(createLocalStorageBackend());
+
+    expect(await importLocalNotes('alice', repository)).toBe(0);
+    expect(await repository.listNotes('alice')).toHaveLength(1);
+  });
+});
+
+describe('Notebooks', () => {
+  let repository;
+
+  beforeEach(() => {
+    repository = createNotesRepository(createMemoryBackend([note(), note({ id: 'note-2', title: 'Later' })]), {
+      directory: createMemoryDirectory([{ uid: 'bob', email: 'bob@example.com' }, { uid: 'carol', email: 'carol@example.com' }]),
+      notebooks: createMemoryNotebookStore(),
+    });
+  });
+
+  test('should create, nest and rename notebooks', async () => {
+    const work = await repository.saveNotebook({ name: ' Work ' }, 'alice');
+    const plans = await repository.saveNotebook({ name: 'Plans', parentId: work.id }, 'alice');
+    await repository.saveNotebook({ id: plans.id, name: 'Q3 plans' }, 'alice');
+
+    expect(work).toMatchObject({ name: 'Work', parentId: null, ownerId: 'alice' });
+    expect((await repository.listNotebooks('alice')).map(n => [n.name, n.parentId])).toEqual([
+      ['Q3 plans', work.id],
+      ['Work', null],
+    ]);
+    expect(await repository.listNotebooks('bob')).toEqual([]);
+    await expect(repository.saveNotebook({ name: ' ' }, 'alice')).rejects.toThrow('Give the notebook a name');
+    await expect(repository.saveNotebook({ id: work.id, name: 'Mine' }, 'bob')).rejects.toThrow('access denied');
+  });
+
+  test('should not move a notebook inside itself', async () => {
+    const work = await repository.saveNotebook({ name: 'Work' }, 'alice');
+    const plans = await repository.saveNotebook({ name: 'Plans', parentId: work.id }, 'alice');
+
+    await expect(repository.saveNotebook({ id: work.id, parentId: plans.id }, 'alice')).rejects.toThrow('inside itself');
+    await expect(repository.saveNotebook({ id: work.id, parentId: work.id }, 'alice')).rejects.toThrow('inside itself');
+    expect((await repository.saveNotebook({ id: plans.id, parentId: null }, 'alice')).parentId).toBeNull();
+  });
+
+  test('should file notes in one notebook and keep them there when they are edited', async () => {
+    const work = await repository.saveNotebook({ name: 'Work' }, 'alice');
+    await repository.saveNote({ id: 'note-1', notebookId: work.id }, 'alice');
+    const edited = await repository.saveNote({ id: 'note-1', content: '<p>Edited</p>' }, 'alice');
+
+    expect(edited.notebookId).toBe(work.id);
+    expect((await repository.saveNote({ id: 'note-1', notebookId: null }, 'alice')).notebookId).toBeUndefined();
+    await expect(repository.saveNote({ id: 'note-2', notebookId: 'missing' }, 'alice')).rejects.toThrow('Notebook not found');
+  });
+
+  test('should move the contents of a deleted notebook up to its parent', async () => {
+    const work = await repository.saveNotebook({ name: 'Work' }, 'alice');
+    const plans = await repository.saveNotebook({ name: 'Plans', parentId: work.id }, 'alice');
+    const q3 = await repository.saveNotebook({ name: 'Q3', parentId: plans.id }, 'alice');
+    await repository.saveNote({ id: 'note-1', notebookId: plans.id }, 'alice');
+
+    expect(await repository.deleteNotebook(plans.id, 'alice')).toBe(true);
+    expect((await repository.getNote('note-1', 'alice')).notebookId).toBe(work.id);
+    expect((await repository.listNotebooks('alice')).find(n => n.id === q3.id).parentId).toBe(work.id);
+    expect(await repository.listNotes('alice')).toHaveLength(2);
+  });
+
+  test('should share a notebook with everything in it, and with what is put in it later', async () => {
+    const work = await repository.saveNotebook({ name: 'Work' }, 'alice');
+    const plans = await repository.saveNotebook({ name: 'Plans', parentId: work.id }, 'alice');
+    await repository.saveNote({ id: 'note-1', notebookId: plans.id }, 'alice');
+
+    expect(await repository.shareNotebook(work.id, 'bob@example.com', 'editor', 'alice')).toEqual({ status: 'shared', userId: 'bob' });
+    expect((await repository.listNotebooks('bob')).map(n => n.name)).toEqual(['Plans', 'Work']);
+    expect(roleOf(await repository.getNote('note-1', 'bob'), 'bob')).toBe('editor');
+    await expect(repository.getNote('note-2', 'bob')).rejects.toThrow('Access denied');
+
+    // Moved in, a note is shared; a new note and notebook are shared from the start
+    await repository.saveNote({ id: 'note-2', notebookId: work.id }, 'alice');
+    const created = await repository.saveNote({ title: 'New', notebookId: plans.id }, 'alice');
+    const drafts = await repository.saveNotebook({ name: 'Drafts', parentId: plans.id }, 'alice');
+    expect((await repository.listSharedNotes('bob')).map(n => n.id).sort()).toEqual(['note-1', 'note-2', created.id].sort());
+    expect((await repository.listNotebooks('bob')).map(n => n.id)).toContain(drafts.id);
+
+    // Moved out, it isn't
+    await repository.saveNote({ id: 'note-2', notebookId: null }, 'alice');
+    await expect(repository.getNote('note-2', 'bob')).rejects.toThrow('Access denied');
+  });
+
+  test('should let editors change notes but not where they are filed', async () => {
+    const work = await repository.saveNotebook({ name: 'Work' }, 'alice');
+    await repository.saveNote({ id: 'note-1', notebookId: work.id }, 'alice');
+    await repository.shareNotebook(work.id, 'bob@example.com', 'editor', 'alice');
+
+    const saved = await repository.saveNote({ id: 'note-1', content: '<p>Edited</p>', notebookId: null }, 'bob');
+    expect(saved).toMatchObject({ content: '<p>Edited</p>', notebookId: work.id });
+    await expect(repository.saveNotebook({ id: work.id, name: 'Bob\'s' }, 'bob')).rejects.toThrow('access denied');
+  });
+
+  test('should unshare a notebook and let collaborators leave it', async () => {
+    const work = await repository.saveNotebook({ name: 'Work' }, 'alice');
+    await repository.saveNote({ id: 'note-1', notebookId: work.id }, 'alice');
+    await repository.shareNotebook(work.id, 'bob@example.com', 'viewer', 'alice');
+    await repository.shareNotebook(work.id, 'carol@example.com', 'viewer', 'alice');
+
+    await repository.removeNotebookCollaborator(work.id, 'bob', 'alice');
+    await repository.removeNotebookCollaborator(work.id, 'carol', 'carol');
+    expect(await repository.listNotebooks('bob')).toEqual([]);
+    expect(await repository.listSharedNotes('carol')).toEqual([]);
+    expect((await repository.getNote('note-1', 'alice')).sharedWith).toEqual([]);
+  });
+
+  test('should only share notebooks with existing accounts', async () => {
+    const work = await repository.saveNotebook({ name: 'Work' }, 'alice');
+
+    await expect(repository.shareNotebook(work.id, 'dave@example.com', 'viewer', 'alice')).rejects.toThrow("doesn't have an account");
+    await expect(repository.shareNotebook(work.id, 'bob@example.com', 'owner', 'alice')).rejects.toThrow('Unknown role');
+    await expect(repository.shareNotebook(work.id, 'bob@example.com', 'viewer', 'bob')).rejects.toThrow('access denied');
+  });
+
+  test('should not file notes without a notebook store', async () => {
+    const plain = createNotesRepository(createMemoryBackend([note()]));
+
+    expect(await plain.listNotebooks('alice')).toEqual([]);
+    await expect(plain.saveNotebook({ name: 'Work' }, 'alice')).rejects.toThrow("can't be filed in notebooks");
+  });
+});
+
+describe('Public links', () => {
+  let repository;
+  let directory;
+
+  beforeAll(() => {
+    // jsdom has no Web Crypto; password links hash with it
+    Object.defineProperty(global, 'crypto', { value: require('crypto').webcrypto, configurable: true });
+    global.TextEncoder = require('util').TextEncoder;
+  });
+
+  beforeEach(() => {
+    directory = createMemoryDirectory([{ uid: 'bob', email: 'bob@example.com' }]);
+    repository = createNotesRepository(createMemoryBackend([note({ summary: 'Plan', tags: ['work'] })]), { directory });
+  });
+
+  test('should publish a read-only copy anyone with the token can read', async () => {
+    const published = await repository.publishNote('note-1', 'alice');
+    const { token } = published.publicLink;
+
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(published.publicLink).toMatchObject({ contentId: token, expiresAt: null, hasPassword: false });
+    expect(await repository.getPublicNote(token)).toEqual({
+      status: 'ok',
+      note: expect.objectContaining({ noteId: 'note-1', title: 'Roadmap', summary: 'Plan', tags: ['work'] })
+    });
+    expect((await repository.getPublicNote(token)).note.collaborators).toBeUndefined();
+    expect(await repository.getPublicNote('guess')).toEqual({ status: 'unavailable' });
+  });
+
+  test('should keep the published copy up to date and the link out of reach of saves', async () => {
+    const { publicLink } = await repository.publishNote('note-1', 'alice');
+    await repository.saveNote({ id: 'note-1', content: '<p>Updated</p>', publicLink: null }, 'alice');
+
+    expect((await repository.getNote('note-1', 'alice')).publicLink).toEqual(publicLink);
+    expect((await repository.getPublicNote(publicLink.token)).note.content).toBe('<p>Updated</p>');
+  });
+
+  test('should only show password-protected notes with the right password', async () => {
+    const { publicLink } = await repository.publishNote('note-1', 'alice', { password: 'hunter2' });
+
+    expect(publicLink.hasPassword).toBe(true);
+    expect(await repository.getPublicNote(publicLink.token)).toEqual({ status: 'password-required' });
+    expect(await repository.getPublicNote(publicLink.token, 'wrong')).toEqual({ status: 'wrong-password' });
+    expect((await repository.getPublicNote(publicLink.token, 'hunter2')).note.title).toBe('Roadmap');
+
+    // Changing other settings keeps the password; an empty one removes it
+    await repository.publishNote('note-1', 'alice', { expiresAt: '2999-01-01T00:00:00.000Z' });
+    expect((await repository.getPublicNote(publicLink.token, 'hunter2')).status).toBe('ok');
+    await repository.publishNote('note-1', 'alice', { password: '' });
+    expect((await repository.getPublicNote(publicLink.token)).status).toBe('ok');
+    expect(await directory.getPublicNote(publicLink.contentId)).toBeNull();
+  });
+
+  test('should stop serving expired, revoked and deleted links', async () => {
+    await expect(repository.publishNote('note-1', 'alice', { expiresAt: '2000-01-01T00:00:00.000Z' }))
+      .rejects.toThrow('in the future');
+
+    const { publicLink } = await repository.publishNote('note-1', 'alice', { expiresAt: '2999-01-01T00:00:00.000Z' });
+    await directory.putPublicNote(publicLink.token, {
+      ...(await directory.getPublicNote(publicLink.token)),
+      expiresAt: '2000-01-01T00:00:00.000Z'
+    });
+    expect(await repository.getPublicNote(publicLink.token)).toEqual({ status: 'unavailable' });
+
+    const revoked = await repository.unpublishNote('note-1', 'alice');
+    expect(revoked.publicLink).toBeUndefined();
+    expect(await directory.getPublicNote(publicLink.token)).toBeNull();
+
+    const { publicLink: second } = await repository.publishNote('note-1', 'alice');
+    expect(second.token).not.toBe(publicLink.token);
+    await repository.deleteNote('note-1', 'alice');
+    expect(await repository.getPublicNote(second.token)).toEqual({ status: 'unavailable' });
+  });
+
+  test('should only let owners publish', async () => {
+    await repository.shareNote('note-1', 'bob@example.com', 'editor', 'alice');
+    await expect(repository.publishNote('note-1', 'bob')).rejects.toThrow('access denied');
+    await expect(repository.unpublishNote('note-1', 'bob')).rejects.toThrow('access denied');
+  });
+});
@@ -0,0 +1,78 @@
+import { createSavedSearches, newMatches } from '../savedSearches';
+import { createMemorySavedSearchStore, createLocalStorageSavedSearchStore } from '../storage';
+
+// The Firestore store initializes Firebase on import; these tests only use local stores
+jest.mock('../firebase', () => ({ db: {}, auth: {} }));
+
+// The search service pulls in the AI services, which import axios
+jest.mock('axios', () => ({
+  create: jest.fn(() => ({
+    post: jest.fn()
+  }))
+}));
+
+describe.each([
+  ['memory', () => createMemorySavedSearchStore()],
+  ['localStorage', () => createLocalStorageSavedSearchStore()],
+])('Saved searches (%s store)', (_, createStore) => {
+  let savedSearches;
+
+  beforeEach(() => {
+    localStorage.clear();
+    savedSearches = createSavedSearches(createStore());
+  });
+
+  test('should save a search with defaults and list it per user', async () => {
+    const saved = await savedSearches.save({ name: ' Meetings ', query: 'tag:meeting updated:this-week' }, 'alice');
+
+    expect(saved).toMatchObject({
+      name: 'Meetings',
+      query: 'tag:meeting updated:this-week',
+      searchType: 'hybrid',
+      pinned: false,
+      notify: false,
+      seenIds: [],
+    });
+    expect(saved.id).toBeTruthy();
+    expect(await savedSearches.list('alice')).toEqual([saved]);
+    expect(await savedSearches.list('bob')).toEqual([]);
+  });
+
+  test('should update a search in place and keep when it was created', async () => {
+    const saved = await savedSearches.save({ name: 'Drafts', query: 'tag:draft', searchType: 'text' }, 'alice');
+    const updated = await savedSearches.save({ ...saved, name: 'All drafts', pinned: true }, 'alice');
+
+    expect(updated).toMatchObject({ id: saved.id, name: 'All drafts', pinned: true, createdAt: saved.createdAt });
+    expect(await savedSearches.list('alice')).toEqual([updated]);
+  });
+
+  test('should list pinned searches first, then by name', async () => {
+    await savedSearches.save({ name: 'Work', query: 'tag:work' }, 'alice');
+    await savedSearches.save({ name: 'Ideas', query: 'tag:idea' }, 'alice');
+    await savedSearches.save({ name: 'Reading', query: 'tag:books', pinned: true }, 'alice');
+
+    expect((await savedSearches.list('alice')).map(search => search.name)).toEqual(['Reading', 'Ideas', 'Work']);
+  });
+
+  test('should reject searches without a name, empty searches and queries with errors', async () => {
+    await expect(savedSearches.save({ name: ' ', query: 'tag:work' }, 'alice')).rejects.toThrow('Give the search a name');
+    await expect(savedSearches.save({ name: 'Empty', query: '' }, 'alice')).rejects.toThrow('There is no search to save');
+    await expect(savedSearches.save({ name: 'Broken', query: '"release plan' }, 'alice')).rejects.toThrow('Fix the search');
+    await expect(savedSearches.save({ name: 'Odd', query: 'plan', searchType: 'fuzzy' }, 'alice')).rejects.toThrow('Unknown search type');
+    expect(await savedSearches.list('alice')).toEqual([]);
+  });
+
+  test('should delete a search', async () => {
+    const saved = await savedSearches.save({ name: 'Work', query: 'tag:work' }, 'alice');
+    await savedSearches.remove(saved.id, 'alice');
+
+    expect(await savedSearches.list('alice')).toEqual([]);
+  });
+});
+
+describe('New matches', () => {
+  test('should only count notes that weren\'t matching when the user last looked', () => {
+    expect(newMatches({ seenIds: ['a', 'b'] }, ['b', 'c', 'a', 'd'])).toEqual(['c', 'd']);
+    expect(newMatches({}, ['a'])).toEqual(['a']);
+  });
+});
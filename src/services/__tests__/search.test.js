@@ -0,0 +1,85 @@
+import { fuseRankings, searchVault, SEARCH_MODES } from '../search';
+
+// Mock axios
+jest.mock('axios', () => ({
+  create: jest.fn(() => ({
+    post: jest.fn()
+  }))
+}));
+
+const notes = [
+  {
+    id: 'models',
+    title: 'Training models',
+    content: '<p>Training models with gradient descent and a held-out validation set.</p>',
+    tags: ['ml'],
+    updatedAt: '2024-01-01T00:00:00.000Z',
+  },
+  {
+    id: 'marathon',
+    title: 'Marathon plan',
+    content: '<p>Training schedule for the spring marathon: long runs on Sundays.</p>',
+    tags: ['sport'],
+    updatedAt: '2024-01-02T00:00:00.000Z',
+  },
+  {
+    id: 'recipes',
+    title: 'Dinner recipes',
+    content: '<p>Roast the vegetables with olive oil and garlic.</p>',
+    tags: ['food'],
+    updatedAt: '2024-01-03T00:00:00.000Z',
+  },
+];
+
+describe('Search', () => {
+  test('should fuse rankings so notes high in both lists come first', () => {
+    const fused = fuseRankings([['a', 'b', 'c'], ['b', 'd', 'a']], { k: 1 });
+
+    expect(fused.map(({ id }) => id)).toEqual(['b', 'a', 'd', 'c']);
+    expect(fused[0]).toEqual({ id: 'b', score: 1 / 3 + 1 / 2, ranks: [2, 1] });
+    expect(fused[2].ranks).toEqual([null, 2]);
+  });
+
+  test('should combine keyword and meaning matches in hybrid mode and say why each matched', async () => {
+    const { results, errors } = await searchVault(notes, 'training models');
+
+    expect(errors).toEqual([]);
+    expect(results.map(note => note.id)).toEqual(['models', 'marathon']);
+    expect(results[0].match.keyword).toMatchObject({
+      rank: 1,
+      terms: [
+        { value: 'training', kind: 'exact', fields: ['title', 'text'] },
+        { value: 'models', kind: 'exact', fields: ['title', 'text'] },
+      ],
+    });
+    expect(results[0].match.semantic.rank).toBe(1);
+    // Only shares a word with the query, so it's found by meaning alone
+    expect(results[1].match.keyword).toBeNull();
+    expect(results[1].match.semantic.similarity).toBeGreaterThan(0);
+  });
+
+  test('should leave out notes below the similarity threshold instead of filling the list', async () => {
+    const { results } = await searchVault(notes, 'training models', { minSimilarity: 0.99 });
+
+    expect(results.map(note => note.id)).toEqual(['models']);
+    expect(results[0].match.semantic).toBeNull();
+  });
+
+  test('should search only by keywords or only by meaning when asked', async () => {
+    const text = await searchVault(notes, 'training models', { mode: SEARCH_MODES.TEXT });
+    const semantic = await searchVault(notes, 'training tag:sport', { mode: SEARCH_MODES.SEMANTIC });
+
+    expect(text.results.map(note => note.id)).toEqual(['models']);
+    expect(text.results[0].match.semantic).toBeNull();
+    expect(semantic.results.map(note => note.id)).toEqual(['marathon']);
+    expect(semantic.results[0].match.keyword).toBeNull();
+  });
+
+  test('should return filter-only queries by keyword and nothing for invalid ones', async () => {
+    expect((await searchVault(notes, 'tag:food')).results.map(note => note.id)).toEqual(['recipes']);
+
+    const invalid = await searchVault(notes, 'training (');
+    expect(invalid.results).toEqual([]);
+    expect(invalid.errors[0].message).toBe('Missing closing parenthesis');
+  });
+});
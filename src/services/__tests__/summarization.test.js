@@ -0,0 +1,141 @@
+import { CAPABILITIES, registerProvider, setCapabilityProvider } from '../aiProviders';
+import { getSummary, SUMMARY_STYLES, clearAICache } from '../ai';
+import { chunkNoteContent } from '../../utils/textChunker';
+
+// Mock axios
+jest.mock('axios', () => ({
+  create: jest.fn(() => ({
+    post: jest.fn()
+  }))
+}));
+
+// Mock console methods to avoid noise in tests
+global.console = {
+  ...console,
+  log: jest.fn(),
+  error: jest.fn(),
+};
+
+const paragraph = (topic) =>
+  `<p>The ${topic} discussion covered several decisions in detail. Everyone agreed on the ${topic} next steps. ` +
+  `Owners were assigned for each ${topic} action item and deadlines were set for the following weeks.</p>`;
+
+const longMeetingNote = [
+  '<h2>Budget</h2>', paragraph('budget'), paragraph('spending'),
+  '<h2>Hiring</h2>', paragraph('hiring'), paragraph('interview'),
+  '<h2>Launch</h2>', paragraph('launch'), paragraph('marketing'),
+].join('');
+
+const createRecordingProvider = (overrides = {}) => {
+  const calls = [];
+  return {
+    calls,
+    provider: {
+      id: 'recording',
+      label: 'Recording Provider',
+      capabilities: [CAPABILITIES.SUMMARIZE],
+      defaultModels: { [CAPABILITIES.SUMMARIZE]: 'recorder' },
+      isConfigured: () => true,
+      maxInputChars: 500,
+      supportsStyles: false,
+      summarize: jest.fn(async (text, options) => {
+        calls.push({ text, options });
+        return `Summary ${calls.length} of ${text.split(':')[0].slice(0, 20)}. Second sentence ${calls.length}.`;
+      }),
+      ...overrides,
+    },
+  };
+};
+
+describe('Chunked Summarization', () => {
+  describe('chunkNoteContent', () => {
+    test('should start a new chunk at every heading', () => {
+      const chunks = chunkNoteContent(longMeetingNote, { maxChars: 5000 });
+
+      expect(chunks.map(chunk => chunk.heading)).toEqual(['Budget', 'Hiring', 'Launch']);
+    });
+
+    test('should keep chunks within the size limit along paragraph boundaries', () => {
+      const chunks = chunkNoteContent(longMeetingNote, { maxChars: 250 });
+
+      chunks.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(250));
+      expect(chunks.length).toBeGreaterThan(3);
+    });
+
+    test('should split plain text on blank lines and markdown headings', () => {
+      const chunks = chunkNoteContent('# Intro\nFirst paragraph.\n\nSecond paragraph.\n## Next\nThird.', { maxChars: 20 });
+
+      expect(chunks).toEqual([
+        { heading: 'Intro', text: 'First paragraph.' },
+        { heading: 'Intro', text: 'Second paragraph.' },
+        { heading: 'Next', text: 'Third.' },
+      ]);
+    });
+  });
+
+  describe('getSummary map-reduce', () => {
+    beforeEach(async () => {
+      await clearAICache();
+    });
+
+    test('should summarize short notes in a single call', async () => {
+      const { provider, calls } = createRecordingProvider({ maxInputChars: 5000 });
+      registerProvider(provider);
+      setCapabilityProvider(CAPABILITIES.SUMMARIZE, 'recording');
+
+      await getSummary(paragraph('budget'));
+
+      expect(calls).toHaveLength(1);
+    });
+
+    test('should summarize each chunk and then the combined summaries', async () => {
+      const { provider, calls } = createRecordingProvider();
+      registerProvider(provider);
+      setCapabilityProvider(CAPABILITIES.SUMMARIZE, 'recording');
+
+      const { value: summary } = await getSummary(longMeetingNote);
+      const chunkCount = chunkNoteContent(longMeetingNote, { maxChars: 500 }).length;
+
+      // One call per chunk plus the final reduce step
+      expect(calls).toHaveLength(chunkCount + 1);
+      expect(calls[0].text.startsWith('Budget:')).toBe(true);
+      expect(calls[calls.length - 1].text).toContain('Summary 1');
+      expect(summary.startsWith(`Summary ${calls.length} of Summary 1`)).toBe(true);
+    });
+
+    test('should never send a chunk larger than the provider limit', async () => {
+      const { provider, calls } = createRecordingProvider({ maxInputChars: 300 });
+      registerProvider(provider);
+      setCapabilityProvider(CAPABILITIES.SUMMARIZE, 'recording');
+
+      await getSummary(longMeetingNote);
+
+      calls.forEach(call => expect(call.text.length).toBeLessThanOrEqual(300));
+    });
+
+    test('should pass the style to providers that support it', async () => {
+      const { provider, calls } = createRecordingProvider({ maxInputChars: 5000, supportsStyles: true });
+      registerProvider(provider);
+      setCapabilityProvider(CAPABILITIES.SUMMARIZE, 'recording');
+
+      await getSummary(paragraph('budget'), 300, { style: SUMMARY_STYLES.BULLETS });
+
+      expect(calls[0].options.style).toBe(SUMMARY_STYLES.BULLETS);
+    });
+
+    test('should format one-liner, bullet and TL;DR styles itself otherwise', async () => {
+      const { provider } = createRecordingProvider();
+      registerProvider(provider);
+      setCapabilityProvider(CAPABILITIES.SUMMARIZE, 'recording');
+
+      const { value: oneLiner } = await getSummary(longMeetingNote, 300, { style: SUMMARY_STYLES.ONE_LINER });
+      const { value: bullets } = await getSummary(longMeetingNote, 300, { style: SUMMARY_STYLES.BULLETS });
+      const { value: tldr } = await getSummary(longMeetingNote, 300, { style: SUMMARY_STYLES.TLDR });
+
+      expect(oneLiner).not.toContain('Second sentence');
+      expect(bullets.split('\n').every(line => line.startsWith('• '))).toBe(true);
+      expect(tldr.startsWith('TL;DR: ')).toBe(true);
+      expect(tldr).toContain('Key points:\n• ');
+    });
+  });
+});
@@ -0,0 +1,214 @@
+import { createSyncEngine, findCommonVersion } from '../storage/syncEngine';
+import { createMemoryBackend } from '../storage/memoryBackend';
+import { createMemoryDirectory } from '../storage/memoryDirectory';
+import { createNotesRepository } from '../notesRepository';
+
+// Mock console methods to avoid noise in tests
+global.console = {
+  ...console,
+  log: jest.fn(),
+  error: jest.fn(),
+};
+
+// One device: its own local cache and queue, sharing the remote with other devices
+function createDevice(remote, name = 'device', directory = null) {
+  const device = { online: true, local: createMemoryBackend() };
+  device.engine = createSyncEngine({
+    local: device.local,
+    remote,
+    isOnline: () => device.online,
+    namespace: name,
+  });
+  device.repository = createNotesRepository(device.engine, { directory });
+  return device;
+}
+
+describe('Sync Engine', () => {
+  let remote;
+
+  beforeEach(() => {
+    localStorage.clear();
+    remote = createMemoryBackend();
+  });
+
+  test('should queue writes made offline and replay them when back online', async () => {
+    const device = createDevice(remote);
+    device.online = false;
+    expect(await device.repository.listNotes('alice')).toEqual([]);
+
+    const saved = await device.repository.saveNote({ id: 'n1', title: 'Offline', content: 'draft' }, 'alice');
+    expect(saved.rev).toBe(0);
+    expect(await remote.get('n1')).toBeNull();
+    expect(device.engine.getStatus()).toMatchObject({ online: false, pending: 1 });
+
+    device.online = true;
+    await device.engine.sync('alice');
+
+    expect(await remote.get('n1')).toMatchObject({ title: 'Offline', rev: 1 });
+    expect(await device.local.get('n1')).toMatchObject({ rev: 1 });
+    expect(device.engine.getStatus()).toMatchObject({ pending: 0, error: null });
+  });
+
+  test('should pull notes created and deleted on other devices', async () => {
+    const laptop = createDevice(remote, 'laptop');
+    const phone = createDevice(remote, 'phone');
+
+    await laptop.repository.saveNote({ id: 'n1', title: 'From laptop', content: 'a' }, 'alice');
+    await laptop.engine.sync('alice');
+    expect((await phone.repository.listNotes('alice')).map(n => n.id)).toEqual(['n1']);
+
+    await laptop.repository.deleteNote('n1', 'alice');
+    await laptop.engine.sync('alice');
+    expect(await phone.repository.listNotes('alice')).toEqual([]);
+  });
+
+  test('should bump the revision on every accepted write', async () => {
+    const device = createDevice(remote);
+    await device.repository.saveNote({ id: 'n1', title: 'T', content: 'one' }, 'alice');
+    await device.engine.sync('alice');
+    await device.repository.saveNote({ id: 'n1', content: 'two', rev: 0 }, 'alice');
+    await device.engine.sync('alice');
+
+    expect(await remote.get('n1')).toMatchObject({ content: 'two', rev: 2 });
+  });
+
+  test('should hold back a stale write as a conflict with the shared base version', async () => {
+    const laptop = createDevice(remote, 'laptop');
+    const phone = createDevice(remote, 'phone');
+    await laptop.repository.saveNote({ id: 'n1', title: 'Plan', content: '<p>A</p><p>B</p>' }, 'alice');
+    await laptop.engine.sync('alice');
+    await phone.repository.listNotes('alice');
+
+    phone.online = false;
+    await phone.repository.saveNote({ id: 'n1', content: '<p>A</p><p>B from phone</p>' }, 'alice');
+    await laptop.repository.saveNote({ id: 'n1', content: '<p>A from laptop</p><p>B</p>' }, 'alice');
+    await laptop.engine.sync('alice');
+
+    phone.online = true;
+    await phone.engine.sync('alice');
+
+    expect(await remote.get('n1')).toMatchObject({ content: '<p>A from laptop</p><p>B</p>', rev: 2 });
+    const [conflict] = phone.engine.getConflicts();
+    expect(conflict).toMatchObject({
+      noteId: 'n1',
+      base: { content: '<p>A</p><p>B</p>' },
+      local: { content: '<p>A</p><p>B from phone</p>' },
+      remote: { content: '<p>A from laptop</p><p>B</p>' },
+    });
+    expect(phone.engine.getStatus().conflicts).toBe(1);
+
+    // A conflicted note isn't overwritten by later pulls
+    await phone.engine.sync('alice');
+    expect(await phone.local.get('n1')).toMatchObject({ content: '<p>A</p><p>B from phone</p>' });
+
+    await phone.repository.resolveConflict('n1', { title: 'Plan', content: '<p>A from laptop</p><p>B from phone</p>' }, 'alice');
+    await phone.engine.sync('alice');
+
+    const merged = await remote.get('n1');
+    expect(merged).toMatchObject({ content: '<p>A from laptop</p><p>B from phone</p>', rev: 3 });
+    expect(merged.versionIndex).toHaveLength(4);
+    // Both devices' histories are kept, and the laptop fetches the records it hasn't seen
+    await laptop.engine.sync('alice');
+    const versions = await laptop.repository.getVersions('n1', 'alice');
+    expect(versions.map(v => v.content)).toEqual(expect.arrayContaining([
+      '<p>A</p><p>B</p>',
+      '<p>A</p><p>B from phone</p>',
+      '<p>A from laptop</p><p>B</p>',
+      '<p>A from laptop</p><p>B from phone</p>',
+    ]));
+    expect(versions).toHaveLength(4);
+    expect(phone.engine.getConflicts()).toEqual([]);
+  });
+
+  test('should let only one of two devices pushing at once win', async () => {
+    // Both devices read the remote copy before either writes
+    const slowRemote = {
+      ...remote,
+      get: async (noteId) => {
+        const note = await remote.get(noteId);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return note;
+      },
+    };
+    const laptop = createDevice(slowRemote, 'laptop');
+    const phone = createDevice(slowRemote, 'phone');
+    await laptop.repository.saveNote({ id: 'n1', title: 'Plan', content: 'first' }, 'alice');
+    await laptop.engine.sync('alice');
+    await phone.repository.listNotes('alice');
+
+    laptop.online = false;
+    phone.online = false;
+    await laptop.repository.saveNote({ id: 'n1', content: 'from laptop' }, 'alice');
+    await phone.repository.saveNote({ id: 'n1', content: 'from phone' }, 'alice');
+    laptop.online = true;
+    phone.online = true;
+    await Promise.all([laptop.engine.sync('alice'), phone.engine.sync('alice')]);
+
+    const stored = await remote.get('n1');
+    expect(stored.rev).toBe(2);
+    const [winner, loser] = stored.content === 'from laptop' ? [laptop, phone] : [phone, laptop];
+    expect(winner.engine.getConflicts()).toEqual([]);
+    expect(loser.engine.getConflicts()).toEqual([expect.objectContaining({
+      noteId: 'n1',
+      local: expect.objectContaining({ content: loser === laptop ? 'from laptop' : 'from phone' }),
+      remote: expect.objectContaining({ content: stored.content, rev: 2 }),
+    })]);
+    expect(await loser.local.get('n1')).toMatchObject({ content: loser === laptop ? 'from laptop' : 'from phone' });
+  });
+
+  test('should keep the queue and report the error when the remote fails', async () => {
+    const device = createDevice({ ...remote, putIfRev: jest.fn().mockRejectedValue(new Error('permission-denied')) });
+    const listener = jest.fn();
+    device.engine.subscribe(listener);
+
+    await device.repository.saveNote({ id: 'n1', title: 'T', content: 'c' }, 'alice');
+    await device.engine.sync('alice');
+
+    expect(device.engine.getStatus()).toMatchObject({ pending: 1, error: 'permission-denied' });
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ syncing: false, error: 'permission-denied' }));
+  });
+
+  test('should sync notes shared with an editor without losing who they are shared with', async () => {
+    const directory = createMemoryDirectory([{ uid: 'bob', email: 'bob@example.com' }]);
+    const alice = createDevice(remote, 'alice', directory);
+    const bob = createDevice(remote, 'bob', directory);
+    await alice.repository.saveNote({ id: 'n1', title: 'Plan', content: '<p>A</p>' }, 'alice');
+    await alice.engine.sync('alice');
+
+    // Alice edits offline while sharing from another device
+    alice.online = false;
+    await alice.repository.saveNote({ id: 'n1', content: '<p>A, offline</p>' }, 'alice');
+    await createDevice(remote, 'tablet', directory).repository.shareNote('n1', 'bob@example.com', 'editor', 'alice');
+    alice.online = true;
+    await alice.engine.sync('alice');
+    expect(await remote.get('n1')).toMatchObject({ content: '<p>A, offline</p>', sharedWith: ['bob'] });
+    expect(await alice.local.get('n1')).toMatchObject({ sharedWith: ['bob'] });
+
+    await bob.engine.sync('bob');
+    expect((await bob.repository.listSharedNotes('bob')).map(note => note.id)).toEqual(['n1']);
+    await bob.repository.saveNote({ id: 'n1', content: '<p>A, offline</p><p>B from Bob</p>' }, 'bob');
+    expect(bob.engine.getStatus().pending).toBe(1);
+    await bob.engine.sync('bob');
+
+    expect(await remote.get('n1')).toMatchObject({
+      content: '<p>A, offline</p><p>B from Bob</p>',
+      ownerId: 'alice',
+      sharedWith: ['bob'],
+    });
+    expect(await bob.engine.list('bob')).toEqual([]);
+
+    // Unsharing takes it out of Bob's cache
+    await alice.repository.removeCollaborator('n1', 'bob', 'alice');
+    expect(await bob.repository.listSharedNotes('bob')).toEqual([]);
+    expect(await bob.local.get('n1')).toBeNull();
+  });
+
+  test('should find the latest version both copies share', () => {
+    const v1 = { title: 'T', content: 'one', timestamp: '2024-01-01T00:00:00.000Z' };
+    const v2 = { title: 'T', content: 'two', timestamp: '2024-01-02T00:00:00.000Z' };
+    const mine = { title: 'T', content: 'mine', timestamp: '2024-01-03T00:00:00.000Z' };
+
+    expect(findCommonVersion({ versions: [v1, v2, mine] }, { versions: [v1, v2] })).toBe(v2);
+    expect(findCommonVersion({ versions: [mine] }, { versions: [v1] })).toBeNull();
+  });
+});
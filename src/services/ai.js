@@ -1,4 +1,14 @@
-import axios from 'axios';
+import { CAPABILITIES, SUMMARY_STYLES, resolveCapability, getAICapabilities, getProvider, isProxyMode } from './aiProviders';
+import { chunkNoteContent, splitIntoSentences } from '../utils/textChunker';
+import { createEmbeddingIndex } from '../utils/embeddingIndex';
+import { embedLocally, fitLocalEmbeddingCorpus, getLocalCorpusVersion, LOCAL_EMBEDDING_MODEL } from './localEmbeddings';
+import { fitKeywordCorpus, reconcileWithVaultTags } from './keywordExtraction';
+import { withAICache } from './aiCache';
+import { aiSuccess, aiFailure, classifyAIError, withRetry, AI_ERROR_CODES } from './aiResult';
+
+export { CAPABILITIES, SUMMARY_STYLES, getAICapabilities, listProviders, setCapabilityProvider, isProxyMode } from './aiProviders';
+export { getCacheStats, subscribeToCacheStats, clearAICache } from './aiCache';
+export { AI_ERROR_CODES, isFailureSummary } from './aiResult';
 
 /**
  * Clean HTML tags and normalize text for AI processing
@@ -36,152 +46,185 @@ function cleanTextForAI(htmlText) {
 }
 
 // ⚠️ SECURITY WARNING:
-// Frontend AI integration is NOT SECURE for production!
-// OpenAI API keys should NEVER be exposed in frontend code.
-// For production, implement a backend API to handle OpenAI calls securely.
-// This is enabled for development/demo purposes only.
-
-const AI_CONFIG = {
-  // Hugging Face API configuration
-  HUGGINGFACE_API_KEY: process.env.REACT_APP_HUGGINGFACE_API_KEY,
-  HUGGINGFACE_BASE_URL: 'https://api-inference.huggingface.co/models',
-  HUGGINGFACE_MODEL: 'facebook/bart-large-cnn', // Excellent for summarization
-};
-
-// Check if Hugging Face is enabled
-const isAIEnabled = Boolean(AI_CONFIG.HUGGINGFACE_API_KEY);
+// Calling providers directly from the browser exposes their API keys.
+// For production, run the proxy in /server and set REACT_APP_AI_MODE=proxy.
 
 // Log AI status in development
 if (process.env.NODE_ENV === 'development') {
-  if (isAIEnabled) {
-    console.log('🤗 Hugging Face AI Integration: ENABLED');
-    console.log('⚠️  WARNING: API key is exposed in frontend (development only)');
-    console.log('🔒 For production: implement backend API for secure integration');
-  } else {
-    console.log('🤗 Hugging Face AI Integration: DISABLED');
-    console.log('💡 To enable: Set REACT_APP_HUGGINGFACE_API_KEY in .env file');
-    console.log('🔗 Get your free token: https://huggingface.co/settings/tokens');
+  Object.entries(getAICapabilities()).forEach(([capability, route]) => {
+    console.log(`🤖 AI ${capability}: ${route.label} (${route.model})`);
+  });
+  if (!isProxyMode() && Object.values(getAICapabilities()).some(route => route.remote)) {
+    console.log('⚠️  WARNING: API keys are exposed in frontend (development only)');
+    console.log('🔒 For production: run the AI proxy in /server (REACT_APP_AI_MODE=proxy)');
   }
 }
 
-// Create Hugging Face API instance
-const huggingFaceApi = axios.create({
-  baseURL: AI_CONFIG.HUGGINGFACE_BASE_URL,
-  headers: {
-    'Authorization': `Bearer ${AI_CONFIG.HUGGINGFACE_API_KEY}`,
-    'Content-Type': 'application/json',
-  },
-});
+// Remote results are cached by content hash; offline results depend on the
+// fitted vault statistics and are cheap to recompute, so they skip the cache.
+function cachedProviderCall({ capability, provider, model, params, text }, compute) {
+  if (provider.id === 'offline') {
+    return compute();
+  }
+  return withAICache({ capability, providerId: provider.id, model, params, text }, compute);
+}
 
 /**
- * Generate a summary of the given text using AI
+ * Generate a summary of the given text using AI.
+ * Long notes are split along headings and paragraphs, each chunk is summarized,
+ * and the partial summaries are summarized again (map-reduce).
  * @param {string} text - The text to summarize
- * @param {number} maxLength - Maximum length of summary (default: 150)
- * @returns {Promise<string>} - The generated summary
+ * @param {number} maxLength - Maximum length of summary (default: 300)
+ * @param {Object} options - { style: one of SUMMARY_STYLES (default: 'paragraph') }
+ * @returns {Promise<{ok: boolean, value: string|null, error: Object|null}>} - AI result with the summary
  */
-export async function getSummary(text, maxLength = 300) {
-  try {
-    console.log('🤗 getSummary called using Hugging Face');
+export async function getSummary(text, maxLength = 300, options = {}) {
+  const { style = SUMMARY_STYLES.PARAGRAPH } = options;
+  const { provider, model } = resolveCapability(CAPABILITIES.SUMMARIZE);
 
-    // Clean the text first
-    const cleanText = cleanTextForAI(text);
-    console.log('Cleaned text length:', cleanText.length);
+  console.log(`🤖 getSummary called using ${provider.label}`);
 
-    // Don't process very short text
-    if (cleanText.length < 30) {
-      return 'Content too short to summarize';
-    }
-
-    // Check if Hugging Face is enabled
-    if (!isAIEnabled) {
-      console.error('❌ Hugging Face API key not found!');
-      console.error('Please set REACT_APP_HUGGINGFACE_API_KEY in your .env file');
-      console.error('Get your free token: https://huggingface.co/settings/tokens');
-      return 'Hugging Face API key required for summarization. Please check console for setup instructions.';
-    }
+  // Clean the text first
+  const cleanText = cleanTextForAI(text);
+  console.log('Cleaned text length:', cleanText.length);
 
-    console.log('🚀 Calling Hugging Face API for summarization...');
-    return await getHuggingFaceSummary(cleanText, maxLength);
+  // Don't process very short text
+  if (cleanText.length < 30) {
+    return aiFailure(AI_ERROR_CODES.TOO_SHORT);
+  }
 
+  try {
+    const summary = await cachedProviderCall(
+      { capability: CAPABILITIES.SUMMARIZE, provider, model, params: { maxLength, style }, text: cleanText },
+      () => mapReduceSummarize(text, cleanText, { provider, model, maxLength, style })
+    );
+    console.log(`✅ ${provider.label} summary generated:`, summary);
+    return aiSuccess(summary);
   } catch (error) {
-    console.error('❌ Hugging Face Summary generation failed:', error);
-    return 'Failed to generate summary using Hugging Face. Please check console for details.';
+    console.error(`❌ ${provider.label} summary generation failed:`, error);
+    const { code, ...details } = classifyAIError(error);
+    return aiFailure(code, { ...details, message: `${provider.label}: ${details.message}` });
   }
 }
 
-// Hugging Face Summary Function (FREE!)
-async function getHuggingFaceSummary(cleanText, maxLength) {
-  try {
-    console.log('🤗 Using Hugging Face for summarization...');
-
-    const response = await huggingFaceApi.post(`/${AI_CONFIG.HUGGINGFACE_MODEL}`, {
-      inputs: cleanText,
-      parameters: {
-        max_length: Math.min(150, Math.floor(maxLength / 2)),
-        min_length: 30,
-        do_sample: false,
-        early_stopping: true
-      }
-    });
-
-    let summary = '';
-    if (Array.isArray(response.data) && response.data[0]?.summary_text) {
-      summary = response.data[0].summary_text.trim();
-    } else if (response.data?.summary_text) {
-      summary = response.data.summary_text.trim();
-    } else {
-      throw new Error('Unexpected response format from Hugging Face');
-    }
+// Partial summaries shorter than this are passed through instead of summarized again
+const MIN_CHUNK_SUMMARY_CHARS = 200;
+const MAX_REDUCE_DEPTH = 3;
 
-    console.log('✅ Hugging Face summary generated:', summary);
-    return summary;
+async function mapReduceSummarize(content, cleanText, { provider, model, maxLength, style }, depth = 0) {
+  const maxChars = provider.maxInputChars || 3000;
+  const summarize = (input, params) => withRetry(() => provider.summarize(input, params));
+  const providerStyle = provider.supportsStyles ? style : SUMMARY_STYLES.PARAGRAPH;
+  const chunks = chunkNoteContent(content, { maxChars });
 
-  } catch (error) {
-    console.error('❌ Hugging Face error:', error);
-    if (error.response?.status === 401) {
-      return 'Invalid Hugging Face API key. Please check your configuration.';
-    } else if (error.response?.status === 429) {
-      return 'Hugging Face rate limit exceeded. Please try again later.';
-    } else if (error.response?.data?.error) {
-      console.error('Hugging Face API error:', error.response.data.error);
-      return 'Hugging Face API error. Please try again in a moment.';
-    }
-    throw error;
+  if (chunks.length <= 1 || depth >= MAX_REDUCE_DEPTH) {
+    const summary = await summarize(cleanText.slice(0, maxChars), { model, maxLength, style: providerStyle });
+    return provider.supportsStyles ? summary : formatSummary(summary, style);
   }
-}
 
+  // Map: summarize each chunk on its own, keeping its heading for context
+  const partialLength = Math.max(120, Math.min(maxLength, Math.floor(maxChars / chunks.length)));
+  const partials = [];
+  for (const chunk of chunks) {
+    const body = chunk.text.replace(/\n/g, ' ');
+    const chunkText = (chunk.heading ? `${chunk.heading}: ${body}` : body).slice(0, maxChars);
+    partials.push(chunkText.length < MIN_CHUNK_SUMMARY_CHARS
+      ? chunkText
+      : await summarize(chunkText, { model, maxLength: partialLength, style: SUMMARY_STYLES.PARAGRAPH }));
+  }
 
+  // Reduce: summarize the summaries, recursing while they still don't fit
+  const combined = partials.join('\n\n');
+  if (combined.length > maxChars) {
+    return mapReduceSummarize(combined, combined.replace(/\s+/g, ' '), { provider, model, maxLength, style }, depth + 1);
+  }
 
+  const summary = await summarize(combined.replace(/\s+/g, ' '), { model, maxLength, style: providerStyle });
+  return provider.supportsStyles ? summary : formatSummary(summary, style, partials);
+}
 
+// Shape a plain summary into the requested style for providers that can't be prompted
+function formatSummary(summary, style, keyPoints = []) {
+  const sentences = splitIntoSentences(summary);
+  const bullets = (items) => items.map(item => `• ${item}`).join('\n');
+
+  switch (style) {
+    case SUMMARY_STYLES.ONE_LINER:
+      return sentences[0] || summary;
+    case SUMMARY_STYLES.BULLETS:
+      return bullets(sentences.length > 0 ? sentences : [summary]);
+    case SUMMARY_STYLES.TLDR: {
+      const points = keyPoints.length > 1
+        ? keyPoints.map(point => splitIntoSentences(point)[0] || point)
+        : sentences.slice(1);
+      const tldr = `TL;DR: ${sentences[0] || summary}`;
+      return points.length > 0 ? `${tldr}\n\nKey points:\n${bullets(points)}` : tldr;
+    }
+    default:
+      return summary;
+  }
+}
 
 /**
  * Generate relevant tags for the given text using AI
  * @param {string} text - The text to analyze for tags
  * @param {number} maxTags - Maximum number of tags to generate (default: 5)
- * @returns {Promise<string[]>} - Array of generated tags
+ * @returns {Promise<{ok: boolean, value: string[], error: null}>} - AI result with the tags.
+ *   Remote failures fall back to offline extraction, so the result is always ok.
  */
 export async function getTags(text, maxTags = 5) {
+  // Clean the text first
+  const cleanText = cleanTextForAI(text);
+
+  // Very short text has nothing worth tagging
+  if (cleanText.length < 20) {
+    return aiSuccess([]);
+  }
+
+  const { provider, model } = resolveCapability(CAPABILITIES.TAGS);
+  let tags;
   try {
-    // Clean the text first
-    const cleanText = cleanTextForAI(text);
+    tags = await cachedProviderCall(
+      { capability: CAPABILITIES.TAGS, provider, model, params: { maxTags }, text: cleanText },
+      () => withRetry(() => provider.tags(cleanText, { model, maxTags }))
+    );
+  } catch (error) {
+    console.error(`Tag generation with ${provider.label} failed:`, error);
+    tags = await getProvider('offline').tags(cleanText, { maxTags });
+  }
 
-    // Don't process very short text
-    if (cleanText.length < 20) {
-      return [];
-    }
+  // Prefer the vault's existing spelling over near-duplicates ("meetings" vs "meeting")
+  return aiSuccess([...new Set(tags.map(reconcileWithVaultTags))]);
+}
 
-    // Use mock tags if AI is not enabled
-    if (!isAIEnabled) {
-      return generateMockTags(cleanText, maxTags);
-    }
+// Local vectors depend on the fitted corpus, so they're recomputed rather than stored
+const LOCAL_EMBEDDING_ID = `offline/${LOCAL_EMBEDDING_MODEL}`;
+const localNoteVectors = new Map();
 
-    // For now, use simple keyword extraction instead of AI for tags
-    // This is more reliable and faster than trying to use Hugging Face for tagging
-    return generateMockTags(cleanText, maxTags);
-  } catch (error) {
-    console.error('Tag generation failed:', error);
-    return generateMockTags(cleanTextForAI(text), maxTags);
+function getNoteText(note) {
+  return cleanTextForAI(`${note.title || ''}. ${note.content || ''}`);
+}
+
+function getLocalNoteVector(note) {
+  const key = `${note.id}:${note.updatedAt}`;
+  if (!localNoteVectors.has(key)) {
+    localNoteVectors.set(key, embedLocally(getNoteText(note)));
   }
+  return localNoteVectors.get(key);
+}
+
+/**
+ * The embedding to compare a note with other notes by. Offline embeddings are recomputed on
+ * the current vault (see setVaultCorpus), since stored ones go stale as the vault changes;
+ * notes without a stored embedding get an offline one.
+ * @param {Object} note - Note
+ * @returns {{vector: number[], model: string}} - Embedding and the model it came from
+ */
+export function getNoteEmbedding(note) {
+  if (note.embedding?.length && note.embeddingModel && note.embeddingModel !== LOCAL_EMBEDDING_ID) {
+    return { vector: note.embedding, model: note.embeddingModel };
+  }
+  return { vector: getLocalNoteVector(note), model: LOCAL_EMBEDDING_ID };
 }
 
 /**
@@ -190,24 +233,66 @@ export async function getTags(text, maxTags = 5) {
  * @returns {Promise<number[]>} - Array of embedding values
  */
 export async function getEmbedding(text) {
-  try {
-    // Clean the text first
-    const cleanText = cleanTextForAI(text);
+  const { embedding } = await getEmbeddingWithModel(text);
+  return embedding;
+}
 
-    // Use mock embedding if AI is not enabled or text is too short
-    if (!isAIEnabled || cleanText.length < 10) {
-      return generateMockEmbedding(cleanText);
+/**
+ * Generate embeddings along with the model that produced them.
+ * Vectors from different models can't be compared, so notes should store both.
+ * @param {string} text - The text to generate embeddings for
+ * @returns {Promise<{embedding: number[], embeddingModel: string, embeddingDim: number}>}
+ */
+export async function getEmbeddingWithModel(text) {
+  // Clean the text first
+  const cleanText = cleanTextForAI(text);
+  const { provider, model } = resolveCapability(CAPABILITIES.EMBED);
+
+  // Very short text isn't worth a round trip to a remote provider
+  if (provider.id !== 'offline' && cleanText.length >= 10) {
+    try {
+      const embedding = await cachedProviderCall(
+        { capability: CAPABILITIES.EMBED, provider, model, text: cleanText },
+        () => withRetry(() => provider.embed(cleanText, { model }))
+      );
+      return { embedding, embeddingModel: `${provider.id}/${model}`, embeddingDim: embedding.length };
+    } catch (error) {
+      console.error(`Embedding generation with ${provider.label} failed:`, error);
     }
+  }
 
-    // For now, use mock embedding since Hugging Face embeddings require different setup
-    // This is sufficient for basic similarity search functionality
-    return generateMockEmbedding(cleanText);
-  } catch (error) {
-    console.error('Embedding generation failed:', error);
-    return generateMockEmbedding(cleanTextForAI(text));
+  const embedding = embedLocally(cleanText);
+  return { embedding, embeddingModel: LOCAL_EMBEDDING_ID, embeddingDim: embedding.length };
+}
+
+/**
+ * Fit the offline embedding model's term statistics on the user's notes
+ * @param {Array} notes - The user's notes
+ */
+export function fitEmbeddingCorpus(notes) {
+  const changed = fitLocalEmbeddingCorpus(notes.map(getNoteText), getCorpusSignature(notes));
+  if (changed) {
+    localNoteVectors.clear();
   }
 }
 
+/**
+ * Fit all offline models (embeddings and tag extraction) on the user's vault.
+ * Call whenever the set of notes changes; unchanged vaults are skipped.
+ * @param {Array} notes - The user's notes
+ */
+export function setVaultCorpus(notes) {
+  fitEmbeddingCorpus(notes);
+  fitKeywordCorpus(
+    notes.map(note => ({ text: getNoteText(note), tags: note.tags || [] })),
+    getCorpusSignature(notes)
+  );
+}
+
+function getCorpusSignature(notes) {
+  return notes.map(note => `${note.id}:${note.updatedAt}`).join('|');
+}
+
 /**
  * Calculate cosine similarity between two vectors
  * @param {number[]} a - First vector
@@ -239,58 +324,33 @@ export function cosineSimilarity(a, b) {
   return dotProduct / (normA * normB);
 }
 
-// Mock summary system removed - OpenAI only
-
-function generateMockTags(text, maxTags) {
-  const commonWords = ['note', 'idea', 'project', 'work', 'personal', 'important', 'draft', 'research'];
-  const words = text.toLowerCase().split(/\W+/).filter(word => word.length > 3);
-  const uniqueWords = [...new Set(words)];
-  
-  // Combine some actual words from text with common tags
-  const tags = [...uniqueWords.slice(0, Math.floor(maxTags / 2)), ...commonWords.slice(0, Math.ceil(maxTags / 2))];
-  return tags.slice(0, maxTags);
-}
-
-function generateMockEmbedding(text) {
-  // Generate a deterministic but pseudo-random embedding based on text
-  const hash = simpleHash(text);
-  const embedding = [];
-  
-  for (let i = 0; i < 1536; i++) { // OpenAI ada-002 embedding size
-    const seed = hash + i;
-    embedding.push((Math.sin(seed) + Math.cos(seed * 2)) / 2);
-  }
-  
-  return embedding;
-}
-
-function simpleHash(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32-bit integer
-  }
-  return hash;
-}
-
 /**
  * Perform semantic search on notes using embeddings
  * @param {string} query - Search query
  * @param {Array} notes - Array of notes with embeddings
  * @param {number} limit - Maximum number of results (default: 10)
+ * @param {Object} options - { minSimilarity: leave out notes less similar than this, rather
+ *   than returning unrelated ones to fill the limit }
  * @returns {Promise<Array>} - Array of notes sorted by relevance
  */
-export async function semanticSearch(query, notes, limit = 10) {
+export async function semanticSearch(query, notes, limit = 10, { minSimilarity = 0 } = {}) {
   try {
-    const queryEmbedding = await getEmbedding(query);
-    
+    fitEmbeddingCorpus(notes);
+    const { embedding: queryEmbedding, embeddingModel } = await getEmbeddingWithModel(query);
+    let localQueryEmbedding = embeddingModel === LOCAL_EMBEDDING_ID ? queryEmbedding : null;
+
     const scoredNotes = notes
-      .filter(note => note.embedding) // Only include notes with embeddings
-      .map(note => ({
-        ...note,
-        similarity: cosineSimilarity(queryEmbedding, note.embedding)
-      }))
+      .map(note => {
+        if (embeddingModel !== LOCAL_EMBEDDING_ID &&
+          note.embeddingModel === embeddingModel && note.embedding?.length === queryEmbedding.length) {
+          return { ...note, similarity: cosineSimilarity(queryEmbedding, note.embedding) };
+        }
+        // Notes without an embedding from the query's model (not yet embedded, or embedded
+        // by another provider) are compared offline instead of being left out
+        localQueryEmbedding = localQueryEmbedding || embedLocally(cleanTextForAI(query));
+        return { ...note, similarity: cosineSimilarity(localQueryEmbedding, getLocalNoteVector(note)) };
+      })
+      .filter(note => note.similarity > 0 && note.similarity >= minSimilarity)
       .sort((a, b) => b.similarity - a.similarity)
       .slice(0, limit);
 
@@ -300,3 +360,105 @@ export async function semanticSearch(query, notes, limit = 10) {
     return [];
   }
 }
+
+// One index for the session, kept in step with the vault note by note.
+// Offline embeddings also change whenever the vault's term statistics are refitted.
+const relatedNotesIndex = createEmbeddingIndex({
+  vectorOf: getNoteEmbedding,
+  versionOf: (note) => `${note.updatedAt}|${note.embeddingModel}|${getLocalCorpusVersion()}`,
+});
+
+/**
+ * Notes most similar to an embedding, e.g. the one of the note being edited.
+ * Uses a nearest-neighbour index, so it doesn't compare against every note in a large vault.
+ * @param {Object} embedding - { vector, model } (model as stored in note.embeddingModel)
+ * @param {Array} notes - Notes to look through
+ * @param {Object} options - { excludeId: the note itself, limit, minSimilarity }
+ * @returns {Array<{note: Object, similarity: number}>} - Most similar first; similarity is cosine similarity
+ */
+export function findRelatedNotes(embedding, notes, { excludeId = null, limit = 5, minSimilarity = 0.2 } = {}) {
+  relatedNotesIndex.sync(notes);
+  return relatedNotesIndex.nearest(embedding, { limit, minSimilarity, excludeIds: [excludeId] });
+}
+
+// askVault retrieval: candidate notes from semanticSearch, then their best chunks
+const ASK_CANDIDATE_NOTES = 5;
+const ASK_CHUNK_CHARS = 800;
+const ASK_MAX_SOURCES = 6;
+const NO_ANSWER = "I couldn't find anything about that in your notes.";
+
+/**
+ * Answer a question from the user's notes.
+ * The most relevant notes are found with semanticSearch and split into chunks; the
+ * best-matching chunks are passed to the answer provider as numbered sources it must cite.
+ * Without a generative provider the answer is extracted from the chunks instead.
+ * @param {string} question - The user's question
+ * @param {Array} notes - The notes to search
+ * @param {Object} options - { maxSources: number of chunks given to the provider (default: 6) }
+ * @returns {Promise<{answer: string, citations: Array, sources: Array, extractive: boolean, provider: string}>}
+ *   citations are the sources referenced as [n] in the answer; each source has
+ *   { index, noteId, title, heading, text, score }
+ */
+export async function askVault(question, notes, options = {}) {
+  const { maxSources = ASK_MAX_SOURCES } = options;
+  const cleanQuestion = cleanTextForAI(question);
+  const offline = getProvider('offline');
+
+  if (!cleanQuestion) {
+    return { answer: NO_ANSWER, citations: [], sources: [], extractive: true, provider: offline.label };
+  }
+
+  // semanticSearch fits the local corpus on these notes, so local chunk vectors are comparable
+  const relevantNotes = await semanticSearch(cleanQuestion, notes, ASK_CANDIDATE_NOTES);
+  const questionVector = embedLocally(cleanQuestion);
+
+  const sources = relevantNotes
+    .flatMap(note => chunkNoteContent(note.content || '', { maxChars: ASK_CHUNK_CHARS }).map(chunk => ({
+      noteId: note.id,
+      title: note.title || 'Untitled',
+      heading: chunk.heading,
+      text: chunk.text.replace(/\s+/g, ' ').trim(),
+      // The note's overall relevance breaks ties between similar chunks
+      score: cosineSimilarity(questionVector, embedLocally(`${chunk.heading} ${chunk.text}`)) + note.similarity / 2,
+    })))
+    .filter(source => source.text)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxSources)
+    .map((source, i) => ({ ...source, index: i + 1 }));
+
+  if (sources.length === 0) {
+    return { answer: NO_ANSWER, citations: [], sources, extractive: true, provider: offline.label };
+  }
+
+  const promptSources = sources.map(source => ({
+    title: source.heading ? `${source.title} — ${source.heading}` : source.title,
+    text: source.text,
+  }));
+
+  let { provider, model } = resolveCapability(CAPABILITIES.ANSWER);
+  let answer;
+  try {
+    answer = await cachedProviderCall(
+      {
+        capability: CAPABILITIES.ANSWER,
+        provider,
+        model,
+        text: `${cleanQuestion}\n\n${promptSources.map(source => `${source.title}\n${source.text}`).join('\n\n')}`,
+      },
+      () => withRetry(() => provider.answer(cleanQuestion, promptSources, { model }))
+    );
+  } catch (error) {
+    console.error(`Answer generation with ${provider.label} failed:`, error);
+    provider = offline;
+    answer = await offline.answer(cleanQuestion, promptSources, {});
+  }
+
+  const cited = new Set([...answer.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+  return {
+    answer,
+    citations: sources.filter(source => cited.has(source.index)),
+    sources,
+    extractive: provider.id === 'offline',
+    provider: provider.label,
+  };
+}
@@ -0,0 +1,239 @@
+import { isIndexedDbAvailable, openDatabase, requestToPromise, runTransaction } from '../utils/indexedDb';
+
+// Persistent cache for AI provider results.
+// Entries are keyed by a hash of the normalized content plus the provider,
+// model and parameters, so identical requests are only ever sent once.
+// Uses IndexedDB when available and an in-memory Map otherwise.
+
+const DB_NAME = 'ai-notes-vault-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'results';
+
+export const CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+export const CACHE_MAX_ENTRIES = 1000;
+
+const stats = { hits: 0, misses: 0, entries: 0 };
+const listeners = new Set();
+const inFlight = new Map();
+const memoryStore = new Map();
+let dbPromise = null;
+
+function getDatabase() {
+  if (!isIndexedDbAvailable()) {
+    return Promise.resolve(null);
+  }
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      store.createIndex('lastAccessedAt', 'lastAccessedAt');
+    }).catch(error => {
+      console.error('AI cache unavailable, using memory only:', error);
+      return null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * 53-bit string hash (cyrb53) - plenty to tell note contents apart
+ * @param {string} str - Input
+ * @returns {string} - Hex digest
+ */
+function hashContent(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+/**
+ * Build the cache key for a provider request
+ * @param {Object} request - { capability, providerId, model, params, text }
+ * @returns {string} - Cache key
+ */
+export function buildCacheKey({ capability, providerId, model, params = {}, text }) {
+  const normalized = (text || '').replace(/\s+/g, ' ').trim();
+  const paramString = Object.keys(params).sort()
+    .filter(name => params[name] !== undefined)
+    .map(name => `${name}=${params[name]}`)
+    .join('&');
+  return [capability, providerId, model, paramString, `${normalized.length}:${hashContent(normalized)}`].join('|');
+}
+
+function notify() {
+  const snapshot = getCacheStats();
+  listeners.forEach(listener => listener(snapshot));
+}
+
+async function readEntry(key) {
+  const db = await getDatabase();
+  if (!db) return memoryStore.get(key);
+  return runTransaction(db, STORE_NAME, 'readonly', store => requestToPromise(store.get(key)));
+}
+
+async function writeEntry(entry) {
+  const db = await getDatabase();
+  if (!db) {
+    memoryStore.set(entry.key, entry);
+    return memoryStore.size;
+  }
+  return runTransaction(db, STORE_NAME, 'readwrite', async store => {
+    await requestToPromise(store.put(entry));
+    return requestToPromise(store.count());
+  });
+}
+
+async function deleteEntry(key) {
+  const db = await getDatabase();
+  if (!db) {
+    memoryStore.delete(key);
+    return;
+  }
+  await runTransaction(db, STORE_NAME, 'readwrite', store => requestToPromise(store.delete(key)));
+}
+
+/**
+ * Drop expired entries, then the least recently used ones above the size limit
+ * @returns {Promise<number>} - Remaining entry count
+ */
+export async function evictAICache() {
+  const now = Date.now();
+  const db = await getDatabase();
+
+  if (!db) {
+    const byAccess = [...memoryStore.values()].sort((a, b) => a.lastAccessedAt - b.lastAccessedAt);
+    let excess = byAccess.length - CACHE_MAX_ENTRIES;
+    byAccess.forEach(entry => {
+      if (entry.expiresAt <= now || excess > 0) {
+        memoryStore.delete(entry.key);
+        excess -= 1;
+      }
+    });
+    stats.entries = memoryStore.size;
+    return stats.entries;
+  }
+
+  stats.entries = await runTransaction(db, STORE_NAME, 'readwrite', store => new Promise((resolve, reject) => {
+    const countRequest = store.count();
+    countRequest.onerror = () => reject(countRequest.error);
+    countRequest.onsuccess = () => {
+      let remaining = countRequest.result;
+      const cursorRequest = store.index('lastAccessedAt').openCursor();
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) {
+          resolve(remaining);
+          return;
+        }
+        if (cursor.value.expiresAt <= now || remaining > CACHE_MAX_ENTRIES) {
+          cursor.delete();
+          remaining -= 1;
+        }
+        cursor.continue();
+      };
+    };
+  }));
+  return stats.entries;
+}
+
+/**
+ * Return the cached result for a request, or compute, store and return it.
+ * Concurrent calls for the same key share a single computation.
+ * @param {Object} request - { capability, providerId, model, params, text }
+ * @param {Function} compute - Async function producing the result on a miss
+ * @param {Object} options - { ttl }
+ * @returns {Promise<any>} - Cached or freshly computed result
+ */
+export async function withAICache(request, compute, { ttl = CACHE_TTL_MS } = {}) {
+  const key = buildCacheKey(request);
+
+  if (inFlight.has(key)) {
+    stats.hits += 1;
+    notify();
+    return inFlight.get(key);
+  }
+
+  const pending = (async () => {
+    try {
+      const entry = await readEntry(key);
+      if (entry && entry.expiresAt > Date.now()) {
+        stats.hits += 1;
+        notify();
+        // Touch the entry so LRU eviction keeps it around
+        writeEntry({ ...entry, lastAccessedAt: Date.now() }).catch(() => {});
+        return entry.value;
+      }
+      if (entry) {
+        await deleteEntry(key);
+      }
+    } catch (error) {
+      console.error('AI cache read failed:', error);
+    }
+
+    stats.misses += 1;
+    notify();
+    const value = await compute();
+
+    try {
+      const now = Date.now();
+      stats.entries = await writeEntry({ key, value, createdAt: now, lastAccessedAt: now, expiresAt: now + ttl });
+      if (stats.entries > CACHE_MAX_ENTRIES) {
+        await evictAICache();
+      }
+      notify();
+    } catch (error) {
+      console.error('AI cache write failed:', error);
+    }
+    return value;
+  })();
+
+  inFlight.set(key, pending);
+  try {
+    return await pending;
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+/**
+ * Remove every cached result and reset the counters
+ */
+export async function clearAICache() {
+  memoryStore.clear();
+  const db = await getDatabase();
+  if (db) {
+    await runTransaction(db, STORE_NAME, 'readwrite', store => requestToPromise(store.clear()));
+  }
+  stats.hits = 0;
+  stats.misses = 0;
+  stats.entries = 0;
+  notify();
+}
+
+/**
+ * Current cache counters for this session
+ * @returns {{hits: number, misses: number, entries: number}}
+ */
+export function getCacheStats() {
+  return { ...stats };
+}
+
+/**
+ * Listen for cache counter changes
+ * @param {Function} listener - Called with the latest stats
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToCacheStats(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Report the persisted entry count and drop anything stale from earlier sessions
+evictAICache().then(notify).catch(() => {});
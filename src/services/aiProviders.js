@@ -0,0 +1,580 @@
+import axios from 'axios';
+import { embedLocally, LOCAL_EMBEDDING_MODEL } from './localEmbeddings';
+import { extractKeywords } from './keywordExtraction';
+import { splitIntoSentences } from '../utils/textChunker';
+import { analyze } from '../utils/textAnalysis';
+import {
+  SUMMARY_STYLES,
+  buildSummaryPrompt,
+  buildTagsPrompt,
+  buildAnswerPrompt,
+  parseTagList,
+  meanPool,
+} from '../shared/aiPrompts';
+
+export { SUMMARY_STYLES };
+
+/**
+ * AI capabilities that can be routed to a provider independently
+ */
+export const CAPABILITIES = {
+  SUMMARIZE: 'summarize',
+  TAGS: 'tags',
+  EMBED: 'embed',
+  ANSWER: 'answer',
+};
+
+const ROUTES_STORAGE_KEY = 'aiProviderRoutes';
+
+// In proxy mode every remote call goes through the server in /server, which
+// holds the provider keys. Only the proxy and offline providers are registered.
+const PROXY_MODE = process.env.REACT_APP_AI_MODE === 'proxy';
+
+// ⚠️ SECURITY WARNING:
+// Keys read from REACT_APP_* variables end up in the browser bundle.
+// Only use the direct providers below for development/demo purposes;
+// use REACT_APP_AI_MODE=proxy in production.
+
+let authTokenProvider = async () => null;
+
+/**
+ * Set the function used to fetch the Firebase ID token sent to the AI proxy
+ * @param {Function} provider - Async function returning an ID token (or null when signed out)
+ */
+export function setAuthTokenProvider(provider) {
+  authTokenProvider = provider || (async () => null);
+}
+
+/**
+ * Hugging Face Inference API provider (summarization and embeddings)
+ * @param {Object} config - { apiKey, baseURL }
+ * @returns {Object} - Provider definition
+ */
+export function createHuggingFaceProvider({
+  apiKey = process.env.REACT_APP_HUGGINGFACE_API_KEY,
+  baseURL = 'https://api-inference.huggingface.co',
+} = {}) {
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      client = axios.create({
+        baseURL,
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json',
+        },
+      });
+    }
+    return client;
+  };
+
+  return {
+    id: 'huggingface',
+    label: 'Hugging Face',
+    capabilities: [CAPABILITIES.SUMMARIZE, CAPABILITIES.EMBED],
+    defaultModels: {
+      [CAPABILITIES.SUMMARIZE]: 'facebook/bart-large-cnn',
+      [CAPABILITIES.EMBED]: 'sentence-transformers/all-MiniLM-L6-v2',
+    },
+    isConfigured: () => Boolean(apiKey),
+    // BART-style models accept ~1024 tokens and can't be prompted for a style
+    maxInputChars: 3000,
+    supportsStyles: false,
+
+    async summarize(text, { model, maxLength }) {
+      const response = await getClient().post(`/models/${model}`, {
+        inputs: text,
+        parameters: {
+          max_length: Math.min(150, Math.floor(maxLength / 2)),
+          min_length: 30,
+          do_sample: false,
+          early_stopping: true
+        }
+      });
+
+      if (Array.isArray(response.data) && response.data[0]?.summary_text) {
+        return response.data[0].summary_text.trim();
+      }
+      if (response.data?.summary_text) {
+        return response.data.summary_text.trim();
+      }
+      throw new Error('Unexpected response format from Hugging Face');
+    },
+
+    async embed(text, { model }) {
+      const response = await getClient().post(`/pipeline/feature-extraction/${model}`, {
+        inputs: text,
+        options: { wait_for_model: true }
+      });
+
+      // Sentence-transformer models return a flat vector, token-level models a matrix
+      const data = response.data;
+      if (Array.isArray(data) && typeof data[0] === 'number') {
+        return data;
+      }
+      if (Array.isArray(data?.[0]) && typeof data[0][0] === 'number') {
+        return meanPool(data);
+      }
+      throw new Error('Unexpected embedding format from Hugging Face');
+    },
+  };
+}
+
+/**
+ * OpenAI-compatible provider (OpenAI, Azure-style gateways, LM Studio, vLLM...)
+ * @param {Object} config - { apiKey, baseURL }
+ * @returns {Object} - Provider definition
+ */
+export function createOpenAIProvider({
+  apiKey = process.env.REACT_APP_OPENAI_API_KEY,
+  baseURL = process.env.REACT_APP_OPENAI_BASE_URL || 'https://api.openai.com/v1',
+} = {}) {
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      client = axios.create({
+        baseURL,
+        headers: {
+          ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+          'Content-Type': 'application/json',
+        },
+      });
+    }
+    return client;
+  };
+
+  const complete = async (model, prompt, maxTokens) => {
+    const response = await getClient().post('/chat/completions', {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: maxTokens,
+      temperature: 0.2,
+    });
+    const message = response.data?.choices?.[0]?.message?.content;
+    if (typeof message !== 'string') {
+      throw new Error('Unexpected response format from OpenAI-compatible endpoint');
+    }
+    return message.trim();
+  };
+
+  return {
+    id: 'openai',
+    label: 'OpenAI-compatible',
+    capabilities: [CAPABILITIES.SUMMARIZE, CAPABILITIES.TAGS, CAPABILITIES.EMBED, CAPABILITIES.ANSWER],
+    defaultModels: {
+      [CAPABILITIES.SUMMARIZE]: 'gpt-4o-mini',
+      [CAPABILITIES.TAGS]: 'gpt-4o-mini',
+      [CAPABILITIES.EMBED]: 'text-embedding-3-small',
+      [CAPABILITIES.ANSWER]: 'gpt-4o-mini',
+    },
+    // Self-hosted compatible servers usually don't need a key, only a custom base URL
+    isConfigured: () => Boolean(apiKey || process.env.REACT_APP_OPENAI_BASE_URL),
+    maxInputChars: 12000,
+    supportsStyles: true,
+
+    summarize(text, { model, maxLength, style }) {
+      return complete(model, buildSummaryPrompt(text, maxLength, style), Math.ceil(maxLength / 2));
+    },
+
+    async tags(text, { model, maxTags }) {
+      return parseTagList(await complete(model, buildTagsPrompt(text, maxTags), 60), maxTags);
+    },
+
+    answer(question, sources, { model }) {
+      return complete(model, buildAnswerPrompt(question, sources), 400);
+    },
+
+    async embed(text, { model }) {
+      const response = await getClient().post('/embeddings', { model, input: text });
+      const embedding = response.data?.data?.[0]?.embedding;
+      if (!Array.isArray(embedding)) {
+        throw new Error('Unexpected embedding format from OpenAI-compatible endpoint');
+      }
+      return embedding;
+    },
+  };
+}
+
+/**
+ * Local Ollama-style HTTP server provider
+ * @param {Object} config - { baseURL }
+ * @returns {Object} - Provider definition
+ */
+export function createOllamaProvider({
+  baseURL = process.env.REACT_APP_OLLAMA_BASE_URL || 'http://localhost:11434',
+} = {}) {
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      client = axios.create({
+        baseURL,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+    return client;
+  };
+
+  const generate = async (model, prompt) => {
+    const response = await getClient().post('/api/generate', { model, prompt, stream: false });
+    if (typeof response.data?.response !== 'string') {
+      throw new Error('Unexpected response format from Ollama');
+    }
+    return response.data.response.trim();
+  };
+
+  return {
+    id: 'ollama',
+    label: 'Ollama (local)',
+    capabilities: [CAPABILITIES.SUMMARIZE, CAPABILITIES.TAGS, CAPABILITIES.EMBED, CAPABILITIES.ANSWER],
+    defaultModels: {
+      [CAPABILITIES.SUMMARIZE]: 'llama3.2',
+      [CAPABILITIES.TAGS]: 'llama3.2',
+      [CAPABILITIES.EMBED]: 'nomic-embed-text',
+      [CAPABILITIES.ANSWER]: 'llama3.2',
+    },
+    // There's no key to check, so the server is only used once it's explicitly configured
+    isConfigured: () => Boolean(process.env.REACT_APP_OLLAMA_BASE_URL),
+    maxInputChars: 6000,
+    supportsStyles: true,
+
+    summarize(text, { model, maxLength, style }) {
+      return generate(model, buildSummaryPrompt(text, maxLength, style));
+    },
+
+    async tags(text, { model, maxTags }) {
+      return parseTagList(await generate(model, buildTagsPrompt(text, maxTags)), maxTags);
+    },
+
+    answer(question, sources, { model }) {
+      return generate(model, buildAnswerPrompt(question, sources));
+    },
+
+    async embed(text, { model }) {
+      const response = await getClient().post('/api/embeddings', { model, prompt: text });
+      if (!Array.isArray(response.data?.embedding)) {
+        throw new Error('Unexpected embedding format from Ollama');
+      }
+      return response.data.embedding;
+    },
+  };
+}
+
+/**
+ * AI proxy provider - calls the backend in /server, which holds the API keys.
+ * Requests are authenticated with the signed-in user's Firebase ID token.
+ * @param {Object} config - { baseURL }
+ * @returns {Object} - Provider definition
+ */
+export function createProxyProvider({
+  baseURL = process.env.REACT_APP_AI_PROXY_URL || 'http://localhost:8787',
+} = {}) {
+  const client = axios.create({
+    baseURL,
+    headers: { 'Content-Type': 'application/json' },
+  });
+
+  const post = async (path, body) => {
+    const token = await authTokenProvider();
+    if (!token) {
+      throw new Error('Sign in to use the AI proxy');
+    }
+    const response = await client.post(path, body, {
+      headers: { 'Authorization': `Bearer ${token}` },
+    });
+    return response.data;
+  };
+
+  return {
+    id: 'proxy',
+    label: 'AI Proxy',
+    capabilities: [CAPABILITIES.SUMMARIZE, CAPABILITIES.TAGS, CAPABILITIES.EMBED, CAPABILITIES.ANSWER],
+    // The server picks the actual models; see server/README.md
+    defaultModels: {
+      [CAPABILITIES.SUMMARIZE]: 'server-default',
+      [CAPABILITIES.TAGS]: 'server-default',
+      [CAPABILITIES.EMBED]: 'server-default',
+      [CAPABILITIES.ANSWER]: 'server-default',
+    },
+    isConfigured: () => Boolean(baseURL),
+    maxInputChars: 3000,
+    supportsStyles: false,
+
+    async summarize(text, { maxLength }) {
+      const data = await post('/api/ai/summarize', { text, maxLength });
+      if (typeof data?.summary !== 'string') {
+        throw new Error('Unexpected response format from AI proxy');
+      }
+      return data.summary;
+    },
+
+    async tags(text, { maxTags }) {
+      const data = await post('/api/ai/tags', { text, maxTags });
+      if (!Array.isArray(data?.tags)) {
+        throw new Error('Unexpected response format from AI proxy');
+      }
+      return data.tags;
+    },
+
+    async embed(text) {
+      const data = await post('/api/ai/embed', { text });
+      if (!Array.isArray(data?.embedding)) {
+        throw new Error('Unexpected embedding format from AI proxy');
+      }
+      return data.embedding;
+    },
+
+    async answer(question, sources) {
+      const data = await post('/api/ai/answer', { question, sources });
+      if (typeof data?.answer !== 'string') {
+        throw new Error('Unexpected response format from AI proxy');
+      }
+      return data.answer;
+    },
+  };
+}
+
+/**
+ * Deterministic offline provider - no network, always available
+ * @returns {Object} - Provider definition
+ */
+export function createOfflineProvider() {
+  return {
+    id: 'offline',
+    label: 'Offline (built-in)',
+    capabilities: [CAPABILITIES.SUMMARIZE, CAPABILITIES.TAGS, CAPABILITIES.EMBED, CAPABILITIES.ANSWER],
+    defaultModels: {
+      [CAPABILITIES.SUMMARIZE]: 'lead-sentences',
+      [CAPABILITIES.TAGS]: 'tfidf-keyphrases',
+      [CAPABILITIES.EMBED]: LOCAL_EMBEDDING_MODEL,
+      [CAPABILITIES.ANSWER]: 'extractive',
+    },
+    isConfigured: () => true,
+    // Small chunks give every section a chance to contribute a lead sentence
+    maxInputChars: 2000,
+    supportsStyles: false,
+
+    async summarize(text, { maxLength }) {
+      return generateLeadSummary(text, maxLength);
+    },
+
+    async tags(text, { maxTags }) {
+      return extractKeywords(text, maxTags);
+    },
+
+    async embed(text) {
+      return embedLocally(text);
+    },
+
+    async answer(question, sources) {
+      return generateExtractiveAnswer(question, sources);
+    },
+  };
+}
+
+// Provider registry
+
+const providers = new Map();
+const routes = {};
+
+/**
+ * Register (or replace) a provider
+ * @param {Object} provider - Provider definition
+ */
+export function registerProvider(provider) {
+  if (!provider?.id || !Array.isArray(provider.capabilities)) {
+    throw new Error('Provider must have an id and a list of capabilities');
+  }
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Get a registered provider by ID
+ * @param {string} providerId - Provider ID
+ * @returns {Object|undefined} - Provider definition
+ */
+export function getProvider(providerId) {
+  return providers.get(providerId);
+}
+
+/**
+ * List all registered providers
+ * @returns {Array} - Provider summaries
+ */
+export function listProviders() {
+  return [...providers.values()].map(provider => ({
+    id: provider.id,
+    label: provider.label,
+    capabilities: provider.capabilities,
+    defaultModels: provider.defaultModels,
+    configured: provider.isConfigured(),
+  }));
+}
+
+/**
+ * Route a capability to a provider and model at runtime
+ * @param {string} capability - One of CAPABILITIES
+ * @param {string} providerId - Registered provider ID
+ * @param {string} model - Model name (defaults to the provider's default)
+ */
+export function setCapabilityProvider(capability, providerId, model) {
+  const provider = providers.get(providerId);
+  if (!provider) {
+    throw new Error(`Unknown AI provider: ${providerId}`);
+  }
+  if (!provider.capabilities.includes(capability)) {
+    throw new Error(`${provider.label} does not support ${capability}`);
+  }
+
+  routes[capability] = {
+    providerId,
+    model: model || provider.defaultModels[capability],
+  };
+  saveRoutes();
+}
+
+/**
+ * Resolve the provider and model that handles a capability.
+ * Falls back to the offline provider when the routed one isn't configured.
+ * @param {string} capability - One of CAPABILITIES
+ * @returns {{provider: Object, model: string}} - Resolved route
+ */
+export function resolveCapability(capability) {
+  const route = routes[capability];
+  const provider = route && providers.get(route.providerId);
+
+  if (provider && provider.isConfigured() && provider.capabilities.includes(capability)) {
+    return { provider, model: route.model || provider.defaultModels[capability] };
+  }
+
+  const offline = providers.get('offline');
+  return { provider: offline, model: offline.defaultModels[capability] };
+}
+
+/**
+ * Describe which provider currently serves each capability
+ * @returns {Object} - Map of capability to { providerId, label, model, remote }
+ */
+export function getAICapabilities() {
+  return Object.values(CAPABILITIES).reduce((result, capability) => {
+    const { provider, model } = resolveCapability(capability);
+    result[capability] = {
+      providerId: provider.id,
+      label: provider.label,
+      model,
+      remote: provider.id !== 'offline',
+    };
+    return result;
+  }, {});
+}
+
+function saveRoutes() {
+  try {
+    localStorage.setItem(ROUTES_STORAGE_KEY, JSON.stringify(routes));
+  } catch (error) {
+    console.error('Failed to persist AI provider routes:', error);
+  }
+}
+
+function loadRoutes() {
+  try {
+    return JSON.parse(localStorage.getItem(ROUTES_STORAGE_KEY) || '{}') || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Whether the app only talks to the AI proxy (REACT_APP_AI_MODE=proxy)
+ * @returns {boolean}
+ */
+export function isProxyMode() {
+  return PROXY_MODE;
+}
+
+function initializeRegistry() {
+  const available = PROXY_MODE
+    ? [createProxyProvider(), createOfflineProvider()]
+    : [createHuggingFaceProvider(), createOpenAIProvider(), createOllamaProvider(), createOfflineProvider()];
+  available.forEach(registerProvider);
+
+  // Environment defaults first, then whatever the user picked at runtime
+  const envRoutes = PROXY_MODE ? {
+    [CAPABILITIES.SUMMARIZE]: 'proxy',
+    [CAPABILITIES.TAGS]: 'proxy',
+    [CAPABILITIES.EMBED]: 'proxy',
+    [CAPABILITIES.ANSWER]: 'proxy',
+  } : {
+    [CAPABILITIES.SUMMARIZE]: process.env.REACT_APP_AI_SUMMARY_PROVIDER || 'huggingface',
+    [CAPABILITIES.TAGS]: process.env.REACT_APP_AI_TAGS_PROVIDER || 'offline',
+    [CAPABILITIES.EMBED]: process.env.REACT_APP_AI_EMBED_PROVIDER || 'offline',
+    // Falls back to extractive answers until a generative provider is configured
+    [CAPABILITIES.ANSWER]: process.env.REACT_APP_AI_ANSWER_PROVIDER || 'openai',
+  };
+  Object.entries(envRoutes).forEach(([capability, providerId]) => {
+    const provider = providers.get(providerId);
+    if (provider?.capabilities.includes(capability)) {
+      routes[capability] = { providerId, model: provider.defaultModels[capability] };
+    }
+  });
+
+  Object.entries(loadRoutes()).forEach(([capability, route]) => {
+    const provider = providers.get(route?.providerId);
+    if (provider?.capabilities.includes(capability)) {
+      routes[capability] = { providerId: route.providerId, model: route.model || provider.defaultModels[capability] };
+    }
+  });
+}
+
+initializeRegistry();
+
+// Offline implementations
+
+function generateLeadSummary(text, maxLength) {
+  const sentences = text.match(/[^.!?]+[.!?]+|[^.!?]+$/g) || [text];
+  // Aim for roughly half the note so the summary is never just the note again
+  const target = Math.min(maxLength, Math.max(60, Math.floor(text.length / 2)));
+  let summary = '';
+
+  for (const sentence of sentences) {
+    const next = (summary + ' ' + sentence.trim()).trim();
+    if (summary && next.length > target) break;
+    summary = next;
+  }
+
+  // A single sentence longer than maxLength gets cut at a word boundary
+  if (summary.length > maxLength) {
+    const cut = summary.slice(0, Math.max(0, maxLength - 3));
+    summary = cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length).trim() + '...';
+  }
+  return summary;
+}
+
+// Sentences scoring below this are too loosely related to quote as an answer
+const MIN_ANSWER_SIMILARITY = 0.1;
+const MAX_ANSWER_SENTENCES = 3;
+
+function generateExtractiveAnswer(question, sources) {
+  const questionVector = embedLocally(question);
+  const questionTerms = new Set(analyze(question));
+  const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+  // Local vectors are L2-normalized, so the dot product is the cosine similarity.
+  // Hashed character n-grams can collide, so a sentence must also share a word with the question.
+  const candidates = sources.flatMap((source, i) => splitIntoSentences(source.text)
+    .filter(sentence => analyze(sentence).some(term => questionTerms.has(term)))
+    .map(sentence => ({
+      sentence,
+      citation: i + 1,
+      score: dot(questionVector, embedLocally(sentence)),
+    })));
+
+  const best = candidates
+    .filter(candidate => candidate.score >= MIN_ANSWER_SIMILARITY)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_ANSWER_SENTENCES);
+
+  if (best.length === 0) {
+    return "I couldn't find an answer to that in your notes.";
+  }
+  return best.map(({ sentence, citation }) => `${sentence} [${citation}]`).join(' ');
+}
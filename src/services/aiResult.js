@@ -0,0 +1,110 @@
+// Typed results for AI calls, so failures never masquerade as content
+
+/**
+ * Error codes carried by failed AI results
+ */
+export const AI_ERROR_CODES = {
+  TOO_SHORT: 'too_short',
+  UNAUTHORIZED: 'unauthorized',
+  RATE_LIMITED: 'rate_limited',
+  MODEL_LOADING: 'model_loading',
+  UNAVAILABLE: 'unavailable',
+  NETWORK: 'network',
+  PROVIDER_ERROR: 'provider_error',
+};
+
+const ERROR_MESSAGES = {
+  [AI_ERROR_CODES.TOO_SHORT]: 'Write a little more to get an AI summary.',
+  [AI_ERROR_CODES.UNAUTHORIZED]: 'The AI provider rejected the request. Check your API key or sign in again.',
+  [AI_ERROR_CODES.RATE_LIMITED]: 'The AI provider is rate limiting requests.',
+  [AI_ERROR_CODES.MODEL_LOADING]: 'The AI model is still loading.',
+  [AI_ERROR_CODES.UNAVAILABLE]: 'The AI provider is temporarily unavailable.',
+  [AI_ERROR_CODES.NETWORK]: 'Could not reach the AI provider.',
+  [AI_ERROR_CODES.PROVIDER_ERROR]: 'The AI provider returned an error.',
+};
+
+/**
+ * Successful result
+ * @param {*} value - Result value
+ * @returns {{ok: true, value: *, error: null}}
+ */
+export function aiSuccess(value) {
+  return { ok: true, value, error: null };
+}
+
+/**
+ * Failed result
+ * @param {string} code - One of AI_ERROR_CODES
+ * @param {Object} details - { message, retryable, retryAfter (seconds) }
+ * @returns {{ok: false, value: null, error: {code, message, retryable, retryAfter}}}
+ */
+export function aiFailure(code, { message = ERROR_MESSAGES[code], retryable = false, retryAfter = null } = {}) {
+  return { ok: false, value: null, error: { code, message, retryable, retryAfter } };
+}
+
+function parseRetryAfter(error) {
+  const header = error.response?.headers?.['retry-after'];
+  const seconds = Number(header ?? error.response?.data?.error?.retryAfter ?? error.response?.data?.estimated_time);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+}
+
+/**
+ * Classify a thrown provider error (axios-style) into a failed result's error
+ * @param {Error} error - Error thrown by a provider
+ * @returns {{code: string, message: string, retryable: boolean, retryAfter: number|null}}
+ */
+export function classifyAIError(error) {
+  const status = error?.response?.status;
+  const retryAfter = parseRetryAfter(error || {});
+  const build = (code, retryable) => aiFailure(code, { retryable, retryAfter }).error;
+
+  if (status === 401 || status === 403) return build(AI_ERROR_CODES.UNAUTHORIZED, false);
+  if (status === 429) return build(AI_ERROR_CODES.RATE_LIMITED, true);
+  if (status === 503) {
+    // Hugging Face answers 503 with an estimated_time while a cold model loads
+    const loading = error.response?.data?.estimated_time !== undefined ||
+      /loading/i.test(JSON.stringify(error.response?.data ?? ''));
+    return build(loading ? AI_ERROR_CODES.MODEL_LOADING : AI_ERROR_CODES.UNAVAILABLE, true);
+  }
+  if (status >= 500) return build(AI_ERROR_CODES.PROVIDER_ERROR, true);
+  if (error?.request && !error.response) return build(AI_ERROR_CODES.NETWORK, true);
+  return build(AI_ERROR_CODES.PROVIDER_ERROR, false);
+}
+
+// Failure sentences older versions of getSummary returned (and saved) as if they were summaries
+const LEGACY_FAILURE_SUMMARY = /^(Content too short to summarize|No content to summarize|Invalid .+ API key\.|.+ rate limit exceeded\.|.+ API error\. Please try again|Failed to generate summary)/;
+
+/**
+ * Whether a stored summary is really a failure message saved by an older version
+ * @param {string} summary - Stored note summary
+ * @returns {boolean}
+ */
+export function isFailureSummary(summary) {
+  return typeof summary === 'string' && LEGACY_FAILURE_SUMMARY.test(summary.trim());
+}
+
+const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Call fn, retrying retryable failures with exponential backoff.
+ * A Retry-After (or model loading estimate) from the provider takes precedence over the backoff;
+ * failures asking for a longer wait than maxDelay are rethrown straight away.
+ * @param {Function} fn - Async function to call
+ * @param {Object} options - { retries, baseDelay (ms), maxDelay (ms), sleep }
+ * @returns {Promise<*>} - fn's result; rethrows the last error once retries are exhausted
+ */
+export async function withRetry(fn, { retries = 2, baseDelay = 1000, maxDelay = 20000, sleep = pause } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const { retryable, retryAfter } = classifyAIError(error);
+      // Waits longer than maxDelay are left to the caller, who can show retryAfter instead
+      if (!retryable || attempt >= retries || retryAfter * 1000 > maxDelay) {
+        throw error;
+      }
+      const backoff = baseDelay * 2 ** attempt * (0.75 + Math.random() * 0.5);
+      await sleep(retryAfter ? retryAfter * 1000 : Math.min(maxDelay, backoff));
+    }
+  }
+}
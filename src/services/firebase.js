@@ -1,6 +1,6 @@
 import { initializeApp } from 'firebase/app';
-import { getAuth } from 'firebase/auth';
-import { getFirestore } from 'firebase/firestore';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
 
 const firebaseConfig = {
   apiKey: process.env.REACT_APP_FIREBASE_API_KEY,
@@ -32,3 +32,10 @@ if (!firebaseConfig.apiKey || !firebaseConfig.projectId) {
 const app = initializeApp(firebaseConfig);
 export const auth = getAuth(app);
 export const db = getFirestore(app);
+
+// Local Firestore and Auth emulators (`firebase emulators:start`), e.g. to try out security rules
+if (process.env.REACT_APP_FIREBASE_EMULATORS === 'true') {
+  const [firestoreHost, firestorePort] = (process.env.REACT_APP_FIRESTORE_EMULATOR_HOST || 'localhost:8080').split(':');
+  connectFirestoreEmulator(db, firestoreHost, Number(firestorePort));
+  connectAuthEmulator(auth, `http://${process.env.REACT_APP_AUTH_EMULATOR_HOST || 'localhost:9099'}`, { disableWarnings: true });
+}
@@ -0,0 +1,186 @@
+import { tokenize, stem, STOPWORDS } from '../utils/textAnalysis';
+
+// Offline keyword/keyphrase extraction.
+// Candidate phrases are runs of content words between stopwords and punctuation
+// (as in RAKE), scored with TF-IDF against the user's vault, and mapped onto
+// tags the vault already uses whenever they mean the same thing.
+
+const MAX_PHRASE_WORDS = 3;
+const EXISTING_TAG_BOOST = 1.5;
+
+let vault = {
+  signature: '',
+  documentCount: 0,
+  documentFrequency: new Map(),
+  tagsByKey: new Map(),
+};
+
+/**
+ * Normalize a tag or phrase to a comparison key: stemmed words joined by spaces.
+ * "Project-Planning", "project planning" and "projects planned" share a key.
+ * @param {string} phrase - Tag or phrase
+ * @returns {string} - Comparison key
+ */
+export function tagKey(phrase) {
+  return tokenize(String(phrase).replace(/[-_]+/g, ' '))
+    .filter(token => !STOPWORDS.has(token))
+    .map(stem)
+    .join(' ');
+}
+
+function isContentWord(token) {
+  return token.length > 2 && !STOPWORDS.has(token) && !/^\d+$/.test(token);
+}
+
+/**
+ * Extract candidate phrases (1 to MAX_PHRASE_WORDS content words) with their counts
+ * @param {string} text - Plain text
+ * @returns {Map<string, {words: string[], surface: Map<string, number>, count: number}>}
+ */
+function extractCandidates(text) {
+  const candidates = new Map();
+
+  // Punctuation breaks phrases, stopwords break them too
+  text.split(/[.,;:!?()[\]{}"“”\n\r\t•|/\\]+/).forEach(fragment => {
+    let run = [];
+    const flush = () => {
+      for (let size = 1; size <= Math.min(MAX_PHRASE_WORDS, run.length); size++) {
+        for (let i = 0; i + size <= run.length; i++) {
+          const words = run.slice(i, i + size);
+          const key = words.map(stem).join(' ');
+          const surfaceForm = words.join(' ');
+          const candidate = candidates.get(key) || { words, surface: new Map(), count: 0 };
+          candidate.count += 1;
+          candidate.surface.set(surfaceForm, (candidate.surface.get(surfaceForm) || 0) + 1);
+          candidates.set(key, candidate);
+        }
+      }
+      run = [];
+    };
+
+    tokenize(fragment).forEach(token => {
+      if (isContentWord(token)) {
+        run.push(token);
+      } else {
+        flush();
+      }
+    });
+    flush();
+  });
+
+  return candidates;
+}
+
+/**
+ * Fit document frequencies and the existing tag vocabulary on the user's vault.
+ * Refitting with the same signature is a no-op.
+ * @param {Array<{text: string, tags: string[]}>} documents - Plain-text notes with their tags
+ * @param {string} signature - Identifies the vault state
+ */
+export function fitKeywordCorpus(documents, signature = '') {
+  if (signature && signature === vault.signature) {
+    return;
+  }
+
+  const documentFrequency = new Map();
+  const tagCounts = new Map();
+
+  documents.forEach(({ text, tags = [] }) => {
+    new Set(extractCandidates(text).keys()).forEach(key => {
+      documentFrequency.set(key, (documentFrequency.get(key) || 0) + 1);
+    });
+    tags.forEach(tag => {
+      const key = tagKey(tag);
+      if (!key) return;
+      const forms = tagCounts.get(key) || new Map();
+      forms.set(tag, (forms.get(tag) || 0) + 1);
+      tagCounts.set(key, forms);
+    });
+  });
+
+  // The most used spelling of a tag is the one we reuse
+  const tagsByKey = new Map();
+  tagCounts.forEach((forms, key) => {
+    tagsByKey.set(key, [...forms.entries()].sort((a, b) => b[1] - a[1])[0][0]);
+  });
+
+  vault = { signature, documentCount: documents.length, documentFrequency, tagsByKey };
+}
+
+/**
+ * Map a tag onto the spelling the vault already uses for the same key, if any
+ * @param {string} tag - Tag to reconcile
+ * @returns {string} - Existing vault tag or the original tag
+ */
+export function reconcileWithVaultTags(tag) {
+  return vault.tagsByKey.get(tagKey(tag)) || tag;
+}
+
+function inverseDocumentFrequency(key) {
+  const df = vault.documentFrequency.get(key) || 0;
+  return Math.log((vault.documentCount + 1) / (df + 1)) + 1;
+}
+
+function formatTag(words) {
+  return words.join('-');
+}
+
+/**
+ * Extract the most characteristic keywords and keyphrases from text
+ * @param {string} text - Plain text
+ * @param {number} maxTags - Maximum number of tags
+ * @returns {string[]} - Tags, best first
+ */
+export function extractKeywords(text, maxTags = 5) {
+  const candidates = extractCandidates(text);
+  if (candidates.size === 0) return [];
+
+  // Score single words first; phrases build on their words' scores
+  const wordScores = new Map();
+  candidates.forEach((candidate, key) => {
+    if (candidate.words.length === 1) {
+      wordScores.set(key, (1 + Math.log(candidate.count)) * inverseDocumentFrequency(key));
+    }
+  });
+
+  const scored = [];
+  candidates.forEach((candidate, key) => {
+    const size = candidate.words.length;
+    let score;
+
+    if (size === 1) {
+      score = wordScores.get(key);
+    } else {
+      // A phrase has to recur (or already be a tag) to beat its own words
+      const memberScore = key.split(' ').reduce((sum, word) => sum + (wordScores.get(word) || 0), 0) / size;
+      const recurrence = candidate.count > 1 ? 1 + Math.log(candidate.count) : 0.5;
+      score = memberScore * recurrence * (1 + 0.25 * (size - 1));
+    }
+
+    const existingTag = vault.tagsByKey.get(key);
+    if (existingTag) {
+      score *= EXISTING_TAG_BOOST;
+    }
+
+    const surface = [...candidate.surface.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    scored.push({ key, score, tag: existingTag || formatTag(surface.split(' ')) });
+  });
+
+  scored.sort((a, b) => b.score - a.score || a.key.localeCompare(b.key));
+
+  // Skip candidates that overlap a better one ("planning" after "project-planning")
+  const selected = [];
+  for (const candidate of scored) {
+    if (selected.length >= maxTags) break;
+    const words = new Set(candidate.key.split(' '));
+    const overlaps = selected.some(other => {
+      const otherWords = other.key.split(' ');
+      return otherWords.every(word => words.has(word)) || [...words].every(word => otherWords.includes(word));
+    });
+    if (!overlaps && !selected.some(other => other.tag === candidate.tag)) {
+      selected.push(candidate);
+    }
+  }
+
+  return selected.map(candidate => candidate.tag);
+}
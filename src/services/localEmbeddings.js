@@ -0,0 +1,110 @@
+import { analyze, hashString } from '../utils/textAnalysis';
+
+// In-browser embeddings using TF-IDF weighting and the hashing trick.
+// Terms are hashed into a fixed number of buckets, so no vocabulary has to be
+// stored, and IDF weights are fitted on the user's own notes.
+
+export const LOCAL_EMBEDDING_DIMENSIONS = 512;
+export const LOCAL_EMBEDDING_MODEL = `tfidf-hash-${LOCAL_EMBEDDING_DIMENSIONS}`;
+
+// Relative weight of each feature family, keyed by feature prefix
+const FEATURE_WEIGHTS = {
+  w: 1, // stemmed words
+  b: 0.6, // word bigrams
+  c: 0.25, // character trigrams
+};
+
+let corpus = {
+  signature: '',
+  documentCount: 0,
+  documentFrequency: new Map(),
+  version: 0,
+};
+
+/**
+ * Extract word, bigram and character trigram features from plain text
+ * @param {string} text - Plain text
+ * @returns {Map<string, number>} - Feature to occurrence count
+ */
+function extractFeatures(text) {
+  const terms = analyze(text);
+  const features = new Map();
+  const add = (feature) => features.set(feature, (features.get(feature) || 0) + 1);
+
+  terms.forEach((term, i) => {
+    add(`w:${term}`);
+    if (i > 0) add(`b:${terms[i - 1]} ${term}`);
+
+    // Character trigrams let "plan", "planning" and "planner" share some signal
+    const padded = `^${term}$`;
+    for (let j = 0; j < padded.length - 2; j++) {
+      add(`c:${padded.slice(j, j + 3)}`);
+    }
+  });
+
+  return features;
+}
+
+/**
+ * Fit IDF statistics on a corpus of plain-text documents.
+ * Refitting with the same signature is a no-op.
+ * @param {string[]} documents - Plain-text documents
+ * @param {string} signature - Identifies the corpus state (e.g. ids + updatedAt)
+ * @returns {boolean} - True if the statistics changed
+ */
+export function fitLocalEmbeddingCorpus(documents, signature = '') {
+  if (signature && signature === corpus.signature) {
+    return false;
+  }
+
+  const documentFrequency = new Map();
+  documents.forEach(text => {
+    const unique = new Set([...extractFeatures(text).keys()]);
+    unique.forEach(feature => {
+      documentFrequency.set(feature, (documentFrequency.get(feature) || 0) + 1);
+    });
+  });
+
+  corpus = {
+    signature,
+    documentCount: documents.length,
+    documentFrequency,
+    version: corpus.version + 1,
+  };
+  return true;
+}
+
+/**
+ * Version counter that changes whenever the fitted corpus changes
+ * @returns {number} - Corpus version
+ */
+export function getLocalCorpusVersion() {
+  return corpus.version;
+}
+
+function inverseDocumentFrequency(feature) {
+  if (corpus.documentCount === 0) return 1;
+  const df = corpus.documentFrequency.get(feature) || 0;
+  return Math.log((corpus.documentCount + 1) / (df + 1)) + 1;
+}
+
+/**
+ * Embed plain text into a normalized hashed TF-IDF vector
+ * @param {string} text - Plain text
+ * @returns {number[]} - Unit-length vector (all zeros for empty text)
+ */
+export function embedLocally(text) {
+  const vector = new Array(LOCAL_EMBEDDING_DIMENSIONS).fill(0);
+
+  extractFeatures(text).forEach((count, feature) => {
+    const hash = hashString(feature);
+    const bucket = hash % LOCAL_EMBEDDING_DIMENSIONS;
+    // A sign bit keeps colliding features from always reinforcing each other
+    const sign = (hash >>> 31) === 1 ? -1 : 1;
+    const weight = FEATURE_WEIGHTS[feature[0]] * (1 + Math.log(count));
+    vector[bucket] += sign * weight * inverseDocumentFrequency(feature);
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map(value => value / norm);
+}
@@ -0,0 +1,184 @@
+import { createDelta, applyDelta } from '../utils/diff';
+
+// Note version history: recording, coalescing auto-saves, pruning, and compact storage.
+//
+// A note keeps only a small `versionIndex` (metadata, oldest first). The versions themselves
+// are stored as separate records, each either a full snapshot or a line delta against the
+// version it was recorded after (`baseId`). Every SNAPSHOT_EVERY-th link in a chain is a full
+// snapshot, so rebuilding any version never replays more than that many deltas.
+
+// Saves by the same author within this window update one version instead of adding another
+export const COALESCE_WINDOW_MS = 10 * 60 * 1000;
+export const MAX_VERSIONS = 50;
+export const SNAPSHOT_EVERY = 10;
+
+const META_FIELDS = ['id', 'timestamp', 'author', 'authorName', 'rev', 'restoredFrom', 'startedAt'];
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Add a version to a note's history. Auto-saves made in one editing session collapse
+ * into a single version; restores always get a version of their own. A version that
+ * has been synced (the note's rev moved on since) is never rewritten, so other devices
+ * can still find it as a merge base.
+ * @param {Array} versions - Existing versions, oldest first
+ * @param {Object} version - { title, content, timestamp, author, authorName, rev, restoredFrom }
+ * @param {Object} options - { coalesceWindow (ms) }
+ * @returns {Array} - New versions array
+ */
+export function appendVersion(versions = [], version, { coalesceWindow = COALESCE_WINDOW_MS } = {}) {
+  const last = versions[versions.length - 1];
+  const coalesce = last &&
+    !version.restoredFrom &&
+    !last.restoredFrom &&
+    last.author === version.author &&
+    (last.rev || 0) === (version.rev || 0) &&
+    new Date(version.timestamp) - new Date(last.startedAt || last.timestamp) < coalesceWindow;
+
+  if (coalesce) {
+    return [...versions.slice(0, -1), { ...version, startedAt: last.startedAt || last.timestamp }];
+  }
+  return [...versions, version];
+}
+
+/**
+ * Thin out old versions: everything from the last day is kept, then one per hour
+ * for the last week, then one per day, and never more than maxVersions in total.
+ * The oldest and the newest versions are always kept.
+ * @param {Array} versions - Versions, oldest first
+ * @param {Object} options - { now (ms), maxVersions }
+ * @returns {Array} - Pruned versions, oldest first
+ */
+export function pruneVersions(versions = [], { now = Date.now(), maxVersions = MAX_VERSIONS } = {}) {
+  if (versions.length <= 2) return versions;
+
+  const bucketOf = (version, i) => {
+    const age = now - new Date(version.timestamp);
+    if (age < DAY) return `recent:${i}`;
+    if (age < 7 * DAY) return `hour:${Math.floor(new Date(version.timestamp) / HOUR)}`;
+    return `day:${Math.floor(new Date(version.timestamp) / DAY)}`;
+  };
+
+  // Keep the last version in each bucket (walking newest first)
+  const seen = new Set();
+  const kept = [];
+  for (let i = versions.length - 1; i >= 0; i--) {
+    const bucket = bucketOf(versions[i], i);
+    const isEnd = i === 0 || i === versions.length - 1;
+    if (isEnd || versions[i].restoredFrom || !seen.has(bucket)) {
+      seen.add(bucket);
+      kept.unshift(versions[i]);
+    }
+  }
+
+  if (kept.length <= maxVersions) return kept;
+  return [kept[0], ...kept.slice(kept.length - (maxVersions - 1))];
+}
+
+/**
+ * Name to show for a version's author
+ * @param {Object} version - Version
+ * @param {string} userId - Current user ID
+ * @returns {string}
+ */
+export function versionAuthorLabel(version, userId) {
+  if (!version.author) return 'Unknown';
+  if (version.author === userId) return 'You';
+  return version.authorName || 'Collaborator';
+}
+
+// Version metadata without undefined fields (Firestore rejects them)
+function versionMeta(version) {
+  const meta = {};
+  META_FIELDS.forEach(field => {
+    if (version[field] !== undefined) meta[field] = version[field];
+  });
+  return meta;
+}
+
+function encodeVersion(noteId, version, base, baseDepth) {
+  const record = { ...versionMeta(version), noteId, title: version.title || '' };
+  const content = version.content || '';
+  if (base && baseDepth + 1 < SNAPSHOT_EVERY) {
+    const delta = createDelta(base.content || '', content);
+    // Not worth it when most of the text changed
+    if (JSON.stringify(delta).length < content.length) {
+      return { ...record, baseId: base.id, depth: baseDepth + 1, delta };
+    }
+  }
+  return { ...record, baseId: null, depth: 0, snapshot: content };
+}
+
+/**
+ * Work out which version records to write and delete after the history changed
+ * @param {string} noteId - Note ID
+ * @param {Array} previous - Decoded versions before the change (see decodeVersions); index
+ *   entries whose records aren't available here may be passed as they are
+ * @param {Array} next - Decoded versions after appending/pruning, oldest first
+ * @returns {{records: Array, removed: string[], index: Array}} - Records to write, record ids
+ *   to delete, and the note's new versionIndex
+ */
+export function planVersionRecords(noteId, previous, next) {
+  const before = new Map(previous.map(version => [version.id, version]));
+  const nextIds = new Set(next.map(version => version.id));
+  const encoded = new Map();
+  const records = [];
+
+  next.forEach((version, i) => {
+    const stored = before.get(version.id);
+    // Stored records stay valid as long as the version they're a delta of is still around
+    if (stored?.depth !== undefined && (stored.baseId === null || nextIds.has(stored.baseId))) {
+      encoded.set(version.id, { baseId: stored.baseId, depth: stored.depth });
+      return;
+    }
+    // Not fetched to this device yet, so it can't be re-encoded; its record is left as it is
+    if (version.content === undefined) {
+      encoded.set(version.id, { baseId: version.baseId ?? null, depth: SNAPSHOT_EVERY });
+      return;
+    }
+    const base = next[i - 1];
+    const record = encodeVersion(noteId, version, base, base ? encoded.get(base.id).depth : 0);
+    encoded.set(version.id, record);
+    records.push(record);
+  });
+
+  return {
+    records,
+    removed: previous.filter(version => !nextIds.has(version.id)).map(version => version.id),
+    index: next.map(version => ({ ...versionMeta(version), baseId: encoded.get(version.id).baseId })),
+  };
+}
+
+/**
+ * Rebuild full versions from a note's index and its stored records
+ * @param {Array} index - The note's versionIndex
+ * @param {Array} records - Stored version records for the note
+ * @returns {Array} - Versions ({...meta, title, content, baseId, depth}), oldest first;
+ *   versions whose records are missing are left out
+ */
+export function decodeVersions(index = [], records = []) {
+  const byId = new Map(records.map(record => [record.id, record]));
+  const contents = new Map();
+
+  const contentOf = (id) => {
+    if (contents.has(id)) return contents.get(id);
+    const record = byId.get(id);
+    let content = null;
+    if (record && record.snapshot !== undefined) {
+      content = record.snapshot;
+    } else if (record) {
+      const base = contentOf(record.baseId);
+      content = base === null ? null : applyDelta(base, record.delta);
+    }
+    contents.set(id, content);
+    return content;
+  };
+
+  return index
+    .filter(entry => contentOf(entry.id) !== null)
+    .map(entry => {
+      const record = byId.get(entry.id);
+      return { ...entry, title: record.title, content: contentOf(entry.id), baseId: record.baseId, depth: record.depth };
+    });
+}
@@ -0,0 +1,758 @@
+import { v4 as uuidv4 } from 'uuid';
+import { appendVersion, pruneVersions, planVersionRecords, decodeVersions } from './noteVersions';
+import { ROLES, roleOf, canEdit, normalizeEmail, withSharingOf } from './sharing';
+import {
+  createLinkToken,
+  passwordContentId,
+  isExpired,
+  publishedCopy,
+  passwordStub,
+  publishedFieldsChanged,
+} from './publicLinks';
+import { linkedNoteIds, retitleLinks, retargetLinks } from '../utils/noteLinks';
+import { notebookSubtree, canMoveNotebook } from '../utils/notebookTree';
+
+// One persistence path for notes. The repository owns ids, permissions,
+// timestamps and version history; a backend only stores and loads whole notes
+// and version records:
+//   { id, list(userId), listShared(userId), get(noteId), put(note), remove(noteId),
+//     setCollaborator(noteId, userId, collaborator|null),
+//     listVersions(noteId), putVersions(noteId, records), removeVersions(noteId, ids?) }
+// Sharing by email also needs a user directory (see src/services/storage):
+//   { findUserByEmail(email), putInvitation(invitation), listInvitations(noteId, invitedBy),
+//     listInvitationsFor(email), removeInvitation(noteId, email),
+//     putPublicNote(id, copy), getPublicNote(id), removePublicNote(id) }
+// Public links (see src/services/publicLinks.js) are stored through the directory too.
+// Notebooks (see src/utils/notebookTree.js) need a notebook store:
+//   { list(userId), listShared(userId), get(notebookId), put(notebook), remove(notebookId),
+//     setCollaborator(notebookId, userId, collaborator|null) }
+// Sharing a notebook shares everything in it: its collaborators are copied onto the notebooks
+// and notes inside, and whatever is moved in or out gains or loses them.
+
+const canRead = (note, userId) => roleOf(note, userId) !== null;
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Create a notes repository on top of a storage backend
+ * @param {Object} backend - Notes backend (see src/services/storage)
+ * @param {Object} options - { directory: user directory; without one, notes can't be shared,
+ *   notebooks: notebook store; without one, notes can't be filed in notebooks }
+ * @returns {Object} - Notes repository
+ */
+export function createNotesRepository(backend, { directory = null, notebooks = null } = {}) {
+  /**
+   * Get all notes owned by a user, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Notes
+   */
+  async function listNotes(userId) {
+    const notes = await backend.list(userId);
+    return notes.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Get a single note the user can read
+   * @param {string} noteId - Note ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - Note, or null if it doesn't exist
+   */
+  async function getNote(noteId, userId) {
+    const note = await backend.get(noteId);
+    if (note && !canRead(note, userId)) {
+      throw new Error('Access denied');
+    }
+    return note;
+  }
+
+  // Full versions of a note, oldest first. Entries whose records haven't reached this
+  // device (e.g. synced while offline) stay as bare index entries, without content.
+  // Notes saved before versions moved out of the note document carry them inline, without ids.
+  async function loadHistory(note) {
+    if (note.versionIndex) {
+      const decoded = decodeVersions(note.versionIndex, await backend.listVersions(note.id));
+      const byId = new Map(decoded.map(version => [version.id, version]));
+      return note.versionIndex.map(entry => byId.get(entry.id) || entry);
+    }
+    return (note.versions || []).map(version => ({ ...version, id: version.id || uuidv4() }));
+  }
+
+  /**
+   * Create or update a note. Notes without an id are created.
+   * A version is recorded whenever the title or content changes.
+   * @param {Object} noteData - Full or partial note
+   * @param {string} userId - User ID
+   * @param {Object} options - { authorName, restoredFrom: timestamp of the version being restored }
+   * @returns {Promise<Object>} - Saved note
+   */
+  async function saveNote(noteData, userId, { authorName, restoredFrom } = {}) {
+    const current = noteData.id ? await backend.get(noteData.id) : null;
+    if (current && !canEdit(current, userId)) {
+      throw new Error('Access denied');
+    }
+
+    const timestamp = new Date().toISOString();
+    // Who a note is shared with only changes through shareNote and removeCollaborator,
+    // and its public link only through publishNote and unpublishNote
+    const note = withSharingOf({
+      ...current,
+      ...noteData,
+      id: noteData.id || uuidv4(),
+      ownerId: current?.ownerId || userId,
+      createdAt: current?.createdAt || noteData.createdAt || timestamp,
+      updatedAt: timestamp,
+      publicLink: current?.publicLink,
+      // Only the owner files a note away; left out, it stays where it is
+      notebookId: (noteData.notebookId === undefined || (current && roleOf(current, userId) !== 'owner')
+        ? current?.notebookId
+        : noteData.notebookId) || undefined,
+    }, current);
+
+    const moved = (note.notebookId || null) !== (current?.notebookId || null);
+    const from = moved && current?.notebookId ? await notebooks?.get(current.notebookId) : null;
+    const to = moved && note.notebookId ? await getOwnedNotebook(note.notebookId, userId) : null;
+    // A note that's already stored changes hands first, so a move that can't be shared
+    // (e.g. offline) doesn't happen at all
+    if (current && moved) {
+      await reshare({ noteIds: [note.id] }, from?.collaborators, to?.collaborators);
+      Object.assign(note, withSharingOf(note, await backend.get(note.id)));
+    }
+
+    // History comes from what's stored, never from a possibly stale copy held by the caller
+    const changed = !current || current.title !== note.title || current.content !== note.content;
+    if (changed) {
+      const history = await loadHistory(current || { id: note.id, versions: noteData.versions });
+      const version = {
+        id: uuidv4(),
+        title: note.title,
+        content: note.content,
+        timestamp,
+        author: userId,
+        authorName,
+        restoredFrom,
+        rev: current?.rev || 0,
+      };
+      const next = pruneVersions(appendVersion(history, version), { now: new Date(timestamp).getTime() });
+      const { records, removed, index } = planVersionRecords(note.id, history, next);
+
+      await backend.putVersions(note.id, records);
+      if (removed.length > 0) {
+        await backend.removeVersions(note.id, removed);
+      }
+      note.versionIndex = index;
+      delete note.versions;
+    } else {
+      note.versionIndex = current.versionIndex;
+      note.versions = current.versions;
+    }
+    Object.keys(note).forEach(key => note[key] === undefined && delete note[key]);
+
+    let saved = await backend.put(note);
+    // A new note can only be shared once it's been stored remotely
+    if (!current && to && Object.keys(to.collaborators || {}).length > 0) {
+      try {
+        await backend.sync?.(userId);
+        await reshare({ noteIds: [saved.id] }, {}, to.collaborators);
+        saved = await backend.get(saved.id);
+      } catch (error) {
+        console.error("Failed to share the new note with its notebook's collaborators:", error);
+      }
+    }
+    if (saved.publicLink && directory && publishedFieldsChanged(current, saved)) {
+      try {
+        await writePublishedCopies(saved);
+      } catch (error) {
+        // Readers keep seeing the previous copy until the next save gets through
+        console.error('Failed to update the published copy of the note:', error);
+      }
+    }
+    if (current?.title && current.title !== saved.title) {
+      try {
+        await retitleLinksTo(saved, current.title, userId, { authorName });
+      } catch (error) {
+        // The links still lead to the note; they just show its old title
+        console.error('Failed to update links to the renamed note:', error);
+      }
+    }
+    return saved;
+  }
+
+  // Links to a renamed note in the user's own notes follow its new title. Links go by id,
+  // so they keep working either way; other people's notes are left as their owners wrote them.
+  async function retitleLinksTo(note, oldTitle, userId, { authorName } = {}) {
+    const linking = (await backend.list(userId))
+      .filter(other => other.id !== note.id && linkedNoteIds(other.content).includes(note.id));
+    for (const other of linking) {
+      const content = retitleLinks(other.content, note.id, oldTitle, note.title);
+      if (content !== other.content) {
+        await saveNote({ id: other.id, content }, userId, { authorName });
+      }
+    }
+  }
+
+  /**
+   * Merge one note into another. The source's text is added to the end of the target under
+   * its title, their tags are combined, links to the source in the user's notes are pointed
+   * at the target, and the source is deleted (its history with it).
+   * @param {string} targetId - Note to keep; the user must be able to edit it
+   * @param {string} sourceId - Note to merge in; the user must own it
+   * @param {string} userId - User ID
+   * @param {Object} options - { authorName }
+   * @returns {Promise<Object>} - The merged note
+   */
+  async function mergeNotes(targetId, sourceId, userId, { authorName } = {}) {
+    if (targetId === sourceId) {
+      throw new Error("A note can't be merged into itself");
+    }
+    const target = await backend.get(targetId);
+    const source = await backend.get(sourceId);
+    if (!target || !source) {
+      throw new Error('Note not found');
+    }
+    if (!canEdit(target, userId) || roleOf(source, userId) !== 'owner') {
+      throw new Error('Access denied');
+    }
+
+    const tags = [...(target.tags || [])];
+    (source.tags || []).forEach(tag => {
+      if (!tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+    });
+    await saveNote({
+      id: targetId,
+      content: `${target.content || ''}<h2>${escapeHtml(source.title || 'Untitled')}</h2>${source.content || ''}`,
+      tags,
+    }, userId, { authorName });
+
+    const linking = (await backend.list(userId))
+      .filter(note => note.id !== sourceId && linkedNoteIds(note.content).includes(sourceId));
+    for (const note of linking) {
+      await saveNote({ id: note.id, content: retargetLinks(note.content, sourceId, targetId) }, userId, { authorName });
+    }
+    await deleteNote(sourceId, userId);
+    return backend.get(targetId);
+  }
+
+  /**
+   * Full version history of a note the user can read, loaded on demand
+   * @param {string} noteId - Note ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Versions ({id, title, content, timestamp, author, ...}), oldest first
+   */
+  async function getVersions(noteId, userId) {
+    const note = await getNote(noteId, userId);
+    const history = note ? await loadHistory(note) : [];
+    return history.filter(version => version.content !== undefined);
+  }
+
+  /**
+   * Delete a note the user owns
+   * @param {string} noteId - Note ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - false if the note didn't exist
+   */
+  async function deleteNote(noteId, userId) {
+    const note = await backend.get(noteId);
+    if (!note) {
+      return false;
+    }
+    if (note.ownerId && note.ownerId !== userId) {
+      throw new Error('Access denied');
+    }
+    if (note.publicLink && directory) {
+      await removePublishedCopies(note.publicLink);
+    }
+    await backend.removeVersions(noteId);
+    await backend.remove(noteId);
+    return true;
+  }
+
+  async function getOwnedNote(noteId, userId) {
+    const note = await backend.get(noteId);
+    if (!note || roleOf(note, userId) !== 'owner') {
+      throw new Error('Note not found or access denied');
+    }
+    return note;
+  }
+
+  function requireDirectory() {
+    if (!directory) {
+      throw new Error(`Notes stored in ${backend.id} can't be shared with other accounts`);
+    }
+    return directory;
+  }
+
+  /**
+   * Notes other users have shared with this user, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Notes
+   */
+  async function listSharedNotes(userId) {
+    if (!directory) return [];
+    const notes = await backend.listShared(userId);
+    return notes.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Share a note the user owns. Emails without an account get a pending invitation,
+   * which turns into access when they sign up (see acceptInvitations).
+   * @param {string} noteId - Note ID
+   * @param {string} email - Email of the user to share with
+   * @param {string} role - One of ROLES
+   * @param {string} userId - Owner user ID
+   * @param {Object} options - { ownerName: shown in the invitation }
+   * @returns {Promise<{status: 'shared'|'invited', userId?: string}>}
+   */
+  async function shareNote(noteId, email, role, userId, { ownerName } = {}) {
+    if (!Object.values(ROLES).includes(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+    const normalized = normalizeEmail(email);
+    if (!normalized.includes('@')) {
+      throw new Error('Enter a valid email address');
+    }
+    const users = requireDirectory();
+    const note = await getOwnedNote(noteId, userId);
+
+    const user = await users.findUserByEmail(normalized);
+    if (user?.uid === userId) {
+      throw new Error('You already own this note');
+    }
+    if (user) {
+      const addedAt = note.collaborators?.[user.uid]?.addedAt || new Date().toISOString();
+      await backend.setCollaborator(noteId, user.uid, { role, email: normalized, addedAt });
+      return { status: 'shared', userId: user.uid };
+    }
+
+    await users.putInvitation({
+      noteId,
+      noteTitle: note.title || 'Untitled',
+      email: normalized,
+      role,
+      invitedBy: userId,
+      invitedByName: ownerName || null,
+      createdAt: new Date().toISOString(),
+    });
+    return { status: 'invited' };
+  }
+
+  /**
+   * Take away a collaborator's access. Owners can remove anyone; collaborators can leave.
+   * @param {string} noteId - Note ID
+   * @param {string} collaboratorId - User ID of the collaborator
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async function removeCollaborator(noteId, collaboratorId, userId) {
+    const note = await backend.get(noteId);
+    if (!note || (roleOf(note, userId) !== 'owner' && collaboratorId !== userId)) {
+      throw new Error('Note not found or access denied');
+    }
+    await backend.setCollaborator(noteId, collaboratorId, null);
+  }
+
+  /**
+   * Pending invitations for a note the user owns
+   * @param {string} noteId - Note ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Array>} - Invitations ({ noteId, email, role, createdAt, ... })
+   */
+  async function listInvitations(noteId, userId) {
+    if (!directory) return [];
+    await getOwnedNote(noteId, userId);
+    return directory.listInvitations(noteId, userId);
+  }
+
+  /**
+   * Withdraw a pending invitation
+   * @param {string} noteId - Note ID
+   * @param {string} email - Invited email
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<void>}
+   */
+  async function revokeInvitation(noteId, email, userId) {
+    const users = requireDirectory();
+    await getOwnedNote(noteId, userId);
+    await users.removeInvitation(noteId, normalizeEmail(email));
+  }
+
+  /**
+   * Turn the invitations sent to a user's email into access to the notes. Only a verified
+   * email counts: anyone can sign up with someone else's address.
+   * @param {{uid: string, email: string, emailVerified: boolean}} user - Signed-in user
+   * @returns {Promise<number>} - Number of notes the user joined
+   */
+  async function acceptInvitations(user) {
+    if (!directory || !user?.email || !user.emailVerified) return 0;
+    const email = normalizeEmail(user.email);
+
+    let invitations;
+    try {
+      invitations = await directory.listInvitationsFor(email);
+    } catch (error) {
+      // Offline, most likely; they're picked up the next time notes load
+      console.error('Failed to check for invitations:', error);
+      return 0;
+    }
+
+    let accepted = 0;
+    for (const invitation of invitations) {
+      try {
+        // The note may have been deleted since
+        if (await backend.get(invitation.noteId)) {
+          await backend.setCollaborator(invitation.noteId, user.uid, {
+            role: invitation.role,
+            email,
+            addedAt: new Date().toISOString(),
+          });
+          accepted++;
+        }
+        await directory.removeInvitation(invitation.noteId, email);
+      } catch (error) {
+        console.error(`Failed to accept the invitation to note ${invitation.noteId}:`, error);
+      }
+    }
+    return accepted;
+  }
+
+  function requireNotebooks() {
+    if (!notebooks) {
+      throw new Error(`Notes stored in ${backend.id} can't be filed in notebooks`);
+    }
+    return notebooks;
+  }
+
+  async function getOwnedNotebook(notebookId, userId) {
+    const notebook = await requireNotebooks().get(notebookId);
+    if (!notebook || roleOf(notebook, userId) !== 'owner') {
+      throw new Error('Notebook not found or access denied');
+    }
+    return notebook;
+  }
+
+  // Swap the collaborators a set of notebooks and notes got from where they were for those
+  // of where they are now. Returns whether anything changed.
+  async function reshare({ notebookIds = [], noteIds = [] }, from = {}, to = {}) {
+    const changes = [
+      ...Object.keys(from || {}).filter(id => !to?.[id]).map(id => [id, null]),
+      ...Object.entries(to || {}).filter(([id, collaborator]) => (
+        JSON.stringify(from?.[id]) !== JSON.stringify(collaborator)
+      )),
+    ];
+    for (const [collaboratorId, collaborator] of changes) {
+      for (const id of notebookIds) {
+        await notebooks.setCollaborator(id, collaboratorId, collaborator);
+      }
+      for (const id of noteIds) {
+        await backend.setCollaborator(id, collaboratorId, collaborator);
+      }
+    }
+    return changes.length > 0;
+  }
+
+  // A notebook, the notebooks nested in it and the notes in any of them, as far as the user
+  // can see them: all of them for the owner, the shared ones for a collaborator
+  async function notebookContents(notebook, userId) {
+    const owned = notebook.ownerId === userId;
+    const ids = notebookSubtree(
+      owned ? await notebooks.list(userId) : await notebooks.listShared(userId),
+      notebook.id
+    );
+    const notes = owned ? await backend.list(userId) : await backend.listShared(userId);
+    return {
+      notebookIds: [...ids],
+      noteIds: notes.filter(note => ids.has(note.notebookId)).map(note => note.id),
+    };
+  }
+
+  /**
+   * The user's notebooks and the ones shared with them, by name
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Notebooks ({ id, name, parentId, ownerId, collaborators?, ... })
+   */
+  async function listNotebooks(userId) {
+    if (!notebooks) return [];
+    const own = await notebooks.list(userId);
+    const shared = directory ? await notebooks.listShared(userId) : [];
+    const ownIds = new Set(own.map(notebook => notebook.id));
+    return [...own, ...shared.filter(notebook => !ownIds.has(notebook.id))]
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Create, rename or move a notebook the user owns. Notebooks without an id are created.
+   * Moving a notebook moves everything in it, and it's then shared like its new parent.
+   * @param {Object} notebookData - { id?, name?, parentId?: null for the top level }
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Saved notebook
+   */
+  async function saveNotebook(notebookData, userId) {
+    const store = requireNotebooks();
+    const current = notebookData.id ? await getOwnedNotebook(notebookData.id, userId) : null;
+    const name = (notebookData.name ?? current?.name ?? '').trim();
+    if (!name) {
+      throw new Error('Give the notebook a name');
+    }
+
+    const id = current?.id || uuidv4();
+    const parentId = (notebookData.parentId === undefined ? current?.parentId : notebookData.parentId) || null;
+    const moved = parentId !== (current?.parentId || null);
+    const parent = moved && parentId ? await getOwnedNotebook(parentId, userId) : null;
+    if (moved && parentId && !canMoveNotebook(await store.list(userId), id, parentId)) {
+      throw new Error("A notebook can't be moved inside itself");
+    }
+
+    const timestamp = new Date().toISOString();
+    const notebook = withSharingOf({
+      ...current,
+      id,
+      name,
+      parentId,
+      ownerId: current?.ownerId || userId,
+      createdAt: current?.createdAt || timestamp,
+      updatedAt: timestamp,
+    }, current);
+    await store.put(notebook);
+
+    if (moved) {
+      const previous = current?.parentId ? await store.get(current.parentId) : null;
+      await reshare(
+        current ? await notebookContents(notebook, userId) : { notebookIds: [id] },
+        previous?.collaborators,
+        parent?.collaborators
+      );
+    }
+    return store.get(id);
+  }
+
+  /**
+   * Delete a notebook the user owns. What was in it moves up to its parent; no note is deleted.
+   * @param {string} notebookId - Notebook ID
+   * @param {string} userId - User ID
+   * @param {Object} options - { authorName }
+   * @returns {Promise<boolean>} - false if the notebook didn't exist
+   */
+  async function deleteNotebook(notebookId, userId, { authorName } = {}) {
+    const store = requireNotebooks();
+    const notebook = await store.get(notebookId);
+    if (!notebook) {
+      return false;
+    }
+    if (roleOf(notebook, userId) !== 'owner') {
+      throw new Error('Access denied');
+    }
+
+    const children = (await store.list(userId)).filter(child => child.parentId === notebookId);
+    for (const child of children) {
+      await saveNotebook({ id: child.id, parentId: notebook.parentId || null }, userId);
+    }
+    const filed = (await backend.list(userId)).filter(note => note.notebookId === notebookId);
+    for (const note of filed) {
+      await saveNote({ id: note.id, notebookId: notebook.parentId || null }, userId, { authorName });
+    }
+    await store.remove(notebookId);
+    return true;
+  }
+
+  /**
+   * Share a notebook the user owns, with everything in it. Notes and notebooks put in it later
+   * are shared too. Only people who already have an account can be added.
+   * @param {string} notebookId - Notebook ID
+   * @param {string} email - Email of the user to share with
+   * @param {string} role - One of ROLES; applies to every note in the notebook
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<{status: 'shared', userId: string}>}
+   */
+  async function shareNotebook(notebookId, email, role, userId) {
+    if (!Object.values(ROLES).includes(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+    const normalized = normalizeEmail(email);
+    if (!normalized.includes('@')) {
+      throw new Error('Enter a valid email address');
+    }
+    const users = requireDirectory();
+    const notebook = await getOwnedNotebook(notebookId, userId);
+
+    const user = await users.findUserByEmail(normalized);
+    if (user?.uid === userId) {
+      throw new Error('You already own this notebook');
+    }
+    if (!user) {
+      throw new Error(`${normalized} doesn't have an account yet. Share single notes to invite them.`);
+    }
+    // Notes written offline have to reach the server before they can be shared
+    await backend.sync?.(userId);
+    const addedAt = notebook.collaborators?.[user.uid]?.addedAt || new Date().toISOString();
+    await reshare(await notebookContents(notebook, userId), {
+      [user.uid]: notebook.collaborators?.[user.uid],
+    }, {
+      [user.uid]: { role, email: normalized, addedAt },
+    });
+    return { status: 'shared', userId: user.uid };
+  }
+
+  /**
+   * Take away a collaborator's access to a notebook and everything in it. Owners can remove
+   * anyone; collaborators can leave.
+   * @param {string} notebookId - Notebook ID
+   * @param {string} collaboratorId - User ID of the collaborator
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async function removeNotebookCollaborator(notebookId, collaboratorId, userId) {
+    const notebook = await requireNotebooks().get(notebookId);
+    if (!notebook || (roleOf(notebook, userId) !== 'owner' && collaboratorId !== userId)) {
+      throw new Error('Notebook not found or access denied');
+    }
+    await reshare(await notebookContents(notebook, userId), {
+      [collaboratorId]: notebook.collaborators?.[collaboratorId] || {},
+    }, {});
+  }
+
+  // The readers' copy of a published note, plus the placeholder under the token when
+  // the copy is behind a password
+  async function writePublishedCopies(note) {
+    const { token, contentId } = note.publicLink;
+    if (contentId !== token) {
+      await directory.putPublicNote(token, passwordStub(note));
+    }
+    await directory.putPublicNote(contentId, publishedCopy(note));
+  }
+
+  async function removePublishedCopies(link, keep = []) {
+    const ids = [...new Set([link.token, link.contentId])].filter(id => !keep.includes(id));
+    await Promise.all(ids.map(id => directory.removePublicNote(id)));
+  }
+
+  /**
+   * Publish a note the user owns as a read-only page anyone with the link can open,
+   * or change the settings of its link. The link stays the same until it's revoked.
+   * @param {string} noteId - Note ID
+   * @param {string} userId - Owner user ID
+   * @param {Object} options - { expiresAt: ISO date or null for never,
+   *   password: new password, '' to remove it, undefined to keep the current one }
+   * @returns {Promise<Object>} - Saved note, with its publicLink
+   */
+  async function publishNote(noteId, userId, { expiresAt = null, password } = {}) {
+    requireDirectory();
+    const note = await getOwnedNote(noteId, userId);
+    if (expiresAt && isExpired({ expiresAt })) {
+      throw new Error('The expiry date has to be in the future');
+    }
+
+    const previous = note.publicLink;
+    const token = previous?.token || createLinkToken();
+    let contentId = token;
+    if (password) {
+      contentId = await passwordContentId(token, password);
+    } else if (password === undefined && previous?.hasPassword) {
+      contentId = previous.contentId;
+    }
+
+    const published = {
+      ...note,
+      publicLink: {
+        token,
+        contentId,
+        createdAt: previous?.createdAt || new Date().toISOString(),
+        expiresAt: expiresAt || null,
+        hasPassword: contentId !== token,
+      },
+    };
+    // Without a password the copy overwrites the old placeholder under the token
+    await writePublishedCopies(published);
+    if (previous) {
+      await removePublishedCopies(previous, [token, contentId]);
+    }
+    return backend.put(published);
+  }
+
+  /**
+   * Revoke a note's public link. Publishing again creates a new link.
+   * @param {string} noteId - Note ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} - Saved note
+   */
+  async function unpublishNote(noteId, userId) {
+    requireDirectory();
+    const note = await getOwnedNote(noteId, userId);
+    if (!note.publicLink) {
+      return note;
+    }
+    await removePublishedCopies(note.publicLink);
+    const { publicLink, ...unpublished } = note;
+    return backend.put(unpublished);
+  }
+
+  /**
+   * What a public link shows. Needs no account.
+   * @param {string} token - Link token
+   * @param {string} password - Password, for protected links
+   * @returns {Promise<{status: 'ok'|'password-required'|'wrong-password'|'unavailable', note?: Object}>}
+   *   unavailable covers links that never existed, were revoked or have expired
+   */
+  async function getPublicNote(token, password) {
+    if (!directory || !token) {
+      return { status: 'unavailable' };
+    }
+    const entry = await directory.getPublicNote(token);
+    if (!entry || isExpired(entry)) {
+      return { status: 'unavailable' };
+    }
+    if (!entry.passwordRequired) {
+      return { status: 'ok', note: entry };
+    }
+    if (!password) {
+      return { status: 'password-required' };
+    }
+    const copy = await directory.getPublicNote(await passwordContentId(token, password));
+    return copy && !isExpired(copy) ? { status: 'ok', note: copy } : { status: 'wrong-password' };
+  }
+
+  /**
+   * Save the user's merge of a note edited on two devices (sync engine backends only).
+   * The merge is recorded as a new version on top of both histories.
+   * @param {string} noteId - Note ID
+   * @param {{title: string, content: string}} resolution - Merged title and content
+   * @param {string} userId - User ID
+   * @param {Object} options - Same as saveNote
+   * @returns {Promise<Object>} - Saved note
+   */
+  async function resolveConflict(noteId, resolution, userId, options) {
+    if (typeof backend.resolveConflict !== 'function') {
+      throw new Error(`The ${backend.id} backend doesn't sync, so it has no conflicts`);
+    }
+    await backend.resolveConflict(noteId);
+    return saveNote({ id: noteId, title: resolution.title, content: resolution.content }, userId, options);
+  }
+
+  return {
+    backend: backend.id,
+    // Sync controls, when the backend is the offline-first sync engine
+    syncEngine: typeof backend.sync === 'function' ? backend : null,
+    sharing: directory !== null,
+    // Whether notes can be filed in notebooks
+    filing: notebooks !== null,
+    listNotes,
+    listSharedNotes,
+    getNote,
+    saveNote,
+    getVersions,
+    resolveConflict,
+    deleteNote,
+    mergeNotes,
+    shareNote,
+    removeCollaborator,
+    listInvitations,
+    revokeInvitation,
+    acceptInvitations,
+    listNotebooks,
+    saveNotebook,
+    deleteNotebook,
+    shareNotebook,
+    removeNotebookCollaborator,
+    publishNote,
+    unpublishNote,
+    getPublicNote,
+  };
+}
@@ -1,20 +1,31 @@
-import { 
-  collection, 
-  doc, 
-  getDocs, 
-  getDoc, 
-  addDoc, 
-  updateDoc, 
-  deleteDoc, 
-  query, 
-  where, 
-  orderBy,
-  serverTimestamp 
-} from 'firebase/firestore';
-import { db } from './firebase';
-import { getSummary, getTags, getEmbedding } from './ai';
+import { createNotesRepository } from './notesRepository';
+import { createNotesBackend, createUserDirectory, createNotebookStore } from './storage';
+import { readLocalNotes } from './storage/localStorageBackend';
+import { getSummary, getTags, getEmbeddingWithModel } from './ai';
 
-const NOTES_COLLECTION = 'notes';
+let repository = null;
+
+/**
+ * Get the app-wide notes repository, backed by REACT_APP_NOTES_BACKEND
+ * @returns {Object} - Notes repository
+ */
+export function getNotesRepository() {
+  if (!repository) {
+    repository = createNotesRepository(createNotesBackend(), {
+      directory: createUserDirectory(),
+      notebooks: createNotebookStore(),
+    });
+  }
+  return repository;
+}
+
+/**
+ * Replace the app-wide notes repository (e.g. with an in-memory one in tests)
+ * @param {Object} notesRepository - Notes repository
+ */
+export function setNotesRepository(notesRepository) {
+  repository = notesRepository;
+}
 
 /**
  * Get all notes for a user
@@ -22,23 +33,7 @@ const NOTES_COLLECTION = 'notes';
  * @returns {Promise<Array>} - Array of notes
  */
 export async function getUserNotes(userId) {
-  try {
-    const notesQuery = query(
-      collection(db, NOTES_COLLECTION),
-      where('ownerId', '==', userId),
-      orderBy('updatedAt', 'desc')
-    );
-    
-    const snapshot = await getDocs(notesQuery);
-    return snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
-  } catch (error) {
-    console.error('Failed to fetch notes:', error);
-    // Fallback to localStorage
-    return getNotesFromLocalStorage(userId);
-  }
+  return getNotesRepository().listNotes(userId);
 }
 
 /**
@@ -49,132 +44,66 @@ export async function getUserNotes(userId) {
  */
 export async function getNote(noteId, userId) {
   try {
-    const noteDoc = await getDoc(doc(db, NOTES_COLLECTION, noteId));
-    
-    if (!noteDoc.exists()) {
-      return null;
-    }
-    
-    const noteData = noteDoc.data();
-    
-    // Check if user owns the note or has access
-    if (noteData.ownerId !== userId && !noteData.sharedWith?.includes(userId)) {
-      throw new Error('Access denied');
-    }
-    
-    return {
-      id: noteDoc.id,
-      ...noteData
-    };
+    return await getNotesRepository().getNote(noteId, userId);
   } catch (error) {
     console.error('Failed to fetch note:', error);
     return null;
   }
 }
 
+// Summary, tags and embedding for note content. Failed AI results are left out
+// rather than saved as text.
+async function generateAIFields(content, { summaryStyle, tags = [] } = {}) {
+  const [summaryResult, tagsResult, embedding] = await Promise.all([
+    getSummary(content, 300, { style: summaryStyle }),
+    getTags(content),
+    getEmbeddingWithModel(content)
+  ]);
+
+  return {
+    ...(summaryResult.ok ? { summary: summaryResult.value } : {}),
+    tags: [...tags, ...(tagsResult.ok ? tagsResult.value : [])].filter((tag, index, arr) => arr.indexOf(tag) === index), // Remove duplicates
+    ...embedding
+  };
+}
+
 /**
- * Create a new note
+ * Create a new note, generating its summary, tags and embedding
  * @param {Object} noteData - Note data
  * @param {string} userId - User ID
  * @returns {Promise<Object>} - Created note
  */
 export async function createNote(noteData, userId) {
-  try {
-    // Generate AI enhancements
-    const [summary, tags, embedding] = await Promise.all([
-      noteData.content ? getSummary(noteData.content) : '',
-      noteData.content ? getTags(noteData.content) : [],
-      noteData.content ? getEmbedding(noteData.content) : null
-    ]);
-
-    const newNote = {
-      ...noteData,
-      ownerId: userId,
-      summary,
-      tags: [...(noteData.tags || []), ...tags].filter((tag, index, arr) => arr.indexOf(tag) === index), // Remove duplicates
-      embedding,
-      createdAt: serverTimestamp(),
-      updatedAt: serverTimestamp(),
-      versions: [{
-        title: noteData.title,
-        content: noteData.content,
-        timestamp: new Date().toISOString()
-      }]
-    };
+  const aiFields = noteData.content
+    ? await generateAIFields(noteData.content, { summaryStyle: noteData.summaryStyle, tags: noteData.tags })
+    : {};
 
-    const docRef = await addDoc(collection(db, NOTES_COLLECTION), newNote);
-    
-    return {
-      id: docRef.id,
-      ...newNote,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-  } catch (error) {
-    console.error('Failed to create note:', error);
-    // Fallback to localStorage
-    return createNoteInLocalStorage(noteData, userId);
-  }
+  return getNotesRepository().saveNote({ ...noteData, ...aiFields }, userId);
 }
 
 /**
- * Update an existing note
+ * Update an existing note, regenerating AI fields if the content changed
  * @param {string} noteId - Note ID
  * @param {Object} updates - Updates to apply
  * @param {string} userId - User ID
  * @returns {Promise<Object>} - Updated note
  */
 export async function updateNote(noteId, updates, userId) {
-  try {
-    // Get current note for versioning
-    const currentNote = await getNote(noteId, userId);
-    if (!currentNote) {
-      throw new Error('Note not found');
-    }
-
-    // Generate AI enhancements if content changed
-    let aiUpdates = {};
-    if (updates.content && updates.content !== currentNote.content) {
-      const [summary, tags, embedding] = await Promise.all([
-        getSummary(updates.content),
-        getTags(updates.content),
-        getEmbedding(updates.content)
-      ]);
-
-      aiUpdates = {
-        summary,
-        tags: [...(updates.tags || currentNote.tags || []), ...tags].filter((tag, index, arr) => arr.indexOf(tag) === index),
-        embedding
-      };
-    }
-
-    // Add version to history
-    const newVersion = {
-      title: updates.title || currentNote.title,
-      content: updates.content || currentNote.content,
-      timestamp: new Date().toISOString()
-    };
-
-    const updatedNote = {
-      ...updates,
-      ...aiUpdates,
-      updatedAt: serverTimestamp(),
-      versions: [...(currentNote.versions || []), newVersion]
-    };
-
-    await updateDoc(doc(db, NOTES_COLLECTION, noteId), updatedNote);
+  const notesRepository = getNotesRepository();
+  const currentNote = await notesRepository.getNote(noteId, userId);
+  if (!currentNote) {
+    throw new Error('Note not found');
+  }
 
-    return {
-      id: noteId,
-      ...currentNote,
-      ...updatedNote,
-      updatedAt: new Date().toISOString()
-    };
-  } catch (error) {
-    console.error('Failed to update note:', error);
-    // Fallback to localStorage
-    return updateNoteInLocalStorage(noteId, updates, userId);
+  let aiFields = {};
+  if (updates.content && updates.content !== currentNote.content) {
+    aiFields = await generateAIFields(updates.content, {
+      summaryStyle: updates.summaryStyle || currentNote.summaryStyle,
+      tags: updates.tags || currentNote.tags || []
+    });
   }
+
+  return notesRepository.saveNote({ ...updates, ...aiFields, id: noteId }, userId);
 }
 
 /**
@@ -185,40 +114,24 @@ export async function updateNote(noteId, updates, userId) {
  */
 export async function deleteNote(noteId, userId) {
   try {
-    // Verify ownership
-    const note = await getNote(noteId, userId);
-    if (!note) {
-      throw new Error('Note not found or access denied');
-    }
-
-    await deleteDoc(doc(db, NOTES_COLLECTION, noteId));
-    return true;
+    return await getNotesRepository().deleteNote(noteId, userId);
   } catch (error) {
     console.error('Failed to delete note:', error);
-    // Fallback to localStorage
-    return deleteNoteFromLocalStorage(noteId, userId);
+    return false;
   }
 }
 
 /**
- * Share a note with other users
+ * Share a note with another user, or invite them if they don't have an account yet
  * @param {string} noteId - Note ID
- * @param {string[]} userEmails - Array of user emails to share with
+ * @param {string} email - Email of the user to share with
+ * @param {string} role - 'viewer', 'commenter' or 'editor'
  * @param {string} userId - Owner user ID
  * @returns {Promise<boolean>} - Success status
  */
-export async function shareNote(noteId, userEmails, userId) {
+export async function shareNote(noteId, email, role, userId) {
   try {
-    const note = await getNote(noteId, userId);
-    if (!note || note.ownerId !== userId) {
-      throw new Error('Note not found or access denied');
-    }
-
-    await updateDoc(doc(db, NOTES_COLLECTION, noteId), {
-      sharedWith: userEmails,
-      updatedAt: serverTimestamp()
-    });
-
+    await getNotesRepository().shareNote(noteId, email, role, userId);
     return true;
   } catch (error) {
     console.error('Failed to share note:', error);
@@ -226,66 +139,62 @@ export async function shareNote(noteId, userEmails, userId) {
   }
 }
 
-// LocalStorage fallback functions
-function getNotesFromLocalStorage(userId) {
-  const notes = JSON.parse(localStorage.getItem('notes') || '[]');
-  return notes.filter(note => note.ownerId === userId);
+/**
+ * Share a notebook, with every note and notebook in it, with another user
+ * @param {string} notebookId - Notebook ID
+ * @param {string} email - Email of the user to share with; they need an account
+ * @param {string} role - 'viewer', 'commenter' or 'editor'
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function shareNotebook(notebookId, email, role, userId) {
+  try {
+    await getNotesRepository().shareNotebook(notebookId, email, role, userId);
+    return true;
+  } catch (error) {
+    console.error('Failed to share notebook:', error);
+    return false;
+  }
 }
 
-function createNoteInLocalStorage(noteData, userId) {
-  const notes = JSON.parse(localStorage.getItem('notes') || '[]');
-  const newNote = {
-    id: Date.now().toString(),
-    ...noteData,
-    ownerId: userId,
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString(),
-    versions: [{
-      title: noteData.title,
-      content: noteData.content,
-      timestamp: new Date().toISOString()
-    }]
-  };
-  
-  notes.push(newNote);
-  localStorage.setItem('notes', JSON.stringify(notes));
-  return newNote;
+/**
+ * Read a note through its public link; works without signing in
+ * @param {string} token - Link token
+ * @param {string} password - Password, for protected links
+ * @returns {Promise<{status: string, note?: Object}>} - See NotesRepository.getPublicNote
+ */
+export async function getPublicNote(token, password) {
+  return getNotesRepository().getPublicNote(token, password);
 }
 
-function updateNoteInLocalStorage(noteId, updates, userId) {
-  const notes = JSON.parse(localStorage.getItem('notes') || '[]');
-  const noteIndex = notes.findIndex(note => note.id === noteId && note.ownerId === userId);
-  
-  if (noteIndex === -1) {
-    throw new Error('Note not found');
-  }
-
-  const currentNote = notes[noteIndex];
-  const newVersion = {
-    title: updates.title || currentNote.title,
-    content: updates.content || currentNote.content,
-    timestamp: new Date().toISOString()
-  };
+const importedKey = (userId) => `notesImported:${userId}`;
 
-  notes[noteIndex] = {
-    ...currentNote,
-    ...updates,
-    updatedAt: new Date().toISOString(),
-    versions: [...(currentNote.versions || []), newVersion]
-  };
-
-  localStorage.setItem('notes', JSON.stringify(notes));
-  return notes[noteIndex];
-}
-
-function deleteNoteFromLocalStorage(noteId, userId) {
-  const notes = JSON.parse(localStorage.getItem('notes') || '[]');
-  const filteredNotes = notes.filter(note => !(note.id === noteId && note.ownerId === userId));
-  
-  if (filteredNotes.length === notes.length) {
-    return false; // Note not found
+/**
+ * Copy notes saved in localStorage by earlier versions into the repository, once per user
+ * @param {string} userId - User ID
+ * @param {Object} notesRepository - Repository to import into (defaults to the app-wide one)
+ * @returns {Promise<number>} - Number of notes imported
+ */
+export async function importLocalNotes(userId, notesRepository = getNotesRepository()) {
+  if (notesRepository.backend === 'localStorage' || localStorage.getItem(importedKey(userId))) {
+    return 0;
   }
 
-  localStorage.setItem('notes', JSON.stringify(filteredNotes));
-  return true;
+  // Demo notes share fixed ids across users, so they're seeded fresh instead (see loadDemoData)
+  const localNotes = readLocalNotes()
+    .filter(note => (!note.ownerId || note.ownerId === userId) && !note.id?.startsWith('demo-'));
+
+  let imported = 0;
+  for (const note of localNotes) {
+    try {
+      if (!(await notesRepository.getNote(note.id, userId))) {
+        await notesRepository.saveNote(note, userId);
+        imported++;
+      }
+    } catch (error) {
+      console.error(`Failed to import local note ${note.id}:`, error);
+    }
+  }
+  localStorage.setItem(importedKey(userId), new Date().toISOString());
+  return imported;
 }
@@ -0,0 +1,93 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// Public read-only links to a note, for people without an account.
+//
+// A published note carries `publicLink` ({ token, contentId, createdAt, expiresAt, hasPassword }),
+// and a copy of what readers see (title, content, summary, tags) is stored under
+// publicNotes/{contentId}. Without a password contentId is the token itself. With one,
+// publicNotes/{token} only says that a password is needed, and the copy lives under a hash
+// of the token and password, so it can't be read without knowing both.
+
+export const PUBLIC_LINK_FIELD = 'publicLink';
+
+// Fields of a note that are published
+const PUBLISHED_FIELDS = ['title', 'content', 'summary', 'tags'];
+
+/**
+ * A new unguessable link token (244 random bits)
+ * @returns {string}
+ */
+export function createLinkToken() {
+  return `${uuidv4()}${uuidv4()}`.replace(/-/g, '');
+}
+
+/**
+ * Id of the published copy of a password-protected note
+ * @param {string} token - Link token
+ * @param {string} password - Password
+ * @returns {Promise<string>} - Hex SHA-256 of token and password
+ */
+export async function passwordContentId(token, password) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${token}:${password}`));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Whether a link (or a published copy) has passed its expiry date
+ * @param {Object} link - { expiresAt: ISO string or null }
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+export function isExpired(link, now = Date.now()) {
+  return Boolean(link?.expiresAt) && new Date(link.expiresAt).getTime() <= now;
+}
+
+// Security rules can't parse dates, so they check expiry against milliseconds
+function expiryFields(link) {
+  return {
+    expiresAt: link.expiresAt || null,
+    expiresAtMs: link.expiresAt ? new Date(link.expiresAt).getTime() : null,
+  };
+}
+
+/**
+ * What readers of a public link see of a note
+ * @param {Object} note - Note with a publicLink
+ * @returns {Object} - Published copy
+ */
+export function publishedCopy(note) {
+  const copy = { noteId: note.id, publishedBy: note.ownerId, updatedAt: note.updatedAt || note.createdAt };
+  PUBLISHED_FIELDS.forEach(field => {
+    copy[field] = note[field] ?? null;
+  });
+  return { ...copy, ...expiryFields(note.publicLink) };
+}
+
+/**
+ * Placeholder stored under the token of a password-protected link
+ * @param {Object} note - Note with a publicLink
+ * @returns {Object}
+ */
+export function passwordStub(note) {
+  return { noteId: note.id, publishedBy: note.ownerId, passwordRequired: true, ...expiryFields(note.publicLink) };
+}
+
+/**
+ * Whether a save changed what a public link shows
+ * @param {Object} before - Note before the save
+ * @param {Object} after - Note after the save
+ * @returns {boolean}
+ */
+export function publishedFieldsChanged(before, after) {
+  return PUBLISHED_FIELDS.some(field => JSON.stringify(before?.[field] ?? null) !== JSON.stringify(after?.[field] ?? null));
+}
+
+/**
+ * Address of a note's public page
+ * @param {string} token - Link token
+ * @param {string} origin - Site origin (defaults to the current one)
+ * @returns {string}
+ */
+export function publicLinkUrl(token, origin = window.location.origin) {
+  return `${origin}/p/${token}`;
+}
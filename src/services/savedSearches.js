@@ -0,0 +1,110 @@
+// Saved searches ("smart folders"): a named search-bar query that's re-run whenever the notes
+// change, so its count and contents stay live. Stored per user, with the account on Firestore.
+//
+// A saved search is { id, name, query, searchType, pinned, notify, seenIds, createdAt, updatedAt }.
+// seenIds are the notes that matched when the user last looked, so new matches can be told apart.
+
+import { v4 as uuidv4 } from 'uuid';
+import { createSavedSearchStore } from './storage';
+import { parseSearchQuery } from '../utils/searchQuery';
+import { SEARCH_MODES } from './search';
+
+/**
+ * Saved searches in the order they're listed in: pinned ones first, then by name
+ * @param {Array} searches - Saved searches
+ * @returns {Array} - A sorted copy
+ */
+export function sortSavedSearches(searches) {
+  return [...searches].sort((a, b) => (
+    Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) || a.name.localeCompare(b.name)
+  ));
+}
+
+/**
+ * Create the saved searches service over a store
+ * @param {Object} store - Saved search store (see services/storage)
+ * @returns {Object} - Saved searches service
+ */
+export function createSavedSearches(store) {
+  return {
+    /**
+     * A user's saved searches, pinned ones first, then by name
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>}
+     */
+    async list(userId) {
+      return sortSavedSearches(await store.list(userId));
+    },
+
+    /**
+     * Save a new search or update one
+     * @param {Object} search - Saved search; without an id a new one is created
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} - The saved search
+     */
+    async save(search, userId) {
+      const name = (search.name || '').trim();
+      const query = (search.query || '').trim();
+      if (!name) throw new Error('Give the search a name');
+      if (!query) throw new Error('There is no search to save');
+      if (parseSearchQuery(query).errors.length) throw new Error('Fix the search before saving it');
+      if (!Object.values(SEARCH_MODES).includes(search.searchType || SEARCH_MODES.HYBRID)) {
+        throw new Error(`Unknown search type "${search.searchType}"`);
+      }
+
+      const now = new Date().toISOString();
+      return store.put(userId, {
+        id: search.id || uuidv4(),
+        name,
+        query,
+        searchType: search.searchType || SEARCH_MODES.HYBRID,
+        pinned: Boolean(search.pinned),
+        notify: Boolean(search.notify),
+        seenIds: search.seenIds || [],
+        createdAt: search.createdAt || now,
+        updatedAt: now,
+      });
+    },
+
+    /**
+     * Delete a saved search
+     * @param {string} searchId - Saved search ID
+     * @param {string} userId - User ID
+     */
+    async remove(searchId, userId) {
+      await store.remove(userId, searchId);
+    },
+  };
+}
+
+/**
+ * Notes matching a saved search that weren't there when the user last looked
+ * @param {Object} search - Saved search
+ * @param {Array<string>} matchIds - IDs of the notes matching it now
+ * @returns {Array<string>}
+ */
+export function newMatches(search, matchIds) {
+  const seen = new Set(search.seenIds || []);
+  return matchIds.filter(id => !seen.has(id));
+}
+
+let savedSearches = null;
+
+/**
+ * The app-wide saved searches service, stored alongside the notes backend
+ * @returns {Object}
+ */
+export function getSavedSearches() {
+  if (!savedSearches) {
+    savedSearches = createSavedSearches(createSavedSearchStore());
+  }
+  return savedSearches;
+}
+
+/**
+ * Replace the app-wide saved searches service (e.g. with an in-memory one in tests)
+ * @param {Object} service - Saved searches service
+ */
+export function setSavedSearches(service) {
+  savedSearches = service;
+}
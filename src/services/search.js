@@ -0,0 +1,116 @@
+// Searching the vault in the modes the search bar offers:
+//   text      the query language over the full-text index (see utils/searchQuery)
+//   semantic  the query's words compared with notes by meaning; its filters still apply
+//   hybrid    both, merged with reciprocal-rank fusion: a note's score is the sum of
+//             1 / (k + rank) over the lists it's in, so agreeing lists reinforce each other
+//             and neither list's raw scores (BM25, cosine) need to be on the same scale
+//
+// Each result says why it matched: { keyword: {rank, score, terms}, semantic: {rank, similarity} },
+// either part null when the note wasn't found that way.
+
+import { semanticSearch } from './ai';
+import { parseSearchQuery, queryTerms, queryFilters, matchesQuery, searchNotes } from '../utils/searchQuery';
+import { createSearchIndex } from '../utils/searchIndex';
+
+export const SEARCH_MODES = {
+  HYBRID: 'hybrid',
+  TEXT: 'text',
+  SEMANTIC: 'semantic',
+};
+
+// The usual constant for reciprocal-rank fusion; larger values flatten the top of each list
+const RRF_K = 60;
+// Most notes found by meaning alone; keyword matches aren't capped
+const SEMANTIC_LIMIT = 20;
+// Less similar than this and a note is about something else. Offline embeddings score
+// related texts well below 1, so the bar is low.
+const MIN_SIMILARITY = 0.1;
+
+/**
+ * Merge ranked lists with reciprocal-rank fusion
+ * @param {Array<Array<string>>} rankings - Lists of ids, best first
+ * @param {Object} options - { k: RRF constant }
+ * @returns {Array<{id: string, score: number, ranks: Array<number|null>}>} - Best first; ranks
+ *   (1-based) per list, null where the id isn't in it
+ */
+export function fuseRankings(rankings, { k = RRF_K } = {}) {
+  const fused = new Map();
+  rankings.forEach((ids, list) => {
+    ids.forEach((id, position) => {
+      if (!fused.has(id)) fused.set(id, { id, score: 0, ranks: rankings.map(() => null) });
+      const entry = fused.get(id);
+      entry.score += 1 / (k + position + 1);
+      entry.ranks[list] = position + 1;
+    });
+  });
+  // Ties (e.g. first in one list, missing from the other) go to the earlier list
+  return [...fused.values()].sort((a, b) => (
+    b.score - a.score || (a.ranks.findIndex(Boolean) - b.ranks.findIndex(Boolean))
+  ));
+}
+
+const keywordMatch = (result, rank) => ({ rank, score: result.score, terms: result.matched });
+const semanticMatch = (result, rank) => ({ rank, similarity: result.similarity });
+
+/**
+ * Search notes
+ * @param {Array} notes - Notes to search
+ * @param {string} query - Query as typed, in the query language of utils/searchQuery
+ * @param {Object} options - { mode: one of SEARCH_MODES; index: search index to reuse between
+ *   searches; userId, now, notebooks: as for matchesQuery; limit: most notes found by meaning alone;
+ *   minSimilarity: how similar a note must be to be found by meaning }
+ * @returns {Promise<{results: Array, errors: Array}>} - Copies of the matching notes, best first,
+ *   each with a `match` explaining why; no results when the query has errors
+ */
+export async function searchVault(notes, query, {
+  mode = SEARCH_MODES.HYBRID,
+  index = createSearchIndex(),
+  userId = null,
+  now = Date.now(),
+  notebooks,
+  limit = SEMANTIC_LIMIT,
+  minSimilarity = MIN_SIMILARITY,
+} = {}) {
+  const { ast, errors } = parseSearchQuery(query);
+  if (errors.length || !ast) return { results: [], errors };
+  const context = { index, userId, now, notebooks };
+
+  const keyword = searchNotes(notes, query, context).results;
+  const text = queryTerms(ast).map(term => term.value).join(' ');
+  // Only filters, or only keywords wanted: nothing to compare by meaning
+  if (mode === SEARCH_MODES.TEXT || !text) {
+    return {
+      results: keyword.map((result, i) => ({ ...result, match: { keyword: keywordMatch(result, i + 1), semantic: null } })),
+      errors,
+    };
+  }
+
+  // Ranked over all the notes, whose term statistics the offline model is fitted on, then filtered
+  const filters = queryFilters(ast);
+  const semantic = (await semanticSearch(text, notes, notes.length, { minSimilarity }))
+    .filter(note => matchesQuery(note, filters, context))
+    .slice(0, limit);
+
+  if (mode === SEARCH_MODES.SEMANTIC) {
+    return {
+      results: semantic.map((result, i) => ({ ...result, match: { keyword: null, semantic: semanticMatch(result, i + 1) } })),
+      errors,
+    };
+  }
+
+  const byId = new Map();
+  [...semantic, ...keyword].forEach(result => byId.set(result.id, { ...byId.get(result.id), ...result }));
+  const fused = fuseRankings([keyword.map(result => result.id), semantic.map(result => result.id)]);
+  const results = fused.map(({ id, score, ranks: [keywordRank, semanticRank] }) => {
+    const result = byId.get(id);
+    return {
+      ...result,
+      score,
+      match: {
+        keyword: keywordRank ? keywordMatch(result, keywordRank) : null,
+        semantic: semanticRank ? semanticMatch(result, semanticRank) : null,
+      },
+    };
+  });
+  return { results, errors };
+}
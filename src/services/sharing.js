@@ -0,0 +1,99 @@
+// Note sharing: collaborator roles and what each of them may do.
+//
+// A shared note carries `collaborators` ({ [userId]: { role, email, addedAt } }) and
+// `sharedWith` (the same user ids as an array, so Firestore can query "shared with me").
+// Both are only ever changed through the repository's sharing methods, never by saving a note.
+
+// Commenters can read a note but, like viewers, not change it
+export const ROLES = {
+  VIEWER: 'viewer',
+  COMMENTER: 'commenter',
+  EDITOR: 'editor',
+};
+
+export const ROLE_LABELS = {
+  owner: 'Owner',
+  [ROLES.VIEWER]: 'Can view',
+  [ROLES.COMMENTER]: 'Can comment',
+  [ROLES.EDITOR]: 'Can edit',
+};
+
+export const SHARING_FIELDS = ['collaborators', 'sharedWith'];
+
+/**
+ * Lowercased, trimmed email, as stored in user profiles and invitations
+ * @param {string} email - Email address
+ * @returns {string}
+ */
+export function normalizeEmail(email) {
+  return (email || '').trim().toLowerCase();
+}
+
+/**
+ * A user's role on a note
+ * @param {Object} note - Note
+ * @param {string} userId - User ID
+ * @returns {'owner'|'viewer'|'commenter'|'editor'|null} - null if the user has no access
+ */
+export function roleOf(note, userId) {
+  if (!note) return null;
+  // Notes saved before ownership was recorded belong to whoever can see them
+  if (!note.ownerId || note.ownerId === userId) return 'owner';
+  return note.collaborators?.[userId]?.role || null;
+}
+
+/**
+ * Whether a user may change a note's title, content and tags
+ * @param {Object} note - Note
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+export function canEdit(note, userId) {
+  const role = roleOf(note, userId);
+  return role === 'owner' || role === ROLES.EDITOR;
+}
+
+/**
+ * Copy of a note with another copy's sharing fields
+ * @param {Object} note - Note
+ * @param {Object|null} source - Note to take collaborators and sharedWith from
+ * @returns {Object} - Note
+ */
+export function withSharingOf(note, source) {
+  const result = { ...note };
+  SHARING_FIELDS.forEach(field => {
+    if (source?.[field] !== undefined) {
+      result[field] = source[field];
+    } else {
+      delete result[field];
+    }
+  });
+  return result;
+}
+
+/**
+ * Whether two copies of a note differ in who it's shared with
+ * @param {Object} a - Note
+ * @param {Object} b - Note
+ * @returns {boolean}
+ */
+export function sharingChanged(a, b) {
+  return SHARING_FIELDS.some(field => JSON.stringify(a?.[field] ?? null) !== JSON.stringify(b?.[field] ?? null));
+}
+
+/**
+ * Apply a collaborator change to a note's sharing fields
+ * @param {Object} note - Note
+ * @param {string} userId - Collaborator's user ID
+ * @param {Object|null} collaborator - { role, email, addedAt }, or null to remove them
+ * @returns {Object} - Updated note
+ */
+export function applyCollaborator(note, userId, collaborator) {
+  const collaborators = { ...note.collaborators };
+  if (collaborator) {
+    collaborators[userId] = collaborator;
+  } else {
+    delete collaborators[userId];
+  }
+  return { ...note, collaborators, sharedWith: Object.keys(collaborators) };
+}
@@ -0,0 +1,124 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  deleteField,
+  arrayUnion,
+  arrayRemove,
+  query,
+  where,
+  writeBatch,
+  runTransaction,
+  Timestamp
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import { withSharingOf } from '../sharing';
+
+const NOTES_COLLECTION = 'notes';
+// notes/{noteId}/versions/{versionId} - history stays out of the note document
+const VERSIONS_COLLECTION = 'versions';
+
+// Notes written by the old notesService used server timestamps; the app works with ISO strings
+function fromFirestore(snapshot) {
+  const data = snapshot.data();
+  Object.keys(data).forEach(key => {
+    if (data[key] instanceof Timestamp) {
+      data[key] = data[key].toDate().toISOString();
+    }
+  });
+  return { ...data, id: snapshot.id };
+}
+
+// Firestore rejects undefined field values
+function toFirestore(note) {
+  return JSON.parse(JSON.stringify(note));
+}
+
+/**
+ * Create a notes backend stored in Cloud Firestore ("notes" collection, one document per note,
+ * with the note's version records in its "versions" subcollection)
+ * @param {Object} firestore - Firestore instance (defaults to the app's)
+ * @returns {Object} - Notes backend
+ */
+export function createFirestoreBackend(firestore = db) {
+  const versionsOf = (noteId) => collection(firestore, NOTES_COLLECTION, noteId, VERSIONS_COLLECTION);
+
+  return {
+    id: 'firestore',
+
+    async list(userId) {
+      const snapshot = await getDocs(query(
+        collection(firestore, NOTES_COLLECTION),
+        where('ownerId', '==', userId)
+      ));
+      return snapshot.docs.map(fromFirestore);
+    },
+
+    async listShared(userId) {
+      const snapshot = await getDocs(query(
+        collection(firestore, NOTES_COLLECTION),
+        where('sharedWith', 'array-contains', userId)
+      ));
+      return snapshot.docs.map(fromFirestore);
+    },
+
+    async get(noteId) {
+      const snapshot = await getDoc(doc(firestore, NOTES_COLLECTION, noteId));
+      return snapshot.exists() ? fromFirestore(snapshot) : null;
+    },
+
+    async put(note) {
+      await setDoc(doc(firestore, NOTES_COLLECTION, note.id), toFirestore(note));
+      return note;
+    },
+
+    // Read and write in one transaction, so two devices pushing the same rev can't both win.
+    // The stored sharing fields are kept: they only change through setCollaborator.
+    async putIfRev(note, rev) {
+      const ref = doc(firestore, NOTES_COLLECTION, note.id);
+      return runTransaction(firestore, async (transaction) => {
+        const snapshot = await transaction.get(ref);
+        const current = snapshot.exists() ? snapshot.data() : null;
+        if ((current?.rev || 0) !== rev) return false;
+        transaction.set(ref, toFirestore(withSharingOf(note, current)));
+        return true;
+      });
+    },
+
+    async remove(noteId) {
+      await deleteDoc(doc(firestore, NOTES_COLLECTION, noteId));
+    },
+
+    // Only the sharing fields are written, so this never races with edits to the note itself
+    async setCollaborator(noteId, userId, collaborator) {
+      await updateDoc(doc(firestore, NOTES_COLLECTION, noteId), collaborator
+        ? { [`collaborators.${userId}`]: toFirestore(collaborator), sharedWith: arrayUnion(userId) }
+        : { [`collaborators.${userId}`]: deleteField(), sharedWith: arrayRemove(userId) });
+    },
+
+    async listVersions(noteId) {
+      const snapshot = await getDocs(versionsOf(noteId));
+      return snapshot.docs.map(version => version.data());
+    },
+
+    async putVersions(noteId, records) {
+      if (records.length === 0) return;
+      const batch = writeBatch(firestore);
+      records.forEach(record => batch.set(doc(versionsOf(noteId), record.id), toFirestore(record)));
+      await batch.commit();
+    },
+
+    // Firestore doesn't delete subcollections with their parent, so deleteNote calls this too
+    async removeVersions(noteId, ids) {
+      const removed = ids || (await getDocs(versionsOf(noteId))).docs.map(version => version.id);
+      if (removed.length === 0) return;
+      const batch = writeBatch(firestore);
+      removed.forEach(id => batch.delete(doc(versionsOf(noteId), id)));
+      await batch.commit();
+    },
+  };
+}
@@ -0,0 +1,83 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  setDoc,
+  deleteDoc,
+  query,
+  where
+} from 'firebase/firestore';
+import { db } from '../firebase';
+
+// userEmails/{email} - { uid, displayName }; security rules only allow reading one by its exact
+// email, so profiles can't be listed
+export const USER_EMAILS_COLLECTION = 'userEmails';
+// invitations/{noteId}_{email} - the id is predictable so security rules can look one up
+const INVITATIONS_COLLECTION = 'invitations';
+// publicNotes/{token or password hash} - readable without an account (see services/publicLinks)
+const PUBLIC_NOTES_COLLECTION = 'publicNotes';
+
+export const invitationId = (noteId, email) => `${noteId}_${email}`;
+
+/**
+ * Create a user directory stored in Cloud Firestore: email lookups go through the
+ * "userEmails" collection, pending invitations live in "invitations" and public links in "publicNotes"
+ * @param {Object} firestore - Firestore instance (defaults to the app's)
+ * @returns {Object} - User directory
+ */
+export function createFirestoreDirectory(firestore = db) {
+  return {
+    async findUserByEmail(email) {
+      const snapshot = await getDoc(doc(firestore, USER_EMAILS_COLLECTION, email));
+      if (!snapshot.exists()) return null;
+      const { uid, displayName } = snapshot.data();
+      return { uid, email, displayName: displayName || null };
+    },
+
+    async putInvitation(invitation) {
+      await setDoc(doc(firestore, INVITATIONS_COLLECTION, invitationId(invitation.noteId, invitation.email)), invitation);
+    },
+
+    // Owners can only list the invitations they sent
+    async listInvitations(noteId, invitedBy) {
+      const snapshot = await getDocs(query(
+        collection(firestore, INVITATIONS_COLLECTION),
+        where('noteId', '==', noteId),
+        where('invitedBy', '==', invitedBy)
+      ));
+      return snapshot.docs.map(invitation => invitation.data());
+    },
+
+    async listInvitationsFor(email) {
+      const snapshot = await getDocs(query(
+        collection(firestore, INVITATIONS_COLLECTION),
+        where('email', '==', email)
+      ));
+      return snapshot.docs.map(invitation => invitation.data());
+    },
+
+    async removeInvitation(noteId, email) {
+      await deleteDoc(doc(firestore, INVITATIONS_COLLECTION, invitationId(noteId, email)));
+    },
+
+    async putPublicNote(id, copy) {
+      await setDoc(doc(firestore, PUBLIC_NOTES_COLLECTION, id), JSON.parse(JSON.stringify(copy)));
+    },
+
+    // Security rules refuse expired links, which to readers is the same as a missing one
+    async getPublicNote(id) {
+      try {
+        const snapshot = await getDoc(doc(firestore, PUBLIC_NOTES_COLLECTION, id));
+        return snapshot.exists() ? snapshot.data() : null;
+      } catch (error) {
+        if (error.code === 'permission-denied') return null;
+        throw error;
+      }
+    },
+
+    async removePublicNote(id) {
+      await deleteDoc(doc(firestore, PUBLIC_NOTES_COLLECTION, id));
+    },
+  };
+}
@@ -0,0 +1,70 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  deleteField,
+  arrayUnion,
+  arrayRemove,
+  query,
+  where,
+} from 'firebase/firestore';
+import { db } from '../firebase';
+
+// notebooks/{notebookId} - top-level, like notes, so collaborators can read the ones shared with them
+const NOTEBOOKS_COLLECTION = 'notebooks';
+
+// Firestore rejects undefined field values
+function toFirestore(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+const fromFirestore = (snapshot) => ({ ...snapshot.data(), id: snapshot.id });
+
+/**
+ * Create a notebook store in Cloud Firestore
+ * @param {Object} firestore - Firestore instance (defaults to the app's)
+ * @returns {Object} - Notebook store
+ */
+export function createFirestoreNotebookStore(firestore = db) {
+  const notebookRef = (notebookId) => doc(firestore, NOTEBOOKS_COLLECTION, notebookId);
+
+  return {
+    async list(userId) {
+      const snapshot = await getDocs(query(collection(firestore, NOTEBOOKS_COLLECTION), where('ownerId', '==', userId)));
+      return snapshot.docs.map(fromFirestore);
+    },
+
+    async listShared(userId) {
+      const snapshot = await getDocs(query(
+        collection(firestore, NOTEBOOKS_COLLECTION),
+        where('sharedWith', 'array-contains', userId)
+      ));
+      return snapshot.docs.map(fromFirestore);
+    },
+
+    async get(notebookId) {
+      const snapshot = await getDoc(notebookRef(notebookId));
+      return snapshot.exists() ? fromFirestore(snapshot) : null;
+    },
+
+    async put(notebook) {
+      await setDoc(notebookRef(notebook.id), toFirestore(notebook));
+      return notebook;
+    },
+
+    async remove(notebookId) {
+      await deleteDoc(notebookRef(notebookId));
+    },
+
+    // Only the sharing fields are written, as for notes
+    async setCollaborator(notebookId, userId, collaborator) {
+      await updateDoc(notebookRef(notebookId), collaborator
+        ? { [`collaborators.${userId}`]: toFirestore(collaborator), sharedWith: arrayUnion(userId) }
+        : { [`collaborators.${userId}`]: deleteField(), sharedWith: arrayRemove(userId) });
+    },
+  };
+}
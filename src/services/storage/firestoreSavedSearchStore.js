@@ -0,0 +1,32 @@
+import { collection, doc, getDocs, setDoc, deleteDoc } from 'firebase/firestore';
+import { db } from '../firebase';
+
+const USERS_COLLECTION = 'users';
+// users/{uid}/savedSearches/{searchId} - private to the account, so they follow it to every device
+const SAVED_SEARCHES_COLLECTION = 'savedSearches';
+
+/**
+ * Create a saved search store in Cloud Firestore, under each user's profile
+ * @param {Object} firestore - Firestore instance (defaults to the app's)
+ * @returns {Object} - Saved search store
+ */
+export function createFirestoreSavedSearchStore(firestore = db) {
+  const searchesOf = (userId) => collection(firestore, USERS_COLLECTION, userId, SAVED_SEARCHES_COLLECTION);
+
+  return {
+    async list(userId) {
+      const snapshot = await getDocs(searchesOf(userId));
+      return snapshot.docs.map(search => ({ ...search.data(), id: search.id }));
+    },
+
+    // Firestore rejects undefined field values
+    async put(userId, search) {
+      await setDoc(doc(searchesOf(userId), search.id), JSON.parse(JSON.stringify(search)));
+      return search;
+    },
+
+    async remove(userId, searchId) {
+      await deleteDoc(doc(searchesOf(userId), searchId));
+    },
+  };
+}
@@ -0,0 +1,127 @@
+import { isIndexedDbAvailable } from '../../utils/indexedDb';
+import { createFirestoreBackend } from './firestoreBackend';
+import { createLocalStorageBackend } from './localStorageBackend';
+import { createIndexedDbBackend } from './indexedDbBackend';
+import { createMemoryBackend } from './memoryBackend';
+import { createSyncEngine } from './syncEngine';
+import { createFirestoreDirectory } from './firestoreDirectory';
+import { createMemoryDirectory } from './memoryDirectory';
+import { createFirestoreSavedSearchStore } from './firestoreSavedSearchStore';
+import { createLocalStorageSavedSearchStore } from './localStorageSavedSearchStore';
+import { createMemorySavedSearchStore } from './memorySavedSearchStore';
+import { createFirestoreNotebookStore } from './firestoreNotebookStore';
+import { createLocalStorageNotebookStore } from './localStorageNotebookStore';
+import { createMemoryNotebookStore } from './memoryNotebookStore';
+
+export {
+  createFirestoreBackend,
+  createLocalStorageBackend,
+  createIndexedDbBackend,
+  createMemoryBackend,
+  createSyncEngine,
+  createFirestoreDirectory,
+  createMemoryDirectory,
+  createFirestoreSavedSearchStore,
+  createLocalStorageSavedSearchStore,
+  createMemorySavedSearchStore,
+  createFirestoreNotebookStore,
+  createLocalStorageNotebookStore,
+  createMemoryNotebookStore,
+};
+
+/**
+ * Available notes backends
+ */
+export const NOTES_BACKENDS = {
+  FIRESTORE: 'firestore',
+  LOCAL_STORAGE: 'localStorage',
+  INDEXED_DB: 'indexeddb',
+  MEMORY: 'memory',
+};
+
+function defaultBackendType() {
+  return process.env.REACT_APP_NOTES_BACKEND ||
+    (process.env.REACT_APP_FIREBASE_PROJECT_ID ? NOTES_BACKENDS.FIRESTORE : NOTES_BACKENDS.LOCAL_STORAGE);
+}
+
+// Not 'ai-notes-vault-cache': that's the AI result cache's database, with its own schema
+export const NOTES_CACHE_DB_NAME = 'ai-notes-vault-notes-cache';
+
+/**
+ * Create the local copy of the Firestore notes, kept apart from the local-only backends' data
+ * @returns {Object} - Notes backend
+ */
+export function createNotesCache() {
+  return isIndexedDbAvailable()
+    ? createIndexedDbBackend({ dbName: NOTES_CACHE_DB_NAME })
+    : createLocalStorageBackend({ key: 'notesCache' });
+}
+
+/**
+ * Create the notes backend chosen by REACT_APP_NOTES_BACKEND.
+ * Defaults to Firestore when Firebase is configured, localStorage otherwise.
+ * Firestore is always used offline-first, through a local cache and the sync engine.
+ * @param {string} type - One of NOTES_BACKENDS
+ * @returns {Object} - Notes backend
+ */
+export function createNotesBackend(type = defaultBackendType()) {
+  switch (type) {
+    case NOTES_BACKENDS.FIRESTORE:
+      return createSyncEngine({ local: createNotesCache(), remote: createFirestoreBackend() });
+    case NOTES_BACKENDS.INDEXED_DB:
+      if (isIndexedDbAvailable()) {
+        return createIndexedDbBackend();
+      }
+      console.warn('IndexedDB is not available, storing notes in localStorage');
+      return createLocalStorageBackend();
+    case NOTES_BACKENDS.MEMORY:
+      return createMemoryBackend();
+    case NOTES_BACKENDS.LOCAL_STORAGE:
+      return createLocalStorageBackend();
+    default:
+      throw new Error(`Unknown notes backend: ${type}`);
+  }
+}
+
+/**
+ * Create the user directory (email lookups and invitations) that goes with a notes backend.
+ * Only Firestore is shared between users, so the local backends have none.
+ * @param {string} type - One of NOTES_BACKENDS
+ * @returns {Object|null} - User directory
+ */
+export function createUserDirectory(type = defaultBackendType()) {
+  return type === NOTES_BACKENDS.FIRESTORE ? createFirestoreDirectory() : null;
+}
+
+/**
+ * Create the store for saved searches that goes with a notes backend. With Firestore they're
+ * kept with the account; the local backends keep them in this browser.
+ * @param {string} type - One of NOTES_BACKENDS
+ * @returns {Object} - Saved search store
+ */
+export function createSavedSearchStore(type = defaultBackendType()) {
+  switch (type) {
+    case NOTES_BACKENDS.FIRESTORE:
+      return createFirestoreSavedSearchStore();
+    case NOTES_BACKENDS.MEMORY:
+      return createMemorySavedSearchStore();
+    default:
+      return createLocalStorageSavedSearchStore();
+  }
+}
+
+/**
+ * Create the notebook store that goes with a notes backend
+ * @param {string} type - One of NOTES_BACKENDS
+ * @returns {Object} - Notebook store
+ */
+export function createNotebookStore(type = defaultBackendType()) {
+  switch (type) {
+    case NOTES_BACKENDS.FIRESTORE:
+      return createFirestoreNotebookStore();
+    case NOTES_BACKENDS.MEMORY:
+      return createMemoryNotebookStore();
+    default:
+      return createLocalStorageNotebookStore();
+  }
+}
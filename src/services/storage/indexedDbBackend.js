@@ -0,0 +1,92 @@
+import { openDatabase, requestToPromise, runTransaction } from '../../utils/indexedDb';
+import { applyCollaborator } from '../sharing';
+
+// IndexedDB notes backend - no size limit worth worrying about, unlike localStorage
+
+const DB_NAME = 'ai-notes-vault';
+const DB_VERSION = 3;
+const STORE_NAME = 'notes';
+// Version records, keyed by [noteId, id]
+const VERSIONS_STORE = 'versions';
+
+/**
+ * Create a notes backend stored in IndexedDB
+ * @param {Object} options - { dbName: database to use }
+ * @returns {Object} - Notes backend
+ */
+export function createIndexedDbBackend({ dbName = DB_NAME } = {}) {
+  let dbPromise = null;
+  const getDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase(dbName, DB_VERSION, (db, oldVersion, transaction) => {
+        if (oldVersion < 1) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          store.createIndex('ownerId', 'ownerId');
+        }
+        if (oldVersion < 2) {
+          const versions = db.createObjectStore(VERSIONS_STORE, { keyPath: ['noteId', 'id'] });
+          versions.createIndex('noteId', 'noteId');
+        }
+        if (oldVersion < 3) {
+          transaction.objectStore(STORE_NAME).createIndex('sharedWith', 'sharedWith', { multiEntry: true });
+        }
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = async (mode, work, storeName = STORE_NAME) => runTransaction(await getDatabase(), storeName, mode, work);
+
+  return {
+    id: 'indexeddb',
+
+    list(userId) {
+      return run('readonly', store => requestToPromise(store.index('ownerId').getAll(userId)));
+    },
+
+    listShared(userId) {
+      return run('readonly', store => requestToPromise(store.index('sharedWith').getAll(userId)));
+    },
+
+    async get(noteId) {
+      return (await run('readonly', store => requestToPromise(store.get(noteId)))) || null;
+    },
+
+    async put(note) {
+      await run('readwrite', store => requestToPromise(store.put(note)));
+      return note;
+    },
+
+    async remove(noteId) {
+      await run('readwrite', store => requestToPromise(store.delete(noteId)));
+    },
+
+    async setCollaborator(noteId, userId, collaborator) {
+      await run('readwrite', async store => {
+        const note = await requestToPromise(store.get(noteId));
+        if (note) {
+          await requestToPromise(store.put(applyCollaborator(note, userId, collaborator)));
+        }
+      });
+    },
+
+    listVersions(noteId) {
+      return run('readonly', store => requestToPromise(store.index('noteId').getAll(noteId)), VERSIONS_STORE);
+    },
+
+    async putVersions(noteId, records) {
+      await run('readwrite', store => Promise.all(
+        records.map(record => requestToPromise(store.put({ ...record, noteId })))
+      ), VERSIONS_STORE);
+    },
+
+    async removeVersions(noteId, ids) {
+      await run('readwrite', async store => {
+        const keys = ids
+          ? ids.map(id => [noteId, id])
+          : await requestToPromise(store.index('noteId').getAllKeys(noteId));
+        await Promise.all(keys.map(key => requestToPromise(store.delete(key))));
+      }, VERSIONS_STORE);
+    },
+  };
+}
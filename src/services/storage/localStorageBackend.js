@@ -0,0 +1,103 @@
+import { applyCollaborator } from '../sharing';
+
+// localStorage notes backend - every note in one JSON array under "notes"
+
+const STORAGE_KEY = 'notes';
+
+function readNotes(key = STORAGE_KEY) {
+  try {
+    return JSON.parse(localStorage.getItem(key) || '[]');
+  } catch (error) {
+    console.error('Stored notes are corrupted, starting empty:', error);
+    return [];
+  }
+}
+
+function writeNotes(notes, key = STORAGE_KEY) {
+  localStorage.setItem(key, JSON.stringify(notes));
+}
+
+// Each note's version records live under their own key, so loading notes never reads history
+const versionsKey = (key, noteId) => `${key}:versions:${noteId}`;
+
+function readVersions(key, noteId) {
+  try {
+    return JSON.parse(localStorage.getItem(versionsKey(key, noteId)) || '[]');
+  } catch (error) {
+    console.error('Stored note versions are corrupted, ignoring them:', error);
+    return [];
+  }
+}
+
+/**
+ * Create a notes backend stored in localStorage
+ * @param {Object} options - { key: localStorage key holding the notes }
+ * @returns {Object} - Notes backend
+ */
+export function createLocalStorageBackend({ key = STORAGE_KEY } = {}) {
+  return {
+    id: 'localStorage',
+
+    // Notes saved before ownership was recorded belong to whoever uses this browser
+    async list(userId) {
+      return readNotes(key).filter(note => !note.ownerId || note.ownerId === userId);
+    },
+
+    async listShared(userId) {
+      return readNotes(key).filter(note => note.sharedWith?.includes(userId));
+    },
+
+    async get(noteId) {
+      return readNotes(key).find(note => note.id === noteId) || null;
+    },
+
+    async put(note) {
+      const notes = readNotes(key);
+      const index = notes.findIndex(existing => existing.id === note.id);
+      if (index >= 0) {
+        notes[index] = note;
+      } else {
+        notes.push(note);
+      }
+      writeNotes(notes, key);
+      return note;
+    },
+
+    async remove(noteId) {
+      writeNotes(readNotes(key).filter(note => note.id !== noteId), key);
+    },
+
+    async setCollaborator(noteId, userId, collaborator) {
+      writeNotes(readNotes(key).map(note => (
+        note.id === noteId ? applyCollaborator(note, userId, collaborator) : note
+      )), key);
+    },
+
+    async listVersions(noteId) {
+      return readVersions(key, noteId);
+    },
+
+    async putVersions(noteId, records) {
+      const ids = new Set(records.map(record => record.id));
+      const kept = readVersions(key, noteId).filter(record => !ids.has(record.id));
+      localStorage.setItem(versionsKey(key, noteId), JSON.stringify([...kept, ...records]));
+    },
+
+    async removeVersions(noteId, ids) {
+      const kept = ids ? readVersions(key, noteId).filter(record => !ids.includes(record.id)) : [];
+      if (kept.length === 0) {
+        localStorage.removeItem(versionsKey(key, noteId));
+      } else {
+        localStorage.setItem(versionsKey(key, noteId), JSON.stringify(kept));
+      }
+    },
+  };
+}
+
+/**
+ * Notes left in localStorage by earlier versions of the app
+ * @returns {Array} - Stored notes
+ */
+export function readLocalNotes() {
+  return readNotes();
+}
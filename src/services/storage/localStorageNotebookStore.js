@@ -0,0 +1,54 @@
+import { applyCollaborator } from '../sharing';
+
+// localStorage notebook store - every notebook in one JSON array, next to the notes
+
+const STORAGE_KEY = 'notebooks';
+
+function readNotebooks(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key) || '[]');
+  } catch (error) {
+    console.error('Stored notebooks are corrupted, starting empty:', error);
+    return [];
+  }
+}
+
+function writeNotebooks(notebooks, key) {
+  localStorage.setItem(key, JSON.stringify(notebooks));
+}
+
+/**
+ * Create a notebook store in localStorage
+ * @param {Object} options - { key: localStorage key holding the notebooks }
+ * @returns {Object} - Notebook store
+ */
+export function createLocalStorageNotebookStore({ key = STORAGE_KEY } = {}) {
+  return {
+    async list(userId) {
+      return readNotebooks(key).filter(notebook => notebook.ownerId === userId);
+    },
+
+    async listShared(userId) {
+      return readNotebooks(key).filter(notebook => notebook.sharedWith?.includes(userId));
+    },
+
+    async get(notebookId) {
+      return readNotebooks(key).find(notebook => notebook.id === notebookId) || null;
+    },
+
+    async put(notebook) {
+      writeNotebooks([...readNotebooks(key).filter(existing => existing.id !== notebook.id), notebook], key);
+      return notebook;
+    },
+
+    async remove(notebookId) {
+      writeNotebooks(readNotebooks(key).filter(notebook => notebook.id !== notebookId), key);
+    },
+
+    async setCollaborator(notebookId, userId, collaborator) {
+      writeNotebooks(readNotebooks(key).map(notebook => (
+        notebook.id === notebookId ? applyCollaborator(notebook, userId, collaborator) : notebook
+      )), key);
+    },
+  };
+}
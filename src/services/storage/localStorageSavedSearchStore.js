@@ -0,0 +1,37 @@
+// localStorage saved search store - each user's searches in one JSON array, so they stay on this browser
+
+const keyOf = (prefix, userId) => `${prefix}:${userId}`;
+
+function readSearches(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key) || '[]');
+  } catch (error) {
+    console.error('Stored saved searches are corrupted, starting empty:', error);
+    return [];
+  }
+}
+
+/**
+ * Create a saved search store in localStorage
+ * @param {Object} options - { prefix: localStorage key prefix; the user ID is added to it }
+ * @returns {Object} - Saved search store
+ */
+export function createLocalStorageSavedSearchStore({ prefix = 'savedSearches' } = {}) {
+  return {
+    async list(userId) {
+      return readSearches(keyOf(prefix, userId));
+    },
+
+    async put(userId, search) {
+      const key = keyOf(prefix, userId);
+      const searches = readSearches(key).filter(existing => existing.id !== search.id);
+      localStorage.setItem(key, JSON.stringify([...searches, search]));
+      return search;
+    },
+
+    async remove(userId, searchId) {
+      const key = keyOf(prefix, userId);
+      localStorage.setItem(key, JSON.stringify(readSearches(key).filter(search => search.id !== searchId)));
+    },
+  };
+}
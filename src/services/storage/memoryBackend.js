@@ -0,0 +1,79 @@
+import { applyCollaborator, withSharingOf } from '../sharing';
+
+// In-memory notes backend, for tests and throwaway sessions
+
+/**
+ * Create an in-memory notes backend
+ * @param {Array} initialNotes - Notes to start with
+ * @returns {Object} - Notes backend
+ */
+export function createMemoryBackend(initialNotes = []) {
+  const notes = new Map(initialNotes.map(note => [note.id, clone(note)]));
+  // noteId -> Map of version id -> version record
+  const versions = new Map();
+
+  return {
+    id: 'memory',
+
+    async list(userId) {
+      return [...notes.values()]
+        .filter(note => note.ownerId === userId)
+        .map(clone);
+    },
+
+    async listShared(userId) {
+      return [...notes.values()]
+        .filter(note => note.sharedWith?.includes(userId))
+        .map(clone);
+    },
+
+    async get(noteId) {
+      return notes.has(noteId) ? clone(notes.get(noteId)) : null;
+    },
+
+    async put(note) {
+      notes.set(note.id, clone(note));
+      return clone(note);
+    },
+
+    async putIfRev(note, rev) {
+      const current = notes.get(note.id) || null;
+      if ((current?.rev || 0) !== rev) return false;
+      notes.set(note.id, clone(withSharingOf(note, current)));
+      return true;
+    },
+
+    async remove(noteId) {
+      notes.delete(noteId);
+    },
+
+    async setCollaborator(noteId, userId, collaborator) {
+      if (notes.has(noteId)) {
+        notes.set(noteId, applyCollaborator(notes.get(noteId), userId, clone(collaborator)));
+      }
+    },
+
+    async listVersions(noteId) {
+      return [...(versions.get(noteId)?.values() || [])].map(clone);
+    },
+
+    async putVersions(noteId, records) {
+      const stored = versions.get(noteId) || new Map();
+      records.forEach(record => stored.set(record.id, clone(record)));
+      versions.set(noteId, stored);
+    },
+
+    async removeVersions(noteId, ids) {
+      if (!ids) {
+        versions.delete(noteId);
+        return;
+      }
+      ids.forEach(id => versions.get(noteId)?.delete(id));
+    },
+  };
+}
+
+// Callers must not be able to mutate stored data through returned references
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
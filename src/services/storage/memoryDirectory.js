@@ -0,0 +1,48 @@
+// In-memory user directory, for tests
+
+/**
+ * Create an in-memory user directory
+ * @param {Array} users - Known users ({ uid, email, displayName })
+ * @returns {Object} - User directory
+ */
+export function createMemoryDirectory(users = []) {
+  const invitations = new Map();
+  const publicNotes = new Map();
+  const keyOf = (noteId, email) => `${noteId}_${email}`;
+
+  return {
+    async findUserByEmail(email) {
+      const user = users.find(known => known.email === email);
+      return user ? { uid: user.uid, email, displayName: user.displayName || null } : null;
+    },
+
+    async putInvitation(invitation) {
+      invitations.set(keyOf(invitation.noteId, invitation.email), { ...invitation });
+    },
+
+    async listInvitations(noteId, invitedBy) {
+      return [...invitations.values()]
+        .filter(invitation => invitation.noteId === noteId && invitation.invitedBy === invitedBy);
+    },
+
+    async listInvitationsFor(email) {
+      return [...invitations.values()].filter(invitation => invitation.email === email);
+    },
+
+    async removeInvitation(noteId, email) {
+      invitations.delete(keyOf(noteId, email));
+    },
+
+    async putPublicNote(id, copy) {
+      publicNotes.set(id, { ...copy });
+    },
+
+    async getPublicNote(id) {
+      return publicNotes.has(id) ? { ...publicNotes.get(id) } : null;
+    },
+
+    async removePublicNote(id) {
+      publicNotes.delete(id);
+    },
+  };
+}
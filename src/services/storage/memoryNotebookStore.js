@@ -0,0 +1,46 @@
+import { applyCollaborator } from '../sharing';
+
+// In-memory notebook store, for tests and throwaway sessions
+
+/**
+ * Create an in-memory notebook store
+ * @param {Array} initialNotebooks - Notebooks to start with
+ * @returns {Object} - Notebook store
+ */
+export function createMemoryNotebookStore(initialNotebooks = []) {
+  const notebooks = new Map(initialNotebooks.map(notebook => [notebook.id, clone(notebook)]));
+
+  return {
+    async list(userId) {
+      return [...notebooks.values()].filter(notebook => notebook.ownerId === userId).map(clone);
+    },
+
+    async listShared(userId) {
+      return [...notebooks.values()].filter(notebook => notebook.sharedWith?.includes(userId)).map(clone);
+    },
+
+    async get(notebookId) {
+      return notebooks.has(notebookId) ? clone(notebooks.get(notebookId)) : null;
+    },
+
+    async put(notebook) {
+      notebooks.set(notebook.id, clone(notebook));
+      return clone(notebook);
+    },
+
+    async remove(notebookId) {
+      notebooks.delete(notebookId);
+    },
+
+    async setCollaborator(notebookId, userId, collaborator) {
+      if (notebooks.has(notebookId)) {
+        notebooks.set(notebookId, applyCollaborator(notebooks.get(notebookId), userId, clone(collaborator)));
+      }
+    },
+  };
+}
+
+// Callers must not be able to mutate stored data through returned references
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,29 @@
+// In-memory saved search store, for tests and throwaway sessions
+
+/**
+ * Create an in-memory saved search store
+ * @returns {Object} - Saved search store
+ */
+export function createMemorySavedSearchStore() {
+  // userId -> Map of search id -> saved search
+  const searches = new Map();
+  const searchesOf = (userId) => {
+    if (!searches.has(userId)) searches.set(userId, new Map());
+    return searches.get(userId);
+  };
+
+  return {
+    async list(userId) {
+      return [...searchesOf(userId).values()].map(search => ({ ...search }));
+    },
+
+    async put(userId, search) {
+      searchesOf(userId).set(search.id, { ...search });
+      return { ...search };
+    },
+
+    async remove(userId, searchId) {
+      searchesOf(userId).delete(searchId);
+    },
+  };
+}
@@ -0,0 +1,535 @@
+import { decodeVersions } from '../noteVersions';
+import { withSharingOf, sharingChanged, applyCollaborator } from '../sharing';
+
+// Offline-first sync between a local notes cache and a remote backend (Firestore).
+//
+// Reads and writes always go to the local cache, so the app works offline. Every local
+// write is queued and replayed against the remote once we're online. Each note carries a
+// revision counter (`rev`) that the remote bumps on every accepted write; a queued write
+// whose rev no longer matches the remote's was based on a stale copy, and is held back
+// as a conflict for the user to merge instead of overwriting the other device's edit.
+// The remote checks the rev and writes in one step (putIfRev), so of two devices pushing
+// at once only one wins and the other gets the conflict.
+//
+// Version records are pushed along with their note (whatever the remote's versionIndex
+// lacks) but only pulled when someone opens the note's history.
+//
+// Who a note is shared with is written straight to the remote (sharing needs a connection
+// anyway), so pushed notes always keep the remote's collaborators.
+
+const REMOTE_TIMEOUT = 15000;
+
+function readJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function writeJson(key, value) {
+  localStorage.setItem(key, JSON.stringify(value));
+}
+
+// Firestore queues writes in memory rather than failing while the network is down
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('Timed out waiting for the server')), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Version records never change once written, so an id identifies a version's content.
+// Notes from before versions had ids kept them inline, with their content.
+const versionKey = (version) => version.id || `${version.timestamp}\u0000${version.content}`;
+const historyOf = (note) => note?.versionIndex || note?.versions || [];
+// Entries and conflicts saved before they recorded who made the change were the owner's
+const queuedBy = (item) => item.userId ?? item.ownerId ?? item.local?.ownerId;
+const sameContent = (a, b) => a.title === b.title && a.content === b.content;
+
+/**
+ * Latest version both copies of a note share - the base for a three-way merge
+ * @param {Object} local - Local copy of the note
+ * @param {Object} remote - Remote copy of the note
+ * @returns {Object|null} - The shared version's index entry, or null
+ */
+export function findCommonVersion(local, remote) {
+  const remoteVersions = new Set(historyOf(remote).map(versionKey));
+  const localVersions = historyOf(local);
+  for (let i = localVersions.length - 1; i >= 0; i--) {
+    if (remoteVersions.has(versionKey(localVersions[i]))) {
+      return localVersions[i];
+    }
+  }
+  return null;
+}
+
+// Both histories, oldest first, without duplicates
+function mergeHistories(...histories) {
+  const seen = new Map();
+  histories.flat().forEach(version => seen.set(versionKey(version), version));
+  return [...seen.values()].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Create a notes backend that caches locally and syncs to a remote backend
+ * @param {Object} options
+ * @param {Object} options.local - Local cache backend (IndexedDB or localStorage)
+ * @param {Object} options.remote - Remote backend (Firestore); besides the usual backend methods
+ *   it needs putIfRev(note, rev), which writes the note only if the stored rev is still `rev`
+ *   (0 when there's none), keeps the stored sharing fields and resolves to whether it wrote
+ * @param {Function} options.isOnline - Connectivity check (defaults to navigator.onLine)
+ * @param {number} options.timeout - Give up on a remote call after this many ms
+ * @param {string} options.namespace - Prefix of the localStorage keys holding the queue and conflicts
+ * @returns {Object} - Notes backend with sync controls
+ */
+export function createSyncEngine({
+  local,
+  remote,
+  isOnline = () => navigator.onLine,
+  timeout = REMOTE_TIMEOUT,
+  namespace = 'notesSync',
+}) {
+  const queueKey = `${namespace}Queue`;
+  const conflictsKey = `${namespace}Conflicts`;
+  // [{ noteId, op: 'put'|'remove', userId, rev, seq }] - at most one entry per note.
+  // userId is whoever made the change, which for a shared note isn't its owner.
+  let queue = readJson(queueKey, []);
+  // [{ noteId, userId, local, remote, base, detectedAt }]
+  let conflicts = readJson(conflictsKey, []);
+  let seq = queue.reduce((max, entry) => Math.max(max, entry.seq), 0);
+  let currentUserId = null;
+  let running = null;
+  let rerun = false;
+  const listeners = new Set();
+  let status = { syncing: false, lastSyncedAt: null, error: null, revision: 0 };
+
+  const callRemote = (promise) => withTimeout(promise, timeout);
+
+  function getStatus() {
+    return {
+      ...status,
+      online: isOnline(),
+      pending: queue.filter(entry => queuedBy(entry) === currentUserId).length,
+      conflicts: conflicts.filter(conflict => queuedBy(conflict) === currentUserId).length,
+    };
+  }
+
+  function setStatus(updates) {
+    status = { ...status, ...updates };
+    const snapshot = getStatus();
+    listeners.forEach(listener => listener(snapshot));
+  }
+
+  // Local notes changed underneath the app (pulled from the remote or merged)
+  const markChanged = () => setStatus({ revision: status.revision + 1 });
+
+  function enqueue(entry) {
+    queue = [...queue.filter(existing => existing.noteId !== entry.noteId), { ...entry, seq: ++seq }];
+    writeJson(queueKey, queue);
+  }
+
+  // Only drop the entry we replayed - the note may have been queued again meanwhile
+  function dequeue(entry) {
+    queue = queue.filter(existing => existing.seq !== entry.seq);
+    writeJson(queueKey, queue);
+  }
+
+  // Local version records, plus the remote's when some of the wanted ones aren't cached yet
+  async function loadVersionRecords(noteId, wantedIds) {
+    const records = await local.listVersions(noteId);
+    const cached = new Set(records.map(record => record.id));
+    const missing = wantedIds.filter(id => !cached.has(id));
+    if (missing.length === 0 || !isOnline()) return records;
+
+    try {
+      const fetched = (await callRemote(remote.listVersions(noteId))).filter(record => !cached.has(record.id));
+      await local.putVersions(noteId, fetched);
+      return [...records, ...fetched];
+    } catch (error) {
+      console.error('Failed to fetch note history:', error);
+      return records;
+    }
+  }
+
+  async function saveConflict(localNote, remoteNote, userId) {
+    const common = findCommonVersion(localNote, remoteNote);
+    let base = common;
+    if (common && common.content === undefined) {
+      const [decoded] = decodeVersions([common], await loadVersionRecords(localNote.id, [common.id]));
+      base = decoded || null;
+    }
+
+    const conflict = {
+      noteId: localNote.id,
+      userId,
+      local: localNote,
+      remote: remoteNote,
+      base: base && { title: base.title, content: base.content, timestamp: base.timestamp },
+      detectedAt: new Date().toISOString(),
+    };
+    conflicts = [...conflicts.filter(existing => existing.noteId !== localNote.id), conflict];
+    writeJson(conflictsKey, conflicts);
+  }
+
+  async function pushNote(entry) {
+    const note = await local.get(entry.noteId);
+    if (!note) return;
+
+    const remoteNote = await callRemote(remote.get(entry.noteId));
+    if (!remoteNote && note.ownerId && note.ownerId !== queuedBy(entry)) {
+      // A shared note its owner deleted; only the owner can create it again
+      await local.remove(note.id);
+      await local.removeVersions(note.id);
+      markChanged();
+      return;
+    }
+    const remoteRev = remoteNote?.rev || 0;
+    if (remoteNote && remoteRev !== (note.rev || 0) && !sameContent(remoteNote, note)) {
+      await saveConflict(note, remoteNote, queuedBy(entry));
+      markChanged();
+      return;
+    }
+
+    // Version records the remote doesn't have yet (new, or re-encoded after pruning)
+    const remoteIndex = new Map((remoteNote?.versionIndex || []).map(entry => [entry.id, entry]));
+    const localIndex = note.versionIndex || [];
+    const unsent = new Set(localIndex
+      .filter(entry => !remoteIndex.has(entry.id) || remoteIndex.get(entry.id).baseId !== entry.baseId)
+      .map(entry => entry.id));
+    const pushRecords = async () => {
+      if (unsent.size === 0) return;
+      const records = (await local.listVersions(note.id)).filter(record => unsent.has(record.id));
+      await callRemote(remote.putVersions(note.id, records));
+    };
+
+    // Records go up first so other devices can load the history as soon as they see the note,
+    // except for new notes: security rules check access to records against their note
+    const rev = remoteRev + 1;
+    if (remoteNote) await pushRecords();
+    if (!(await callRemote(remote.putIfRev({ ...note, rev }, remoteRev)))) {
+      // Another device pushed since we read the remote copy
+      await saveConflict(note, await callRemote(remote.get(entry.noteId)), queuedBy(entry));
+      markChanged();
+      return;
+    }
+    if (!remoteNote) await pushRecords();
+
+    const localIds = new Set(localIndex.map(entry => entry.id));
+    const dropped = [...remoteIndex.keys()].filter(id => !localIds.has(id));
+    if (dropped.length > 0) {
+      await callRemote(remote.removeVersions(note.id, dropped));
+    }
+    // Keep any edit made while the write was in flight; it's queued with the new rev
+    const latest = await local.get(entry.noteId);
+    if (latest) {
+      await local.put({ ...latest, rev });
+    }
+  }
+
+  async function pushRemoval(entry) {
+    const remoteNote = await callRemote(remote.get(entry.noteId));
+    if (!remoteNote) return;
+
+    if ((remoteNote.rev || 0) !== entry.rev) {
+      // Edited on another device after we deleted our copy; keep their edit
+      await local.put(remoteNote);
+      markChanged();
+      return;
+    }
+    // History first, while the note is still there for security rules to check against
+    await callRemote(remote.removeVersions(entry.noteId));
+    await callRemote(remote.remove(entry.noteId));
+  }
+
+  async function pull(userId) {
+    const remoteNotes = await callRemote(remote.list(userId));
+    const localNotes = await local.list(userId);
+    const held = new Set([...queue, ...conflicts].map(item => item.noteId));
+    const localById = new Map(localNotes.map(note => [note.id, note]));
+    const remoteIds = new Set(remoteNotes.map(note => note.id));
+    let changed = false;
+
+    for (const remoteNote of remoteNotes) {
+      const localNote = localById.get(remoteNote.id);
+      if (held.has(remoteNote.id)) continue;
+      if (localNote && (localNote.rev || 0) >= (remoteNote.rev || 0)) {
+        if (sharingChanged(localNote, remoteNote)) {
+          await local.put(withSharingOf(localNote, remoteNote));
+          changed = true;
+        }
+      } else {
+        await local.put(remoteNote);
+        // Drop cached history the remote has pruned; the rest is fetched when it's opened
+        const kept = new Set((remoteNote.versionIndex || []).map(entry => entry.id));
+        const stale = (await local.listVersions(remoteNote.id)).filter(record => !kept.has(record.id));
+        if (stale.length > 0) {
+          await local.removeVersions(remoteNote.id, stale.map(record => record.id));
+        }
+        changed = true;
+      }
+    }
+
+    for (const localNote of localNotes) {
+      if (remoteIds.has(localNote.id) || held.has(localNote.id)) continue;
+      if ((localNote.rev || 0) > 0) {
+        // It was synced before, so it has been deleted on another device
+        await local.remove(localNote.id);
+        await local.removeVersions(localNote.id);
+        changed = true;
+      } else {
+        // Never reached the remote (e.g. cached before the queue existed)
+        enqueue({ noteId: localNote.id, op: 'put', userId, rev: 0 });
+      }
+    }
+
+    if (changed) markChanged();
+  }
+
+  async function pushQueue(userId) {
+    for (const entry of queue.filter(item => queuedBy(item) === userId)) {
+      if (entry.op === 'remove') {
+        await pushRemoval(entry);
+      } else {
+        await pushNote(entry);
+      }
+      dequeue(entry);
+    }
+  }
+
+  async function runSync(userId) {
+    if (!userId || !isOnline()) {
+      setStatus({ syncing: false });
+      return;
+    }
+
+    setStatus({ syncing: true, error: null });
+    try {
+      await pushQueue(userId);
+      await pull(userId);
+      // pull() may have queued never-synced notes
+      await pushQueue(userId);
+      setStatus({ syncing: false, lastSyncedAt: new Date().toISOString() });
+    } catch (error) {
+      // The queue is kept, so everything is retried on the next sync
+      console.error('Notes sync failed:', error);
+      setStatus({ syncing: false, error: error.message });
+    }
+  }
+
+  /**
+   * Replay queued writes, then pull remote changes. Calls made while a sync is
+   * running are folded into one more pass once it finishes.
+   * @param {string} userId - User to sync (defaults to the last user who listed notes)
+   * @returns {Promise<void>}
+   */
+  function sync(userId = currentUserId) {
+    currentUserId = userId;
+    if (running) {
+      rerun = true;
+      return running;
+    }
+    running = (async () => {
+      do {
+        rerun = false;
+        await runSync(currentUserId);
+      } while (rerun);
+    })().finally(() => {
+      running = null;
+    });
+    return running;
+  }
+
+  const syncSoon = () => {
+    if (isOnline()) sync();
+  };
+
+  /**
+   * Rebase the local copy of a conflicted note onto the remote one, so the user's merge
+   * can be saved over it: it takes the remote's revision and both histories. Saving the
+   * merged title and content is up to the caller (see notesRepository.resolveConflict).
+   * @param {string} noteId - Note ID
+   * @returns {Promise<Object>} - Rebased note
+   */
+  async function resolveConflict(noteId) {
+    const conflict = conflicts.find(existing => existing.noteId === noteId);
+    if (!conflict) {
+      throw new Error('No conflict to resolve for this note');
+    }
+
+    const current = (await local.get(noteId)) || conflict.local;
+    const rebased = {
+      ...current,
+      rev: conflict.remote?.rev || 0,
+      versionIndex: mergeHistories(historyOf(conflict.remote), historyOf(current)),
+    };
+    delete rebased.versions;
+
+    await local.put(rebased);
+    conflicts = conflicts.filter(existing => existing.noteId !== noteId);
+    writeJson(conflictsKey, conflicts);
+    markChanged();
+    return rebased;
+  }
+
+  return {
+    id: remote.id,
+
+    async list(userId) {
+      await sync(userId);
+      return local.list(userId);
+    },
+
+    async get(noteId) {
+      const cached = await local.get(noteId);
+      if (cached || !isOnline()) return cached;
+      try {
+        return await callRemote(remote.get(noteId));
+      } catch (error) {
+        return null;
+      }
+    },
+
+    async put(note) {
+      const existing = await local.get(note.id);
+      // The rev always comes from the cache; callers may hold an older copy
+      const stored = { ...note, rev: existing?.rev || 0 };
+      await local.put(stored);
+      enqueue({ noteId: note.id, op: 'put', userId: currentUserId ?? note.ownerId, rev: stored.rev });
+      syncSoon();
+      return stored;
+    },
+
+    async remove(noteId) {
+      const existing = await local.get(noteId);
+      await local.remove(noteId);
+      enqueue({ noteId, op: 'remove', userId: currentUserId ?? existing?.ownerId, rev: existing?.rev || 0 });
+      syncSoon();
+    },
+
+    /**
+     * Notes shared with the user. Fetched from the remote when online (refreshing the
+     * cached copies), from the cache otherwise.
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} - Notes
+     */
+    async listShared(userId) {
+      const cached = await local.listShared(userId);
+      if (!isOnline()) return cached;
+
+      let remoteNotes;
+      try {
+        remoteNotes = await callRemote(remote.listShared(userId));
+      } catch (error) {
+        console.error('Failed to fetch shared notes:', error);
+        return cached;
+      }
+
+      const held = new Set([...queue, ...conflicts].map(item => item.noteId));
+      const cachedById = new Map(cached.map(note => [note.id, note]));
+      const remoteIds = new Set(remoteNotes.map(note => note.id));
+      const notes = [];
+      for (const remoteNote of remoteNotes) {
+        const cachedNote = cachedById.get(remoteNote.id);
+        if (held.has(remoteNote.id) && cachedNote) {
+          notes.push(withSharingOf(cachedNote, remoteNote));
+          continue;
+        }
+        if (!cachedNote || (cachedNote.rev || 0) < (remoteNote.rev || 0) || sharingChanged(cachedNote, remoteNote)) {
+          await local.put(remoteNote);
+        }
+        notes.push(remoteNote);
+      }
+      // Unshared or deleted by their owner
+      for (const note of cached) {
+        if (!remoteIds.has(note.id) && !held.has(note.id)) {
+          await local.remove(note.id);
+          await local.removeVersions(note.id);
+        }
+      }
+      return notes;
+    },
+
+    // Sharing changes go straight to the remote, then to the cached copy
+    async setCollaborator(noteId, userId, collaborator) {
+      if (!isOnline()) {
+        throw new Error('You need to be online to change who a note is shared with');
+      }
+      await callRemote(remote.setCollaborator(noteId, userId, collaborator));
+      const cached = await local.get(noteId);
+      if (!cached) return;
+      if (!collaborator && userId === currentUserId && cached.ownerId !== currentUserId) {
+        // Left a note someone else shared
+        await local.remove(noteId);
+        await local.removeVersions(noteId);
+      } else {
+        await local.put(applyCollaborator(cached, userId, collaborator));
+      }
+      markChanged();
+    },
+
+    // History is fetched from the remote the first time it's needed, then cached
+    async listVersions(noteId) {
+      const note = await local.get(noteId);
+      return loadVersionRecords(noteId, (note?.versionIndex || []).map(entry => entry.id));
+    },
+
+    // Pushed with their note, by pushNote
+    putVersions(noteId, records) {
+      return local.putVersions(noteId, records);
+    },
+
+    removeVersions(noteId, ids) {
+      return local.removeVersions(noteId, ids);
+    },
+
+    /**
+     * Notes in the local cache, without syncing first
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} - Notes
+     */
+    listCached(userId) {
+      return local.list(userId);
+    },
+
+    sync,
+    resolveConflict,
+    getStatus,
+
+    /**
+     * Open conflicts for the current user
+     * @returns {Array<{noteId, local, remote, base, detectedAt}>}
+     */
+    getConflicts() {
+      return conflicts.filter(conflict => queuedBy(conflict) === currentUserId);
+    },
+
+    /**
+     * Listen for status changes ({online, syncing, pending, conflicts, lastSyncedAt, error, revision})
+     * @param {Function} listener - Called with the new status
+     * @returns {Function} - Unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Replay the queue whenever the browser comes back online
+     * @returns {Function} - Stop listening
+     */
+    start() {
+      const handleConnectivity = () => {
+        setStatus({});
+        syncSoon();
+      };
+      window.addEventListener('online', handleConnectivity);
+      window.addEventListener('offline', handleConnectivity);
+      return () => {
+        window.removeEventListener('online', handleConnectivity);
+        window.removeEventListener('offline', handleConnectivity);
+      };
+    },
+  };
+}
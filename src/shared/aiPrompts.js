@@ -0,0 +1,94 @@
+// Prompts and reply parsing for the generative AI providers, shared by the browser's providers
+// (services/aiProviders.js) and the proxy's (server/providers.js) so both ask the same way.
+// The proxy loads this file with Node directly, so it stays a plain ES module without imports
+// (package.json here marks the directory as ES modules).
+
+/**
+ * Output styles supported by getSummary
+ */
+export const SUMMARY_STYLES = {
+  PARAGRAPH: 'paragraph',
+  ONE_LINER: 'one-liner',
+  BULLETS: 'bullets',
+  TLDR: 'tldr',
+};
+
+const STYLE_INSTRUCTIONS = {
+  [SUMMARY_STYLES.PARAGRAPH]: 'as a short paragraph',
+  [SUMMARY_STYLES.ONE_LINER]: 'as a single sentence',
+  [SUMMARY_STYLES.BULLETS]: 'as 3 to 6 bullet points, each on its own line starting with "• "',
+  [SUMMARY_STYLES.TLDR]: 'as one line starting with "TL;DR: ", then a blank line, the line "Key points:" ' +
+    'and 3 to 5 bullet points, each on its own line starting with "• "',
+};
+
+/**
+ * Prompt for summarizing a note
+ * @param {string} text - Note text
+ * @param {number} maxLength - Longest summary wanted, in characters
+ * @param {string} style - One of SUMMARY_STYLES; unknown styles get a paragraph
+ * @returns {string}
+ */
+export function buildSummaryPrompt(text, maxLength, style = SUMMARY_STYLES.PARAGRAPH) {
+  const instruction = STYLE_INSTRUCTIONS[style] || STYLE_INSTRUCTIONS[SUMMARY_STYLES.PARAGRAPH];
+  return `Summarize the following note ${instruction}, in at most ${maxLength} characters. ` +
+    `Reply with the summary only.\n\n${text}`;
+}
+
+/**
+ * Prompt for suggesting tags; parse the reply with parseTagList
+ * @param {string} text - Note text
+ * @param {number} maxTags - Most tags wanted
+ * @returns {string}
+ */
+export function buildTagsPrompt(text, maxTags) {
+  return `Suggest up to ${maxTags} short, lowercase topic tags for the following note. ` +
+    `Reply with a JSON array of strings only.\n\n${text}`;
+}
+
+/**
+ * Prompt for answering a question from notes, citing them as [1], [2]...
+ * @param {string} question - The question
+ * @param {Array<{title: string, text: string}>} sources - Notes to answer from, in citation order
+ * @returns {string}
+ */
+export function buildAnswerPrompt(question, sources) {
+  const context = sources
+    .map((source, i) => `[${i + 1}] ${source.title}\n${source.text}`)
+    .join('\n\n');
+  return 'Answer the question using only the numbered notes below. ' +
+    'Cite every note you use with its number in square brackets, like [1]. ' +
+    'If the notes don\'t contain the answer, say that you don\'t know.\n\n' +
+    `${context}\n\nQuestion: ${question}\nAnswer:`;
+}
+
+/**
+ * Tags from a model's reply: a JSON array if there is one, otherwise a comma or line separated list
+ * @param {string} reply - Model reply
+ * @param {number} maxTags - Most tags to keep
+ * @returns {string[]} - Lowercased tags
+ */
+export function parseTagList(reply, maxTags) {
+  let tags;
+  try {
+    const match = reply.match(/\[[\s\S]*\]/);
+    tags = JSON.parse(match ? match[0] : reply);
+  } catch (error) {
+    tags = reply.split(/[,\n]/);
+  }
+
+  return (Array.isArray(tags) ? tags : [])
+    .map(tag => String(tag).replace(/^[\s#"'-]+|[\s"'.]+$/g, '').toLowerCase())
+    .filter(tag => tag.length > 0)
+    .slice(0, maxTags);
+}
+
+/**
+ * Average per-token embeddings into one vector
+ * @param {number[][]} matrix - One embedding per token
+ * @returns {number[]}
+ */
+export function meanPool(matrix) {
+  const pooled = new Array(matrix[0].length).fill(0);
+  matrix.forEach(row => row.forEach((value, i) => { pooled[i] += value / matrix.length; }));
+  return pooled;
+}
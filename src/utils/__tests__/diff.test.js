@@ -0,0 +1,132 @@
+import { splitLines, matchSequences, merge3, diffWords, createDelta, applyDelta } from '../diff';
+
+describe('Diff utilities', () => {
+  test('should split HTML after block elements without losing anything', () => {
+    const html = '<h2>Plan</h2><p>One</p><ul><li>a</li><li>b</li></ul>';
+    const lines = splitLines(html);
+
+    expect(lines).toEqual(['<h2>Plan</h2>', '<p>One</p>', '<ul><li>a</li>', '<li>b</li>', '</ul>']);
+    expect(lines.join('')).toBe(html);
+    expect(splitLines('one\ntwo')).toEqual(['one\n', 'two']);
+  });
+
+  test('should match the longest common subsequence', () => {
+    expect(matchSequences(['a', 'b', 'c', 'd'], ['b', 'x', 'd'])).toEqual([[1, 0], [3, 2]]);
+    expect(matchSequences([], ['a'])).toEqual([]);
+  });
+
+  test('should not build a table for sequences too long to compare', () => {
+    const a = Array.from({ length: 3000 }, (_, i) => `a${i}`);
+    const b = Array.from({ length: 3000 }, (_, i) => (i % 2 ? `a${i}` : `b${i}`));
+
+    expect(matchSequences(a, b)).toEqual([]);
+    expect(matchSequences(a.slice(0, 1000), b.slice(0, 1000))).toHaveLength(500);
+  });
+
+  describe('merge3', () => {
+    const base = '<p>Intro</p><p>Middle</p><p>End</p>';
+
+    test('should apply edits made to different lines on each side', () => {
+      const result = merge3(base, '<p>Intro!</p><p>Middle</p><p>End</p>', '<p>Intro</p><p>Middle</p><p>The end</p>');
+
+      expect(result.clean).toBe(true);
+      expect(result.merged).toBe('<p>Intro!</p><p>Middle</p><p>The end</p>');
+    });
+
+    test('should keep insertions and deletions from both sides', () => {
+      const result = merge3(base, '<p>Intro</p><p>End</p>', '<p>Intro</p><p>Middle</p><p>End</p><p>PS</p>');
+
+      expect(result.clean).toBe(true);
+      expect(result.merged).toBe('<p>Intro</p><p>End</p><p>PS</p>');
+    });
+
+    test('should accept identical edits on both sides', () => {
+      const edited = '<p>Intro</p><p>Centre</p><p>End</p>';
+      expect(merge3(base, edited, edited)).toMatchObject({ clean: true, merged: edited });
+    });
+
+    test('should report overlapping edits as conflicts', () => {
+      const result = merge3(base, '<p>Intro</p><p>Mine</p><p>End</p>', '<p>Intro</p><p>Theirs</p><p>End</p>');
+
+      expect(result.clean).toBe(false);
+      expect(result.chunks).toEqual([
+        { type: 'ok', lines: ['<p>Intro</p>'] },
+        { type: 'conflict', base: ['<p>Middle</p>'], ours: ['<p>Mine</p>'], theirs: ['<p>Theirs</p>'] },
+        { type: 'ok', lines: ['<p>End</p>'] },
+      ]);
+      expect(result.merged).toBe('<p>Intro</p><p>Mine</p><p>End</p>');
+    });
+
+    test('should treat a missing base as both sides adding everything', () => {
+      const result = merge3('', '<p>A</p>', '<p>B</p>');
+      expect(result.clean).toBe(false);
+      expect(merge3('', '<p>A</p>', '<p>A</p>').merged).toBe('<p>A</p>');
+    });
+  });
+
+  describe('diffWords', () => {
+    test('should mark inserted and deleted words', () => {
+      expect(diffWords('the quick brown fox', 'the slow brown fox jumps')).toEqual([
+        { type: 'equal', text: 'the ' },
+        { type: 'delete', text: 'quick' },
+        { type: 'insert', text: 'slow' },
+        { type: 'equal', text: ' brown fox' },
+        { type: 'insert', text: ' jumps' },
+      ]);
+    });
+
+    test('should rebuild either side from its parts', () => {
+      const before = 'Meeting moved to Friday. Bring the budget.';
+      const after = 'Meeting moved to Monday. Bring the revised budget and notes.';
+      const parts = diffWords(before, after);
+
+      expect(parts.filter(p => p.type !== 'insert').map(p => p.text).join('')).toBe(before);
+      expect(parts.filter(p => p.type !== 'delete').map(p => p.text).join('')).toBe(after);
+    });
+
+    test('should handle empty texts', () => {
+      expect(diffWords('', '')).toEqual([]);
+      expect(diffWords('', 'new')).toEqual([{ type: 'insert', text: 'new' }]);
+      expect(diffWords('old', '')).toEqual([{ type: 'delete', text: 'old' }]);
+    });
+
+    test('should compare sentences when too many words changed', () => {
+      // 6000 words a side, nearly all different: far too many to match word by word
+      const sentences = (prefix) => Array.from({ length: 600 }, (_, i) =>
+        `${prefix} sentence number ${i} has ten words in it, ${prefix}.`);
+      const shared = 'This sentence is in both versions.';
+      const withShared = (list) => [...list.slice(0, 300), shared, ...list.slice(300)].join(' ');
+      const before = withShared(sentences('old'));
+      const after = `${withShared(sentences('new'))} And one more.`;
+      const parts = diffWords(before, after);
+
+      expect(parts.filter(p => p.type !== 'insert').map(p => p.text).join('')).toBe(before);
+      expect(parts.filter(p => p.type !== 'delete').map(p => p.text).join('')).toBe(after);
+      expect(parts).toContainEqual({ type: 'equal', text: 'This sentence is in both versions. ' });
+      expect(parts.map(p => p.type)).toEqual(['delete', 'insert', 'equal', 'delete', 'insert']);
+    });
+  });
+
+  describe('createDelta', () => {
+    test('should keep, drop and insert lines', () => {
+      const from = '<p>A</p><p>B</p><p>C</p><p>D</p>';
+      const to = '<p>A</p><p>B2</p><p>C</p><p>D</p><p>E</p>';
+
+      expect(createDelta(from, to)).toEqual([1, -1, '<p>B2</p>', 2, '<p>E</p>']);
+      expect(createDelta(from, from)).toEqual([]);
+      expect(createDelta('', '<p>New</p>')).toEqual(['<p>New</p>']);
+    });
+
+    test('should round-trip through applyDelta', () => {
+      const pairs = [
+        ['<p>One</p><p>Two</p><p>Three</p>', '<p>Zero</p><p>Two</p><p>Three!</p>'],
+        ['line 1\nline 2\nline 3', 'line 2\nline 3\nline 4'],
+        ['<p>Gone</p>', ''],
+        ['', ''],
+      ];
+      pairs.forEach(([from, to]) => {
+        expect(applyDelta(from, createDelta(from, to))).toBe(to);
+      });
+    });
+  });
+});
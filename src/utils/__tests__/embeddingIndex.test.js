@@ -0,0 +1,66 @@
+import { createEmbeddingIndex, toUnitVector } from '../embeddingIndex';
+
+const embeddingOf = (note) => note.vector && { vector: note.vector, model: note.model || 'm' };
+
+// Deterministic pseudo-random vectors, so the hashed lookup can be compared with a full scan
+function vectors(count, dimensions, seed = 1) {
+  let state = seed;
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647 - 0.5;
+  };
+  return Array.from({ length: count }, () => Array.from({ length: dimensions }, random));
+}
+
+describe('Embedding index', () => {
+  test('should find the most similar notes with their cosine similarity', () => {
+    const index = createEmbeddingIndex({ vectorOf: embeddingOf });
+    index.sync([
+      { id: 'a', updatedAt: '1', vector: [1, 0] },
+      { id: 'b', updatedAt: '1', vector: [1, 1] },
+      { id: 'c', updatedAt: '1', vector: [0, 1] },
+      { id: 'd', updatedAt: '1', vector: [1, 0], model: 'other' },
+      { id: 'e', updatedAt: '1' },
+    ]);
+
+    const found = index.nearest({ vector: [2, 0], model: 'm' }, { excludeIds: ['a'] });
+
+    expect(found.map(({ note }) => note.id)).toEqual(['b', 'c']);
+    expect(found[0].similarity).toBeCloseTo(Math.SQRT1_2);
+    expect(index.nearest({ vector: [1, 0], model: 'm' }, { minSimilarity: 0.5 }).map(({ note }) => note.id)).toEqual(['a', 'b']);
+  });
+
+  test('should only reindex notes that changed and drop deleted ones', () => {
+    const vectorOf = jest.fn(embeddingOf);
+    const index = createEmbeddingIndex({ vectorOf });
+    const a = { id: 'a', updatedAt: '1', vector: [1, 0] };
+    const b = { id: 'b', updatedAt: '1', vector: [0, 1] };
+
+    expect(index.sync([a, b])).toBe(2);
+    expect(index.sync([a, b])).toBe(0);
+    expect(index.sync([{ ...a, updatedAt: '2', vector: [0, 1] }])).toBe(1);
+    expect(vectorOf).toHaveBeenCalledTimes(3);
+    expect(index.size()).toBe(1);
+    expect(index.nearest({ vector: [0, 1], model: 'm' })[0]).toMatchObject({ note: { id: 'a' }, similarity: expect.closeTo(1, 5) });
+  });
+
+  test('should find near neighbours in a large vault without comparing every note', () => {
+    const dimensions = 32;
+    const notes = vectors(2000, dimensions).map((vector, i) => ({ id: `n${i}`, updatedAt: '1', vector }));
+    const query = notes[0].vector.map((value, i) => value + (i % 2 ? 0.01 : -0.01));
+    const hashed = createEmbeddingIndex({ vectorOf: embeddingOf });
+    const exact = createEmbeddingIndex({ vectorOf: embeddingOf, exactBelow: Infinity });
+    hashed.sync(notes);
+    exact.sync(notes);
+
+    const best = hashed.nearest({ vector: query, model: 'm' }, { limit: 1 });
+
+    expect(best[0].note.id).toBe('n0');
+    expect(best[0].similarity).toBeCloseTo(exact.nearest({ vector: query, model: 'm' }, { limit: 1 })[0].similarity);
+  });
+
+  test('should scale vectors to unit length', () => {
+    expect(Array.from(toUnitVector([3, 4]))).toEqual([expect.closeTo(0.6, 5), expect.closeTo(0.8, 5)]);
+    expect(toUnitVector([0, 0])).toBeNull();
+  });
+});
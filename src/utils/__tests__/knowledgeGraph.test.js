@@ -0,0 +1,84 @@
+import { buildGraph, createSimilarityScan, EDGE_KINDS } from '../knowledgeGraph';
+import { createForceLayout } from '../graphLayout';
+
+const note = (id, overrides = {}) => ({ id, title: id, content: '', tags: [], ...overrides });
+
+describe('Knowledge graph', () => {
+  test('should join notes by links between them and by shared tags', () => {
+    const notes = [
+      note('a', { content: '<a href="/notes/b">B</a> <a href="/notes/gone">gone</a>', tags: ['Work'] }),
+      note('b', { content: '<a href="/notes/a">A</a>', tags: ['work'] }),
+      note('c', { tags: ['work', 'ideas'] }),
+      note('d', { tags: ['ideas'] }),
+    ];
+    const { nodes, edges } = buildGraph(notes);
+
+    expect(nodes.map(node => node.id)).toEqual(['a', 'b', 'c', 'd']);
+    expect(edges.filter(edge => edge.kind === EDGE_KINDS.LINK)).toEqual([
+      { source: 'a', target: 'b', kind: EDGE_KINDS.LINK, strength: 1 }
+    ]);
+    // a-b is already linked, so it isn't repeated as a tag edge
+    expect(edges.filter(edge => edge.kind === EDGE_KINDS.TAG).map(edge => `${edge.source}-${edge.target}`).sort())
+      .toEqual(['a-c', 'b-c', 'c-d']);
+  });
+
+  test('should leave out tags on too many notes', () => {
+    const notes = ['a', 'b', 'c'].map(id => note(id, { tags: ['everything'] }));
+
+    expect(buildGraph(notes, { maxTagSize: 2 }).edges).toEqual([]);
+  });
+
+  test('should find similar notes in steps, only comparing embeddings from the same model', () => {
+    const vectors = {
+      a: { vector: [1, 0, 0], model: 'm' },
+      b: { vector: [0.9, 0.1, 0], model: 'm' },
+      c: { vector: [0, 1, 0], model: 'm' },
+      d: { vector: [1, 0, 0], model: 'other' },
+      e: null,
+    };
+    const scan = createSimilarityScan(Object.keys(vectors).map(id => note(id)), {
+      vectorOf: ({ id }) => vectors[id],
+      threshold: 0.8,
+    });
+
+    while (!scan.step(5));
+
+    expect(scan.edges()).toEqual([
+      expect.objectContaining({ source: 'a', target: 'b', kind: EDGE_KINDS.SIMILAR, similarity: expect.closeTo(0.994, 3) })
+    ]);
+  });
+
+  test('should keep only the most similar neighbours of each note', () => {
+    const notes = ['a', 'b', 'c', 'd'].map(id => note(id));
+    const scan = createSimilarityScan(notes, {
+      vectorOf: () => ({ vector: [1, 1], model: 'm' }),
+      threshold: 0.5,
+      maxPerNote: 1,
+    });
+
+    while (!scan.step(5));
+
+    expect(scan.edges().length).toBeLessThanOrEqual(notes.length);
+  });
+
+  test('should lay out linked notes closer together than unlinked ones', () => {
+    const nodes = ['a', 'b', 'c', 'd'].map(id => ({ id }));
+    const layout = createForceLayout(nodes, [{ source: 'a', target: 'b', kind: EDGE_KINDS.LINK }]);
+
+    while (layout.tick());
+
+    const distance = (p, q) => Math.hypot(p.x - q.x, p.y - q.y);
+    const [a, b, c, d] = layout.nodes;
+    expect(layout.isSettled()).toBe(true);
+    expect(distance(a, b)).toBeLessThan(distance(c, d));
+    expect(a.degree).toBe(1);
+    expect(c.degree).toBe(0);
+    expect(layout.links()).toEqual([expect.objectContaining({ source: a, target: b, kind: EDGE_KINDS.LINK })]);
+  });
+
+  test('should start from earlier positions', () => {
+    const layout = createForceLayout([{ id: 'a' }], [], { positions: new Map([['a', { x: 5, y: 7 }]]) });
+
+    expect(layout.nodes[0]).toMatchObject({ x: 5, y: 7 });
+  });
+});
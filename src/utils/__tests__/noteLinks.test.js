@@ -0,0 +1,125 @@
+import {
+  linkedNoteIds,
+  findBacklinks,
+  findNoteByTitle,
+  openWikiLinkQuery,
+  closedWikiLinkBefore,
+  suggestNotes,
+  resolveWikiLinks,
+  retitleLinks,
+  retargetLinks,
+  findUnlinkedMentions,
+  linkFirstMention,
+} from '../noteLinks';
+import { withHeadingAnchors } from '../tableOfContents';
+import { sanitizeHtml } from '../sanitizeHtml';
+
+describe('Note links', () => {
+  test('should find the notes a note links to, relative or absolute', () => {
+    const html = '<p><a href="/notes/a">A</a> <a href="https://vault.example.com/notes/b?x=1">B</a> '
+      + '<a href="/notes/a">again</a> <a href="https://example.com">elsewhere</a> <a href="/tags/b">tag</a></p>';
+
+    expect(linkedNoteIds(html)).toEqual(['a', 'b']);
+    expect(linkedNoteIds('')).toEqual([]);
+  });
+
+  test('should find backlinks, not counting the note itself', () => {
+    const note = { id: 'a', content: '<a href="/notes/a">self</a>' };
+    const notes = [
+      note,
+      { id: 'b', content: '<p>See <a href="/notes/a">A</a></p>' },
+      { id: 'c', content: '<p>Nothing here</p>' },
+    ];
+
+    expect(findBacklinks(note, notes).map(other => other.id)).toEqual(['b']);
+  });
+
+  test('should resolve titles to the most recently updated note, ignoring case', () => {
+    const notes = [
+      { id: 'old', title: 'Roadmap', updatedAt: '2024-01-01T00:00:00.000Z' },
+      { id: 'new', title: 'roadmap ', updatedAt: '2024-02-01T00:00:00.000Z' },
+    ];
+
+    expect(findNoteByTitle('ROADMAP', notes).id).toBe('new');
+    expect(findNoteByTitle('Missing', notes)).toBeNull();
+  });
+
+  test('should spot open and just-closed [[links before the cursor', () => {
+    expect(openWikiLinkQuery('See [[Road')).toBe('Road');
+    expect(openWikiLinkQuery('See [[')).toBe('');
+    expect(openWikiLinkQuery('See [[Roadmap]] and')).toBeNull();
+    expect(closedWikiLinkBefore('See [[Roadmap|the plan]]')).toEqual({ length: 20, title: 'Roadmap', text: 'the plan' });
+    expect(closedWikiLinkBefore('See [[Roadmap]] ')).toBeNull();
+  });
+
+  test('should suggest titles starting with the query first, without the note itself', () => {
+    const notes = [
+      { id: 'a', title: 'Product roadmap' },
+      { id: 'b', title: 'Roadmap' },
+      { id: 'c', title: 'Road trip' },
+      { id: 'd', title: 'Groceries' },
+    ];
+
+    expect(suggestNotes('road', notes, { excludeId: 'c' }).map(n => n.id)).toEqual(['b', 'a']);
+  });
+
+  test('should turn typed [[links]] into links to note ids, leaving unknown titles', () => {
+    const notes = [{ id: 'a', title: 'Roadmap' }];
+    const html = resolveWikiLinks('<p>See [[roadmap]], [[Roadmap|the plan]] and [[Missing]]</p>', notes);
+
+    expect(html).toBe('<p>See <a href="/notes/a">Roadmap</a>, <a href="/notes/a">the plan</a> and [[Missing]]</p>');
+  });
+
+  test('should retitle only links showing the old title', () => {
+    const html = '<p><a href="/notes/a">R&amp;D</a> <a href="/notes/a">plan</a> <a href="/notes/b">R&amp;D</a></p>';
+
+    expect(retitleLinks(html, 'a', 'R&D', 'Research')).toBe(
+      '<p><a href="/notes/a">Research</a> <a href="/notes/a">plan</a> <a href="/notes/b">R&amp;D</a></p>'
+    );
+  });
+
+  test('should point links at another note', () => {
+    const html = '<a href="/notes/a">A</a> <a href="https://vault.example.com/notes/a/edit">edit</a> <a href="/notes/ab">AB</a>';
+
+    expect(retargetLinks(html, 'a', 'z')).toBe(
+      '<a href="/notes/z">A</a> <a href="https://vault.example.com/notes/z/edit">edit</a> <a href="/notes/ab">AB</a>'
+    );
+  });
+
+  test('should find and link unlinked mentions of a title', () => {
+    const note = { id: 'a', title: 'Roadmap' };
+    const notes = [
+      note,
+      { id: 'b', content: '<p>The roadmap is ready</p>' },
+      { id: 'c', content: '<p>See <a href="/notes/a">Roadmap</a></p>' },
+      { id: 'd', content: '<p>Roadmaps in general</p>' },
+    ];
+
+    expect(findUnlinkedMentions(note, notes).map(n => n.id)).toEqual(['b']);
+    expect(findUnlinkedMentions({ id: 'x', title: 'Untitled' }, notes)).toEqual([]);
+    expect(linkFirstMention(notes[1].content, note)).toBe('<p>The <a href="/notes/a">roadmap</a> is ready</p>');
+  });
+
+  test('should keep links into the app in the same tab', () => {
+    const html = sanitizeHtml('<a href="/notes/a">A</a><a href="https://example.com">B</a>');
+
+    expect(html).toBe('<a href="/notes/a">A</a><a href="https://example.com" target="_blank" rel="noopener noreferrer nofollow">B</a>');
+  });
+});
+
+describe('Table of contents', () => {
+  test('should give headings unique anchors and list them', () => {
+    const { html, headings } = withHeadingAnchors('<h1>Plan</h1><p>text</p><h2>Next steps!</h2><h2>Next steps</h2><h2> </h2>');
+
+    expect(headings).toEqual([
+      { id: 'h-plan', text: 'Plan', level: 1 },
+      { id: 'h-next-steps', text: 'Next steps!', level: 2 },
+      { id: 'h-next-steps-2', text: 'Next steps', level: 2 },
+    ]);
+    expect(html).toContain('<h2 id="h-next-steps-2">Next steps</h2>');
+  });
+
+  test('should handle empty content', () => {
+    expect(withHeadingAnchors('')).toEqual({ html: '', headings: [] });
+  });
+});
@@ -0,0 +1,48 @@
+import { buildNotebookTree, notebookSubtree, notebookBreadcrumbs, canMoveNotebook, notebooksNamed } from '../notebookTree';
+
+// Children listed before their parents, as stores return them in no particular order
+const notebooks = [
+  { id: 'q3', name: 'Q3', parentId: 'plans' },
+  { id: 'plans', name: 'Plans', parentId: 'work' },
+  { id: 'work', name: 'Work', parentId: null },
+  { id: 'archive', name: 'Archive', parentId: 'work' },
+  { id: 'home', name: 'Home', parentId: null },
+  // Shared from a notebook this user can't see
+  { id: 'orphan', name: 'Team', parentId: 'someone-elses' },
+];
+
+describe('Notebook tree', () => {
+  test('should nest notebooks under their parents, each level by name', () => {
+    const names = (nodes) => nodes.map(({ notebook, children }) => (
+      children.length ? [notebook.name, names(children)] : notebook.name
+    ));
+
+    expect(names(buildNotebookTree(notebooks))).toEqual([
+      'Home',
+      'Team',
+      ['Work', ['Archive', ['Plans', ['Q3']]]],
+    ]);
+  });
+
+  test('should find every notebook nested in one', () => {
+    expect([...notebookSubtree(notebooks, 'work')].sort()).toEqual(['archive', 'plans', 'q3', 'work']);
+    expect([...notebookSubtree(notebooks, 'q3')]).toEqual(['q3']);
+  });
+
+  test('should give the path down to a notebook', () => {
+    expect(notebookBreadcrumbs(notebooks, 'q3').map(notebook => notebook.name)).toEqual(['Work', 'Plans', 'Q3']);
+    expect(notebookBreadcrumbs(notebooks, 'missing')).toEqual([]);
+  });
+
+  test('should not move a notebook inside itself', () => {
+    expect(canMoveNotebook(notebooks, 'work', 'q3')).toBe(false);
+    expect(canMoveNotebook(notebooks, 'work', 'work')).toBe(false);
+    expect(canMoveNotebook(notebooks, 'q3', 'home')).toBe(true);
+    expect(canMoveNotebook(notebooks, 'q3', null)).toBe(true);
+  });
+
+  test('should look notebooks up by name, ignoring case', () => {
+    expect([...notebooksNamed(notebooks, 'plans')].sort()).toEqual(['plans', 'q3']);
+    expect(notebooksNamed(notebooks, 'nothing').size).toBe(0);
+  });
+});
@@ -0,0 +1,24 @@
+import { notePath, editNotePath, tagPath, notebookPath, readSearch, writeSearch } from '../routes';
+
+describe('Routes', () => {
+  test('should build note, tag and notebook addresses', () => {
+    expect(notePath('abc')).toBe('/notes/abc');
+    expect(editNotePath('abc')).toBe('/notes/abc/edit');
+    expect(tagPath('machine learning')).toBe('/tags/machine%20learning');
+    expect(notebookPath('nb/1')).toBe('/notebooks/nb%2F1');
+  });
+
+  test('should read the search from the query string, with defaults', () => {
+    expect(readSearch(new URLSearchParams('q=roadmap&type=semantic'))).toEqual({ query: 'roadmap', searchType: 'semantic' });
+    expect(readSearch(new URLSearchParams(''))).toEqual({ query: '', searchType: 'hybrid' });
+  });
+
+  test('should write only non-default search fields and keep other parameters', () => {
+    const params = new URLSearchParams('q=old&other=1');
+
+    expect(writeSearch(params, { query: 'new plan', searchType: 'semantic' }).toString()).toBe('q=new+plan&other=1&type=semantic');
+    expect(writeSearch(params, { query: '', searchType: 'hybrid' }).toString()).toBe('other=1');
+    expect(writeSearch(params, { searchType: 'text' }).toString()).toBe('q=old&other=1&type=text');
+    expect(params.toString()).toBe('q=old&other=1');
+  });
+});
@@ -0,0 +1,68 @@
+import { createSearchIndex, termsOf } from '../searchIndex';
+
+const note = (id, fields) => ({ id, updatedAt: '1', title: '', content: '', tags: [], ...fields });
+
+describe('Search index', () => {
+  test('should index stemmed terms without markup or stopwords', () => {
+    expect(termsOf("The team's running tests").map(({ term }) => term)).toEqual(['team', 'run', 'test']);
+
+    const index = createSearchIndex();
+    index.sync([note('a', { content: '<p class="lead">Running <a href="/notes/b">tests</a></p>' })]);
+
+    expect(index.matches('a', 'runs')).toBe(true);
+    expect(index.matches('a', 'lead')).toBe(false);
+    expect(index.matches('a', 'href')).toBe(false);
+    expect(index.matches('a', 'the')).toBe(true);
+  });
+
+  test('should match prefixes and typos, for less than the word itself', () => {
+    const index = createSearchIndex();
+    index.sync([note('a', { content: 'Kubernetes deployment' })]);
+
+    expect(index.matches('a', 'kube')).toBe(true);
+    expect(index.matches('a', 'deploymnet')).toBe(true);
+    expect(index.matches('a', 'ku')).toBe(false);
+    expect(index.matches('a', 'deploy', 'title')).toBe(false);
+    expect(index.expand('kubernetes')[0]).toEqual({ term: 'kubernet', weight: 1 });
+    expect(index.expand('kube')[0].weight).toBeLessThan(1);
+  });
+
+  test('should rank with BM25, counting rare terms and titles more', () => {
+    const index = createSearchIndex();
+    index.sync([
+      note('title', { title: 'Budget', content: 'Numbers for the year' }),
+      note('text', { title: 'Notes', content: 'The budget is tight this year' }),
+      note('other', { title: 'Holiday', content: 'Plans for the year' }),
+    ]);
+
+    expect(index.score('title', ['budget'])).toBeGreaterThan(index.score('text', ['budget']));
+    expect(index.score('text', ['budget'])).toBeGreaterThan(index.score('text', ['year']));
+    expect(index.score('other', ['budget'])).toBe(0);
+  });
+
+  test('should reindex changed notes and forget deleted ones', () => {
+    const index = createSearchIndex();
+    const first = note('a', { content: 'alpha' });
+
+    expect(index.sync([first, note('b', { content: 'beta' })])).toBe(2);
+    expect(index.sync([first, note('b', { content: 'beta' })])).toBe(0);
+    expect(index.sync([{ ...first, updatedAt: '2', content: 'gamma' }])).toBe(1);
+    expect(index.matches('a', 'alpha')).toBe(false);
+    expect(index.matches('a', 'gamma')).toBe(true);
+    expect(index.matches('b', 'beta')).toBe(false);
+    expect(index.size()).toBe(1);
+  });
+
+  test('should cut a snippet around the matches', () => {
+    const filler = 'Lorem ipsum dolor sit amet. '.repeat(10);
+    const index = createSearchIndex();
+    index.sync([note('a', { content: `<p>${filler}The release plan covers storage.</p><p>${filler}</p>` })]);
+
+    const snippet = index.snippet('a', ['storage'], ['release plan']);
+
+    expect(snippet[0]).toEqual({ text: '…', match: false });
+    expect(snippet.filter(piece => piece.match).map(piece => piece.text)).toEqual(['release plan', 'storage']);
+    expect(snippet.map(piece => piece.text).join('').length).toBeLessThanOrEqual(165);
+    expect(index.snippet('a', ['missing'])).toBeNull();
+  });
+});
@@ -0,0 +1,179 @@
+import { parseSearchQuery, matchesQuery, queryTerms, queryFilters, searchNotes } from '../searchQuery';
+import { createSearchIndex } from '../searchIndex';
+
+const now = new Date(2026, 2, 15, 12).getTime();
+const daysAgo = (days) => new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+
+const notes = [
+  {
+    id: 'plan',
+    title: 'Release plan',
+    content: '<p>Ship the <b>storage</b> layer, then the sync engine.</p>',
+    tags: ['Work', 'q3'],
+    summary: 'Plans for the release',
+    createdAt: new Date(2026, 0, 10).toISOString(),
+    updatedAt: daysAgo(2),
+    notebookId: 'releases',
+  },
+  {
+    id: 'draft',
+    title: 'Draft blog post',
+    content: '<p>Storage engines compared. See <a href="/notes/plan">the plan</a>.</p>',
+    tags: ['writing'],
+    createdAt: new Date(2025, 11, 31).toISOString(),
+    updatedAt: daysAgo(20),
+    sharedWith: ['bob'],
+    notebookId: 'writing',
+  },
+  {
+    id: 'shared',
+    title: 'Team handbook',
+    content: '<p>How we work</p>',
+    tags: ['work'],
+    ownerId: 'bob',
+    collaborators: { alice: { role: 'viewer' } },
+    sharedWith: ['alice'],
+    createdAt: new Date(2026, 2, 15, 9).toISOString(),
+    updatedAt: daysAgo(0),
+  },
+];
+
+const notebooks = [
+  { id: 'work', name: 'Work', parentId: null },
+  { id: 'releases', name: 'Q3 releases', parentId: 'work' },
+  { id: 'writing', name: 'Writing', parentId: null },
+];
+
+const index = createSearchIndex();
+index.sync(notes);
+
+const find = (query) => {
+  const { ast, errors } = parseSearchQuery(query);
+  expect(errors).toEqual([]);
+  return notes.filter(note => matchesQuery(note, ast, { index, userId: 'alice', now, notebooks })).map(note => note.id);
+};
+
+describe('Search query', () => {
+  test('should require every term and match text, titles, summaries and tags', () => {
+    expect(find('storage')).toEqual(['plan', 'draft']);
+    expect(find('storage engine')).toEqual(['plan', 'draft']);
+    expect(find('"sync engine"')).toEqual(['plan']);
+    expect(find('release')).toEqual(['plan']);
+    expect(find('writ')).toEqual(['draft']);
+    // Markup isn't searched
+    expect(find('href')).toEqual([]);
+  });
+
+  test('should match word forms, partly typed words and typos', () => {
+    expect(find('engines')).toEqual(['plan', 'draft']);
+    expect(find('stor')).toEqual(['plan', 'draft']);
+    expect(find('handbok')).toEqual(['shared']);
+    expect(find('title:relase')).toEqual(['plan']);
+    // Phrases are matched as typed
+    expect(find('"sync engines"')).toEqual([]);
+  });
+
+  test('should combine terms with OR, NOT and parentheses', () => {
+    expect(find('handbook OR blog')).toEqual(['draft', 'shared']);
+    expect(find('storage NOT draft')).toEqual(['plan']);
+    expect(find('storage -"blog post"')).toEqual(['plan']);
+    expect(find('(handbook OR blog) AND storage')).toEqual(['draft']);
+    // AND binds tighter than OR
+    expect(find('work OR blog release')).toEqual(['plan', 'shared']);
+  });
+
+  test('should filter by field', () => {
+    expect(find('tag:work')).toEqual(['plan', 'shared']);
+    expect(find('tag:wor')).toEqual([]);
+    expect(find('title:"release plan"')).toEqual(['plan']);
+    expect(find('title:storage')).toEqual([]);
+    expect(find('content:storage summary:release')).toEqual(['plan']);
+    expect(find('has:summary')).toEqual(['plan']);
+    expect(find('has:links')).toEqual(['draft']);
+    expect(find('-has:tags')).toEqual([]);
+  });
+
+  test('should filter by sharing', () => {
+    expect(find('shared:me')).toEqual(['shared']);
+    expect(find('shared:others')).toEqual(['draft']);
+    expect(find('shared:yes')).toEqual(['draft', 'shared']);
+    expect(find('shared:no')).toEqual(['plan']);
+  });
+
+  test('should filter by absolute and relative dates', () => {
+    expect(find('created:>2026-01-01')).toEqual(['plan', 'shared']);
+    expect(find('created:<2026-01-01')).toEqual(['draft']);
+    expect(find('created:2026-01-10')).toEqual(['plan']);
+    expect(find('created:<=2026-01-10')).toEqual(['plan', 'draft']);
+    expect(find('updated:last-7d')).toEqual(['plan', 'shared']);
+    expect(find('updated:<last-1w')).toEqual(['draft']);
+    expect(find('created:today')).toEqual(['shared']);
+    // 15 March 2026 is a Sunday, so the week started on the 9th
+    expect(find('updated:this-week')).toEqual(['plan', 'shared']);
+    expect(find('created:this-month')).toEqual(['shared']);
+    expect(find('created:this-year')).toEqual(['plan', 'shared']);
+  });
+
+  test('should filter by notebook, including the notebooks nested in it', () => {
+    expect(find('notebook:work')).toEqual(['plan']);
+    expect(find('notebook:"Q3 releases"')).toEqual(['plan']);
+    expect(find('storage -notebook:writing')).toEqual(['plan']);
+    expect(find('notebook:archive')).toEqual([]);
+  });
+
+  test('should report syntax errors with their position', () => {
+    const errorsOf = (query) => parseSearchQuery(query).errors.map(({ message, start, end }) => [message, start, end]);
+
+    expect(errorsOf('"release plan')).toEqual([['Missing closing quote', 0, 13]]);
+    expect(errorsOf('(work OR')).toEqual([['Nothing after OR', 6, 8], ['Missing closing parenthesis', 0, 1]]);
+    expect(errorsOf('work)')).toEqual([['Unmatched closing parenthesis', 4, 5]]);
+    expect(errorsOf('AND work')).toEqual([['Nothing before AND', 0, 3]]);
+    expect(errorsOf('work NOT')).toEqual([['Nothing after NOT', 5, 8]]);
+    expect(errorsOf('tga:work')[0][0]).toMatch('Unknown field "tga:"');
+    expect(errorsOf('created:2026-02-30')[0][0]).toMatch("isn't a date");
+    expect(errorsOf('shared:everyone')[0][0]).toBe('Use shared:me, shared:others, shared:yes, shared:no');
+    expect(errorsOf('title:')[0][0]).toBe('Nothing to look for after "title:"');
+  });
+
+  test('should leave lowercase operators, hyphenated words and addresses as text', () => {
+    expect(parseSearchQuery('this or that').ast.children.map(node => node.value)).toEqual(['this', 'or', 'that']);
+    expect(parseSearchQuery('e-mail').ast).toEqual({ type: 'term', field: null, value: 'e-mail', phrase: false });
+    expect(parseSearchQuery('https://example.com').errors).toEqual([]);
+  });
+
+  test('should list the terms searched for, without negated ones and filters', () => {
+    const { ast } = parseSearchQuery('plan "sync engine" -draft tag:work title:release');
+
+    expect(queryTerms(ast).map(term => term.value)).toEqual(['plan', 'sync engine', 'release']);
+  });
+
+  test('should keep only the filters of a query', () => {
+    const filtersOf = (query) => queryFilters(parseSearchQuery(query).ast);
+
+    expect(filtersOf('plan tag:work -draft')).toEqual({
+      type: 'and',
+      children: [{ type: 'tag', value: 'work' }, { type: 'not', child: { type: 'term', field: null, value: 'draft', phrase: false } }],
+    });
+    expect(filtersOf('plan OR tag:work')).toBeNull();
+    expect(filtersOf('(has:summary OR tag:work) "release plan"')).toEqual({
+      type: 'or',
+      children: [{ type: 'has', value: 'summary' }, { type: 'tag', value: 'work' }],
+    });
+  });
+
+  test('should rank matches and mark them in a snippet', () => {
+    const { results, errors } = searchNotes(notes, 'storage OR plan', { userId: 'alice', now });
+
+    expect(errors).toEqual([]);
+    expect(results.map(note => note.id)).toEqual(['plan', 'draft']);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+    expect(results[1].snippet).toEqual([
+      { text: 'Storage', match: true },
+      { text: ' engines compared. See the ', match: false },
+      { text: 'plan', match: true },
+      { text: '.', match: false },
+    ]);
+    expect(searchNotes(notes, 'tag:work', { userId: 'alice', now }).results.map(note => note.id)).toEqual(['shared', 'plan']);
+    expect(searchNotes(notes, 'plan)', {}).results).toEqual([]);
+  });
+});
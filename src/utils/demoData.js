@@ -22,8 +22,7 @@ export const demoNotes = [
     tags: ['welcome', 'tutorial', 'features', 'getting-started'],
     ownerId: 'demo-user',
     createdAt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(), // 7 days ago
-    updatedAt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(),
-    versions: []
+    updatedAt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString()
   },
   {
     id: 'demo-2',
@@ -58,8 +57,7 @@ export const demoNotes = [
     tags: ['project-planning', 'ai', 'integration', 'timeline', 'budget'],
     ownerId: 'demo-user',
     createdAt: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString(), // 5 days ago
-    updatedAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString(), // 3 days ago
-    versions: []
+    updatedAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString() // 3 days ago
   },
   {
     id: 'demo-3',
@@ -96,8 +94,7 @@ export const demoNotes = [
     tags: ['meeting-notes', 'standup', 'team', 'action-items', 'blockers'],
     ownerId: 'demo-user',
     createdAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(), // 2 days ago
-    updatedAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(),
-    versions: []
+    updatedAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString()
   },
   {
     id: 'demo-4',
@@ -137,8 +134,7 @@ export const demoNotes = [
     tags: ['recipe', 'baking', 'cookies', 'dessert', 'chocolate'],
     ownerId: 'demo-user',
     createdAt: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString(), // 1 day ago
-    updatedAt: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString(),
-    versions: []
+    updatedAt: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString()
   },
   {
     id: 'demo-5',
@@ -180,34 +176,58 @@ export const demoNotes = [
     tags: ['react', 'hooks', 'javascript', 'programming', 'learning'],
     ownerId: 'demo-user',
     createdAt: new Date(Date.now() - 6 * 60 * 60 * 1000).toISOString(), // 6 hours ago
-    updatedAt: new Date(Date.now() - 6 * 60 * 60 * 1000).toISOString(),
-    versions: []
+    updatedAt: new Date(Date.now() - 6 * 60 * 60 * 1000).toISOString()
   }
 ];
 
+const demoLoadedKey = (userId) => `demoDataLoaded:${userId}`;
+
 /**
- * Load demo data into localStorage
- * This function can be called to populate the app with sample notes
+ * Load demo data into the user's vault
+ * Only runs once per user, and only while the vault is empty
+ * @param {Object} repository - Notes repository
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - Whether demo notes were added
  */
-export function loadDemoData() {
-  const existingNotes = JSON.parse(localStorage.getItem('notes') || '[]');
-  
+export async function loadDemoData(repository, userId) {
+  if (localStorage.getItem(demoLoadedKey(userId))) {
+    return false;
+  }
+
+  const existingNotes = await repository.listNotes(userId);
+  localStorage.setItem(demoLoadedKey(userId), new Date().toISOString());
+
   // Only load demo data if no notes exist
   if (existingNotes.length === 0) {
-    localStorage.setItem('notes', JSON.stringify(demoNotes));
+    await seedDemoNotes(repository, userId);
     console.log('Demo data loaded successfully!');
     return true;
   }
-  
+
   console.log('Notes already exist, demo data not loaded');
   return false;
 }
 
 /**
- * Clear all notes and reload demo data
+ * Clear all of the user's notes and reload demo data
+ * @param {Object} repository - Notes repository
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
  */
-export function resetToDemoData() {
-  localStorage.setItem('notes', JSON.stringify(demoNotes));
+export async function resetToDemoData(repository, userId) {
+  const existingNotes = await repository.listNotes(userId);
+  for (const note of existingNotes) {
+    await repository.deleteNote(note.id, userId);
+  }
+  await seedDemoNotes(repository, userId);
   console.log('Reset to demo data successfully!');
   return true;
 }
+
+// Demo ids are shared by everyone, so each user gets copies with fresh ids
+async function seedDemoNotes(repository, userId) {
+  for (const note of demoNotes) {
+    const { id, ...demoNote } = note;
+    await repository.saveNote(demoNote, userId);
+  }
+}
@@ -0,0 +1,267 @@
+// Line and word diffs, and three-way merges, for note content
+
+const BLOCK_END = /(<\/(?:p|h[1-6]|li|ul|ol|pre|blockquote)>|<br\s*\/?>)/gi;
+
+/**
+ * Split note content into lines. HTML is split after each block element,
+ * so joining the lines with '' gives back the original content.
+ * @param {string} content - Note content (HTML or plain text)
+ * @returns {string[]} - Lines
+ */
+export function splitLines(content) {
+  if (!content) return [];
+  return content
+    .replace(BLOCK_END, '$1\u0000')
+    .replace(/\n/g, '\n\u0000')
+    .split('\u0000')
+    .filter(line => line !== '');
+}
+
+// Largest LCS table matchSequences builds: 4M cells, 16 MB
+const MAX_MATCH_CELLS = 4000000;
+
+const fitsMatchTable = (n, m) => n * m <= MAX_MATCH_CELLS;
+
+/**
+ * Longest common subsequence of two sequences. Sequences too long to compare
+ * in full (see MAX_MATCH_CELLS) match nothing, so they come out as replaced.
+ * @param {Array} a - First sequence
+ * @param {Array} b - Second sequence
+ * @returns {Array<[number, number]>} - Matched index pairs, in order
+ */
+export function matchSequences(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (!fitsMatchTable(n, m)) return [];
+  // lengths[i * (m + 1) + j] = LCS length of a[i:] and b[j:]
+  const lengths = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * (m + 1) + j] = a[i] === b[j]
+        ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+    }
+  }
+
+  const matches = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      matches.push([i, j]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matches;
+}
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, i) => line === b[i]);
+
+/**
+ * Three-way merge of two edits of the same base content.
+ * Changes made on only one side are applied; overlapping changes that differ
+ * become conflict chunks for the user to settle.
+ * @param {string} base - Common ancestor content
+ * @param {string} ours - Our edit
+ * @param {string} theirs - Their edit
+ * @returns {{clean: boolean, merged: string, chunks: Array}} - merged takes our side of any conflict;
+ *   chunks are {type: 'ok', lines} or {type: 'conflict', base, ours, theirs}
+ */
+export function merge3(base, ours, theirs) {
+  const baseLines = splitLines(base);
+  const ourLines = splitLines(ours);
+  const theirLines = splitLines(theirs);
+
+  const ourMatches = new Map(matchSequences(baseLines, ourLines));
+  const theirMatches = new Map(matchSequences(baseLines, theirLines));
+
+  const chunks = [];
+  const pushLines = (lines) => {
+    if (lines.length === 0) return;
+    const last = chunks[chunks.length - 1];
+    if (last?.type === 'ok') {
+      last.lines.push(...lines);
+    } else {
+      chunks.push({ type: 'ok', lines: [...lines] });
+    }
+  };
+  const pushChange = (baseChunk, ourChunk, theirChunk) => {
+    if (sameLines(ourChunk, baseChunk)) {
+      pushLines(theirChunk);
+    } else if (sameLines(theirChunk, baseChunk) || sameLines(ourChunk, theirChunk)) {
+      pushLines(ourChunk);
+    } else {
+      chunks.push({ type: 'conflict', base: baseChunk, ours: ourChunk, theirs: theirChunk });
+    }
+  };
+
+  // Walk the base, syncing up on lines both sides kept unchanged
+  let b = 0;
+  let o = 0;
+  let t = 0;
+  for (let i = 0; i <= baseLines.length; i++) {
+    const stable = i < baseLines.length && ourMatches.has(i) && theirMatches.has(i);
+    if (!stable && i < baseLines.length) continue;
+
+    const oi = stable ? ourMatches.get(i) : ourLines.length;
+    const ti = stable ? theirMatches.get(i) : theirLines.length;
+    if (i > b || oi > o || ti > t) {
+      pushChange(baseLines.slice(b, i), ourLines.slice(o, oi), theirLines.slice(t, ti));
+    }
+    if (stable) {
+      pushLines([baseLines[i]]);
+    }
+    b = i + 1;
+    o = oi + 1;
+    t = ti + 1;
+  }
+
+  return {
+    clean: chunks.every(chunk => chunk.type === 'ok'),
+    merged: chunks.map(chunk => (chunk.type === 'ok' ? chunk.lines : chunk.ours).join('')).join(''),
+    chunks,
+  };
+}
+
+/**
+ * Word-level diff of two texts. Whitespace is kept, so joining the parts of
+ * one side gives back that text. When too many words changed to compare them
+ * one by one, whole sentences are compared instead.
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{type: 'equal'|'insert'|'delete', text: string}>} - Diff parts, in order
+ */
+export function diffWords(before, after) {
+  return diffTokens(splitWords(before || ''), splitWords(after || ''), () =>
+    diffTokens(splitSentences(before || ''), splitSentences(after || ''))
+  );
+}
+
+const splitWords = (text) => text.split(/(\s+)/).filter(Boolean);
+
+// Sentences keep their trailing whitespace
+const splitSentences = (text) => text.split(/(?<=[.!?]\s+)/).filter(Boolean);
+
+function diffTokens(a, b, tooLarge) {
+  // Only run the quadratic match on the part that changed
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  if (tooLarge && !fitsMatchTable(endA - start, endB - start)) return tooLarge();
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  push('equal', a.slice(0, start).join(''));
+  let i = start;
+  let j = start;
+  for (const [mi, mj] of matchSequences(a.slice(start, endA), b.slice(start, endB))) {
+    while (i < start + mi) push('delete', a[i++]);
+    while (j < start + mj) push('insert', b[j++]);
+    push('equal', a[i]);
+    i++;
+    j++;
+  }
+  while (i < endA) push('delete', a[i++]);
+  while (j < endB) push('insert', b[j++]);
+  push('equal', a.slice(endA).join(''));
+
+  return parts.filter(part => part.text !== '');
+}
+
+/**
+ * Compact line delta that turns one text into another. Ops are numbers and strings:
+ * a positive n keeps the next n lines, a negative n drops the next -n lines, and a
+ * string is inserted. Lines left over after the last op are kept.
+ * @param {string} from - Old content
+ * @param {string} to - New content
+ * @returns {Array<number|string>} - Delta ops
+ */
+export function createDelta(from, to) {
+  const a = splitLines(from);
+  const b = splitLines(to);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  const keep = (n) => {
+    if (n <= 0) return;
+    if (typeof ops[ops.length - 1] === 'number' && ops[ops.length - 1] > 0) ops[ops.length - 1] += n;
+    else ops.push(n);
+  };
+  const drop = (n) => {
+    if (n <= 0) return;
+    if (typeof ops[ops.length - 1] === 'number' && ops[ops.length - 1] < 0) ops[ops.length - 1] -= n;
+    else ops.push(-n);
+  };
+  const insert = (lines) => {
+    if (lines.length === 0) return;
+    if (typeof ops[ops.length - 1] === 'string') ops[ops.length - 1] += lines.join('');
+    else ops.push(lines.join(''));
+  };
+
+  keep(start);
+  let i = start;
+  let j = start;
+  for (const [mi, mj] of matchSequences(a.slice(start, endA), b.slice(start, endB))) {
+    drop(start + mi - i);
+    insert(b.slice(j, start + mj));
+    keep(1);
+    i = start + mi + 1;
+    j = start + mj + 1;
+  }
+  drop(endA - i);
+  insert(b.slice(j, endB));
+
+  // Trailing keeps are implied
+  while (typeof ops[ops.length - 1] === 'number' && ops[ops.length - 1] > 0) ops.pop();
+  return ops;
+}
+
+/**
+ * Apply a delta made by createDelta
+ * @param {string} from - Content the delta was made against
+ * @param {Array<number|string>} delta - Delta ops
+ * @returns {string} - New content
+ */
+export function applyDelta(from, delta) {
+  const lines = splitLines(from);
+  const out = [];
+  let i = 0;
+  for (const op of delta) {
+    if (typeof op === 'string') {
+      out.push(op);
+    } else if (op > 0) {
+      out.push(...lines.slice(i, i + op));
+      i += op;
+    } else {
+      i -= op;
+    }
+  }
+  out.push(...lines.slice(i));
+  return out.join('');
+}
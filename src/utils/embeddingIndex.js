@@ -0,0 +1,188 @@
+// Nearest-neighbour lookup over note embeddings.
+// Small vaults are simply scanned. Larger ones are hashed with random hyperplanes
+// (locality-sensitive hashing): similar vectors tend to fall on the same side of each plane,
+// so only notes in the query's buckets (and the buckets one bit away) are compared exactly.
+// The index is kept up to date note by note, so a save doesn't rebuild it.
+
+const DEFAULT_BITS = 10;
+const DEFAULT_TABLES = 4;
+// Below this many notes with comparable embeddings, scanning them all is cheaper than hashing
+const EXACT_BELOW = 500;
+
+/**
+ * Scale a vector to unit length; dot products of unit vectors are their cosine similarity
+ * @param {number[]} vector - Vector
+ * @returns {Float32Array|null} - Unit vector, or null for an all-zero vector
+ */
+export function toUnitVector(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+  if (norm === 0) return null;
+  const unit = new Float32Array(vector.length);
+  for (let i = 0; i < vector.length; i++) unit[i] = vector[i] / norm;
+  return unit;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// Seeded, so every device (and every test run) hashes the same way
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function createPlanes(dimensions, bits, tables) {
+  const random = createRandom(dimensions * 7919 + bits * 31 + tables);
+  return Array.from({ length: tables }, () => Array.from({ length: bits }, () => {
+    const plane = new Float32Array(dimensions);
+    for (let i = 0; i < dimensions; i++) plane[i] = random() * 2 - 1;
+    return plane;
+  }));
+}
+
+function hashCode(planes, unit) {
+  let code = 0;
+  planes.forEach((plane, bit) => {
+    if (dot(plane, unit) >= 0) code |= 1 << bit;
+  });
+  return code;
+}
+
+/**
+ * Create an index for finding the notes most similar to an embedding
+ * @param {Object} options - { vectorOf(note) -> {vector, model}|null; versionOf(note): changes
+ *   when the note's embedding does; bits, tables: hashing parameters; exactBelow }
+ * @returns {Object} - { sync(notes), nearest(embedding, options), size() }
+ */
+export function createEmbeddingIndex({
+  vectorOf,
+  versionOf = (note) => note.updatedAt,
+  bits = DEFAULT_BITS,
+  tables = DEFAULT_TABLES,
+  exactBelow = EXACT_BELOW,
+} = {}) {
+  const entries = new Map();
+  // Embeddings from different models (or sizes) live in separate groups and are never compared
+  const groups = new Map();
+
+  function groupFor(model, dimensions) {
+    const key = `${model}:${dimensions}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        ids: new Set(),
+        planes: createPlanes(dimensions, bits, tables),
+        buckets: Array.from({ length: tables }, () => new Map()),
+      });
+    }
+    return groups.get(key);
+  }
+
+  function remove(id) {
+    const entry = entries.get(id);
+    if (!entry) return;
+    entries.delete(id);
+    if (!entry.group) return;
+    entry.group.ids.delete(id);
+    entry.codes.forEach((code, table) => entry.group.buckets[table].get(code)?.delete(id));
+  }
+
+  function add(note, version) {
+    const embedding = vectorOf(note);
+    const unit = embedding?.vector?.length ? toUnitVector(embedding.vector) : null;
+    if (!unit) {
+      // Remembered anyway, so a note without an embedding isn't looked at again until it changes
+      entries.set(note.id, { id: note.id, version, group: null });
+      return;
+    }
+    const group = groupFor(embedding.model, unit.length);
+    const codes = group.planes.map(planes => hashCode(planes, unit));
+    codes.forEach((code, table) => {
+      const bucket = group.buckets[table];
+      if (!bucket.has(code)) bucket.set(code, new Set());
+      bucket.get(code).add(note.id);
+    });
+    group.ids.add(note.id);
+    entries.set(note.id, { id: note.id, version, group, unit, codes, note });
+  }
+
+  /**
+   * Bring the index in line with a set of notes: new and changed notes are (re)indexed,
+   * missing ones dropped
+   * @param {Array} notes - All notes that can be found
+   * @returns {number} - How many notes were (re)indexed
+   */
+  function sync(notes) {
+    const present = new Set();
+    let indexed = 0;
+    notes.forEach(note => {
+      present.add(note.id);
+      const version = versionOf(note);
+      const entry = entries.get(note.id);
+      if (entry && entry.version === version) {
+        // Same embedding; keep the latest copy of the note for callers
+        if (entry.group) entry.note = note;
+        return;
+      }
+      remove(note.id);
+      add(note, version);
+      indexed += 1;
+    });
+    [...entries.keys()].filter(id => !present.has(id)).forEach(remove);
+    return indexed;
+  }
+
+  function candidatesFor(group, unit) {
+    const found = new Set();
+    group.planes.forEach((planes, table) => {
+      const code = hashCode(planes, unit);
+      const bucket = group.buckets[table];
+      // The query's own bucket and every bucket one bit away
+      [code, ...planes.map((_, bit) => code ^ (1 << bit))].forEach(probe => {
+        bucket.get(probe)?.forEach(id => found.add(id));
+      });
+    });
+    return found;
+  }
+
+  /**
+   * Notes most similar to an embedding, by cosine similarity
+   * @param {Object} embedding - { vector, model }
+   * @param {Object} options - { limit, minSimilarity, excludeIds }
+   * @returns {Array<{note: Object, similarity: number}>} - Most similar first
+   */
+  function nearest(embedding, { limit = 5, minSimilarity = 0, excludeIds = [] } = {}) {
+    const unit = embedding?.vector?.length ? toUnitVector(embedding.vector) : null;
+    const group = unit && groups.get(`${embedding.model}:${unit.length}`);
+    if (!group) return [];
+
+    let ids = group.ids;
+    if (group.ids.size >= exactBelow) {
+      const candidates = candidatesFor(group, unit);
+      // Too few near buckets to fill the list: fall back to comparing everything
+      if (candidates.size >= limit * 4) ids = candidates;
+    }
+
+    const excluded = new Set(excludeIds);
+    const scored = [];
+    ids.forEach(id => {
+      if (excluded.has(id)) return;
+      const entry = entries.get(id);
+      const similarity = dot(unit, entry.unit);
+      if (similarity >= minSimilarity) scored.push({ note: entry.note, similarity });
+    });
+    return scored.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+  }
+
+  return { sync, nearest, size: () => entries.size };
+}
@@ -0,0 +1,188 @@
+// Force-directed layout for the knowledge graph: nodes repel each other, edges pull their
+// ends together and everything drifts gently towards the middle. Repulsion is approximated
+// with a Barnes-Hut quadtree, so a tick costs O(n log n) and a few thousand notes stay smooth.
+
+const REPULSION = -40;
+const LINK_DISTANCE = 40;
+const CENTERING = 0.02;
+const VELOCITY_DECAY = 0.4;
+// A cell counts as one body when its size / distance is under this (squared), i.e. when it's far enough away
+const THETA_SQUARED = 0.81;
+const ALPHA_MIN = 0.001;
+// Cools from 1 to ALPHA_MIN in about 300 ticks
+const ALPHA_DECAY = 1 - Math.pow(ALPHA_MIN, 1 / 300);
+
+function createCell(x, y, size) {
+  return { x, y, size, mass: 0, cx: 0, cy: 0, node: null, children: null };
+}
+
+function quadrantOf(cell, node) {
+  const half = cell.size / 2;
+  return (node.x >= cell.x + half ? 1 : 0) + (node.y >= cell.y + half ? 2 : 0);
+}
+
+function childCell(cell, quadrant) {
+  const half = cell.size / 2;
+  return createCell(cell.x + (quadrant & 1 ? half : 0), cell.y + (quadrant & 2 ? half : 0), half);
+}
+
+function insert(cell, node, depth = 0) {
+  cell.cx = (cell.cx * cell.mass + node.x) / (cell.mass + 1);
+  cell.cy = (cell.cy * cell.mass + node.y) / (cell.mass + 1);
+  cell.mass += 1;
+
+  if (!cell.children && !cell.node) {
+    cell.node = node;
+    return;
+  }
+  // Nodes on (almost) the same spot share a leaf instead of splitting forever
+  if (depth > 24) return;
+  if (!cell.children) {
+    cell.children = [null, null, null, null];
+    const existing = cell.node;
+    cell.node = null;
+    const quadrant = quadrantOf(cell, existing);
+    cell.children[quadrant] = childCell(cell, quadrant);
+    insert(cell.children[quadrant], existing, depth + 1);
+  }
+  const quadrant = quadrantOf(cell, node);
+  cell.children[quadrant] = cell.children[quadrant] || childCell(cell, quadrant);
+  insert(cell.children[quadrant], node, depth + 1);
+}
+
+function buildQuadtree(nodes) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  nodes.forEach(({ x, y }) => {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  });
+  const root = createCell(minX, minY, Math.max(maxX - minX, maxY - minY, 1) + 1);
+  nodes.forEach(node => insert(root, node));
+  return root;
+}
+
+function repel(cell, node, strength) {
+  if (!cell || cell.mass === 0 || cell.node === node) return;
+  let dx = cell.cx - node.x;
+  let dy = cell.cy - node.y;
+  let distanceSquared = dx * dx + dy * dy;
+
+  if (cell.children && (cell.size * cell.size) / (distanceSquared || 1) > THETA_SQUARED) {
+    cell.children.forEach(child => repel(child, node, strength));
+    return;
+  }
+  if (distanceSquared === 0) {
+    // Nudge apart nodes that landed on the same spot
+    dx = Math.random() - 0.5;
+    dy = Math.random() - 0.5;
+    distanceSquared = dx * dx + dy * dy;
+  }
+  // Keep nodes that nearly touch from flying apart
+  distanceSquared = Math.max(distanceSquared, 25);
+  const weight = (strength * cell.mass) / distanceSquared;
+  node.vx += dx * weight;
+  node.vy += dy * weight;
+}
+
+// Start nodes on a spiral so the first ticks don't explode from a single point
+function initialPosition(index) {
+  const radius = 10 * Math.sqrt(0.5 + index);
+  const angle = index * Math.PI * (3 - Math.sqrt(5));
+  return { x: radius * Math.cos(angle), y: radius * Math.sin(angle) };
+}
+
+/**
+ * Create a force-directed layout
+ * @param {Array} nodes - Graph nodes ({id}); x, y, vx and vy are added to them
+ * @param {Array} edges - Graph edges ({source, target, kind, strength}) between node ids
+ * @param {Object} options - { positions: Map of id -> {x, y} to start from, e.g. a previous
+ *   layout; alpha: how much the layout still has to move, 1 when starting from scratch }
+ * @returns {Object} - Layout: { nodes, links(), tick(), isSettled(), reheat(alpha), setEdges(edges) };
+ *   nodes get a degree, links are the edges with their ends resolved to nodes
+ */
+export function createForceLayout(nodes, edges, { positions = new Map(), alpha: startAlpha = 1 } = {}) {
+  const byId = new Map();
+  nodes.forEach((node, index) => {
+    const start = positions.get(node.id) || initialPosition(index);
+    Object.assign(node, { x: start.x, y: start.y, vx: 0, vy: 0 });
+    byId.set(node.id, node);
+  });
+
+  let springs = [];
+  let alpha = startAlpha;
+
+  // Edges between busy nodes are weaker, so hubs don't collapse everything around them
+  function setEdges(nextEdges) {
+    const degree = new Map();
+    const usable = nextEdges.filter(edge => byId.has(edge.source) && byId.has(edge.target));
+    usable.forEach(({ source, target }) => {
+      degree.set(source, (degree.get(source) || 0) + 1);
+      degree.set(target, (degree.get(target) || 0) + 1);
+    });
+    springs = usable.map(edge => ({
+      source: byId.get(edge.source),
+      target: byId.get(edge.target),
+      kind: edge.kind,
+      strength: (edge.strength ?? 1) / Math.min(degree.get(edge.source), degree.get(edge.target)),
+    }));
+    nodes.forEach(node => {
+      node.degree = degree.get(node.id) || 0;
+    });
+  }
+
+  function tick() {
+    if (alpha < ALPHA_MIN || nodes.length === 0) return false;
+    alpha += -alpha * ALPHA_DECAY;
+
+    const tree = buildQuadtree(nodes);
+    nodes.forEach(node => {
+      if (node.fixed) return;
+      repel(tree, node, REPULSION * alpha);
+      node.vx -= node.x * CENTERING * alpha;
+      node.vy -= node.y * CENTERING * alpha;
+    });
+
+    springs.forEach(({ source, target, strength }) => {
+      const dx = target.x + target.vx - source.x - source.vx || 1e-6;
+      const dy = target.y + target.vy - source.y - source.vy || 1e-6;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      const pull = ((distance - LINK_DISTANCE) / distance) * alpha * strength * 0.5;
+      target.vx -= dx * pull;
+      target.vy -= dy * pull;
+      source.vx += dx * pull;
+      source.vy += dy * pull;
+    });
+
+    nodes.forEach(node => {
+      if (node.fixed) {
+        node.vx = 0;
+        node.vy = 0;
+        return;
+      }
+      node.vx *= 1 - VELOCITY_DECAY;
+      node.vy *= 1 - VELOCITY_DECAY;
+      node.x += node.vx;
+      node.y += node.vy;
+    });
+    return true;
+  }
+
+  setEdges(edges);
+
+  return {
+    nodes,
+    links: () => springs,
+    tick,
+    setEdges,
+    isSettled: () => alpha < ALPHA_MIN,
+    // Wake the layout up after a change (new edges, a dragged node)
+    reheat: (value = 0.3) => {
+      alpha = Math.max(alpha, value);
+    },
+  };
+}
@@ -0,0 +1,63 @@
+// Minimal promise wrappers around the IndexedDB API
+
+/**
+ * Whether IndexedDB is available in this environment
+ * @returns {boolean}
+ */
+export function isIndexedDbAvailable() {
+  return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+/**
+ * Resolve or reject with the outcome of an IDBRequest
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<any>} - The request result
+ */
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and create or upgrade) a database
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} upgrade - Called with (db, oldVersion, transaction) on upgrade
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+export function openDatabase(name, version, upgrade) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion, request.transaction);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error(`IndexedDB database "${name}" is blocked by another tab`));
+  });
+}
+
+/**
+ * Run work inside a transaction and resolve once it commits
+ * @param {IDBDatabase} db - Open database
+ * @param {string|string[]} storeNames - Object stores to include
+ * @param {'readonly'|'readwrite'} mode - Transaction mode
+ * @param {Function} work - Called with the transaction's stores (in order); may return a value
+ * @returns {Promise<any>} - Whatever work returned (awaited)
+ */
+export function runTransaction(db, storeNames, mode, work) {
+  const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(names, mode);
+    let result;
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    Promise.resolve(work(...names.map(name => transaction.objectStore(name))))
+      .then(value => { result = value; })
+      .catch(error => {
+        reject(error);
+        transaction.abort();
+      });
+  });
+}
@@ -0,0 +1,157 @@
+// The knowledge graph: notes are nodes, joined by links, shared tags and similar embeddings
+
+import { linkedNoteIds } from './noteLinks';
+import { toUnitVector } from './embeddingIndex';
+
+export const EDGE_KINDS = {
+  LINK: 'link',
+  TAG: 'tag',
+  SIMILAR: 'similar',
+};
+
+// A tag on more notes than this says little about how they relate, and would add
+// hundreds of thousands of edges; it's left out of the tag edges
+const MAX_TAG_SIZE = 50;
+
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+/**
+ * Nodes plus link and tag edges for a set of notes
+ * @param {Array} notes - Notes to show
+ * @param {Object} options - { maxTagSize: tags on more notes than this don't add edges }
+ * @returns {{nodes: Array, edges: Array}} - Nodes ({id, title, tags, note}) and edges
+ *   ({source, target, kind, strength}); only links between the given notes are included
+ */
+export function buildGraph(notes, { maxTagSize = MAX_TAG_SIZE } = {}) {
+  const ids = new Set(notes.map(note => note.id));
+  const nodes = notes.map(note => ({ id: note.id, title: note.title || 'Untitled', tags: note.tags || [], note }));
+  const edges = [];
+  const linked = new Set();
+
+  notes.forEach(note => {
+    linkedNoteIds(note.content).forEach(target => {
+      const key = pairKey(note.id, target);
+      if (target === note.id || !ids.has(target) || linked.has(key)) return;
+      linked.add(key);
+      edges.push({ source: note.id, target, kind: EDGE_KINDS.LINK, strength: 1 });
+    });
+  });
+
+  // One edge per pair of notes, stronger the more tags they share
+  const byTag = new Map();
+  notes.forEach(note => new Set((note.tags || []).map(tag => tag.toLowerCase())).forEach(tag => {
+    if (!byTag.has(tag)) byTag.set(tag, []);
+    byTag.get(tag).push(note.id);
+  }));
+  const shared = new Map();
+  byTag.forEach(tagged => {
+    if (tagged.length > maxTagSize) return;
+    for (let i = 0; i < tagged.length; i++) {
+      for (let j = i + 1; j < tagged.length; j++) {
+        const key = pairKey(tagged[i], tagged[j]);
+        shared.set(key, (shared.get(key) || 0) + 1);
+      }
+    }
+  });
+  shared.forEach((count, key) => {
+    if (linked.has(key)) return;
+    const [source, target] = key.split('|');
+    edges.push({ source, target, kind: EDGE_KINDS.TAG, strength: Math.min(count, 3) / 6 });
+  });
+
+  return { nodes, edges };
+}
+
+// Keep the best few candidates of a note, most similar first
+function offer(best, maxPerNote, id, similarity) {
+  if (best.length === maxPerNote && best[best.length - 1].similarity >= similarity) return;
+  best.push({ id, similarity });
+  best.sort((a, b) => b.similarity - a.similarity);
+  if (best.length > maxPerNote) best.pop();
+}
+
+/**
+ * Find pairs of notes whose embeddings are similar, a slice at a time. Comparing every pair
+ * is quadratic, so the caller runs it in small steps (e.g. one per animation frame) and the
+ * page stays responsive. Dot products of unit vectors give the same result as cosineSimilarity.
+ * @param {Array} notes - Notes to compare
+ * @param {Object} options - { vectorOf(note) -> {vector, model}|null, threshold, maxPerNote }
+ * @returns {Object} - { step(budgetMs) -> true when done, edges() -> similarity edges found so far }
+ */
+export function createSimilarityScan(notes, { vectorOf, threshold = 0.75, maxPerNote = 3 } = {}) {
+  // Only embeddings from the same model (and size) can be compared
+  const groups = new Map();
+  let queue = [];
+  let prepared = 0;
+  let group = 0;
+  let row = 0;
+  let done = false;
+
+  // Embeddings can be costly to produce too (offline ones are computed from the text)
+  function prepare(note) {
+    const embedding = vectorOf(note);
+    const unit = embedding?.vector?.length ? toUnitVector(embedding.vector) : null;
+    if (!unit) return;
+    const key = `${embedding.model}:${unit.length}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ id: note.id, unit, best: [] });
+  }
+
+  function compareRow(entries, i) {
+    const a = entries[i].unit;
+    for (let j = i + 1; j < entries.length; j++) {
+      const b = entries[j].unit;
+      let dot = 0;
+      for (let k = 0; k < a.length; k++) dot += a[k] * b[k];
+      if (dot >= threshold) {
+        offer(entries[i].best, maxPerNote, entries[j].id, dot);
+        offer(entries[j].best, maxPerNote, entries[i].id, dot);
+      }
+    }
+  }
+
+  function step(budgetMs = 8) {
+    const deadline = Date.now() + budgetMs;
+    while (!done && Date.now() < deadline) {
+      if (prepared < notes.length) {
+        prepare(notes[prepared]);
+        prepared += 1;
+        if (prepared === notes.length) {
+          queue = [...groups.values()].filter(entries => entries.length > 1);
+          done = queue.length === 0;
+        }
+        continue;
+      }
+      compareRow(queue[group], row);
+      row += 1;
+      if (row >= queue[group].length - 1) {
+        group += 1;
+        row = 0;
+        done = group >= queue.length;
+      }
+    }
+    return done;
+  }
+
+  function edges() {
+    const seen = new Set();
+    const found = [];
+    queue.forEach(entries => entries.forEach(entry => entry.best.forEach(({ id, similarity }) => {
+      const key = pairKey(entry.id, id);
+      if (seen.has(key)) return;
+      seen.add(key);
+      found.push({
+        source: entry.id,
+        target: id,
+        kind: EDGE_KINDS.SIMILAR,
+        similarity,
+        // Barely over the threshold pulls gently; near-duplicates pull hard
+        strength: 0.2 + 0.8 * ((similarity - threshold) / (1 - threshold || 1)),
+      });
+    })));
+    return found;
+  }
+
+  done = notes.length === 0;
+  return { step, edges, isDone: () => done };
+}
@@ -0,0 +1,223 @@
+// Links between notes: plain links to /notes/:id, and [[Title]] links typed in the editor
+
+import { htmlToText } from './textAnalysis';
+import { notePath } from './routes';
+
+// href values that point at a note's page, relative or on any host: /notes/:id
+const NOTE_HREF = /(?:^|\/\/[^/]+)\/notes\/([^/?#"']+)/;
+
+/**
+ * Ids of the notes a note's content links to
+ * @param {string} html - Note content
+ * @returns {string[]} - Note ids, without duplicates
+ */
+export function linkedNoteIds(html) {
+  if (!html) return [];
+  const ids = new Set();
+  const hrefs = html.matchAll(/href\s*=\s*["']([^"']+)["']/gi);
+  for (const [, href] of hrefs) {
+    const match = href.match(NOTE_HREF);
+    if (match) ids.add(decodeURIComponent(match[1]));
+  }
+  return [...ids];
+}
+
+/**
+ * Notes that link to a note
+ * @param {Object} note - Note
+ * @param {Array} notes - Notes to look through
+ * @returns {Array} - Linking notes, in the order given
+ */
+export function findBacklinks(note, notes) {
+  if (!note) return [];
+  return notes.filter(other => other.id !== note.id && linkedNoteIds(other.content).includes(note.id));
+}
+
+// [[Title]] or [[Title|shown text]]
+const WIKI_LINK = /\[\[([^[\]|\n]+)(?:\|([^[\]\n]+))?\]\]/g;
+
+// An unfinished [[ right before the cursor, e.g. "see [[Proj"
+const OPEN_WIKI_LINK = /\[\[([^[\]|\n]{0,80})$/;
+
+const normalizeTitle = (title) => (title || '').trim().toLowerCase();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Note HTML as Quill writes it: text with &, < and > escaped
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Whole-word, case-insensitive occurrences of a title
+const mentionPattern = (title) => new RegExp(`(^|[^\\p{L}\\p{N}])(${escapeRegExp(title.trim())})(?=$|[^\\p{L}\\p{N}])`, 'iu');
+
+// Text nodes outside links, where [[links]] and mentions can be turned into links
+function unlinkedTextNodes(root) {
+  const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) {
+    if (!walker.currentNode.parentElement.closest('a')) nodes.push(walker.currentNode);
+  }
+  return nodes;
+}
+
+function parseBody(html) {
+  return new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+}
+
+function noteLink(doc, note, text) {
+  const link = doc.createElement('a');
+  link.setAttribute('href', notePath(note.id));
+  link.textContent = text;
+  return link;
+}
+
+/**
+ * The note a [[link]] title refers to. Titles match case-insensitively; when several
+ * notes share a title, the most recently updated one wins.
+ * @param {string} title - Linked title
+ * @param {Array} notes - Notes to look through
+ * @returns {Object|null} - Note
+ */
+export function findNoteByTitle(title, notes) {
+  const wanted = normalizeTitle(title);
+  if (!wanted) return null;
+  return notes
+    .filter(note => normalizeTitle(note.title) === wanted)
+    .sort((a, b) => new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt))[0] || null;
+}
+
+/**
+ * What's been typed after an unfinished [[ before the cursor
+ * @param {string} textBefore - Text of the line up to the cursor
+ * @returns {string|null} - Typed title so far, or null when the cursor isn't in a [[link
+ */
+export function openWikiLinkQuery(textBefore) {
+  const match = (textBefore || '').match(OPEN_WIKI_LINK);
+  return match ? match[1] : null;
+}
+
+/**
+ * A [[link]] that was just closed right before the cursor
+ * @param {string} textBefore - Text of the line up to the cursor
+ * @returns {{length: number, title: string, text: string|undefined}|null} - The link as typed
+ */
+export function closedWikiLinkBefore(textBefore) {
+  const match = (textBefore || '').match(new RegExp(`${WIKI_LINK.source}$`));
+  return match ? { length: match[0].length, title: match[1], text: match[2] } : null;
+}
+
+/**
+ * Notes whose titles match what's been typed in a [[link, titles starting with it first
+ * @param {string} query - Typed title so far
+ * @param {Array} notes - Notes that can be linked to
+ * @param {Object} options - { excludeId: the note being edited, limit }
+ * @returns {Array} - Matching notes
+ */
+export function suggestNotes(query, notes, { excludeId = null, limit = 8 } = {}) {
+  const wanted = normalizeTitle(query);
+  return notes
+    .filter(note => note.id !== excludeId && note.title)
+    .map(note => ({ note, position: normalizeTitle(note.title).indexOf(wanted) }))
+    .filter(({ position }) => position !== -1)
+    .sort((a, b) => (a.position === 0) !== (b.position === 0)
+      ? (a.position === 0 ? -1 : 1)
+      : a.note.title.localeCompare(b.note.title))
+    .slice(0, limit)
+    .map(({ note }) => note);
+}
+
+/**
+ * Turn typed [[Title]] links into links to the notes' ids. Links to titles that don't
+ * exist are left as typed, so they resolve once the note is created and the text is saved again.
+ * @param {string} html - Note content
+ * @param {Array} notes - Notes that can be linked to
+ * @returns {string} - Content with resolved links
+ */
+export function resolveWikiLinks(html, notes) {
+  if (!html || !html.includes('[[')) return html;
+  const doc = parseBody(html);
+
+  unlinkedTextNodes(doc.body).forEach(node => {
+    const text = node.nodeValue;
+    const parts = [];
+    let last = 0;
+    for (const match of text.matchAll(WIKI_LINK)) {
+      const target = findNoteByTitle(match[1], notes);
+      if (!target) continue;
+      parts.push(text.slice(last, match.index), noteLink(doc, target, (match[2] || target.title).trim()));
+      last = match.index + match[0].length;
+    }
+    if (parts.length > 0) node.replaceWith(...parts, text.slice(last));
+  });
+  return doc.body.innerHTML;
+}
+
+/**
+ * Rename the links to a note that show its old title. Links with their own text are left alone.
+ * @param {string} html - Note content
+ * @param {string} noteId - Renamed note
+ * @param {string} oldTitle - Title before the rename
+ * @param {string} newTitle - Title after it
+ * @returns {string} - Updated content
+ */
+export function retitleLinks(html, noteId, oldTitle, newTitle) {
+  if (!html || !oldTitle) return html;
+  // Plain string work, so the repository can run it without a DOM (e.g. under Node)
+  const link = new RegExp(
+    `(<a\\b[^>]*\\bhref=["'][^"']*/notes/${escapeRegExp(noteId)}["'][^>]*>)${escapeRegExp(escapeHtml(oldTitle))}(</a>)`,
+    'g'
+  );
+  return html.replace(link, (match, open, close) => `${open}${escapeHtml(newTitle)}${close}`);
+}
+
+/**
+ * Point links to one note at another, e.g. after merging the first into the second
+ * @param {string} html - Note content
+ * @param {string} fromId - Note the links point at now
+ * @param {string} toId - Note they should point at
+ * @returns {string} - Updated content
+ */
+export function retargetLinks(html, fromId, toId) {
+  if (!html) return html;
+  const href = new RegExp(`(\\bhref=["'][^"']*/notes/)${escapeRegExp(encodeURIComponent(fromId))}(?=[/?#"'])`, 'g');
+  return html.replace(href, `$1${encodeURIComponent(toId)}`);
+}
+
+/**
+ * Notes that mention a note's title in their text without linking to it
+ * @param {Object} note - Note
+ * @param {Array} notes - Notes to look through
+ * @returns {Array} - Mentioning notes, in the order given
+ */
+export function findUnlinkedMentions(note, notes) {
+  const title = note?.title?.trim();
+  // Very short titles and the placeholder title would match all over the vault
+  if (!title || title.length < 3 || title === 'Untitled') return [];
+  const pattern = mentionPattern(title);
+  return notes.filter(other => other.id !== note.id
+    && !linkedNoteIds(other.content).includes(note.id)
+    && pattern.test(htmlToText(other.content)));
+}
+
+/**
+ * Turn the first plain-text mention of a note's title into a link to it
+ * @param {string} html - Content of the mentioning note
+ * @param {Object} note - Mentioned note
+ * @returns {string} - Updated content (unchanged when there's no mention)
+ */
+export function linkFirstMention(html, note) {
+  if (!html || !note?.title) return html;
+  const pattern = mentionPattern(note.title);
+  const doc = parseBody(html);
+
+  const node = unlinkedTextNodes(doc.body).find(text => pattern.test(text.nodeValue));
+  if (!node) return html;
+  const match = node.nodeValue.match(pattern);
+  const start = match.index + match[1].length;
+  const end = start + match[2].length;
+  node.replaceWith(
+    node.nodeValue.slice(0, start),
+    noteLink(doc, note, node.nodeValue.slice(start, end)),
+    node.nodeValue.slice(end)
+  );
+  return doc.body.innerHTML;
+}
@@ -0,0 +1,89 @@
+// Nested notebooks. A notebook is { id, name, parentId, ownerId, ... }; parentId is null at the
+// top level. A note belongs to at most one notebook, through its notebookId.
+//
+// Collaborators only see the notebooks shared with them, so a parent can be missing from the
+// list; its children are then treated as top-level.
+
+const byName = (a, b) => (a.name || '').localeCompare(b.name || '');
+
+/**
+ * Arrange notebooks as a tree
+ * @param {Array} notebooks - Notebooks
+ * @returns {Array<{notebook: Object, children: Array}>} - Top-level nodes, each level by name
+ */
+export function buildNotebookTree(notebooks) {
+  const nodes = new Map(notebooks.map(notebook => [notebook.id, { notebook, children: [] }]));
+  const roots = [];
+  notebooks.forEach(notebook => {
+    const parent = notebook.parentId && nodes.get(notebook.parentId);
+    (parent ? parent.children : roots).push(nodes.get(notebook.id));
+  });
+  const sort = (list) => {
+    list.sort((a, b) => byName(a.notebook, b.notebook));
+    list.forEach(node => sort(node.children));
+    return list;
+  };
+  return sort(roots);
+}
+
+/**
+ * A notebook and every notebook nested in it, at any depth
+ * @param {Array} notebooks - Notebooks
+ * @param {string} notebookId - Notebook ID
+ * @returns {Set<string>} - Notebook IDs, including notebookId
+ */
+export function notebookSubtree(notebooks, notebookId) {
+  const children = new Map();
+  notebooks.forEach(notebook => {
+    if (!children.has(notebook.parentId)) children.set(notebook.parentId, []);
+    children.get(notebook.parentId).push(notebook.id);
+  });
+  const ids = new Set([notebookId]);
+  // A Set visits what's added while it's being iterated
+  ids.forEach(id => (children.get(id) || []).forEach(child => ids.add(child)));
+  return ids;
+}
+
+/**
+ * The notebooks from the top level down to a notebook
+ * @param {Array} notebooks - Notebooks
+ * @param {string} notebookId - Notebook ID
+ * @returns {Array} - Notebooks, outermost first; empty if it isn't in the list
+ */
+export function notebookBreadcrumbs(notebooks, notebookId) {
+  const byId = new Map(notebooks.map(notebook => [notebook.id, notebook]));
+  const path = [];
+  let current = byId.get(notebookId);
+  while (current && !path.includes(current)) {
+    path.unshift(current);
+    current = byId.get(current.parentId);
+  }
+  return path;
+}
+
+/**
+ * Whether a notebook can be moved into another one. A notebook can't go inside itself
+ * or anything nested in it.
+ * @param {Array} notebooks - Notebooks
+ * @param {string} notebookId - Notebook to move
+ * @param {string|null} parentId - Where to; null for the top level
+ * @returns {boolean}
+ */
+export function canMoveNotebook(notebooks, notebookId, parentId) {
+  return !parentId || !notebookSubtree(notebooks, notebookId).has(parentId);
+}
+
+/**
+ * Notebooks with a name, ignoring case, and everything nested in them
+ * @param {Array} notebooks - Notebooks
+ * @param {string} name - Notebook name
+ * @returns {Set<string>} - Notebook IDs
+ */
+export function notebooksNamed(notebooks, name) {
+  const wanted = name.trim().toLowerCase();
+  const ids = new Set();
+  notebooks
+    .filter(notebook => (notebook.name || '').trim().toLowerCase() === wanted)
+    .forEach(notebook => notebookSubtree(notebooks, notebook.id).forEach(id => ids.add(id)));
+  return ids;
+}
@@ -0,0 +1,68 @@
+// Addresses of the app's pages, so links and navigation agree on them
+
+export const DASHBOARD_PATH = '/dashboard';
+export const NEW_NOTE_PATH = '/notes/new';
+
+/**
+ * Read-only page of a note
+ * @param {string} noteId - Note ID
+ * @returns {string}
+ */
+export const notePath = (noteId) => `/notes/${encodeURIComponent(noteId)}`;
+
+/**
+ * Editor page of a note
+ * @param {string} noteId - Note ID
+ * @returns {string}
+ */
+export const editNotePath = (noteId) => `${notePath(noteId)}/edit`;
+
+/**
+ * Dashboard filtered to one tag
+ * @param {string} tag - Tag
+ * @returns {string}
+ */
+export const tagPath = (tag) => `/tags/${encodeURIComponent(tag)}`;
+
+/**
+ * Dashboard narrowed to a notebook and the notebooks nested in it
+ * @param {string} notebookId - Notebook ID
+ * @returns {string}
+ */
+export const notebookPath = (notebookId) => `/notebooks/${encodeURIComponent(notebookId)}`;
+
+// Dashboard search state kept in the query string: ?q=...&type=semantic
+const SEARCH_PARAMS = { query: 'q', searchType: 'type' };
+const DEFAULT_SEARCH = { query: '', searchType: 'hybrid' };
+
+/**
+ * Search state from the query string
+ * @param {URLSearchParams} params - Query string
+ * @returns {{query: string, searchType: string}}
+ */
+export function readSearch(params) {
+  return Object.fromEntries(Object.entries(SEARCH_PARAMS).map(([field, param]) => (
+    [field, params.get(param) ?? DEFAULT_SEARCH[field]]
+  )));
+}
+
+/**
+ * Query string with some search fields changed. Defaults are left out, so an empty
+ * search is a clean address.
+ * @param {URLSearchParams} params - Current query string
+ * @param {Object} changes - Search fields to change
+ * @returns {URLSearchParams}
+ */
+export function writeSearch(params, changes) {
+  const next = new URLSearchParams(params);
+  Object.entries(changes).forEach(([field, value]) => {
+    const param = SEARCH_PARAMS[field];
+    if (!param) return;
+    if (value === undefined || value === null || value === DEFAULT_SEARCH[field]) {
+      next.delete(param);
+    } else {
+      next.set(param, value);
+    }
+  });
+  return next;
+}
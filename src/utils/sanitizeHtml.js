@@ -0,0 +1,64 @@
+// Allowlist sanitizer for note HTML shown outside the editor (Quill output and pasted content)
+
+// Elements kept as they are; anything else is replaced by its children
+const ALLOWED_TAGS = new Set([
+  'p', 'br', 'strong', 'b', 'em', 'i', 'u', 's', 'strike', 'sub', 'sup', 'span',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'pre', 'code', 'a', 'hr',
+]);
+
+// Elements dropped together with everything inside them
+const DROPPED_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'math']);
+
+const SAFE_URL = /^(?:https?:|mailto:|#|\/(?!\/))/i;
+
+// Quill formats (indent, alignment, code blocks) are kept, other classes aren't
+const keepClasses = (value) => value.split(/\s+/).filter(name => name.startsWith('ql-')).join(' ');
+
+function cleanChildren(parent) {
+  [...parent.childNodes].forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE) return;
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      node.remove();
+      return;
+    }
+
+    const tag = node.tagName.toLowerCase();
+    if (DROPPED_TAGS.has(tag)) {
+      node.remove();
+      return;
+    }
+    cleanChildren(node);
+    if (!ALLOWED_TAGS.has(tag)) {
+      node.replaceWith(...node.childNodes);
+      return;
+    }
+
+    [...node.attributes].forEach(({ name, value }) => {
+      if (tag === 'a' && name === 'href' && SAFE_URL.test(value.trim())) return;
+      if (name === 'class' && keepClasses(value)) {
+        node.setAttribute('class', keepClasses(value));
+        return;
+      }
+      node.removeAttribute(name);
+    });
+    // Links into the app (e.g. to other notes) stay in the tab
+    if (tag === 'a' && node.hasAttribute('href') && !/^[/#]/.test(node.getAttribute('href').trim())) {
+      node.setAttribute('target', '_blank');
+      node.setAttribute('rel', 'noopener noreferrer nofollow');
+    }
+  });
+}
+
+/**
+ * Strip note HTML down to formatting: no scripts, event handlers, styles, embeds or
+ * unsafe links. Links to other sites open in a new tab.
+ * @param {string} html - Note content
+ * @returns {string} - HTML that is safe to render with dangerouslySetInnerHTML
+ */
+export function sanitizeHtml(html) {
+  if (!html) return '';
+  // Parsed into an inert document, so nothing in it runs or loads while it's cleaned
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  cleanChildren(doc.body);
+  return doc.body.innerHTML;
+}
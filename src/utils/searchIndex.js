@@ -0,0 +1,357 @@
+// Full-text index over notes for search.
+// Titles, tags, summaries and the text of the content (not its markup) are split into stemmed
+// terms and kept in an inverted index (term -> notes containing it), updated note by note.
+// Query words match terms exactly, as the start of a longer word (while typing) or with a typo
+// or two, and matching notes are ranked with BM25, title and tag matches counting extra.
+// Prefixes and typos are looked up among the words as written, since stems of misspelt or
+// partly typed words rarely line up with the real ones.
+
+import { htmlToText, stem, STOPWORDS } from './textAnalysis';
+
+// How much a term counts in each field
+const FIELD_WEIGHTS = { title: 3, tags: 2, summary: 1, text: 1 };
+// BM25 parameters: term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+// Inexact matches count for less than the word itself
+const PREFIX_WEIGHT = 0.7;
+const FUZZY_WEIGHT = 0.5;
+// Shorter words only match exactly, or they'd match half the vocabulary
+const MIN_PREFIX_LENGTH = 3;
+const MIN_FUZZY_LENGTH = 5;
+const SNIPPET_LENGTH = 160;
+
+const WORD = /[\p{L}\p{N}]+(?:[-'][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Index terms of a text, with where each one is. Same rules as analyze() in textAnalysis.
+ * @param {string} text - Plain text
+ * @returns {Array<{term: string, word: string, start: number, end: number}>} - word is the
+ *   lowercased word the term was stemmed from
+ */
+export function termsOf(text) {
+  const terms = [];
+  for (const match of (text || '').matchAll(WORD)) {
+    const word = match[0].toLowerCase().replace(/['’]s$/, '');
+    if (word.length > 1 && !STOPWORDS.has(word)) {
+      terms.push({ term: stem(word), word, start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return terms;
+}
+
+// Edit distance counting a swap of neighbouring letters as one edit; gives up past max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+      if (previous && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        next[j] = Math.min(next[j], previous[j - 2] + 1);
+      }
+      best = Math.min(best, next[j]);
+    }
+    if (best > max) return max + 1;
+    previous = row;
+    row = next;
+  }
+  return row[b.length];
+}
+
+function lowerBound(sorted, value) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sorted[middle] < value) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+/**
+ * Create a full-text index of notes
+ * @param {Object} options - { versionOf(note): changes whenever the note's text does }
+ * @returns {Object} - { sync(notes), document(id), expand(word), matches(id, word, field),
+ *   explain(id, word), score(id, words), snippet(id, words, phrases), size() }
+ */
+export function createSearchIndex({ versionOf = (note) => note.updatedAt } = {}) {
+  const documents = new Map();
+  // term -> Map of note id -> weighted term frequency
+  const postings = new Map();
+  // Words as written -> { term, count of notes using them }
+  const words = new Map();
+  let totalLength = 0;
+  // Sorted words for prefix lookups, and expansions already worked out, until the words change
+  let vocabulary = null;
+  const expansions = new Map();
+
+  function remove(id) {
+    const entry = documents.get(id);
+    if (!entry) return;
+    documents.delete(id);
+    totalLength -= entry.length;
+    entry.frequencies.forEach((_, term) => {
+      const notes = postings.get(term);
+      notes.delete(id);
+      if (notes.size === 0) postings.delete(term);
+    });
+    entry.words.forEach(word => {
+      const known = words.get(word);
+      known.count -= 1;
+      if (known.count === 0) {
+        words.delete(word);
+        vocabulary = null;
+      }
+    });
+    expansions.clear();
+  }
+
+  function add(note, version) {
+    const text = htmlToText(note.content);
+    const tags = note.tags || [];
+    const fields = {
+      title: termsOf(note.title),
+      tags: tags.flatMap(termsOf),
+      summary: termsOf(note.summary),
+      text: termsOf(text),
+    };
+    const fieldTerms = {};
+    const frequencies = new Map();
+    const written = new Map();
+    let length = 0;
+    Object.entries(fields).forEach(([field, terms]) => {
+      fieldTerms[field] = new Set(terms.map(({ term }) => term));
+      terms.forEach(({ term, word }) => {
+        frequencies.set(term, (frequencies.get(term) || 0) + FIELD_WEIGHTS[field]);
+        written.set(word, term);
+      });
+      length += terms.length * FIELD_WEIGHTS[field];
+    });
+    frequencies.forEach((frequency, term) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(note.id, frequency);
+    });
+    written.forEach((term, word) => {
+      if (!words.has(word)) {
+        words.set(word, { term, count: 0 });
+        vocabulary = null;
+      }
+      words.get(word).count += 1;
+    });
+    totalLength += length;
+    documents.set(note.id, {
+      version,
+      note,
+      length,
+      frequencies,
+      fieldTerms,
+      words: [...written.keys()],
+      // Lowercased, whitespace-collapsed copies for phrase matching
+      text: {
+        title: (note.title || '').toLowerCase().replace(/\s+/g, ' '),
+        text: text.toLowerCase(),
+        summary: (note.summary || '').toLowerCase().replace(/\s+/g, ' '),
+        tags: tags.map(tag => tag.toLowerCase()),
+      },
+      plainText: text,
+    });
+    expansions.clear();
+  }
+
+  /**
+   * Bring the index in line with a set of notes: new and changed notes are (re)indexed,
+   * missing ones dropped
+   * @param {Array} notes - All notes that can be found
+   * @returns {number} - How many notes were (re)indexed
+   */
+  function sync(notes) {
+    const present = new Set();
+    let indexed = 0;
+    notes.forEach(note => {
+      present.add(note.id);
+      const version = versionOf(note);
+      const entry = documents.get(note.id);
+      if (entry && entry.version === version) {
+        entry.note = note;
+        return;
+      }
+      remove(note.id);
+      add(note, version);
+      indexed += 1;
+    });
+    [...documents.keys()].filter(id => !present.has(id)).forEach(remove);
+    return indexed;
+  }
+
+  // Index terms one term of a query word matches, with how much each match counts
+  function expandTerm({ term, word }) {
+    if (expansions.has(word)) return expansions.get(word);
+
+    const found = new Map();
+    const keep = (candidate, weight) => {
+      if (weight > (found.get(candidate) || 0)) found.set(candidate, weight);
+    };
+    if (postings.has(term)) keep(term, 1);
+
+    vocabulary = vocabulary || [...words.keys()].sort();
+    if (word.length >= MIN_PREFIX_LENGTH) {
+      for (let i = lowerBound(vocabulary, word); i < vocabulary.length && vocabulary[i].startsWith(word); i++) {
+        keep(words.get(vocabulary[i]).term, PREFIX_WEIGHT);
+      }
+    }
+    if (word.length >= MIN_FUZZY_LENGTH) {
+      const maxEdits = word.length >= 8 ? 2 : 1;
+      vocabulary.forEach(candidate => {
+        if (editDistance(word, candidate, maxEdits) <= maxEdits) keep(words.get(candidate).term, FUZZY_WEIGHT);
+      });
+    }
+
+    const result = [...found].map(([candidate, weight]) => ({ term: candidate, weight }));
+    expansions.set(word, result);
+    return result;
+  }
+
+  // A query word is usually one term, but "node.js" or "q3/q4" split into several
+  function expandWord(word) {
+    return termsOf(word).map(expandTerm);
+  }
+
+  /**
+   * Index terms a query word matches, with how much each match counts
+   * @param {string} word - Word as typed
+   * @returns {Array<{term: string, weight: number}>} - Empty for stopwords and the like
+   */
+  function expand(word) {
+    return expandWord(word).flat();
+  }
+
+  /**
+   * Whether an indexed note contains a query word
+   * @param {string} id - Note ID
+   * @param {string} word - Word as typed
+   * @param {string|null} field - Only look in title, tags, summary or text
+   * @returns {boolean} - Also true for words that can't be indexed, like stopwords
+   */
+  function matches(id, word, field = null) {
+    const entry = documents.get(id);
+    if (!entry) return false;
+    const terms = field ? entry.fieldTerms[field] : entry.frequencies;
+    return expandWord(word).every(matching => matching.some(({ term }) => terms.has(term)));
+  }
+
+  /**
+   * How a query word matched an indexed note
+   * @param {string} id - Note ID
+   * @param {string} word - Word as typed
+   * @returns {{kind: 'exact'|'prefix'|'typo', fields: string[]}|null} - The best match, and the
+   *   fields (title, tags, summary, text) it's in; null if the word isn't in the note
+   */
+  function explain(id, word) {
+    const entry = documents.get(id);
+    if (!entry) return null;
+    let best = null;
+    expand(word).forEach(({ term, weight }) => {
+      const fields = Object.keys(FIELD_WEIGHTS).filter(field => entry.fieldTerms[field].has(term));
+      if (fields.length && (!best || weight > best.weight)) best = { weight, fields };
+    });
+    if (!best) return null;
+    const kind = best.weight === 1 ? 'exact' : best.weight === PREFIX_WEIGHT ? 'prefix' : 'typo';
+    return { kind, fields: best.fields };
+  }
+
+  /**
+   * BM25 relevance of an indexed note to query words
+   * @param {string} id - Note ID
+   * @param {string[]} words - Words as typed
+   * @returns {number}
+   */
+  function score(id, words) {
+    const entry = documents.get(id);
+    if (!entry) return 0;
+    const averageLength = totalLength / documents.size || 1;
+    const normalization = K1 * (1 - B + (B * entry.length) / averageLength);
+
+    return words.reduce((total, word) => {
+      // A word matching several terms counts once, for its best match
+      let best = 0;
+      expand(word).forEach(({ term, weight }) => {
+        const frequency = entry.frequencies.get(term);
+        if (!frequency) return;
+        const matching = postings.get(term).size;
+        const idf = Math.log(1 + (documents.size - matching + 0.5) / (matching + 0.5));
+        best = Math.max(best, weight * idf * ((frequency * (K1 + 1)) / (frequency + normalization)));
+      });
+      return total + best;
+    }, 0);
+  }
+
+  /**
+   * Passage of a note's text with the query's matches marked
+   * @param {string} id - Note ID
+   * @param {string[]} words - Words as typed
+   * @param {string[]} phrases - Phrases as typed
+   * @returns {Array<{text: string, match: boolean}>|null} - Pieces of the passage in order,
+   *   or null when the text has no matches (e.g. only the title matched)
+   */
+  function snippet(id, words, phrases = []) {
+    const entry = documents.get(id);
+    if (!entry) return null;
+    const text = entry.plainText;
+    const lower = text.toLowerCase();
+
+    const wanted = new Set(words.flatMap(word => expand(word).map(({ term }) => term)));
+    const hits = termsOf(text).filter(({ term }) => wanted.has(term));
+    phrases.forEach(phrase => {
+      const needle = phrase.toLowerCase().replace(/\s+/g, ' ');
+      for (let at = lower.indexOf(needle); needle && at !== -1; at = lower.indexOf(needle, at + needle.length)) {
+        hits.push({ term: needle, start: at, end: at + needle.length });
+      }
+    });
+    if (hits.length === 0) return null;
+    hits.sort((a, b) => a.start - b.start);
+
+    // The window of text with the most different matches in it
+    let best = { start: 0, score: -1 };
+    hits.forEach((hit, i) => {
+      const seen = new Set();
+      for (let j = i; j < hits.length && hits[j].end - hit.start <= SNIPPET_LENGTH; j++) seen.add(hits[j].term);
+      if (seen.size > best.score) best = { start: hit.start, score: seen.size };
+    });
+
+    // Start a little before the first match, at a word boundary
+    let start = Math.max(0, best.start - 30);
+    if (start > 0) start = text.indexOf(' ', start) + 1 || best.start;
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) end = text.lastIndexOf(' ', end) > best.start ? text.lastIndexOf(' ', end) : end;
+
+    const pieces = [];
+    let at = start;
+    hits.filter(hit => hit.start >= start && hit.end <= end).forEach(hit => {
+      if (hit.start < at) return;
+      if (hit.start > at) pieces.push({ text: text.slice(at, hit.start), match: false });
+      pieces.push({ text: text.slice(hit.start, hit.end), match: true });
+      at = hit.end;
+    });
+    if (at < end) pieces.push({ text: text.slice(at, end), match: false });
+    if (start > 0) pieces.unshift({ text: '…', match: false });
+    if (end < text.length) pieces.push({ text: '…', match: false });
+    return pieces;
+  }
+
+  return {
+    sync,
+    document: (id) => documents.get(id) || null,
+    expand,
+    matches,
+    explain,
+    score,
+    snippet,
+    size: () => documents.size,
+  };
+}
@@ -0,0 +1,412 @@
+// Search query language for the dashboard and anything else that filters notes.
+//
+//   roadmap "release plan"        both words must appear (AND is implied between terms)
+//   draft OR review               either of them
+//   NOT archived, -archived       must not appear
+//   (a OR b) c                    parentheses group
+//   tag:work  title:"q3 plan"  content:api  summary:risk
+//   created:>2026-01-01  updated:last-7d  updated:this-week  updated:<=yesterday
+//   shared:me | others | yes | no      has:summary | tags | links
+//   notebook:work  notebook:"q3 plans"  in that notebook or one nested in it
+//
+// Parsing never throws: it returns whatever it could make sense of along with the errors,
+// each with the character range it refers to, so the input can point at them.
+
+import { createSearchIndex } from './searchIndex';
+import { roleOf } from '../services/sharing';
+import { notebooksNamed } from './notebookTree';
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+// Fields that match text, and the part of a note they look in (see createSearchIndex)
+const TEXT_FIELDS = {
+  title: 'title',
+  content: 'text',
+  summary: 'summary',
+};
+const TAG_FIELDS = ['tag', 'tags'];
+const DATE_FIELDS = { created: 'createdAt', updated: 'updatedAt' };
+const SHARED_VALUES = ['me', 'others', 'yes', 'no'];
+const HAS_VALUES = ['summary', 'tags', 'links'];
+
+export const SEARCH_FIELDS = [...Object.keys(TEXT_FIELDS), ...TAG_FIELDS, ...Object.keys(DATE_FIELDS), 'shared', 'has', 'notebook'];
+
+const DAY = 24 * 60 * 60 * 1000;
+const RELATIVE_UNITS = { d: 1, w: 7, m: 30, y: 365 };
+
+function tokenize(query, errors) {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = (start) => {
+    const close = query.indexOf('"', start + 1);
+    if (close === -1) {
+      errors.push({ message: 'Missing closing quote', start, end: query.length });
+      return { value: query.slice(start + 1), end: query.length };
+    }
+    return { value: query.slice(start + 1, close), end: close + 1 };
+  };
+
+  while (i < query.length) {
+    const char = query[i];
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, start: i, end: i + 1 });
+      i += 1;
+    } else if (char === '"') {
+      const { value, end } = readQuoted(i);
+      tokens.push({ type: 'term', value, phrase: true, start: i, end });
+      i = end;
+    } else if (char === '-' && i + 1 < query.length && !/[\s)-]/.test(query[i + 1])) {
+      tokens.push({ type: 'NOT', start: i, end: i + 1 });
+      i += 1;
+    } else {
+      const start = i;
+      while (i < query.length && !/[\s()"]/.test(query[i])) i += 1;
+      const word = query.slice(start, i);
+      // Addresses like https://... are searched for as they are
+      const field = /^([a-z]+):(?!\/\/)(.*)$/i.exec(word);
+
+      if (OPERATORS.includes(word)) {
+        tokens.push({ type: word, start, end: i });
+      } else if (field) {
+        let value = field[2];
+        let phrase = false;
+        if (!value && query[i] === '"') {
+          const quoted = readQuoted(i);
+          value = quoted.value;
+          phrase = true;
+          i = quoted.end;
+        }
+        tokens.push({ type: 'field', field: field[1].toLowerCase(), value, phrase, start, end: i });
+      } else {
+        tokens.push({ type: 'term', value: word, phrase: false, start, end: i });
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse a date filter value: 2026-01-01, today, yesterday, last-7d (d, w, m or y) or
+ * this-week (week, month or year), optionally after a comparison (>, >=, <, <=, =)
+ * @param {string} value - Value after created: or updated:
+ * @returns {Object|null} - { op, date } or { op, relative: {days}, {day: 0 for today, 1 for
+ *   yesterday} or {period} }, or null if it isn't a date
+ */
+function parseDateValue(value) {
+  const match = /^(>=|<=|>|<|=)?(.+)$/.exec(value);
+  if (!match) return null;
+  const op = match[1] || '=';
+  const text = match[2].toLowerCase();
+
+  if (text === 'today' || text === 'yesterday') return { op, relative: { day: text === 'today' ? 0 : 1 } };
+  const relative = /^last-(\d+)([dwmy])$/.exec(text);
+  if (relative) return { op, relative: { days: Number(relative[1]) * RELATIVE_UNITS[relative[2]] } };
+  const period = /^this-(week|month|year)$/.exec(text);
+  if (period) return { op, relative: { period: period[1] } };
+
+  const date = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (!date) return null;
+  const [year, month, day] = date.slice(1).map(Number);
+  const parsed = new Date(year, month - 1, day);
+  // Reject dates that roll over, like 2026-02-30
+  if (parsed.getMonth() !== month - 1 || parsed.getDate() !== day) return null;
+  return { op, date: text };
+}
+
+function fieldNode(token, errors) {
+  const { field, value, phrase, start, end } = token;
+  const fail = (message) => {
+    errors.push({ message, start, end });
+    return null;
+  };
+
+  if (!value) return fail(`Nothing to look for after "${field}:"`);
+  if (TEXT_FIELDS[field]) return { type: 'term', field, value, phrase };
+  if (TAG_FIELDS.includes(field)) return { type: 'tag', value };
+  if (DATE_FIELDS[field]) {
+    const date = parseDateValue(value);
+    if (!date) return fail(`"${value}" isn't a date; use YYYY-MM-DD, today, yesterday, last-7d or this-week`);
+    return { type: 'date', field, ...date };
+  }
+  if (field === 'shared') {
+    if (!SHARED_VALUES.includes(value.toLowerCase())) return fail(`Use shared:${SHARED_VALUES.join(', shared:')}`);
+    return { type: 'shared', value: value.toLowerCase() };
+  }
+  if (field === 'has') {
+    if (!HAS_VALUES.includes(value.toLowerCase())) return fail(`Use has:${HAS_VALUES.join(', has:')}`);
+    return { type: 'has', value: value.toLowerCase() };
+  }
+  if (field === 'notebook') return { type: 'notebook', value };
+  return fail(`Unknown field "${field}:"; put it in quotes to search for the text`);
+}
+
+/**
+ * Parse a search query
+ * @param {string} query - Query as typed
+ * @returns {{ast: Object|null, errors: Array<{message: string, start: number, end: number}>}} -
+ *   ast is null for an empty query; nodes are and/or ({children}), not ({child}), term
+ *   ({field, value, phrase}), tag, date, shared, has and notebook
+ */
+export function parseSearchQuery(query) {
+  const errors = [];
+  const tokens = tokenize(query || '', errors);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const rangeOf = (token) => ({ start: token.start, end: token.end });
+
+  const combine = (type, children) => (children.length === 1 ? children[0] : { type, children });
+
+  function parseOr() {
+    const children = [];
+    const first = parseAnd();
+    if (first) children.push(first);
+    while (peek()?.type === 'OR') {
+      const operator = next();
+      if (children.length === 0) errors.push({ message: 'Nothing before OR', ...rangeOf(operator) });
+      const right = parseAnd();
+      if (right) children.push(right);
+      else errors.push({ message: 'Nothing after OR', ...rangeOf(operator) });
+    }
+    return children.length ? combine('or', children) : null;
+  }
+
+  function parseAnd() {
+    const children = [];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') {
+        const operator = next();
+        if (children.length === 0) errors.push({ message: 'Nothing before AND', ...rangeOf(operator) });
+        if (!peek() || ['AND', 'OR', ')'].includes(peek().type)) {
+          errors.push({ message: 'Nothing after AND', ...rangeOf(operator) });
+        }
+        continue;
+      }
+      const node = parseUnary();
+      if (node) children.push(node);
+    }
+    return children.length ? combine('and', children) : null;
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (token.type === 'NOT') {
+      next();
+      const operand = peek() && !['AND', 'OR', ')'].includes(peek().type) ? parseUnary() : null;
+      if (!operand) {
+        errors.push({ message: 'Nothing after NOT', ...rangeOf(token) });
+        return null;
+      }
+      return { type: 'not', child: operand };
+    }
+    if (token.type === '(') {
+      next();
+      const inner = parseOr();
+      if (peek()?.type === ')') {
+        const close = next();
+        if (!inner) errors.push({ message: 'Nothing inside the parentheses', start: token.start, end: close.end });
+      } else {
+        errors.push({ message: 'Missing closing parenthesis', ...rangeOf(token) });
+      }
+      return inner;
+    }
+    next();
+    if (token.type === 'field') return fieldNode(token, errors);
+    // Empty quotes match everything, so they're simply ignored
+    return token.value ? { type: 'term', field: null, value: token.value, phrase: token.phrase } : null;
+  }
+
+  const parts = [];
+  for (;;) {
+    const node = parseOr();
+    if (node) parts.push(node);
+    if (!peek()) break;
+    // Only a stray ")" stops parseOr early
+    errors.push({ message: 'Unmatched closing parenthesis', ...rangeOf(next()) });
+  }
+
+  return { ast: parts.length ? combine('and', parts) : null, errors };
+}
+
+/**
+ * Words and phrases the query is looking for, leaving out negated ones and filters.
+ * Used to rank matches and as the text of a semantic search.
+ * @param {Object|null} ast - Parsed query
+ * @returns {Array<{field: string|null, value: string, phrase: boolean}>}
+ */
+export function queryTerms(ast) {
+  if (!ast) return [];
+  if (ast.type === 'term') return [{ field: ast.field, value: ast.value, phrase: ast.phrase }];
+  if (ast.type === 'and' || ast.type === 'or') return ast.children.flatMap(queryTerms);
+  return [];
+}
+
+/**
+ * The filter part of a query: what's left after taking out the words and phrases it looks
+ * for (negated ones stay, as exclusions). Used when the words are matched some other way,
+ * e.g. by meaning.
+ * @param {Object|null} ast - Parsed query
+ * @returns {Object|null} - Parsed query, null if nothing is left
+ */
+export function queryFilters(ast) {
+  if (!ast || ast.type === 'term') return null;
+  if (ast.type === 'and' || ast.type === 'or') {
+    const children = ast.children.map(queryFilters);
+    // Without its words, "plan OR tag:work" can match a note without the tag, so it filters nothing
+    const kept = ast.type === 'or' && children.includes(null) ? [] : children.filter(Boolean);
+    if (kept.length === 0) return null;
+    return kept.length === 1 ? kept[0] : { type: ast.type, children: kept };
+  }
+  return ast;
+}
+
+function dateRange({ date, relative }, now) {
+  if (date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return [new Date(year, month - 1, day).getTime(), new Date(year, month - 1, day + 1).getTime()];
+  }
+  if (relative.days !== undefined) return [now - relative.days * DAY, Infinity];
+  const today = new Date(now);
+  const year = today.getFullYear();
+  const month = today.getMonth();
+  if (relative.period === 'week') {
+    // Weeks start on Monday
+    const monday = today.getDate() - ((today.getDay() + 6) % 7);
+    return [new Date(year, month, monday).getTime(), new Date(year, month, monday + 7).getTime()];
+  }
+  if (relative.period === 'month') return [new Date(year, month, 1).getTime(), new Date(year, month + 1, 1).getTime()];
+  if (relative.period === 'year') return [new Date(year, 0, 1).getTime(), new Date(year + 1, 0, 1).getTime()];
+  const day = today.getDate() - relative.day;
+  return [new Date(year, month, day).getTime(), new Date(year, month, day + 1).getTime()];
+}
+
+function matchesDate(node, note, now) {
+  const time = new Date(note[DATE_FIELDS[node.field]]).getTime();
+  if (Number.isNaN(time)) return false;
+  const [start, end] = dateRange(node, now);
+  switch (node.op) {
+    case '>': return time >= end;
+    case '>=': return time >= start;
+    case '<': return time < start;
+    case '<=': return time < end;
+    default: return time >= start && time < end;
+  }
+}
+
+// Words go through the index (stemmed, prefix and typo matches); phrases must appear as typed
+function matchesText(node, note, index) {
+  const field = node.field && TEXT_FIELDS[node.field];
+  if (!node.phrase) return index.matches(note.id, node.value, field);
+
+  const { text } = index.document(note.id);
+  const phrase = node.value.toLowerCase().replace(/\s+/g, ' ');
+  if (field) return text[field].includes(phrase);
+  return ['title', 'text', 'summary'].some(name => text[name].includes(phrase)) ||
+    text.tags.some(tag => tag.includes(phrase));
+}
+
+// matchesQuery runs once per note, so each notebook list's name lookups are kept
+const notebookScopes = new WeakMap();
+const NO_NOTEBOOKS = [];
+
+function inNotebook(note, name, notebooks) {
+  if (!notebookScopes.has(notebooks)) notebookScopes.set(notebooks, new Map());
+  const scopes = notebookScopes.get(notebooks);
+  const key = name.toLowerCase();
+  if (!scopes.has(key)) scopes.set(key, notebooksNamed(notebooks, name));
+  return scopes.get(key).has(note.notebookId);
+}
+
+/**
+ * Whether a note matches a parsed query
+ * @param {Object} note - Note
+ * @param {Object|null} ast - Parsed query; null matches every note
+ * @param {Object} context - { index: search index holding the note (see createSearchIndex),
+ *   userId: for shared:, now: time relative dates count from, notebooks: for notebook: }
+ * @returns {boolean}
+ */
+export function matchesQuery(note, ast, { index, userId = null, now = Date.now(), notebooks = NO_NOTEBOOKS }) {
+  const test = (node) => {
+    switch (node.type) {
+      case 'and': return node.children.every(test);
+      case 'or': return node.children.some(test);
+      case 'not': return !test(node.child);
+      case 'term': return matchesText(node, note, index);
+      case 'tag': return index.document(note.id).text.tags.includes(node.value.toLowerCase());
+      case 'date': return matchesDate(node, note, now);
+      case 'shared': {
+        const owned = roleOf(note, userId) === 'owner';
+        if (node.value === 'me') return !owned;
+        const shared = !owned || (note.sharedWith?.length || 0) > 0;
+        if (node.value === 'others') return owned && shared;
+        return node.value === 'yes' ? shared : !shared;
+      }
+      case 'has':
+        if (node.value === 'summary') return Boolean(note.summary?.trim());
+        if (node.value === 'tags') return (note.tags?.length || 0) > 0;
+        return /href="[^"]*\/notes\//.test(note.content || '');
+      case 'notebook': return inNotebook(note, node.value, notebooks);
+      default: return false;
+    }
+  };
+  return ast ? test(ast) : true;
+}
+
+/**
+ * Which of a query's words and phrases a note contains, and how
+ * @param {Object} index - Search index holding the note
+ * @param {string} id - Note ID
+ * @param {Array} terms - From queryTerms
+ * @returns {Array<{value: string, kind: 'exact'|'prefix'|'typo'|'phrase', fields: string[]}>} -
+ *   fields are title, tags, summary and text
+ */
+export function explainTerms(index, id, terms) {
+  const { text } = index.document(id);
+  return terms.flatMap(({ field, value, phrase }) => {
+    if (!phrase) {
+      const found = index.explain(id, value);
+      const fields = found?.fields.filter(name => !field || name === TEXT_FIELDS[field]);
+      return fields?.length ? [{ value, kind: found.kind, fields }] : [];
+    }
+    const needle = value.toLowerCase().replace(/\s+/g, ' ');
+    const fields = ['title', 'tags', 'summary', 'text']
+      .filter(name => (!field || name === TEXT_FIELDS[field]) &&
+        (name === 'tags' ? text.tags.some(tag => tag.includes(needle)) : text[name].includes(needle)));
+    return fields.length ? [{ value, kind: 'phrase', fields }] : [];
+  });
+}
+
+/**
+ * Notes matching a query, most relevant first (most recently updated when the query is only filters)
+ * @param {Array} notes - Notes to search
+ * @param {string} query - Query as typed
+ * @param {Object} context - As for matchesQuery; pass the same index on every search so only
+ *   changed notes are reindexed. A throwaway one is made if it's left out.
+ * @returns {{results: Array, errors: Array}} - Copies of the matching notes with their BM25
+ *   score, a snippet of matching text (see snippet() of the index) and the words and phrases
+ *   that matched (see explainTerms); no results when the query has errors
+ */
+export function searchNotes(notes, query, { index = createSearchIndex(), ...context } = {}) {
+  const { ast, errors } = parseSearchQuery(query);
+  if (errors.length) return { results: [], errors };
+
+  index.sync(notes);
+  const terms = queryTerms(ast);
+  // Words of phrases count towards the score too
+  const words = terms.flatMap(term => (term.phrase ? term.value.split(/\s+/) : [term.value]));
+  const phrases = terms.filter(term => term.phrase).map(term => term.value);
+  const results = notes
+    .filter(note => matchesQuery(note, ast, { ...context, index }))
+    .map(note => ({
+      ...note,
+      score: index.score(note.id, words),
+      snippet: index.snippet(note.id, words, phrases),
+      matched: explainTerms(index, note.id, terms),
+    }))
+    .sort((a, b) => b.score - a.score || new Date(b.updatedAt) - new Date(a.updatedAt));
+  return { results, errors };
+}
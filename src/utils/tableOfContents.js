@@ -0,0 +1,35 @@
+// Table of contents for rendered notes: anchors on headings, and the list linking to them
+
+const HEADINGS = 'h1, h2, h3, h4';
+
+const slugify = (text) => text
+  .toLowerCase()
+  .trim()
+  .replace(/[^\p{L}\p{N}\s-]/gu, '')
+  .replace(/\s+/g, '-')
+  .slice(0, 60) || 'section';
+
+/**
+ * Give every heading in note HTML an anchor id, unique within the note
+ * @param {string} html - Sanitized note HTML
+ * @returns {{html: string, headings: Array<{id: string, text: string, level: number}>}}
+ */
+export function withHeadingAnchors(html) {
+  if (!html) return { html: '', headings: [] };
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  const used = new Map();
+  const headings = [];
+
+  doc.body.querySelectorAll(HEADINGS).forEach(heading => {
+    const text = heading.textContent.trim();
+    if (!text) return;
+    const slug = `h-${slugify(text)}`;
+    const count = used.get(slug) || 0;
+    used.set(slug, count + 1);
+    const id = count === 0 ? slug : `${slug}-${count + 1}`;
+    heading.setAttribute('id', id);
+    headings.push({ id, text, level: Number(heading.tagName[1]) });
+  });
+
+  return { html: doc.body.innerHTML, headings };
+}
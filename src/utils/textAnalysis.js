@@ -0,0 +1,158 @@
+// Text analysis helpers shared by the offline AI features and search
+
+export const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are',
+  'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'done', 'down', 'during', 'each', 'either', 'else',
+  'etc', 'even', 'ever', 'every', 'few', 'for', 'from', 'further', 'get', 'gets', 'got', 'had', 'has',
+  'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how', 'however',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'let', 'like', 'may', 'me', 'might',
+  'more', 'most', 'much', 'must', 'my', 'myself', 'no', 'nor', 'not', 'now', 'of', 'off', 'often', 'on',
+  'once', 'one', 'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own', 'per',
+  'quite', 'rather', 'really', 'same', 'say', 'says', 'she', 'should', 'so', 'some', 'such', 'than',
+  'that', 'the', 'their', 'theirs', 'them', 'themselves', 'then', 'there', 'these', 'they', 'this',
+  'those', 'through', 'thus', 'to', 'too', 'under', 'until', 'up', 'upon', 'us', 'use', 'used',
+  'using', 'very', 'via', 'was', 'we', 'well', 'were', 'what', 'when', 'where', 'whether', 'which',
+  'while', 'who', 'whom', 'whose', 'why', 'will', 'with', 'within', 'without', 'would', 'yet', 'you',
+  'your', 'yours', 'yourself', 'yourselves',
+]);
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - Plain text
+ * @returns {string[]} - Tokens in document order
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return text
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .match(/[\p{L}\p{N}]+(?:[-'][\p{L}\p{N}]+)*/gu) || [];
+}
+
+/**
+ * Tokenize, drop stopwords and very short tokens, and stem
+ * @param {string} text - Plain text
+ * @returns {string[]} - Stemmed terms in document order
+ */
+export function analyze(text) {
+  return tokenize(text)
+    .filter(token => token.length > 1 && !STOPWORDS.has(token))
+    .map(stem);
+}
+
+/**
+ * Strip HTML tags from note content
+ * @param {string} html - HTML content
+ * @returns {string} - Plain text
+ */
+export function htmlToText(html) {
+  if (!html) return '';
+  const tempDiv = document.createElement('div');
+  // Keep block boundaries as whitespace so words don't run together
+  tempDiv.innerHTML = html.replace(/<\/(p|div|h[1-6]|li|pre|blockquote)>|<br\s*\/?>/gi, '$& ');
+  return (tempDiv.textContent || tempDiv.innerText || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} str - Input
+ * @returns {number} - Unsigned 32-bit hash
+ */
+export function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Porter stemmer (M.F. Porter, 1980)
+
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+  alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+  ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+  iviti: 'ive', biliti: 'ble', logi: 'log',
+};
+
+const STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '',
+};
+
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent', 'ou',
+  'ism', 'ate', 'iti', 'ous', 'ive', 'ize',
+];
+
+const consonant = '[^aeiou]';
+const vowel = '[aeiouy]';
+const consonantSeq = consonant + '[^aeiouy]*';
+const vowelSeq = vowel + '[aeiou]*';
+
+const MGR0 = new RegExp('^(' + consonantSeq + ')?' + vowelSeq + consonantSeq);
+const MEQ1 = new RegExp('^(' + consonantSeq + ')?' + vowelSeq + consonantSeq + '(' + vowelSeq + ')?$');
+const MGR1 = new RegExp('^(' + consonantSeq + ')?' + vowelSeq + consonantSeq + vowelSeq + consonantSeq);
+const HAS_VOWEL = new RegExp('^(' + consonantSeq + ')?' + vowel);
+const CVC = new RegExp('^' + consonantSeq + vowel + '[^aeiouwxy]$');
+
+/**
+ * Reduce an English word to its Porter stem
+ * @param {string} word - Lowercase word
+ * @returns {string} - Stem
+ */
+export function stem(word) {
+  if (word.length < 3 || /\d/.test(word)) return word;
+
+  let w = word;
+  const startsWithY = w[0] === 'y';
+  if (startsWithY) w = 'Y' + w.slice(1);
+
+  // Step 1a
+  if (/sses$|ies$/.test(w)) w = w.replace(/(ss|i)es$/, '$1');
+  else if (/[^s]s$/.test(w)) w = w.slice(0, -1);
+
+  // Step 1b
+  let match;
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MGR0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) w += 'e';
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (CVC.test(w)) w += 'e';
+  }
+
+  // Step 1c
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1] + 'i';
+  }
+
+  // Step 2
+  if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w))) {
+    if (MGR0.test(match[1])) w = match[1] + STEP2_SUFFIXES[match[2]];
+  }
+
+  // Step 3
+  if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w))) {
+    if (MGR0.test(match[1])) w = match[1] + STEP3_SUFFIXES[match[2]];
+  }
+
+  // Step 4
+  const step4 = new RegExp('^(.+?)(' + STEP4_SUFFIXES.join('|') + ')$');
+  if ((match = step4.exec(w))) {
+    if (MGR1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (MGR1.test(match[1] + match[2])) w = match[1] + match[2];
+  }
+
+  // Step 5
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (MGR1.test(base) || (MEQ1.test(base) && !CVC.test(base))) w = base;
+  }
+  if (/ll$/.test(w) && MGR1.test(w)) w = w.slice(0, -1);
+
+  return startsWithY ? 'y' + w.slice(1) : w;
+}
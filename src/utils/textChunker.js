@@ -0,0 +1,112 @@
+// Split note content into chunks along heading and paragraph boundaries
+
+const BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, pre, blockquote';
+
+/**
+ * Break HTML or plain-text note content into ordered blocks
+ * @param {string} content - Note content (HTML or plain text)
+ * @returns {Array<{type: 'heading'|'text', text: string}>} - Blocks
+ */
+export function splitIntoBlocks(content) {
+  if (!content) return [];
+
+  if (/<[a-z][\s\S]*>/i.test(content)) {
+    const container = document.createElement('div');
+    container.innerHTML = content;
+    const elements = [...container.querySelectorAll(BLOCK_SELECTOR)]
+      // Nested blocks (e.g. <p> inside <li>) are read through their parent
+      .filter(element => !element.parentElement.closest(BLOCK_SELECTOR));
+
+    if (elements.length > 0) {
+      return elements
+        .map(element => ({
+          type: /^H[1-6]$/.test(element.tagName) ? 'heading' : 'text',
+          text: normalizeWhitespace(element.textContent),
+        }))
+        .filter(block => block.text);
+    }
+
+    content = container.textContent;
+  }
+
+  // Plain text: blank lines separate paragraphs, markdown-style "#" lines are headings
+  return content
+    .split(/\n\s*\n|\n(?=#{1,6}\s)/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .flatMap(paragraph => {
+      const heading = paragraph.match(/^#{1,6}\s+(.+)(?:\n([\s\S]*))?$/);
+      if (!heading) {
+        return [{ type: 'text', text: normalizeWhitespace(paragraph) }];
+      }
+      const blocks = [{ type: 'heading', text: normalizeWhitespace(heading[1]) }];
+      if (heading[2]?.trim()) {
+        blocks.push({ type: 'text', text: normalizeWhitespace(heading[2]) });
+      }
+      return blocks;
+    });
+}
+
+/**
+ * Group note content into chunks of at most maxChars characters.
+ * A new heading always starts a new chunk; long paragraphs are split by sentence.
+ * @param {string} content - Note content (HTML or plain text)
+ * @param {Object} options - { maxChars }
+ * @returns {Array<{heading: string, text: string}>} - Chunks in document order
+ */
+export function chunkNoteContent(content, { maxChars = 3000 } = {}) {
+  const chunks = [];
+  let current = { heading: '', parts: [], length: 0 };
+
+  const flush = () => {
+    if (current.parts.length > 0) {
+      chunks.push({ heading: current.heading, text: current.parts.join('\n') });
+    }
+    current = { heading: current.heading, parts: [], length: 0 };
+  };
+
+  const append = (text) => {
+    if (current.length > 0 && current.length + text.length + 1 > maxChars) {
+      flush();
+    }
+    current.parts.push(text);
+    current.length += text.length + 1;
+  };
+
+  splitIntoBlocks(content).forEach(block => {
+    if (block.type === 'heading') {
+      flush();
+      current.heading = block.text;
+      return;
+    }
+
+    if (block.text.length <= maxChars) {
+      append(block.text);
+    } else {
+      splitIntoSentences(block.text).forEach(sentence => {
+        // A single run-on "sentence" still has to respect the limit
+        for (let i = 0; i < sentence.length; i += maxChars) {
+          append(sentence.slice(i, i + maxChars));
+        }
+      });
+    }
+  });
+  flush();
+
+  return chunks;
+}
+
+/**
+ * Split plain text into sentences
+ * @param {string} text - Plain text
+ * @returns {string[]} - Sentences
+ */
+export function splitIntoSentences(text) {
+  return (text.match(/[^.!?]+(?:[.!?]+|$)/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+function normalizeWhitespace(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}